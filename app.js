@@ -9,6 +9,7 @@ const state = {
     espIP: "",
     connected: false,
     currentMode: "game-controls",
+    gameMode: "walk", // 'walk' | 'rotate'
     currentOffsetLeft: 0,
     currentOffsetRight: 0,
     drawerOpen: false,
@@ -38,7 +39,9 @@ const state = {
         knobStartX: 0,
         knobStartY: 0,
         lastX: 0,
-        lastY: 0 // Para evitar comandos duplicados
+        lastY: 0, // Para evitar comandos duplicados
+        external: false, // Vector enviado por gamepad/teclado (setJoystickVector)
+        automated: false // El vector externo lo pone un programa (modo autónomo)
     },
     // Debounce para comandos (evitar saturación)
     lastCommandTime: {
@@ -49,7 +52,8 @@ const state = {
         attack: 0,
         buzzer: 0
     },
-    commandCooldown: 400 // ms entre comandos del mismo tipo
+    commandCooldown: 400, // ms entre comandos del mismo tipo (HTTP)
+    wsCommandCooldown: 120 // ms entre comandos con WebSocket persistente
 };
 
 // Sound data for quick access
@@ -140,11 +144,33 @@ function addLog(message) {
 }
 
 /**
- * Send HTTP request to ESP32
+ * Send command to ESP32 through the active transport (WebSocket or HTTP)
  * @param {string} endpoint - API endpoint
  * @param {Object} params - Query parameters
+ * @param {Object} options - { automated: sent by a program, not the user;
+ *   activeOnly: ignore the fleet target (e.g. the radar reads the active robot) }
  */
-async function sendRequest(endpoint, params = {}) {
+async function sendRequest(endpoint, params = {}, options = {}) {
+    if (typeof window.isSafetyLatched === 'function' && window.isSafetyLatched()) {
+        addLog("🛑 E-STOP activo: rearma para enviar comandos");
+        return false;
+    }
+
+    notifyCommandSent(endpoint, params, options.automated === true);
+
+    // Timeout variable según el endpoint (offset necesita más tiempo por Home())
+    const timeoutMs = (endpoint === 'offset') ? 5000 : 2000;
+
+    // Destino de la flota (robots.js): uno, un grupo o todos los robots
+    const targets = options.activeOnly ? null : getRobotTargets(endpoint);
+    if (targets) {
+        return window.sendToRobots(targets, endpoint, params, { timeout: timeoutMs });
+    }
+    if (targets === false) {
+        addLog("❌ No conectado: ningún robot del destino en línea");
+        return false;
+    }
+
     if (!state.espIP) {
         addLog("⚠️ Ingresa una IP válida");
         return false;
@@ -155,42 +181,99 @@ async function sendRequest(endpoint, params = {}) {
         return false;
     }
 
-    const url = `http://${state.espIP}/${endpoint}?${new URLSearchParams(params)}`;
+    const result = await transportRequest(endpoint, params, { timeout: timeoutMs });
 
-    try {
-        // AbortController para timeout
-        const controller = new AbortController();
-        // Timeout variable según el endpoint (offset necesita más tiempo por Home())
-        const timeoutMs = (endpoint === 'offset') ? 5000 : 2000;
-        const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    if (result.ok) {
+        addLog(`✅ ${endpoint.toUpperCase()}: OK`);
+    } else if (result.timedOut) {
+        // Mostrar timeout para endpoints críticos (HEAD, ARM, OFFSET)
+        if (endpoint === 'head' || endpoint === 'arms' || endpoint === 'walk' || endpoint === 'offset') {
+            addLog(`⏱️ Timeout en ${endpoint.toUpperCase()} (ESP32 ocupado)`);
+        }
+    } else {
+        addLog(`❌ Error en ${endpoint}: ${result.error}`);
+    }
 
-        const response = await fetch(url, {
-            method: 'GET',
-            mode: 'cors',
-            cache: 'no-cache',
-            signal: controller.signal
-        });
+    return result.ok;
+}
 
-        clearTimeout(timeoutId);
+/**
+ * Send command without waiting for a reply (joystick), honouring the fleet target
+ * @param {string} endpoint - API endpoint
+ * @param {Object} params - Query parameters
+ * @param {Object} options - { timeout, keepalive, automated }
+ */
+function sendFastCommand(endpoint, params, options = {}) {
+    notifyCommandSent(endpoint, params, options.automated === true);
+    const targets = getRobotTargets(endpoint);
+    if (targets) {
+        window.sendToRobotsNoAck(targets, endpoint, params, options);
+        return;
+    }
+    if (targets === false) return;
+    transportSend(endpoint, params, options);
+}
 
-        if (response.ok) {
-            addLog(`✅ ${endpoint.toUpperCase()}: OK`);
-        }
+// Profundidad de runAutomated(): lo que se envía dentro no es del usuario
+let automatedCommandDepth = 0;
 
-        return response.ok;
-    } catch (error) {
-        if (error.name === 'AbortError') {
-            // Mostrar timeout para endpoints críticos (HEAD, ARM, OFFSET)
-            if (endpoint === 'head' || endpoint === 'arms' || endpoint === 'walk' || endpoint === 'offset') {
-                addLog(`⏱️ Timeout en ${endpoint.toUpperCase()} (ESP32 ocupado)`);
-            }
-        } else {
-            addLog(`❌ Error en ${endpoint}: ${error.message}`);
-        }
-        return false;
+/**
+ * Run a function on behalf of a program (scripts, blocks, choreography...).
+ * Commands it dispatches synchronously are tagged as automated, so the
+ * session recorder skips them. Returns whatever the function returns.
+ * @param {Function} fn - Usually a call to walk(), playSong(), sendSavedBitmap()...
+ */
+function runAutomated(fn) {
+    automatedCommandDepth++;
+    try {
+        return fn();
+    } finally {
+        automatedCommandDepth--;
+    }
+}
+
+/**
+ * Let the session recorder (recorder.js) capture a user command
+ * @param {string} endpoint - API endpoint
+ * @param {Object} params - Query parameters
+ * @param {boolean} automated - Sent by a program rather than the user
+ */
+function notifyCommandSent(endpoint, params, automated = false) {
+    if (typeof window.recordCommand === 'function') {
+        window.recordCommand(endpoint, params, automated || automatedCommandDepth > 0);
     }
 }
 
+/**
+ * Robots targeted by the fleet selector (robots.js)
+ * @param {string} endpoint - API endpoint
+ * @returns {Array|null|false} null when the command goes to the active robot,
+ *   false when the fleet target has no robot online
+ */
+function getRobotTargets(endpoint) {
+    return typeof window.getCommandTargets === 'function' ? window.getCommandTargets(endpoint) : null;
+}
+
+/**
+ * Whether a command can be sent: active robot connected or a fleet target selected
+ * @param {string} endpoint - API endpoint
+ */
+function canSendCommand(endpoint) {
+    if (typeof window.isSafetyLatched === 'function' && window.isSafetyLatched()) return false;
+    const targets = getRobotTargets(endpoint);
+    // false: destino de la flota sin ningún robot en línea
+    if (targets === false) return false;
+    return state.connected || targets !== null;
+}
+
+/**
+ * Cooldown between commands of the same type
+ * @returns {number} Milliseconds (shorter when the persistent socket is active)
+ */
+function getCommandCooldown() {
+    return getTransportName() === 'ws' ? state.wsCommandCooldown : state.commandCooldown;
+}
+
 // ========== PANEL NAVIGATION ==========
 
 /**
@@ -198,6 +281,28 @@ async function sendRequest(endpoint, params = {}) {
  * @param {string} mode - 'rotate' or 'walk'
  */
 async function switchGameMode(mode) {
+    showGameMode(mode);
+    saveUiState();
+
+    if (elements.debugLog) {
+        const modeName = mode === 'rotate' ? 'RODAR' : 'CAMINAR';
+        addLog(`🎮 Modo: ${modeName}`);
+    }
+
+    // Enviar comando al ESP32
+    if (canSendCommand('mode')) {
+        const modeCmd = mode === 'rotate' ? 'rodar' : 'caminar';
+        await sendRequest('mode', { cmd: modeCmd });
+    }
+}
+
+/**
+ * Show a game mode's controls without sending anything to the robot
+ * @param {string} mode - 'walk' or 'rotate'
+ */
+function showGameMode(mode) {
+    state.gameMode = mode;
+
     // Update mode buttons
     document.querySelectorAll('.mode-toggle-btn').forEach(btn => {
         if (btn.dataset.mode === mode) {
@@ -212,17 +317,6 @@ async function switchGameMode(mode) {
         section.classList.remove('active');
     });
     document.getElementById(`mode-${mode}`)?.classList.add('active');
-
-    if (elements.debugLog) {
-        const modeName = mode === 'rotate' ? 'RODAR' : 'CAMINAR';
-        addLog(`🎮 Modo: ${modeName}`);
-    }
-
-    // Enviar comando al ESP32
-    if (state.connected) {
-        const modeCmd = mode === 'rotate' ? 'rodar' : 'caminar';
-        await sendRequest('mode', { cmd: modeCmd });
-    }
 }
 
 /**
@@ -281,6 +375,7 @@ function showPanel(panelId) {
     document.querySelector(`.nav-drawer-item[data-panel="${panelId}"]`)?.classList.add('active');
 
     state.currentMode = panelId;
+    saveUiState();
 
     if (elements.debugLog) {
         addLog(`🎮 Panel: ${panelId.toUpperCase()}`);
@@ -297,48 +392,281 @@ function showPanel(panelId) {
 
 // ========== CONNECTION ==========
 
+const linkState = {
+    status: 'disconnected', // disconnected | connecting | connected | degraded | lost | reconnecting
+    heartbeatInterval: null,
+    heartbeatPeriod: 2000, // ms entre latidos a /status
+    heartbeatTimeout: 1500,
+    heartbeatBusy: false,
+    samples: [], // Últimos latidos: { ok, rtt }
+    maxSamples: 20,
+    consecutiveFailures: 0,
+    lostAfterFailures: 3, // Latidos fallidos seguidos para declarar el enlace perdido
+    degradedLoss: 20, // % de pérdida para marcar el enlace como inestable
+    degradedRtt: 800, // ms de latencia media para marcar el enlace como inestable
+    reconnectTimer: null,
+    reconnectAttempt: 0,
+    reconnectBaseDelay: 1000,
+    reconnectMaxDelay: 30000
+};
+
+const linkStatusLabels = {
+    disconnected: 'Desconectado',
+    connecting: 'CONECTANDO...',
+    connected: 'CONECTADO',
+    degraded: 'INESTABLE',
+    lost: 'SIN SEÑAL',
+    reconnecting: 'RECONECTANDO...'
+};
+
+/**
+ * Probe the ESP32 /status endpoint
+ * @param {string} ip - Robot address
+ * @param {number} timeoutMs - Request timeout
+ * @returns {Promise<{ok: boolean, rtt: number, data: Object|null, timedOut: boolean, error: string|null}>}
+ */
+async function probeStatus(ip, timeoutMs) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    const start = performance.now();
+
+    try {
+        const response = await fetch(`http://${ip}/status`, {
+            method: 'GET',
+            mode: 'cors',
+            cache: 'no-cache',
+            signal: controller.signal
+        });
+        const rtt = Math.round(performance.now() - start);
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (e) { /* firmware antiguo: /status sin JSON */ }
+        return { ok: response.ok, rtt, data, timedOut: false, error: response.ok ? null : `HTTP ${response.status}` };
+    } catch (error) {
+        return { ok: false, rtt: 0, data: null, timedOut: error.name === 'AbortError', error: error.message };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Update link status and reflect it in the header indicator
+ * @param {string} status - New link status
+ */
+function setLinkStatus(status) {
+    const previous = linkState.status;
+    linkState.status = status;
+
+    elements.statusIndicator?.classList.remove('connected', 'degraded', 'reconnecting');
+    if (status === 'connected') {
+        elements.statusIndicator?.classList.add('connected');
+    } else if (status === 'degraded') {
+        elements.statusIndicator?.classList.add('degraded');
+    } else if (status === 'reconnecting' || status === 'connecting') {
+        elements.statusIndicator?.classList.add('reconnecting');
+    }
+
+    if (elements.statusText) elements.statusText.innerText = linkStatusLabels[status] || status;
+
+    if (previous !== status) {
+        if (status === 'degraded') addLog('⚠️ Enlace inestable');
+        else if (status === 'lost') addLog('❌ Conexión perdida con el ESP32');
+        else if (status === 'connected' && (previous === 'degraded' || previous === 'reconnecting')) addLog('✅ Enlace recuperado');
+    }
+
+    updateLinkQuality();
+}
+
+/**
+ * Latency and packet-loss statistics over the heartbeat window
+ * @returns {{rtt: number|null, loss: number}}
+ */
+function getLinkStats() {
+    const samples = linkState.samples;
+    if (samples.length === 0) return { rtt: null, loss: 0 };
+
+    const ok = samples.filter(s => s.ok);
+    const rtt = ok.length > 0 ? Math.round(ok.reduce((sum, s) => sum + s.rtt, 0) / ok.length) : null;
+    const loss = Math.round(((samples.length - ok.length) / samples.length) * 100);
+    return { rtt, loss };
+}
+
+/**
+ * Render latency / packet-loss readout next to the status text
+ */
+function updateLinkQuality() {
+    const el = document.getElementById('linkQuality');
+    if (!el) return;
+
+    if (linkState.status === 'disconnected' || linkState.samples.length === 0) {
+        el.textContent = '';
+        el.title = '';
+        return;
+    }
+
+    const { rtt, loss } = getLinkStats();
+    el.textContent = `${rtt !== null ? rtt + ' ms' : '-- ms'} · ${loss}%`;
+    el.title = `Latencia media ${rtt !== null ? rtt + ' ms' : 'desconocida'}, pérdida ${loss}% (últimos ${linkState.samples.length} latidos)`;
+}
+
+/**
+ * Heartbeat: probe /status, record timing and update the link state machine
+ */
+async function heartbeat() {
+    if (linkState.heartbeatBusy || !state.espIP) return;
+    linkState.heartbeatBusy = true;
+
+    const result = await probeStatus(state.espIP, linkState.heartbeatTimeout);
+    linkState.heartbeatBusy = false;
+
+    // El usuario pudo desconectar o cambiar de robot mientras esperábamos
+    if (linkState.heartbeatInterval === null) return;
+
+    linkState.samples.push({ ok: result.ok, rtt: result.rtt });
+    if (linkState.samples.length > linkState.maxSamples) linkState.samples.shift();
+
+    if (result.ok) {
+        linkState.consecutiveFailures = 0;
+        const { rtt, loss } = getLinkStats();
+        const degraded = loss >= linkState.degradedLoss || (rtt !== null && rtt >= linkState.degradedRtt);
+        setLinkStatus(degraded ? 'degraded' : 'connected');
+        return;
+    }
+
+    linkState.consecutiveFailures++;
+    if (linkState.consecutiveFailures >= linkState.lostAfterFailures) {
+        handleLinkLost();
+    } else {
+        setLinkStatus('degraded');
+    }
+}
+
+/**
+ * Start periodic heartbeat
+ */
+function startHeartbeat() {
+    stopHeartbeat();
+    linkState.samples = [];
+    linkState.consecutiveFailures = 0;
+    linkState.heartbeatInterval = setInterval(heartbeat, linkState.heartbeatPeriod);
+}
+
+/**
+ * Stop periodic heartbeat
+ */
+function stopHeartbeat() {
+    if (linkState.heartbeatInterval) {
+        clearInterval(linkState.heartbeatInterval);
+        linkState.heartbeatInterval = null;
+    }
+}
+
+/**
+ * Link lost: stop sending commands and start auto-reconnect
+ */
+function handleLinkLost() {
+    if (typeof window.safetyStop === 'function') window.safetyStop('link');
+    stopHeartbeat();
+    state.connected = false;
+    closeTransport();
+    setLinkStatus('lost');
+    linkState.reconnectAttempt = 0;
+    scheduleReconnect();
+}
+
+/**
+ * Schedule next reconnect attempt with exponential backoff
+ */
+function scheduleReconnect() {
+    cancelReconnect();
+    const delay = Math.min(
+        linkState.reconnectMaxDelay,
+        linkState.reconnectBaseDelay * Math.pow(2, linkState.reconnectAttempt)
+    );
+    linkState.reconnectAttempt++;
+    setLinkStatus('reconnecting');
+    addLog(`🔄 Reintentando conexión en ${Math.round(delay / 1000)} s (intento ${linkState.reconnectAttempt})`);
+    linkState.reconnectTimer = setTimeout(attemptReconnect, delay);
+}
+
+/**
+ * Cancel pending reconnect attempt
+ */
+function cancelReconnect() {
+    if (linkState.reconnectTimer) {
+        clearTimeout(linkState.reconnectTimer);
+        linkState.reconnectTimer = null;
+    }
+}
+
+/**
+ * Try to re-establish the link to the last robot
+ */
+async function attemptReconnect() {
+    linkState.reconnectTimer = null;
+    const ip = state.espIP;
+    const result = await probeStatus(ip, 3000);
+
+    // Conexión manual o desconexión mientras esperábamos
+    if (ip !== state.espIP || linkState.status !== 'reconnecting') return;
+
+    if (!result.ok) {
+        scheduleReconnect();
+        return;
+    }
+
+    await openTransport(ip);
+    state.connected = true;
+    linkState.reconnectAttempt = 0;
+    startHeartbeat();
+    setLinkStatus('connected');
+}
+
 /**
  * Connect to ESP32
  */
 async function connect() {
     state.espIP = (elements.ipInput?.value || "").trim();
 
+    stopHeartbeat();
+    cancelReconnect();
+
     if (!state.espIP) {
         addLog("⚠️ Ingresa una IP válida");
         return;
     }
 
     addLog(`🔌 Conectando a: ${state.espIP}`);
-    elements.statusText.innerText = "CONECTANDO...";
+    setLinkStatus('connecting');
 
-    try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 5000);
+    const result = await probeStatus(state.espIP, 5000);
 
-        const response = await fetch(`http://${state.espIP}/status`, {
-            method: 'GET',
-            mode: 'cors',
-            signal: controller.signal
-        });
-
-        clearTimeout(timeoutId);
+    if (result.ok) {
+        const transportName = await openTransport(state.espIP);
+        state.connected = true;
+        startHeartbeat();
+        linkState.samples.push({ ok: true, rtt: result.rtt });
+        setLinkStatus('connected');
+        addLog(`✅ Conexión exitosa (${transportName === 'ws' ? 'WebSocket' : 'HTTP'})`);
 
-        if (response.ok) {
-            state.connected = true;
-            elements.statusIndicator.classList.add("connected");
-            elements.statusText.innerText = "CONECTADO";
-            addLog("✅ Conexión exitosa");
-        } else {
-            throw new Error(`HTTP ${response.status}`);
+        if (typeof window.rememberRobot === 'function') {
+            window.rememberRobot(state.espIP, result.data);
         }
-    } catch (error) {
+        if (typeof window.onActiveRobotConnected === 'function') {
+            window.onActiveRobotConnected(state.espIP, result.data);
+        }
+        saveUiState();
+        resyncRobotState();
+    } else {
         state.connected = false;
-        elements.statusIndicator.classList.remove("connected");
-        elements.statusText.innerText = "ERROR";
-        if (error.name === 'AbortError') {
+        closeTransport();
+        setLinkStatus('disconnected');
+        if (elements.statusText) elements.statusText.innerText = "ERROR";
+        if (result.timedOut) {
             addLog("❌ Timeout - No se pudo conectar al ESP32");
         } else {
-            addLog(`❌ Error de conexión: ${error.message}`);
+            addLog(`❌ Error de conexión: ${result.error}`);
         }
     }
 }
@@ -351,7 +679,7 @@ async function connect() {
  */
 async function walk(cmd) {
     const now = Date.now();
-    if (now - state.lastCommandTime.walk < state.commandCooldown) {
+    if (now - state.lastCommandTime.walk < getCommandCooldown()) {
         addLog(`⏳ Esperar antes de otro comando WALK`);
         return;
     }
@@ -368,7 +696,7 @@ async function walk(cmd) {
  */
 async function arm(cmd) {
     const now = Date.now();
-    if (now - state.lastCommandTime.arm < state.commandCooldown) {
+    if (now - state.lastCommandTime.arm < getCommandCooldown()) {
         addLog(`⏳ Esperar antes de otro comando ARM`);
         return;
     }
@@ -388,7 +716,7 @@ async function arm(cmd) {
  */
 async function headMove(cmd) {
     const now = Date.now();
-    if (now - state.lastCommandTime.head < state.commandCooldown) {
+    if (now - state.lastCommandTime.head < getCommandCooldown()) {
         addLog(`⏳ Esperar antes de otro comando HEAD`);
         return;
     }
@@ -428,6 +756,7 @@ function toggleAttackSelection(attackId, checkbox) {
 
     // Update UI
     updateAttacksUI();
+    saveUiState();
 
     const attackNames = {
         'slash': 'Slash',
@@ -521,16 +850,17 @@ function updateQuickAttacks() {
 /**
  * Execute attack move (only if selected)
  * @param {string} cmd - Attack command
+ * @param {boolean} requireSelection - If false, run it even when not selected (scripts)
  */
-async function attack(cmd) {
+async function attack(cmd, requireSelection = true) {
     // Check if attack is selected
-    if (!state.selectedAttacks.has(cmd)) {
+    if (requireSelection && !state.selectedAttacks.has(cmd)) {
         addLog(`⚠️ El ataque no está seleccionado`);
         return;
     }
 
     const now = Date.now();
-    if (now - state.lastCommandTime.attack < state.commandCooldown) {
+    if (now - state.lastCommandTime.attack < getCommandCooldown()) {
         addLog(`⏳ Esperar antes de otro ataque`);
         return;
     }
@@ -577,6 +907,7 @@ function toggleSoundSelection(soundId, checkbox) {
 
     // Update UI
     updateSoundsUI();
+    saveUiState();
 
     const soundNames = [
         'Conectar', 'Desconectar', 'Botón', 'Batalla', 'Furia', 'Ninja',
@@ -674,6 +1005,7 @@ function updateQuickSounds() {
 
 // Web Audio API Context
 let audioContext = null;
+let melodyPlaybackId = 0; // Cambia para abortar la melodía en curso
 
 /**
  * Initialize Audio Context (lazy initialization)
@@ -790,7 +1122,9 @@ async function playMelodyInBrowser(songNumber) {
         return;
     }
 
+    const playbackId = ++melodyPlaybackId;
     for (const [frequency, duration] of melody) {
+        if (playbackId !== melodyPlaybackId) return;
         if (frequency === 0) {
             // Rest/silence
             await new Promise(resolve => setTimeout(resolve, duration));
@@ -800,20 +1134,28 @@ async function playMelodyInBrowser(songNumber) {
     }
 }
 
+/**
+ * Abort the melody playing in the browser (after the current note)
+ */
+function stopBrowserMelody() {
+    melodyPlaybackId++;
+}
+
 /**
  * Play buzzer song
  * @param {number} songNumber - Song index
  * @param {boolean} isPreview - If true, play without checking if selected
+ * @param {boolean} requireSelection - If false, send it even when not selected (scripts)
  */
-async function playSong(songNumber, isPreview = false) {
-    // Check if sound is selected (skip check for previews)
-    if (!isPreview && !state.selectedSounds.has(songNumber.toString())) {
+async function playSong(songNumber, isPreview = false, requireSelection = true) {
+    // Check if sound is selected (skip check for previews and scripts)
+    if (!isPreview && requireSelection && !state.selectedSounds.has(songNumber.toString())) {
         addLog(`⚠️ El sonido no está seleccionado`);
         return;
     }
 
     const now = Date.now();
-    if (now - state.lastCommandTime.buzzer < state.commandCooldown) {
+    if (now - state.lastCommandTime.buzzer < getCommandCooldown()) {
         addLog(`⏳ Esperar antes de otro sonido`);
         return;
     }
@@ -832,7 +1174,7 @@ async function playSong(songNumber, isPreview = false) {
     addLog(`${prefix}: ${songName} (${songNumber})`);
 
     // Play in browser (always for preview, or when not connected)
-    if (isPreview || !state.connected) {
+    if (isPreview || !canSendCommand('buzzer')) {
         try {
             await playMelodyInBrowser(songNumber);
         } catch (error) {
@@ -842,7 +1184,7 @@ async function playSong(songNumber, isPreview = false) {
     }
 
     // Send to ESP32 if connected and not just a preview
-    if (state.connected && !isPreview) {
+    if (canSendCommand('buzzer') && !isPreview) {
         await sendRequest('buzzer', { song: songNumber });
     }
 }
@@ -858,10 +1200,13 @@ function renderCustomMelodyCards() {
 
     grid.innerHTML = '';
 
+    // La lista de exportación RTTTL incluye las melodías personalizadas
+    if (typeof window.renderRtttlExportOptions === 'function') window.renderRtttlExportOptions();
+
     const melodyEntries = Object.entries(state.customMelodies);
 
     if (melodyEntries.length === 0) {
-        grid.innerHTML = '<p class="no-custom-melodies">No hay melodias personalizadas. Importa un archivo MIDI para crear una.</p>';
+        grid.innerHTML = '<p class="no-custom-melodies">No hay melodias personalizadas. Importa un archivo MIDI o compón una nueva.</p>';
         return;
     }
 
@@ -876,6 +1221,9 @@ function renderCustomMelodyCards() {
                 '<button class="melody-edit-btn" data-edit-song="' + songNum + '" title="Editar melodia">' +
                     '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="12" height="12"><path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>' +
                 '</button>' +
+                '<button class="melody-edit-btn melody-roll-btn" data-roll-song="' + songNum + '" title="Editar notas (piano roll)">' +
+                    '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="12" height="12"><rect x="3" y="4" width="18" height="16" rx="2"/><path d="M8 4v10M12 4v10M16 4v10"/></svg>' +
+                '</button>' +
             '</div>' +
             '<div class="buzzer-checkbox">' +
                 '<input type="checkbox" class="buzzer-checkbox-input" id="buzzer-' + songNum + '">' +
@@ -909,7 +1257,7 @@ function renderCustomMelodyCards() {
         });
 
         // Click en editar
-        const editBtn = card.querySelector('.melody-edit-btn');
+        const editBtn = card.querySelector('.melody-edit-btn:not(.melody-roll-btn)');
         if (editBtn) {
             editBtn.addEventListener('click', function(e) {
                 e.stopPropagation();
@@ -919,6 +1267,17 @@ function renderCustomMelodyCards() {
             });
         }
 
+        // Click en piano roll
+        const rollBtn = card.querySelector('.melody-roll-btn');
+        if (rollBtn) {
+            rollBtn.addEventListener('click', function(e) {
+                e.stopPropagation();
+                if (typeof window.openPianoRoll === 'function') {
+                    window.openPianoRoll(songNum);
+                }
+            });
+        }
+
         // Click en enviar al robot
         const sendBtn = card.querySelector('.melody-send-btn');
         if (sendBtn) {
@@ -933,6 +1292,7 @@ function renderCustomMelodyCards() {
         // Event listener para el checkbox de seleccion
         const checkbox = card.querySelector('.buzzer-checkbox-input');
         if (checkbox) {
+            checkbox.checked = state.selectedSounds.has(songNum);
             checkbox.addEventListener('change', function() {
                 toggleSoundSelection(songNum, checkbox);
             });
@@ -1007,6 +1367,7 @@ function toggleDisplayMessageSelection(messageId, checkbox) {
     }
 
     updateDisplayMessagesUI();
+    saveUiState();
 
     const action = checkbox.checked ? 'Seleccionado' : 'Deseleccionado';
     addLog(`📺 ${action}: ${messageId}`);
@@ -1123,11 +1484,19 @@ function addCustomMessage() {
     }
 
     state.customMessages.push(message);
+    persistCustomMessages();
     input.value = '';
     updateCustomMessagesList();
     addLog(`✅ Mensaje agregado: ${message}`);
 }
 
+/**
+ * Save custom messages
+ */
+function persistCustomMessages() {
+    storageSet('customMessages', state.customMessages);
+}
+
 /**
  * Delete custom message
  * @param {string} message - Message to delete
@@ -1136,9 +1505,11 @@ function deleteCustomMessage(message) {
     const index = state.customMessages.indexOf(message);
     if (index > -1) {
         state.customMessages.splice(index, 1);
+        persistCustomMessages();
         state.selectedDisplayMessages.delete(message);
         updateCustomMessagesList();
         updateDisplayMessagesUI();
+        saveUiState();
         addLog(`🗑️ Mensaje eliminado: ${message}`);
     }
 }
@@ -1364,32 +1735,67 @@ async function bitmapCopyCode() {
     }
 }
 
-async function bitmapSendToESP32() {
-    if (!bitmapState.byteArray) { addLog('Bitmap: convertí una imagen primero'); return; }
-    if (!state.espIP)           { addLog('Bitmap: ingresá una IP válida'); return; }
-    if (!state.connected)       { addLog('Bitmap: no conectado al robot'); return; }
-
-    const btn = document.getElementById('bitmapSendBtn');
-    if (btn) { btn.disabled = true; btn.textContent = 'Enviando...'; }
-
+/**
+ * POST a bitmap payload to one robot
+ * @returns {Promise<{ok: boolean, error: string|null}>}
+ */
+async function postBitmap(ip, payload) {
+    const controller = new AbortController();
+    const tid = setTimeout(() => controller.abort(), 6000);
     try {
-        const controller = new AbortController();
-        const tid = setTimeout(() => controller.abort(), 6000);
-        const res = await fetch(`http://${state.espIP}/bitmap`, {
+        const res = await fetch(`http://${ip}/bitmap`, {
             method: 'POST',
             mode: 'cors',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ title: bitmapState.title || 'Otto Ninja', invert: bitmapState.invert, titleInvert: bitmapState.titleInvert, data: Array.from(bitmapState.byteArray) }),
+            body: JSON.stringify(payload),
             signal: controller.signal
         });
+        return { ok: res.ok, error: res.ok ? null : 'error HTTP ' + res.status };
+    } catch(e) {
+        return { ok: false, error: e.name === 'AbortError' ? 'timeout — ESP32 no respondió' : e.message };
+    } finally {
         clearTimeout(tid);
+    }
+}
+
+/**
+ * Send a bitmap to the active robot or to the fleet target
+ * @param {Object} payload - { title, invert, titleInvert, data }
+ * @param {string} name - Name shown in the log and stored per robot
+ * @returns {Promise<boolean>} true if every robot accepted it
+ */
+async function sendBitmapToTargets(payload, name) {
+    notifyCommandSent('bitmap', { payload, name });
+    const targets = getRobotTargets('bitmap');
+    const ips = targets ? targets.map(r => r.ip) : targets === false ? [] : [state.espIP];
+    if (ips.length === 0) { addLog('Bitmap: ningún robot de la flota conectado'); return false; }
+
+    const results = await Promise.all(ips.map(ip => postBitmap(ip, payload)));
+    results.forEach((res, i) => {
+        const where = targets ? ` (${ips[i]})` : '';
         if (res.ok) {
-            addLog('Bitmap: imagen enviada al OLED correctamente');
+            addLog(`Bitmap: "${name}" enviado al OLED${where}`);
+            if (typeof window.noteRobotBitmap === 'function') window.noteRobotBitmap(ips[i], name);
         } else {
-            addLog('Bitmap: error HTTP ' + res.status);
+            addLog(`Bitmap: ${res.error}${where}`);
         }
-    } catch(e) {
-        addLog('Bitmap: ' + (e.name === 'AbortError' ? 'timeout — ESP32 no respondió' : e.message));
+    });
+    return results.every(res => res.ok);
+}
+
+async function bitmapSendToESP32() {
+    if (!bitmapState.byteArray) { addLog('Bitmap: convertí una imagen primero'); return; }
+    if (!getRobotTargets('bitmap')) {
+        if (!state.espIP)       { addLog('Bitmap: ingresá una IP válida'); return; }
+        if (!state.connected)   { addLog('Bitmap: no conectado al robot'); return; }
+    }
+
+    const btn = document.getElementById('bitmapSendBtn');
+    if (btn) { btn.disabled = true; btn.textContent = 'Enviando...'; }
+
+    try {
+        const title = bitmapState.title || 'Otto Ninja';
+        await sendBitmapToTargets({ title: title, invert: bitmapState.invert, titleInvert: bitmapState.titleInvert, data: Array.from(bitmapState.byteArray) }, title);
     } finally {
         if (btn) {
             btn.disabled = false;
@@ -1455,18 +1861,16 @@ function initBitmapPanel() {
 
 // ========== SAVED BITMAPS LIBRARY ==========
 
-function loadSavedBitmaps() {
-    try {
-        const raw = localStorage.getItem('ottoNinja_savedBitmaps');
-        if (raw) state.savedBitmaps = JSON.parse(raw);
-        const sel = localStorage.getItem('ottoNinja_selectedBitmaps');
-        if (sel) state.selectedBitmaps = new Set(JSON.parse(sel));
-    } catch(e) { /* ignore */ }
+async function loadSavedBitmaps() {
+    const saved = await storageGetLarge('bitmaps', []);
+    if (Array.isArray(saved)) state.savedBitmaps = saved;
+    state.selectedBitmaps = new Set(storageGet('selectedBitmaps', []));
 }
 
 function persistBitmaps() {
-    localStorage.setItem('ottoNinja_savedBitmaps', JSON.stringify(state.savedBitmaps));
-    localStorage.setItem('ottoNinja_selectedBitmaps', JSON.stringify([...state.selectedBitmaps]));
+    // La biblioteca (con previews PNG) va a IndexedDB; la selección es pequeña
+    storageSetLarge('bitmaps', state.savedBitmaps);
+    storageSet('selectedBitmaps', [...state.selectedBitmaps]);
 }
 
 function bitmapSaveToLibrary() {
@@ -1528,28 +1932,12 @@ function toggleBitmapSelection(index) {
 async function sendSavedBitmap(index) {
     const bmp = state.savedBitmaps[index];
     if (!bmp) return;
-    if (!state.espIP) { addLog('Bitmap: ingresá una IP válida'); return; }
-    if (!state.connected) { addLog('Bitmap: no conectado al robot'); return; }
-
-    try {
-        const controller = new AbortController();
-        const tid = setTimeout(() => controller.abort(), 6000);
-        const res = await fetch(`http://${state.espIP}/bitmap`, {
-            method: 'POST',
-            mode: 'cors',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ title: bmp.title, invert: bmp.invert, titleInvert: bmp.titleInvert, data: bmp.data }),
-            signal: controller.signal
-        });
-        clearTimeout(tid);
-        if (res.ok) {
-            addLog('Bitmap: "' + bmp.name + '" enviado al OLED');
-        } else {
-            addLog('Bitmap: error HTTP ' + res.status);
-        }
-    } catch(e) {
-        addLog('Bitmap: ' + (e.name === 'AbortError' ? 'timeout — ESP32 no respondió' : e.message));
+    if (!getRobotTargets('bitmap')) {
+        if (!state.espIP) { addLog('Bitmap: ingresá una IP válida'); return; }
+        if (!state.connected) { addLog('Bitmap: no conectado al robot'); return; }
     }
+
+    await sendBitmapToTargets({ title: bmp.title, invert: bmp.invert, titleInvert: bmp.titleInvert, data: bmp.data }, bmp.name);
 }
 
 function updateSavedBitmapsGallery() {
@@ -1678,6 +2066,7 @@ function setVolume(value) {
     }
 
     updateVolumeIcon();
+    saveUiState();
     addLog(`🔊 Volumen: ${state.volume}%`);
 }
 
@@ -1687,6 +2076,7 @@ function setVolume(value) {
 function toggleMute() {
     state.muted = !state.muted;
     updateVolumeIcon();
+    saveUiState();
 
     const status = state.muted ? 'SILENCIADO' : 'ACTIVADO';
     addLog(`🔇 Sonido: ${status}`);
@@ -1790,17 +2180,17 @@ async function fetchUltrasonicLive() {
         return;
     }
     try {
-        const url = `http://${state.espIP}/ultrasonic?action=read`;
-        const resp = await fetch(url, { signal: AbortSignal.timeout(2000) });
-        if (resp.ok) {
-            const data = await resp.json();
-            const dist = parseInt(data.distance);
-            // Ignorar lecturas inválidas (-1 = sin eco, 0 = error)
-            if (dist > 0) {
+        const result = await transportRequest('ultrasonic', { action: 'read' }, { timeout: 2000, json: true });
+        if (result.ok && result.data) {
+            // Filtrada según el filtro elegido; null = sin eco (-1) o error (0)
+            const dist = noteUltrasonicReading(parseUltrasonicDistance(result.data));
+            if (dist !== null) {
                 usState.lastDistance = dist;
                 updateUltrasonicDisplay(dist);
             }
             // Si es inválida, mantener la última lectura válida en pantalla
+        } else if (result.timedOut) {
+            updateUltrasonicDisplay(null, 'Sin respuesta');
         } else {
             updateUltrasonicDisplay(null, 'Error al leer');
         }
@@ -1809,6 +2199,43 @@ async function fetchUltrasonicLive() {
     }
 }
 
+/**
+ * Parse a /ultrasonic?action=read reply and apply the active robot's
+ * calibration curve (ultrasonic-calibration.js)
+ * @param {Object} data - Parsed JSON reply
+ * @returns {number} Distance in cm, or the raw value (<= 0 / NaN) without echo
+ */
+function parseUltrasonicDistance(data) {
+    const raw = parseInt(data.distance);
+    if (!(raw > 0) || typeof window.correctUltrasonicReading !== 'function') return raw;
+    return window.correctUltrasonicReading(raw);
+}
+
+/**
+ * Add a raw reading to the history and filter (ultrasonic-history.js)
+ * @param {number} raw - Parsed distance (<= 0 or NaN = no echo)
+ * @returns {number|null} Filtered distance, null without a valid echo
+ */
+function noteUltrasonicReading(raw) {
+    const valid = raw > 0 ? raw : null;
+    if (typeof window.recordUltrasonicReading === 'function') {
+        return window.recordUltrasonicReading(valid);
+    }
+    return valid;
+}
+
+/**
+ * Read one distance from the active robot (block programs, scripts)
+ * @returns {Promise<number|null>} Distance in cm, null without a valid echo
+ */
+async function readUltrasonicDistance() {
+    if (!state.connected || !state.espIP) return null;
+    const result = await transportRequest('ultrasonic', { action: 'read' }, { timeout: 2000, json: true });
+    if (!result.ok || !result.data) return null;
+    const dist = parseUltrasonicDistance(result.data);
+    return dist > 0 ? dist : null;
+}
+
 /**
  * Start automatic live distance polling (every 500 ms)
  */
@@ -1908,6 +2335,60 @@ async function applyUltrasonicConfig() {
     if (btn) { btn.classList.remove('loading'); btn.textContent = 'Aplicar configuración'; }
 }
 
+/**
+ * Current ultrasonic configuration in /ultrasonic?action=config terms
+ * @returns {Object} { enabled, danger, alert, reaction, buzzer, display }
+ */
+function getUltrasonicConfig() {
+    return {
+        enabled: usState.enabled,
+        danger: usState.dangerThreshold,
+        alert: usState.alertThreshold,
+        reaction: usState.reaction,
+        buzzer: usState.buzzerAlert,
+        display: usState.displayAlert
+    };
+}
+
+/**
+ * Load an ultrasonic configuration into usState and the panel controls (not sent to the robot)
+ * @param {Object} config - Same shape as getUltrasonicConfig()
+ */
+function setUltrasonicConfig(config) {
+    usState.enabled = !!config.enabled;
+    usState.dangerThreshold = config.danger;
+    usState.alertThreshold = config.alert;
+    usState.reaction = config.reaction;
+    usState.buzzerAlert = !!config.buzzer;
+    usState.displayAlert = !!config.display;
+
+    const enabledChk = document.getElementById('usEnabled');
+    const enabledLabel = document.getElementById('usEnabledLabel');
+    if (enabledChk) enabledChk.checked = usState.enabled;
+    if (enabledLabel) enabledLabel.textContent = usState.enabled ? 'Activo' : 'Inactivo';
+
+    [['usDangerSlider', 'usDangerValue', usState.dangerThreshold],
+     ['usAlertSlider', 'usAlertValue', usState.alertThreshold]].forEach(([sliderId, valueId, value]) => {
+        const slider = document.getElementById(sliderId);
+        const label = document.getElementById(valueId);
+        if (slider) slider.value = value;
+        if (label) label.textContent = value + ' cm';
+    });
+
+    document.querySelectorAll('.us-reaction-btn[data-reaction]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.reaction === usState.reaction);
+    });
+
+    const buzzerChk = document.getElementById('usBuzzerAlert');
+    const displayChk = document.getElementById('usDisplayAlert');
+    if (buzzerChk) buzzerChk.checked = usState.buzzerAlert;
+    if (displayChk) displayChk.checked = usState.displayAlert;
+
+    updateUltrasonicMarkers();
+    updateUltrasonicDisplay(usState.lastDistance);
+    saveUiState();
+}
+
 /**
  * Start continuous sensor test
  */
@@ -1937,11 +2418,11 @@ async function runTestReading() {
         return;
     }
     try {
-        const url = `http://${state.espIP}/ultrasonic?action=read`;
-        const resp = await fetch(url, { signal: AbortSignal.timeout(2000) });
-        if (!resp.ok) { stopUltrasonicTest('error', 'Error de respuesta'); return; }
-        const data = await resp.json();
-        const dist = parseInt(data.distance);
+        const result = await transportRequest('ultrasonic', { action: 'read' }, { timeout: 2000, json: true });
+        if (result.timedOut) { stopUltrasonicTest('error', 'Sin respuesta del sensor'); return; }
+        if (!result.ok || !result.data) { stopUltrasonicTest('error', 'Error de respuesta'); return; }
+        const dist = parseUltrasonicDistance(result.data);
+        noteUltrasonicReading(dist);
         if (isNaN(dist) || dist <= 0) { return; } // Ignorar lecturas inválidas, esperar la siguiente
 
         usState.testReadings.push(dist);
@@ -2056,10 +2537,9 @@ async function verifyCalibration() {
     }
 
     try {
-        const url = `http://${state.espIP}/ultrasonic?action=read`;
-        const resp = await fetch(url, { signal: AbortSignal.timeout(3000) });
-        const data = await resp.json();
-        const measured = parseInt(data.distance);
+        const result = await transportRequest('ultrasonic', { action: 'read' }, { timeout: 3000, json: true });
+        if (!result.ok || !result.data) throw new Error(result.error || 'Sin datos');
+        const measured = parseUltrasonicDistance(result.data);
         if (isNaN(measured) || measured <= 0) {
             resultEl.textContent = '⚠ Lectura inválida, intenta de nuevo.';
             resultEl.className = 'us-cal-result warn';
@@ -2099,6 +2579,7 @@ function initUltrasonicPanel() {
         enabledChk.addEventListener('change', function() {
             usState.enabled = this.checked;
             if (enabledLabel) enabledLabel.textContent = this.checked ? 'Activo' : 'Inactivo';
+            saveUiState();
         });
     }
 
@@ -2119,6 +2600,7 @@ function initUltrasonicPanel() {
             if (dangerValue) dangerValue.textContent = this.value + ' cm';
             updateUltrasonicMarkers();
             updateUltrasonicDisplay(usState.lastDistance);
+            saveUiState();
         });
     }
 
@@ -2139,23 +2621,25 @@ function initUltrasonicPanel() {
             if (alertValue) alertValue.textContent = this.value + ' cm';
             updateUltrasonicMarkers();
             updateUltrasonicDisplay(usState.lastDistance);
+            saveUiState();
         });
     }
 
     // Reaction buttons
-    document.querySelectorAll('.us-reaction-btn').forEach(btn => {
+    document.querySelectorAll('.us-reaction-btn[data-reaction]').forEach(btn => {
         btn.addEventListener('click', function() {
-            document.querySelectorAll('.us-reaction-btn').forEach(b => b.classList.remove('active'));
+            document.querySelectorAll('.us-reaction-btn[data-reaction]').forEach(b => b.classList.remove('active'));
             this.classList.add('active');
             usState.reaction = this.dataset.reaction;
+            saveUiState();
         });
     });
 
     // Checkboxes
     const buzzerChk  = document.getElementById('usBuzzerAlert');
     const displayChk = document.getElementById('usDisplayAlert');
-    if (buzzerChk)  buzzerChk.addEventListener('change',  () => { usState.buzzerAlert  = buzzerChk.checked; });
-    if (displayChk) displayChk.addEventListener('change', () => { usState.displayAlert = displayChk.checked; });
+    if (buzzerChk)  buzzerChk.addEventListener('change',  () => { usState.buzzerAlert  = buzzerChk.checked; saveUiState(); });
+    if (displayChk) displayChk.addEventListener('change', () => { usState.displayAlert = displayChk.checked; saveUiState(); });
 
     // Apply button
     const applyBtn = document.getElementById('usApplyBtn');
@@ -2203,6 +2687,9 @@ async function applyOffset(leg) {
     const value = leg === 'left' ? state.currentOffsetLeft : state.currentOffsetRight;
     addLog(`⚙️ OFFSET ${leg.toUpperCase()}: ${value}°`);
     const success = await sendRequest('offset', { [leg]: value });
+    if (success && typeof window.noteRobotOffsets === 'function') {
+        window.noteRobotOffsets(state.espIP, { [leg]: value });
+    }
     if (!success) {
         addLog(`⚠️ No se pudo aplicar el offset. Verifica la conexión.`);
     }
@@ -2217,6 +2704,9 @@ async function applyBothOffsets() {
         left: state.currentOffsetLeft,
         right: state.currentOffsetRight
     });
+    if (success && typeof window.noteRobotOffsets === 'function') {
+        window.noteRobotOffsets(state.espIP, { left: state.currentOffsetLeft, right: state.currentOffsetRight });
+    }
     if (!success) {
         addLog(`⚠️ No se pudieron aplicar los offsets. Verifica la conexión.`);
     }
@@ -2262,7 +2752,7 @@ function updateJoystickVisual(dx, dy) {
  * Send joystick update to ESP32 (throttled)
  */
 function sendJoystickUpdate() {
-    if (!state.connected) return;
+    if (!canSendCommand('joystick')) return;
 
     // Verificar si el valor cambió (evitar comandos duplicados)
     if (state.joystick.currentX === state.joystick.lastX &&
@@ -2279,7 +2769,7 @@ function sendJoystickUpdate() {
     }
 
     // Verificar cooldown global para no saturar ESP32
-    if (now - state.lastCommandTime.joystick < state.commandCooldown) {
+    if (now - state.lastCommandTime.joystick < getCommandCooldown()) {
         return;
     }
 
@@ -2291,18 +2781,11 @@ function sendJoystickUpdate() {
     state.joystick.lastX = state.joystick.currentX;
     state.joystick.lastY = state.joystick.currentY;
 
-    // Enviar sin esperar (fire and forget) con timeout
-    const url = `http://${state.espIP}/joystick?x=${state.joystick.currentX}&y=${state.joystick.currentY}`;
-
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 1000); // 1 segundo timeout
-
-    fetch(url, {
-        method: 'GET',
-        mode: 'cors',
-        cache: 'no-cache',
-        signal: controller.signal
-    }).catch(() => {}).finally(() => clearTimeout(timeoutId));
+    // Enviar sin esperar (fire and forget) con timeout de 1 segundo
+    sendFastCommand('joystick', { x: state.joystick.currentX, y: state.joystick.currentY }, {
+        timeout: 1000,
+        automated: state.joystick.external && state.joystick.automated
+    });
 }
 
 /**
@@ -2397,17 +2880,48 @@ function stopJoystick() {
     state.joystick.knobStartY = 0;
 
     // Send stop command immediately
-    if (state.connected) {
-        const url = `http://${state.espIP}/joystick?x=0&y=0`;
-        fetch(url, { mode: 'cors', cache: 'no-cache', keepalive: true }).catch(() => {});
+    if (canSendCommand('joystick')) {
+        sendFastCommand('joystick', { x: 0, y: 0 }, { keepalive: true });
+    }
+}
+
+/**
+ * Drive the joystick pipeline from another input device (gamepad, keyboard)
+ * @param {number} x - Horizontal value (-100 to 100)
+ * @param {number} y - Vertical value (-100 to 100, positive = forward)
+ * @param {boolean} automated - Vector set by a program (autonomy), not the user
+ */
+function setJoystickVector(x, y, automated = false) {
+    // El joystick en pantalla tiene prioridad mientras se arrastra
+    if (state.joystick.dragging) return;
+
+    x = Math.max(-100, Math.min(100, Math.round(x)));
+    y = Math.max(-100, Math.min(100, Math.round(y)));
+    updateJoystickVisual(x / 100 * state.joystick.maxDist, -y / 100 * state.joystick.maxDist);
+
+    state.joystick.automated = automated;
+    if (x === 0 && y === 0) {
+        state.joystick.external = false;
+        state.joystick.pendingUpdate = false;
+        if (state.joystick.lastX === 0 && state.joystick.lastY === 0) return;
+
+        state.joystick.lastX = 0;
+        state.joystick.lastY = 0;
+        if (canSendCommand('joystick')) {
+            sendFastCommand('joystick', { x: 0, y: 0 }, { keepalive: true, automated });
+        }
+        return;
     }
+
+    state.joystick.external = true;
+    sendJoystickUpdate();
 }
 
 /**
  * Process pending joystick updates
  */
 function processJoystickUpdates() {
-    if (state.joystick.pendingUpdate && state.joystick.dragging) {
+    if (state.joystick.pendingUpdate && (state.joystick.dragging || state.joystick.external)) {
         sendJoystickUpdate();
     }
     requestAnimationFrame(processJoystickUpdates);
@@ -2438,6 +2952,7 @@ function initJoystick() {
 
         // Después de procesar, establecer dragging
         state.joystick.dragging = true;
+        state.joystick.automated = false;
     });
 
     base.addEventListener('pointermove', (e) => {
@@ -2491,6 +3006,9 @@ function setupEventListeners() {
         });
     });
 
+    // Reset saved UI state
+    document.getElementById('uiStateResetBtn')?.addEventListener('click', resetUiState);
+
     // Connect button
     const connectBtn = document.getElementById('connectBtn');
     if (connectBtn) {
@@ -2748,6 +3266,7 @@ function setupEventListeners() {
             }
             updateCustomMessagesList();
             updateDisplayMessagesUI();
+            saveUiState();
         }
 
         // Delete custom message
@@ -2761,6 +3280,133 @@ function setupEventListeners() {
     });
 }
 
+// ========== UI STATE ==========
+
+const UI_STATE_KEY = 'uiState';
+const DEFAULT_ULTRASONIC_CONFIG = { enabled: false, danger: 15, alert: 40, reaction: 'stop', buzzer: false, display: false };
+let uiStateSaveTimer = null;
+
+/**
+ * Snapshot of the user-facing state that survives reloads
+ * @returns {Object}
+ */
+function collectUiState() {
+    return {
+        selectedAttacks: [...state.selectedAttacks],
+        selectedSounds: [...state.selectedSounds],
+        selectedDisplayMessages: [...state.selectedDisplayMessages],
+        volume: state.volume,
+        muted: state.muted,
+        lastIP: (elements.ipInput?.value || '').trim(),
+        panel: state.currentMode,
+        gameMode: state.gameMode,
+        ultrasonic: getUltrasonicConfig()
+    };
+}
+
+/**
+ * Save the UI state (debounced: sliders fire many events)
+ */
+function saveUiState() {
+    clearTimeout(uiStateSaveTimer);
+    uiStateSaveTimer = setTimeout(() => storageSet(UI_STATE_KEY, collectUiState()), 300);
+}
+
+/**
+ * Tick the attack / sound / display card checkboxes from the selection sets
+ */
+function syncSelectionCheckboxes() {
+    const sync = (selector, prefix, selected, upperCase = false) => {
+        document.querySelectorAll(selector).forEach(checkbox => {
+            let id = checkbox.id.replace(prefix, '');
+            if (upperCase) id = id.toUpperCase();
+            checkbox.checked = selected.has(id);
+        });
+    };
+    sync('.attack-checkbox-input', 'attack-', state.selectedAttacks);
+    sync('.buzzer-checkbox-input', 'buzzer-', state.selectedSounds);
+    sync('.display-checkbox-input', 'display-', state.selectedDisplayMessages, true);
+}
+
+/**
+ * Refresh every widget that depends on the restorable state
+ */
+function renderUiState() {
+    syncSelectionCheckboxes();
+    updateAttacksUI();
+    updateSoundsUI();
+    updateDisplayMessagesUI();
+    updateCustomMessagesList();
+    updateVolumeIcon();
+    updateVolumeDisplay();
+}
+
+/**
+ * Load the saved UI state into `state` and the controls (nothing is sent to the robot)
+ * @returns {string} Panel to show
+ */
+function restoreUiState() {
+    const saved = storageGet(UI_STATE_KEY, null);
+    if (!saved || typeof saved !== 'object') return 'game-controls';
+
+    const pick = (list, valid, max) => new Set((Array.isArray(list) ? list : []).filter(valid).slice(0, max));
+    state.selectedAttacks = pick(saved.selectedAttacks, id => id in attackData, state.maxSelectedAttacks);
+    // Custom melodies load later (midi-import.js): accept their slot numbers as they are
+    state.selectedSounds = pick(saved.selectedSounds, id => id in soundData || /^\d+$/.test(id), state.maxSelectedSounds);
+    state.selectedDisplayMessages = pick(saved.selectedDisplayMessages,
+        id => id in displayMessageData || state.customMessages.includes(id), state.maxSelectedDisplayMessages);
+
+    if (Number.isFinite(saved.volume)) state.volume = Math.max(0, Math.min(100, saved.volume));
+    state.muted = saved.muted === true;
+
+    if (saved.lastIP && elements.ipInput && !elements.ipInput.value) elements.ipInput.value = saved.lastIP;
+    if (saved.gameMode === 'rotate' || saved.gameMode === 'walk') showGameMode(saved.gameMode);
+
+    const us = saved.ultrasonic;
+    if (us && Number.isInteger(us.danger) && Number.isInteger(us.alert) && us.danger < us.alert) {
+        setUltrasonicConfig({ ...DEFAULT_ULTRASONIC_CONFIG, ...us });
+    }
+
+    const panel = document.getElementById(saved.panel);
+    return panel?.classList.contains('content-panel') ? saved.panel : 'game-controls';
+}
+
+/**
+ * Forget the saved UI state and go back to the defaults
+ */
+function resetUiState() {
+    if (!confirm('¿Restablecer selecciones, volumen, modo, panel y sensor a sus valores por defecto?')) return;
+
+    state.selectedAttacks = new Set();
+    state.selectedSounds = new Set();
+    state.selectedDisplayMessages = new Set();
+    state.selectedBitmaps = new Set();
+    persistBitmaps();
+    updateSavedBitmapsGallery();
+    updateQuickBitmaps();
+    state.volume = 30;
+    state.muted = false;
+    showGameMode('walk');
+    setUltrasonicConfig(DEFAULT_ULTRASONIC_CONFIG);
+    renderUiState();
+    showPanel('game-controls');
+    // Los pasos anteriores programan un guardado: se cancela para no volver a escribirlo
+    clearTimeout(uiStateSaveTimer);
+    storageRemove(UI_STATE_KEY);
+
+    addLog('↩️ Interfaz restablecida a los valores por defecto');
+    if (state.connected) resyncRobotState();
+}
+
+/**
+ * Push the restored state to the robot after connect() succeeds
+ */
+async function resyncRobotState() {
+    if (!canSendCommand('mode')) return;
+    await sendRequest('mode', { cmd: state.gameMode === 'rotate' ? 'rodar' : 'caminar' }, { automated: true });
+    await runAutomated(applyUltrasonicConfig);
+}
+
 // ========== INITIALIZATION ==========
 
 /**
@@ -2774,40 +3420,28 @@ function init() {
         // Start joystick update processing loop
         processJoystickUpdates();
 
-        // Initialize quick attacks UI
-        updateQuickAttacks();
-
-        // Initialize quick sounds UI
-        updateQuickSounds();
-
-        // Initialize sounds UI
-        updateSoundsUI();
-
-        // Initialize display messages UI
-        updateDisplayMessagesUI();
-        updateCustomMessagesList();
-        updateQuickDisplayMessages();
-
-        // Initialize volume controls
-        updateVolumeIcon();
-        updateVolumeDisplay();
-
         // Initialize ultrasonic sensor panel
         initUltrasonicPanel();
 
+        // Restore selections, volume, mode and sensor settings from the last session
+        state.customMessages = storageGet('customMessages', []);
+        const startPanel = restoreUiState();
+        renderUiState();
+
         // Initialize bitmap/image-to-OLED panel
         initBitmapPanel();
 
-        // Load saved bitmaps from localStorage
-        loadSavedBitmaps();
-        updateSavedBitmapsGallery();
-        updateQuickBitmaps();
+        // Load saved bitmaps (IndexedDB: asynchronous)
+        loadSavedBitmaps().then(() => {
+            updateSavedBitmapsGallery();
+            updateQuickBitmaps();
+        });
 
         addLog("🚀 SISTEMA INICIADO - OTTO NINJA PRO v2.0");
         addLog("📡 Esperando conexión...");
 
-        // Show default panel
-        showPanel('game-controls');
+        // Show the panel used last
+        showPanel(startPanel);
     } catch (error) {
         console.error("Error al inicializar:", error);
         alert("Error al inicializar la aplicación. Por favor recarga la página.");
@@ -2824,6 +3458,8 @@ if (document.readyState === 'loading') {
 // Export functions for global access (for HTML onclick attributes)
 window.showPanel = showPanel;
 window.switchGameMode = switchGameMode;
+window.saveUiState = saveUiState;
+window.resetUiState = resetUiState;
 window.toggleAttackSelection = toggleAttackSelection;
 window.updateQuickAttacks = updateQuickAttacks;
 window.toggleSoundSelection = toggleSoundSelection;
@@ -2833,7 +3469,9 @@ window.openDrawer = openDrawer;
 window.closeDrawer = closeDrawer;
 window.toggleDrawer = toggleDrawer;
 window.connect = connect;
+window.getLinkStats = getLinkStats;
 window.walk = walk;
+window.setJoystickVector = setJoystickVector;
 window.arm = arm;
 window.headMove = headMove;
 window.attack = attack;
@@ -2855,8 +3493,16 @@ window.updateQuickDisplayMessages = updateQuickDisplayMessages;
 window.addCustomMessage = addCustomMessage;
 window.deleteCustomMessage = deleteCustomMessage;
 window.updateCustomMessagesList = updateCustomMessagesList;
+window.persistCustomMessages = persistCustomMessages;
 window.sendDisplayMessage = sendDisplayMessage;
 window.renderCustomMelodyCards = renderCustomMelodyCards;
 window.soundMelodies = soundMelodies;
+window.soundData = soundData;
 window.playTone = playTone;
+window.runAutomated = runAutomated;
+window.stopBrowserMelody = stopBrowserMelody;
+window.readUltrasonicDistance = readUltrasonicDistance;
+window.getUltrasonicConfig = getUltrasonicConfig;
+window.setUltrasonicConfig = setUltrasonicConfig;
+window.applyUltrasonicConfig = applyUltrasonicConfig;
 window.state = state;
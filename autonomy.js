@@ -0,0 +1,353 @@
+/**
+ * AUTONOMY MODULE - Otto Ninja Controller
+ * Comportamientos autónomos calculados en la app sobre las lecturas del
+ * ultrasonido y el endpoint del joystick:
+ * - Explorar: avanza y esquiva obstáculos (retrocede y gira).
+ * - Seguir: mantiene un objeto a la distancia objetivo (control PD).
+ * - Guardia: quieto; lanza un ataque cuando algo entra en la zona de peligro.
+ * Los umbrales de peligro/alerta son los del panel de ultrasonido.
+ */
+
+const AUTONOMY_SETTINGS_KEY = 'autonomy';
+const AUTONOMY_INTERVAL = 150;       // ms entre iteraciones del lazo
+const AUTONOMY_MAX_MISSES = 6;       // lecturas sin eco seguidas antes de parar
+const AUTONOMY_BACKUP_TIME = 600;    // ms marcha atrás al esquivar
+const AUTONOMY_MIN_TURN_TIME = 500;
+const FOLLOW_DEADBAND = 2;           // cm alrededor del objetivo sin moverse
+
+const AUTONOMY_MODES = {
+    wander: 'Explorar',
+    follow: 'Seguir',
+    guard: 'Guardia'
+};
+
+const DEFAULT_AUTONOMY_SETTINGS = {
+    cruiseSpeed: 60,         // joystick y al avanzar libre
+    turnSpeed: 60,           // joystick x al girar
+    followDistance: 25,      // cm
+    followKp: 4,             // unidades de joystick por cm de error
+    followKd: 1.5,           // por cm/s
+    followRange: 80,         // más lejos se da el objeto por perdido
+    guardAttack: 'slash',
+    guardCooldown: 3000      // ms entre ataques
+};
+
+// Estado de los modos autónomos
+const autonomyState = {
+    settings: { ...DEFAULT_AUTONOMY_SETTINGS },
+    mode: null,              // 'wander' | 'follow' | 'guard' | null
+    timer: null,
+    busy: false,
+    distance: null,
+    misses: 0,
+    phase: '',               // Texto de estado (avanzando, girando...)
+    command: { x: 0, y: 0 },
+    avoid: null,             // { stage: 'back' | 'turn', until, dir } al esquivar
+    lastError: null,         // { error, time } para la derivada del seguimiento
+    lastAttack: 0,
+    rate: 0                  // Iteraciones por segundo medidas
+};
+
+/* ================== SETTINGS ================== */
+
+function loadAutonomySettings() {
+    autonomyState.settings = { ...DEFAULT_AUTONOMY_SETTINGS, ...storageGet(AUTONOMY_SETTINGS_KEY, {}) };
+}
+
+function saveAutonomySettings() {
+    storageSet(AUTONOMY_SETTINGS_KEY, autonomyState.settings);
+}
+
+/* ================== BEHAVIOURS ================== */
+
+/**
+ * Explorar y esquivar
+ * @returns {{x: number, y: number}}
+ */
+function wanderStep(distance, now) {
+    const s = autonomyState.settings;
+    const avoid = autonomyState.avoid;
+
+    if (avoid) {
+        if (avoid.stage === 'back') {
+            if (now < avoid.until) {
+                autonomyState.phase = 'Retrocediendo';
+                return { x: 0, y: -s.cruiseSpeed };
+            }
+            avoid.stage = 'turn';
+            avoid.until = now + AUTONOMY_MIN_TURN_TIME;
+        }
+        // Girar hasta ver espacio libre (y al menos el tiempo mínimo)
+        if (now < avoid.until || (distance !== null && distance < usState.alertThreshold)) {
+            autonomyState.phase = avoid.dir > 0 ? 'Girando a la derecha' : 'Girando a la izquierda';
+            return { x: avoid.dir * s.turnSpeed, y: 0 };
+        }
+        autonomyState.avoid = null;
+    }
+
+    if (distance !== null && distance <= usState.dangerThreshold) {
+        autonomyState.avoid = {
+            stage: 'back',
+            until: now + AUTONOMY_BACKUP_TIME,
+            dir: Math.random() < 0.5 ? -1 : 1
+        };
+        autonomyState.phase = 'Obstáculo';
+        return { x: 0, y: -s.cruiseSpeed };
+    }
+
+    // Frenar en la zona de alerta en proporción a la distancia
+    if (distance !== null && distance < usState.alertThreshold) {
+        const span = Math.max(1, usState.alertThreshold - usState.dangerThreshold);
+        const factor = Math.max(0.3, (distance - usState.dangerThreshold) / span);
+        autonomyState.phase = 'Precaución';
+        return { x: 0, y: s.cruiseSpeed * factor };
+    }
+
+    autonomyState.phase = 'Avanzando';
+    return { x: 0, y: s.cruiseSpeed };
+}
+
+/**
+ * Seguir un objeto a distancia fija (PD sobre el error en cm)
+ */
+function followStep(distance, now) {
+    const s = autonomyState.settings;
+
+    if (distance === null || distance > s.followRange) {
+        autonomyState.lastError = null;
+        autonomyState.phase = 'Buscando objeto';
+        return { x: 0, y: 0 };
+    }
+
+    const error = distance - s.followDistance;
+    let derivative = 0;
+    const last = autonomyState.lastError;
+    if (last && now > last.time) {
+        derivative = (error - last.error) / ((now - last.time) / 1000);
+    }
+    autonomyState.lastError = { error, time: now };
+
+    if (Math.abs(error) <= FOLLOW_DEADBAND) {
+        autonomyState.phase = 'En posición';
+        return { x: 0, y: 0 };
+    }
+
+    const y = s.followKp * error + s.followKd * derivative;
+    autonomyState.phase = error > 0 ? 'Acercándose' : 'Alejándose';
+    return { x: 0, y: Math.max(-s.cruiseSpeed, Math.min(s.cruiseSpeed, y)) };
+}
+
+/**
+ * Guardia: quieto y atacar a quien se acerque
+ */
+function guardStep(distance, now) {
+    const s = autonomyState.settings;
+
+    if (distance !== null && distance <= usState.dangerThreshold) {
+        if (now - autonomyState.lastAttack >= s.guardCooldown) {
+            autonomyState.lastAttack = now;
+            addLog(`🛡️ Guardia: intruso a ${distance} cm`);
+            attack(s.guardAttack, false);
+        }
+        autonomyState.phase = '¡Intruso!';
+    } else {
+        autonomyState.phase = 'Vigilando';
+    }
+    return null; // La guardia no conduce
+}
+
+/* ================== CONTROL LOOP ================== */
+
+async function autonomyTick() {
+    const mode = autonomyState.mode;
+    if (!mode || autonomyState.busy) return;
+
+    // Control manual: el joystick en pantalla recupera el mando
+    if (state.joystick.dragging) {
+        stopAutonomy();
+        addLog('🕹️ Control manual: modo autónomo detenido');
+        return;
+    }
+
+    autonomyState.busy = true;
+    const started = performance.now();
+    const distance = await readUltrasonicDistance();
+    autonomyState.busy = false;
+    if (autonomyState.mode !== mode) return;
+
+    autonomyState.distance = distance;
+    autonomyState.misses = distance === null ? autonomyState.misses + 1 : 0;
+
+    const now = performance.now();
+    let command;
+    if (autonomyState.misses >= AUTONOMY_MAX_MISSES && mode !== 'guard') {
+        autonomyState.phase = 'Sin lectura del sensor';
+        command = { x: 0, y: 0 };
+    } else if (mode === 'wander') {
+        command = wanderStep(distance, now);
+    } else if (mode === 'follow') {
+        command = followStep(distance, now);
+    } else {
+        command = guardStep(distance, now);
+    }
+
+    if (command) {
+        autonomyState.command = { x: Math.round(command.x), y: Math.round(command.y) };
+        setJoystickVector(autonomyState.command.x, autonomyState.command.y, true);
+    }
+
+    const elapsed = performance.now() - started;
+    autonomyState.rate = Math.round(1000 / Math.max(AUTONOMY_INTERVAL, elapsed));
+    updateAutonomyStatus();
+}
+
+/**
+ * Arrancar un modo autónomo
+ * @param {string} mode - 'wander' | 'follow' | 'guard'
+ */
+function startAutonomy(mode) {
+    if (!AUTONOMY_MODES[mode]) return;
+    if (!state.connected) {
+        addLog('❌ No conectado');
+        return;
+    }
+    if (typeof window.isSafetyLatched === 'function' && window.isSafetyLatched()) {
+        addLog('🛑 E-STOP activo: rearma para enviar comandos');
+        return;
+    }
+    // Hombre muerto exige un control mantenido: incompatible con conducir solo
+    if (mode !== 'guard' && typeof window.isDeadmanEnabled === 'function' && window.isDeadmanEnabled()) {
+        addLog('✋ Desactiva el modo hombre muerto para conducir en autónomo');
+        return;
+    }
+
+    stopAutonomy();
+    autonomyState.mode = mode;
+    autonomyState.misses = 0;
+    autonomyState.avoid = null;
+    autonomyState.lastError = null;
+    autonomyState.phase = 'Iniciando';
+    autonomyState.timer = setInterval(autonomyTick, AUTONOMY_INTERVAL);
+    addLog(`🤖 Modo autónomo: ${AUTONOMY_MODES[mode]}`);
+    autonomyTick();
+    updateAutonomyStatus();
+}
+
+/**
+ * Detener el modo autónomo y el robot
+ * @param {string} [reason] - Motivo de safety.js (la parada ya la envía él)
+ */
+function stopAutonomy(reason) {
+    if (!autonomyState.mode) return;
+
+    const wasDriving = autonomyState.mode !== 'guard';
+    clearInterval(autonomyState.timer);
+    autonomyState.timer = null;
+    autonomyState.mode = null;
+    autonomyState.phase = '';
+    autonomyState.command = { x: 0, y: 0 };
+    if (wasDriving && reason === undefined) setJoystickVector(0, 0, true);
+
+    addLog('⏹️ Modo autónomo detenido');
+    updateAutonomyStatus();
+}
+
+/**
+ * Detener los modos que conducen solos (al activar el hombre muerto:
+ * su vector cuenta como control mantenido y nunca pararía)
+ */
+function stopAutonomousDriving() {
+    if (!autonomyState.mode || autonomyState.mode === 'guard') return;
+    addLog('✋ Hombre muerto activado: se detiene el modo autónomo');
+    stopAutonomy();
+}
+
+/* ================== UI ================== */
+
+function updateAutonomyStatus() {
+    const mode = autonomyState.mode;
+    document.querySelectorAll('.auto-mode-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+
+    const stopBtn = document.getElementById('autoStopBtn');
+    if (stopBtn) stopBtn.disabled = !mode;
+
+    const status = document.getElementById('autoStatus');
+    if (!status) return;
+    status.classList.toggle('running', !!mode);
+    if (!mode) {
+        status.textContent = 'Detenido';
+        return;
+    }
+
+    const distance = autonomyState.distance === null ? '--' : `${autonomyState.distance} cm`;
+    const { x, y } = autonomyState.command;
+    status.textContent = [
+        AUTONOMY_MODES[mode],
+        autonomyState.phase,
+        `Distancia ${distance}`,
+        mode === 'guard' ? '' : `Joystick ${x}, ${y}`,
+        `${autonomyState.rate} Hz`
+    ].filter(Boolean).join(' · ');
+}
+
+function renderGuardAttackOptions() {
+    const select = document.getElementById('autoGuardAttack');
+    if (!select) return;
+    select.innerHTML = '';
+    Object.entries(attackData).forEach(([id, data]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = `${data.icon} ${data.name}`;
+        select.appendChild(option);
+    });
+    select.value = autonomyState.settings.guardAttack;
+}
+
+/* ================== INIT EVENT LISTENERS ================== */
+
+function initAutonomy() {
+    loadAutonomySettings();
+    renderGuardAttackOptions();
+
+    document.querySelectorAll('.auto-mode-btn').forEach(btn => {
+        btn.addEventListener('click', () => startAutonomy(btn.dataset.mode));
+    });
+    document.getElementById('autoStopBtn')?.addEventListener('click', () => stopAutonomy());
+
+    // Campos numéricos: data-setting = clave de settings
+    document.querySelectorAll('.auto-setting').forEach(input => {
+        const key = input.dataset.setting;
+        input.value = autonomyState.settings[key];
+        input.addEventListener('change', () => {
+            let value = input.value;
+            if (input.type === 'number') {
+                value = parseFloat(value);
+                if (!Number.isFinite(value)) value = DEFAULT_AUTONOMY_SETTINGS[key];
+                value = Math.min(parseFloat(input.max), Math.max(parseFloat(input.min), value));
+                input.value = value;
+            }
+            autonomyState.settings[key] = value;
+            saveAutonomySettings();
+        });
+    });
+
+    if (typeof window.registerStopHandler === 'function') {
+        window.registerStopHandler(stopAutonomy);
+    }
+
+    updateAutonomyStatus();
+}
+
+// Inicializar cuando el DOM esté listo
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initAutonomy);
+} else {
+    initAutonomy();
+}
+
+// Exportar funciones globales
+window.startAutonomy = startAutonomy;
+window.stopAutonomy = stopAutonomy;
+window.stopAutonomousDriving = stopAutonomousDriving;
@@ -0,0 +1,630 @@
+/**
+ * BLOCKS MODULE - Otto Ninja Controller
+ * Programación visual por bloques para el aula.
+ * Los bloques (mover, girar, brazo, cabeza, ataque, sonido, mensaje,
+ * bitmap, esperar, repetir, si distancia < X) se compilan a un programa
+ * lineal de comandos que se ejecuta paso a paso contra el robot,
+ * resaltando el bloque en curso.
+ */
+
+const BLOCKS_STORAGE_KEY = 'blockProgram';
+const BLOCK_MAX_REPEAT = 100;
+const BLOCK_STEP_GAP = 100;          // ms entre pasos para que el robot respire
+
+/**
+ * Tipos de bloque
+ * fields: { key, type: 'select' | 'number' | 'text', options?, min?, max?, step?, suffix? }
+ */
+const BLOCK_TYPES = {
+    move: {
+        label: 'Mover', category: 'motion',
+        fields: [
+            { key: 'dir', type: 'select', options: () => [['forward', 'adelante'], ['backward', 'atrás']] },
+            { key: 'seconds', type: 'number', min: 0.1, max: 30, step: 0.1, suffix: 's' }
+        ],
+        defaults: () => ({ dir: 'forward', seconds: 1 })
+    },
+    turn: {
+        label: 'Girar', category: 'motion',
+        fields: [
+            { key: 'dir', type: 'select', options: () => [['left', 'izquierda'], ['right', 'derecha']] },
+            { key: 'seconds', type: 'number', min: 0.1, max: 30, step: 0.1, suffix: 's' }
+        ],
+        defaults: () => ({ dir: 'left', seconds: 1 })
+    },
+    arm: {
+        label: 'Brazo', category: 'body',
+        fields: [{ key: 'cmd', type: 'select', options: () => [
+            ['raise_left', 'subir izquierdo'], ['lower_left', 'bajar izquierdo'],
+            ['raise_right', 'subir derecho'], ['lower_right', 'bajar derecho'], ['wave', 'saludar']
+        ] }],
+        defaults: () => ({ cmd: 'wave' })
+    },
+    head: {
+        label: 'Cabeza', category: 'body',
+        fields: [{ key: 'cmd', type: 'select', options: () => [['left', 'izquierda'], ['center', 'centro'], ['right', 'derecha']] }],
+        defaults: () => ({ cmd: 'center' })
+    },
+    attack: {
+        label: 'Ataque', category: 'body',
+        fields: [{ key: 'cmd', type: 'select', options: () => Object.entries(attackData).map(([id, d]) => [id, d.name]) }],
+        defaults: () => ({ cmd: Object.keys(attackData)[0] })
+    },
+    sound: {
+        label: 'Sonido', category: 'looks',
+        fields: [{ key: 'song', type: 'select', options: () => [
+            ...Object.entries(soundData).map(([id, d]) => [id, d.name]),
+            ...Object.entries(state.customMelodies).map(([slot, m]) => [slot, m.name])
+        ] }],
+        defaults: () => ({ song: Object.keys(soundData)[0] })
+    },
+    message: {
+        label: 'Mostrar mensaje', category: 'looks',
+        fields: [{ key: 'text', type: 'text' }],
+        defaults: () => ({ text: 'HOLA' })
+    },
+    bitmap: {
+        label: 'Mostrar imagen', category: 'looks',
+        fields: [{ key: 'name', type: 'select', options: () => state.savedBitmaps.map(b => [b.name, b.name]) }],
+        defaults: () => ({ name: state.savedBitmaps[0]?.name || '' })
+    },
+    wait: {
+        label: 'Esperar', category: 'control',
+        fields: [{ key: 'seconds', type: 'number', min: 0.1, max: 60, step: 0.1, suffix: 's' }],
+        defaults: () => ({ seconds: 1 })
+    },
+    repeat: {
+        label: 'Repetir', category: 'control', container: true,
+        fields: [{ key: 'times', type: 'number', min: 1, max: BLOCK_MAX_REPEAT, step: 1, suffix: 'veces' }],
+        defaults: () => ({ times: 3 })
+    },
+    ifDistance: {
+        label: 'Si distancia <', category: 'control', container: true, hasElse: true,
+        fields: [{ key: 'cm', type: 'number', min: 2, max: 400, step: 1, suffix: 'cm' }],
+        defaults: () => ({ cm: 20 })
+    }
+};
+
+// Estado del editor y del intérprete
+const blocksState = {
+    program: [],             // [{ id, type, params, children?, otherwise? }]
+    nextId: 1,
+    target: null,            // { id, branch: 'children' | 'otherwise' } donde se añaden bloques (null = raíz)
+    dragging: null,          // { type } desde la paleta o { id } al mover
+    run: null                // { ops, pc, stopped, wake }
+};
+
+/* ================== PROGRAM TREE ================== */
+
+function createBlock(type) {
+    const def = BLOCK_TYPES[type];
+    const block = { id: blocksState.nextId++, type, params: def.defaults() };
+    if (def.container) block.children = [];
+    if (def.hasElse) block.otherwise = [];
+    return block;
+}
+
+/**
+ * Buscar un bloque y la lista que lo contiene
+ * @returns {{block: Object, list: Array}|null}
+ */
+function findBlock(id, list = blocksState.program) {
+    for (const block of list) {
+        if (block.id === id) return { block, list };
+        for (const branch of [block.children, block.otherwise]) {
+            const found = branch && findBlock(id, branch);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+/**
+ * Lista destino de una inserción
+ */
+function getTargetList(target) {
+    if (!target) return blocksState.program;
+    const found = findBlock(target.id);
+    return found ? found.block[target.branch] : blocksState.program;
+}
+
+function isDescendant(ancestor, id) {
+    return [ancestor.children, ancestor.otherwise].some(branch =>
+        branch && branch.some(b => b.id === id || isDescendant(b, id)));
+}
+
+/**
+ * Insertar un bloque nuevo o mover uno existente
+ * @param {Object} block - Bloque a insertar
+ * @param {Object|null} target - Contenedor destino
+ * @param {number} [index] - Posición (por defecto al final)
+ */
+function insertBlock(block, target, index) {
+    const list = getTargetList(target);
+    list.splice(index === undefined ? list.length : index, 0, block);
+    blocksChanged();
+}
+
+function moveBlock(id, target, index) {
+    const found = findBlock(id);
+    if (!found) return;
+    // No meter un contenedor dentro de sí mismo
+    if (target && (target.id === id || isDescendant(found.block, target.id))) return;
+
+    const list = getTargetList(target);
+    const from = found.list.indexOf(found.block);
+    found.list.splice(from, 1);
+    if (found.list === list && index !== undefined && index > from) index--;
+    insertBlock(found.block, target, index);
+}
+
+function deleteBlock(id) {
+    const found = findBlock(id);
+    if (!found) return;
+    found.list.splice(found.list.indexOf(found.block), 1);
+    if (blocksState.target && !findBlock(blocksState.target.id)) blocksState.target = null;
+    blocksChanged();
+}
+
+function shiftBlock(id, delta) {
+    const found = findBlock(id);
+    if (!found) return;
+    const from = found.list.indexOf(found.block);
+    const to = from + delta;
+    if (to < 0 || to >= found.list.length) return;
+    found.list.splice(from, 1);
+    found.list.splice(to, 0, found.block);
+    blocksChanged();
+}
+
+function blocksChanged() {
+    saveBlockProgram();
+    renderBlockProgram();
+}
+
+function saveBlockProgram() {
+    storageSet(BLOCKS_STORAGE_KEY, blocksState.program);
+}
+
+function loadBlockProgram() {
+    try {
+        const program = storageGet(BLOCKS_STORAGE_KEY, []);
+        let maxId = 0;
+        // Quitar tipos desconocidos a cualquier profundidad (bucles, condiciones)
+        const walkTree = (list) => list.filter(b => BLOCK_TYPES[b.type]).map(b => {
+            maxId = Math.max(maxId, b.id);
+            if (b.children) b.children = walkTree(b.children);
+            if (b.otherwise) b.otherwise = walkTree(b.otherwise);
+            return b;
+        });
+        blocksState.program = walkTree(program);
+        blocksState.nextId = maxId + 1;
+    } catch (e) {
+        console.error('Programa de bloques inválido:', e);
+        blocksState.program = [];
+    }
+}
+
+/* ================== COMPILER ================== */
+
+/**
+ * Compilar el árbol de bloques a una lista lineal de operaciones
+ * Operaciones: send, bitmap, wait, repeat, loop, ifDistance, jump
+ * @returns {Array<Object>} Cada operación lleva el blockId a resaltar
+ */
+function compileBlocks(list = blocksState.program, ops = []) {
+    list.forEach(block => {
+        const p = block.params;
+        const blockId = block.id;
+        switch (block.type) {
+            case 'move':
+            case 'turn':
+                ops.push({ op: 'send', endpoint: 'walk', params: { cmd: p.dir }, blockId });
+                ops.push({ op: 'wait', ms: p.seconds * 1000, blockId });
+                ops.push({ op: 'send', endpoint: 'walk', params: { cmd: 'home' }, blockId });
+                break;
+            case 'arm':
+                ops.push({ op: 'send', endpoint: 'arms', params: { cmd: p.cmd }, blockId });
+                break;
+            case 'head':
+                ops.push({ op: 'send', endpoint: 'head', params: { cmd: p.cmd }, blockId });
+                break;
+            case 'attack':
+                ops.push({ op: 'send', endpoint: 'attack', params: { cmd: p.cmd }, blockId });
+                break;
+            case 'sound':
+                ops.push({ op: 'send', endpoint: 'buzzer', params: { song: parseInt(p.song) }, blockId });
+                break;
+            case 'message':
+                ops.push({ op: 'send', endpoint: 'message', params: { text: p.text }, blockId });
+                break;
+            case 'bitmap':
+                ops.push({ op: 'bitmap', name: p.name, blockId });
+                break;
+            case 'wait':
+                ops.push({ op: 'wait', ms: p.seconds * 1000, blockId });
+                break;
+            case 'repeat': {
+                const start = ops.length;
+                ops.push({ op: 'repeat', times: Math.round(p.times), exit: null, blockId });
+                compileBlocks(block.children, ops);
+                ops.push({ op: 'loop', start, blockId });
+                ops[start].exit = ops.length;
+                break;
+            }
+            case 'ifDistance': {
+                const check = ops.length;
+                ops.push({ op: 'ifDistance', cm: p.cm, otherwise: null, blockId });
+                compileBlocks(block.children, ops);
+                const jump = ops.length;
+                ops.push({ op: 'jump', to: null, blockId });
+                ops[check].otherwise = ops.length;
+                compileBlocks(block.otherwise, ops);
+                ops[jump].to = ops.length;
+                break;
+            }
+        }
+    });
+    return ops;
+}
+
+/* ================== INTERPRETER ================== */
+
+/**
+ * Espera cancelable por stopBlockProgram
+ */
+function blockSleep(ms) {
+    return new Promise(resolve => {
+        const run = blocksState.run;
+        const timer = setTimeout(resolve, ms);
+        run.wake = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+    });
+}
+
+/**
+ * Ejecutar el programa paso a paso
+ */
+async function runBlockProgram() {
+    if (blocksState.run) return;
+    if (blocksState.program.length === 0) {
+        addLog('⚠️ El programa está vacío');
+        return;
+    }
+    if (!canSendCommand('walk')) {
+        addLog('❌ No conectado');
+        return;
+    }
+
+    const ops = compileBlocks();
+    const counters = new Map();
+    const run = { ops, pc: 0, stopped: false, wake: null };
+    blocksState.run = run;
+    updateBlockRunUI();
+    addLog(`🧩 Ejecutando programa (${ops.length} pasos)`);
+
+    while (run.pc < ops.length && !run.stopped) {
+        const op = ops[run.pc];
+        highlightRunningBlock(op.blockId);
+        let next = run.pc + 1;
+
+        switch (op.op) {
+            case 'send': {
+                const ok = await sendRequest(op.endpoint, op.params, { automated: true });
+                if (!ok && typeof window.isSafetyLatched === 'function' && window.isSafetyLatched()) run.stopped = true;
+                await blockSleep(BLOCK_STEP_GAP);
+                break;
+            }
+            case 'bitmap': {
+                const index = state.savedBitmaps.findIndex(b => b.name === op.name);
+                if (index >= 0) await runAutomated(() => sendSavedBitmap(index));
+                else addLog(`⚠️ Imagen "${op.name}" no está en la biblioteca`);
+                break;
+            }
+            case 'wait':
+                await blockSleep(op.ms);
+                break;
+            case 'repeat':
+                counters.set(run.pc, op.times);
+                if (op.times <= 0) next = op.exit;
+                break;
+            case 'loop': {
+                const left = counters.get(op.start) - 1;
+                counters.set(op.start, left);
+                if (left > 0) next = op.start + 1;
+                break;
+            }
+            case 'ifDistance': {
+                const distance = await readUltrasonicDistance();
+                if (distance === null) addLog('⚠️ Sin lectura del sensor: se toma como lejos');
+                else addLog(`📏 Distancia: ${distance} cm`);
+                if (distance === null || distance >= op.cm) next = op.otherwise;
+                break;
+            }
+            case 'jump':
+                next = op.to;
+                break;
+        }
+        run.pc = next;
+    }
+
+    const stopped = run.stopped;
+    blocksState.run = null;
+    highlightRunningBlock(null);
+    updateBlockRunUI();
+    addLog(stopped ? '⏹️ Programa detenido' : '✅ Programa terminado');
+}
+
+/**
+ * Detener el programa y dejar el robot quieto
+ */
+function stopBlockProgram(reason) {
+    const run = blocksState.run;
+    if (!run) return;
+    run.stopped = true;
+    if (run.wake) run.wake();
+    // En una E-STOP la parada ya la envía safety.js
+    if (reason === undefined && canSendCommand('walk')) sendRequest('walk', { cmd: 'home' }, { automated: true });
+}
+
+/* ================== UI ================== */
+
+function highlightRunningBlock(id) {
+    document.querySelectorAll('.block.running').forEach(el => el.classList.remove('running'));
+    if (id === null) return;
+    const el = document.querySelector(`.block[data-block-id="${id}"]`);
+    if (el) {
+        el.classList.add('running');
+        el.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+}
+
+function updateBlockRunUI() {
+    const running = blocksState.run !== null;
+    const runBtn = document.getElementById('blocksRunBtn');
+    const stopBtn = document.getElementById('blocksStopBtn');
+    if (runBtn) runBtn.disabled = running;
+    if (stopBtn) stopBtn.disabled = !running;
+    document.getElementById('blocksProgram')?.classList.toggle('running', running);
+}
+
+function renderBlockPalette() {
+    const palette = document.getElementById('blocksPalette');
+    if (!palette) return;
+
+    palette.innerHTML = '';
+    Object.entries(BLOCK_TYPES).forEach(([type, def]) => {
+        const chip = document.createElement('button');
+        chip.className = `block-chip block-${def.category}`;
+        chip.textContent = def.label;
+        chip.draggable = true;
+        chip.addEventListener('dragstart', (e) => {
+            blocksState.dragging = { type };
+            e.dataTransfer.effectAllowed = 'copy';
+            e.dataTransfer.setData('text/plain', type);
+        });
+        // Tocar: añadir al contenedor seleccionado
+        chip.addEventListener('click', () => insertBlock(createBlock(type), blocksState.target));
+        palette.appendChild(chip);
+    });
+}
+
+/**
+ * Campo editable de un bloque
+ */
+function createBlockField(block, field) {
+    let input;
+    if (field.type === 'select') {
+        input = document.createElement('select');
+        field.options().forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            input.appendChild(option);
+        });
+    } else {
+        input = document.createElement('input');
+        input.type = field.type;
+        if (field.type === 'number') {
+            input.min = field.min;
+            input.max = field.max;
+            input.step = field.step;
+        } else {
+            input.maxLength = 20;
+        }
+    }
+    input.className = 'block-input';
+    input.value = block.params[field.key];
+
+    input.addEventListener('change', () => {
+        let value = input.value;
+        if (field.type === 'number') {
+            value = Math.min(field.max, Math.max(field.min, parseFloat(value) || field.min));
+            input.value = value;
+        }
+        block.params[field.key] = value;
+        saveBlockProgram();
+    });
+    // No iniciar un arrastre al usar el campo
+    input.addEventListener('pointerdown', e => e.stopPropagation());
+
+    if (!field.suffix) return input;
+    const wrap = document.createElement('span');
+    wrap.className = 'block-field';
+    const suffix = document.createElement('span');
+    suffix.textContent = field.suffix;
+    wrap.append(input, suffix);
+    return wrap;
+}
+
+/**
+ * Zona donde caen bloques (raíz o rama de un contenedor)
+ */
+function createBlockSlot(list, target, label) {
+    const slot = document.createElement('div');
+    slot.className = 'block-slot';
+    const selected = blocksState.target
+        ? target && target.id === blocksState.target.id && target.branch === blocksState.target.branch
+        : !target;
+    if (selected) slot.classList.add('selected');
+
+    if (label) {
+        const title = document.createElement('div');
+        title.className = 'block-slot-label';
+        title.textContent = label;
+        slot.appendChild(title);
+    }
+
+    list.forEach((block, index) => slot.appendChild(createBlockElement(block, target, index)));
+
+    const hint = document.createElement('div');
+    hint.className = 'block-slot-hint';
+    hint.textContent = selected ? '+ los bloques se añaden aquí' : '+ tocar para añadir aquí';
+    slot.appendChild(hint);
+
+    slot.addEventListener('click', (e) => {
+        if (e.target !== slot && e.target !== hint) return;
+        blocksState.target = target;
+        renderBlockProgram();
+    });
+    slot.addEventListener('dragover', (e) => {
+        if (!blocksState.dragging) return;
+        e.preventDefault();
+        e.stopPropagation();
+        slot.classList.add('drag-over');
+    });
+    slot.addEventListener('dragleave', () => slot.classList.remove('drag-over'));
+    slot.addEventListener('drop', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        dropBlock(target, undefined);
+    });
+
+    return slot;
+}
+
+/**
+ * Soltar lo que se arrastra en un contenedor
+ */
+function dropBlock(target, index) {
+    const drag = blocksState.dragging;
+    blocksState.dragging = null;
+    if (!drag) return;
+    if (drag.type) insertBlock(createBlock(drag.type), target, index);
+    else moveBlock(drag.id, target, index);
+}
+
+function createBlockElement(block, parentTarget, index) {
+    const def = BLOCK_TYPES[block.type];
+    const el = document.createElement('div');
+    el.className = `block block-${def.category}`;
+    el.dataset.blockId = block.id;
+    el.draggable = true;
+
+    const row = document.createElement('div');
+    row.className = 'block-row';
+
+    const label = document.createElement('span');
+    label.className = 'block-label';
+    label.textContent = def.label;
+    row.appendChild(label);
+    def.fields.forEach(field => row.appendChild(createBlockField(block, field)));
+
+    const actions = document.createElement('span');
+    actions.className = 'block-actions';
+    [['↑', () => shiftBlock(block.id, -1)], ['↓', () => shiftBlock(block.id, 1)], ['✕', () => deleteBlock(block.id)]]
+        .forEach(([text, handler]) => {
+            const btn = document.createElement('button');
+            btn.className = 'block-action-btn';
+            btn.textContent = text;
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (!blocksState.run) handler();
+            });
+            actions.appendChild(btn);
+        });
+    row.appendChild(actions);
+    el.appendChild(row);
+
+    if (def.container) {
+        el.appendChild(createBlockSlot(block.children, { id: block.id, branch: 'children' }, def.hasElse ? 'entonces' : ''));
+    }
+    if (def.hasElse) {
+        el.appendChild(createBlockSlot(block.otherwise, { id: block.id, branch: 'otherwise' }, 'si no'));
+    }
+
+    el.addEventListener('dragstart', (e) => {
+        e.stopPropagation();
+        blocksState.dragging = { id: block.id };
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(block.id));
+    });
+    // Soltar sobre un bloque: insertar delante de él
+    el.addEventListener('dragover', (e) => {
+        if (!blocksState.dragging) return;
+        e.preventDefault();
+        e.stopPropagation();
+    });
+    el.addEventListener('drop', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        dropBlock(parentTarget, index);
+    });
+
+    return el;
+}
+
+function renderBlockProgram() {
+    const container = document.getElementById('blocksProgram');
+    if (!container) return;
+
+    container.innerHTML = '';
+    const root = createBlockSlot(blocksState.program, null, '');
+    root.classList.add('block-root');
+    container.appendChild(root);
+    updateBlockRunUI();
+}
+
+/* ================== INIT EVENT LISTENERS ================== */
+
+function initBlocks() {
+    loadBlockProgram();
+
+    document.getElementById('blocksRunBtn')?.addEventListener('click', runBlockProgram);
+    document.getElementById('blocksStopBtn')?.addEventListener('click', () => stopBlockProgram());
+    document.getElementById('blocksClearBtn')?.addEventListener('click', () => {
+        if (blocksState.run || blocksState.program.length === 0) return;
+        if (!confirm('¿Borrar todo el programa?')) return;
+        blocksState.program = [];
+        blocksState.target = null;
+        blocksChanged();
+    });
+
+    // Las opciones dependen de melodías, ataques y bitmaps actuales
+    document.querySelector('.nav-drawer-item[data-panel="blocks"]')?.addEventListener('click', renderBlockProgram);
+    document.addEventListener('dragend', () => {
+        blocksState.dragging = null;
+        document.querySelectorAll('.block-slot.drag-over').forEach(el => el.classList.remove('drag-over'));
+    });
+
+    if (typeof window.registerStopHandler === 'function') {
+        window.registerStopHandler(stopBlockProgram);
+    }
+
+    renderBlockPalette();
+    renderBlockProgram();
+}
+
+// Inicializar cuando el DOM esté listo
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initBlocks);
+} else {
+    initBlocks();
+}
+
+// Exportar funciones globales
+window.compileBlocks = compileBlocks;
+window.runBlockProgram = runBlockProgram;
+window.stopBlockProgram = stopBlockProgram;
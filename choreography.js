@@ -0,0 +1,742 @@
+/**
+ * CHOREOGRAPHY MODULE - Otto Ninja Controller
+ * Editor de coreografías en línea de tiempo: pistas de movimiento, brazos,
+ * cabeza, ataques, melodías y OLED. Los clips se arrastran a su pista,
+ * se previsualizan en el navegador (playMelodyInBrowser para el audio),
+ * se guardan/cargan como JSON y se reproducen en el robot compensando
+ * la latencia de red.
+ */
+
+const CHOREO_FORMAT = 'otto-choreography';
+const CHOREO_VERSION = 1;
+const CHOREO_DRAFT_KEY = 'choreographyDraft';
+const CHOREO_MIN_LENGTH = 10000;     // ms visibles como mínimo
+const CHOREO_TAIL = 2000;            // ms libres al final de la última pieza
+const CHOREO_MIN_CLIP = 100;
+
+// Pistas: endpoint del firmware y duración por defecto de sus clips
+const CHOREO_TRACKS = [
+    { id: 'movement', label: 'Movimiento', endpoint: 'walk', duration: 1000 },
+    { id: 'arms', label: 'Brazos', endpoint: 'arms', duration: 600 },
+    { id: 'head', label: 'Cabeza', endpoint: 'head', duration: 500 },
+    { id: 'attacks', label: 'Ataques', endpoint: 'attack', duration: 1500 },
+    { id: 'buzzer', label: 'Melodías', endpoint: 'buzzer', duration: 1000 },
+    { id: 'display', label: 'OLED', endpoint: 'message', duration: 2000 }
+];
+
+// Estado del editor
+const choreoState = {
+    name: 'Mi coreografía',
+    clips: [],               // { id, track, start, duration, params, label }
+    nextId: 1,
+    selectedId: null,
+    armedTemplate: null,     // Plantilla elegida en la paleta (tocar la pista para colocarla)
+    pxPerSecond: 80,
+    snap: 100,               // ms (0 = libre)
+    playback: null           // { mode, startTime, timers, frame, lead }
+};
+
+/* ================== CLIP TEMPLATES ================== */
+
+function getChoreoTrack(trackId) {
+    return CHOREO_TRACKS.find(t => t.id === trackId) || null;
+}
+
+/**
+ * Duración total de una melodía (predefinida o personalizada)
+ */
+function getMelodyLength(song) {
+    const notes = soundMelodies[song] || state.customMelodies[song]?.notes || [];
+    return notes.reduce((sum, note) => sum + note[1], 0);
+}
+
+/**
+ * Clips disponibles en la paleta para una pista
+ * @returns {Array<{label: string, params: Object, duration?: number}>}
+ */
+function getChoreoTemplates(trackId) {
+    switch (trackId) {
+        case 'movement':
+            return [
+                { label: '▲ Adelante', params: { cmd: 'forward' } },
+                { label: '▼ Atrás', params: { cmd: 'backward' } },
+                { label: '◄ Izquierda', params: { cmd: 'left' } },
+                { label: '► Derecha', params: { cmd: 'right' } },
+                { label: '🏠 Inicio', params: { cmd: 'home' } }
+            ];
+        case 'arms':
+            return [
+                { label: '↑ Izq', params: { cmd: 'raise_left' } },
+                { label: '↓ Izq', params: { cmd: 'lower_left' } },
+                { label: '↑ Der', params: { cmd: 'raise_right' } },
+                { label: '↓ Der', params: { cmd: 'lower_right' } },
+                { label: '👋 Saludo', params: { cmd: 'wave' } }
+            ];
+        case 'head':
+            return [
+                { label: '← Izq', params: { cmd: 'left' } },
+                { label: '● Centro', params: { cmd: 'center' } },
+                { label: 'Der →', params: { cmd: 'right' } }
+            ];
+        case 'attacks':
+            return Object.entries(attackData).map(([id, data]) => ({
+                label: `${data.icon} ${data.name}`,
+                params: { cmd: id }
+            }));
+        case 'buzzer': {
+            const songs = Object.entries(soundData).map(([id, data]) => ({ song: id, label: `${data.icon} ${data.name}` }));
+            Object.entries(state.customMelodies).forEach(([slot, melody]) => {
+                songs.push({ song: slot, label: `🎵 ${melody.name}` });
+            });
+            return songs.map(s => ({
+                label: s.label,
+                params: { song: parseInt(s.song) },
+                duration: getMelodyLength(s.song) || undefined
+            }));
+        }
+        case 'display': {
+            const texts = [...Object.keys(displayMessageData), ...state.customMessages];
+            const items = texts.map(text => ({ label: `📺 ${text}`, params: { text } }));
+            state.savedBitmaps.forEach(bmp => {
+                items.push({ label: `🖼️ ${bmp.name}`, params: { bitmap: bmp.name } });
+            });
+            return items;
+        }
+    }
+    return [];
+}
+
+/* ================== EDITING ================== */
+
+function snapTime(ms) {
+    const value = Math.max(0, Math.round(ms));
+    return choreoState.snap > 0 ? Math.round(value / choreoState.snap) * choreoState.snap : value;
+}
+
+/**
+ * Duración total de la coreografía (fin del último clip)
+ */
+function getChoreoLength() {
+    return choreoState.clips.reduce((max, clip) => Math.max(max, clip.start + clip.duration), 0);
+}
+
+function findChoreoClip(id) {
+    return choreoState.clips.find(c => c.id === id) || null;
+}
+
+/**
+ * Añadir un clip a partir de una plantilla de la paleta
+ */
+function addChoreoClip(trackId, template, start) {
+    const track = getChoreoTrack(trackId);
+    if (!track) return null;
+
+    const clip = {
+        id: choreoState.nextId++,
+        track: trackId,
+        start: snapTime(start),
+        duration: template.duration || track.duration,
+        params: { ...template.params },
+        label: template.label
+    };
+    choreoState.clips.push(clip);
+    choreoState.selectedId = clip.id;
+    choreoChanged();
+    return clip;
+}
+
+function deleteChoreoClip(id) {
+    choreoState.clips = choreoState.clips.filter(c => c.id !== id);
+    if (choreoState.selectedId === id) choreoState.selectedId = null;
+    choreoChanged();
+}
+
+/**
+ * Guardar borrador y redibujar tras cualquier cambio
+ */
+function choreoChanged() {
+    saveChoreoDraft();
+    renderChoreoTimeline();
+    renderChoreoInspector();
+}
+
+function newChoreography() {
+    if (choreoState.clips.length > 0 && !confirm('¿Borrar la coreografía actual?')) return;
+    stopChoreography();
+    choreoState.clips = [];
+    choreoState.selectedId = null;
+    choreoState.name = 'Mi coreografía';
+    const nameInput = document.getElementById('choreoName');
+    if (nameInput) nameInput.value = choreoState.name;
+    choreoChanged();
+}
+
+/* ================== FILES ================== */
+
+/**
+ * Serializar a JSON (formato de archivo)
+ */
+function serializeChoreography() {
+    return {
+        format: CHOREO_FORMAT,
+        version: CHOREO_VERSION,
+        name: choreoState.name,
+        length: getChoreoLength(),
+        clips: choreoState.clips.map(({ track, start, duration, params, label }) => ({ track, start, duration, params, label }))
+    };
+}
+
+/**
+ * Validar y cargar una coreografía
+ * @throws {Error} Si el archivo no es una coreografía válida
+ */
+function loadChoreographyData(data) {
+    if (!data || data.format !== CHOREO_FORMAT) {
+        throw new Error('El archivo no es una coreografía de Otto Ninja');
+    }
+    if (data.version > CHOREO_VERSION) {
+        throw new Error(`Versión ${data.version} no soportada (máximo ${CHOREO_VERSION})`);
+    }
+    if (!Array.isArray(data.clips)) {
+        throw new Error('Falta la lista de clips');
+    }
+
+    const clips = data.clips.map((clip, i) => {
+        if (!getChoreoTrack(clip.track)) throw new Error(`Clip ${i + 1}: pista desconocida "${clip.track}"`);
+        if (!Number.isFinite(clip.start) || clip.start < 0) throw new Error(`Clip ${i + 1}: inicio inválido`);
+        if (!Number.isFinite(clip.duration) || clip.duration <= 0) throw new Error(`Clip ${i + 1}: duración inválida`);
+        if (!clip.params || typeof clip.params !== 'object') throw new Error(`Clip ${i + 1}: faltan parámetros`);
+        return {
+            id: i + 1,
+            track: clip.track,
+            start: Math.round(clip.start),
+            duration: Math.round(clip.duration),
+            params: clip.params,
+            label: String(clip.label || '')
+        };
+    });
+
+    stopChoreography();
+    choreoState.clips = clips;
+    choreoState.nextId = clips.length + 1;
+    choreoState.selectedId = null;
+    choreoState.name = String(data.name || 'Coreografía');
+    const nameInput = document.getElementById('choreoName');
+    if (nameInput) nameInput.value = choreoState.name;
+    choreoChanged();
+}
+
+/**
+ * Descargar la coreografía como archivo JSON
+ */
+function downloadChoreography() {
+    const json = JSON.stringify(serializeChoreography(), null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = (choreoState.name || 'coreografia').replace(/[^\w\-áéíóúñÁÉÍÓÚÑ ]/g, '_') + '.json';
+    link.click();
+    URL.revokeObjectURL(url);
+    addLog(`💾 Coreografía guardada: ${choreoState.name}`);
+}
+
+/**
+ * Cargar un archivo JSON elegido por el usuario
+ */
+function loadChoreographyFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            loadChoreographyData(JSON.parse(reader.result));
+            addLog(`📂 Coreografía cargada: ${choreoState.name} (${choreoState.clips.length} clips)`);
+        } catch (e) {
+            alert('No se pudo cargar la coreografía: ' + e.message);
+        }
+    };
+    reader.readAsText(file);
+}
+
+function saveChoreoDraft() {
+    storageSet(CHOREO_DRAFT_KEY, serializeChoreography());
+}
+
+function loadChoreoDraft() {
+    try {
+        const draft = storageGet(CHOREO_DRAFT_KEY, null);
+        if (draft) loadChoreographyData(draft);
+    } catch (e) {
+        console.error('Borrador de coreografía inválido:', e);
+    }
+}
+
+/* ================== PLAYBACK ================== */
+
+/**
+ * Latencia de ida estimada hacia los robots destino (mitad del RTT)
+ */
+function getChoreoLatency() {
+    let rtt = getLinkStats().rtt || 0;
+    const targets = typeof window.getCommandTargets === 'function' ? window.getCommandTargets('walk') : null;
+    if (targets) {
+        rtt = Math.max(0, ...targets.map(r => r.rtt || 0));
+    }
+    return Math.round(rtt / 2);
+}
+
+/**
+ * Reproducir la coreografía
+ * @param {string} mode - 'preview' (navegador) | 'robot'
+ */
+function playChoreography(mode) {
+    stopChoreography();
+    if (choreoState.clips.length === 0) {
+        addLog('⚠️ La coreografía está vacía');
+        return;
+    }
+    if (mode === 'robot' && !canSendCommand('walk')) {
+        addLog('❌ No conectado');
+        return;
+    }
+
+    // Los comandos salen "lead" ms antes para llegar a tiempo al robot
+    const lead = mode === 'robot' ? getChoreoLatency() : 0;
+    const playback = { mode, lead, timers: [], frame: null, startTime: performance.now() };
+    choreoState.playback = playback;
+    const schedule = (fn, at) => playback.timers.push(setTimeout(fn, Math.max(0, at - lead)));
+
+    choreoState.clips
+        .slice()
+        .sort((a, b) => a.start - b.start)
+        .forEach(clip => {
+            schedule(() => fireChoreoClip(clip, mode), clip.start);
+            // La marcha es continua: al acabar el clip hay que volver a home
+            if (mode === 'robot' && clip.track === 'movement' && clip.params.cmd !== 'home') {
+                schedule(() => endChoreoMove(clip), clip.start + clip.duration);
+            }
+        });
+
+    const length = getChoreoLength();
+    playback.timers.push(setTimeout(() => {
+        addLog('🎬 Coreografía terminada');
+        stopChoreography();
+    }, length));
+
+    const tick = () => {
+        updateChoreoPlayhead(performance.now() - playback.startTime);
+        playback.frame = requestAnimationFrame(tick);
+    };
+    playback.frame = requestAnimationFrame(tick);
+
+    addLog(mode === 'robot'
+        ? `🎬 Reproduciendo en el robot (compensación ${lead} ms)`
+        : '🎬 Vista previa');
+    updateChoreoButtons();
+}
+
+/**
+ * Ejecutar un clip
+ */
+function fireChoreoClip(clip, mode) {
+    const track = getChoreoTrack(clip.track);
+    flashChoreoClip(clip.id);
+
+    if (mode === 'preview') {
+        if (clip.track === 'buzzer') playMelodyInBrowser(clip.params.song);
+        const screen = document.getElementById('choreoPreviewScreen');
+        if (screen) screen.textContent = `${track.label}: ${clip.label}`;
+        return;
+    }
+
+    // Directo a sendRequest: los cooldowns de los botones no aplican a una rutina
+    if (clip.params.bitmap !== undefined) {
+        const index = state.savedBitmaps.findIndex(b => b.name === clip.params.bitmap);
+        if (index >= 0) runAutomated(() => sendSavedBitmap(index));
+        else addLog(`⚠️ Bitmap "${clip.params.bitmap}" no está en la biblioteca`);
+        return;
+    }
+    sendRequest(track.endpoint, clip.params, { automated: true });
+}
+
+/**
+ * Fin de un clip de movimiento: parar salvo que empiece otro en ese momento
+ */
+function endChoreoMove(clip) {
+    const end = clip.start + clip.duration;
+    const next = choreoState.clips.some(other => other !== clip && other.track === 'movement' &&
+        other.start <= end && other.start + other.duration > end);
+    if (!next) sendRequest('walk', { cmd: 'home' }, { automated: true });
+}
+
+/**
+ * Detener la reproducción
+ * @param {string} [reason] - Motivo de safety.js (la parada ya la envía él)
+ */
+function stopChoreography(reason) {
+    const playback = choreoState.playback;
+    if (!playback) return;
+
+    playback.timers.forEach(clearTimeout);
+    if (playback.frame) cancelAnimationFrame(playback.frame);
+    if (playback.mode === 'preview') stopBrowserMelody();
+    choreoState.playback = null;
+    // Sin esto el robot seguiría caminando con el último clip de movimiento
+    if (playback.mode === 'robot' && reason === undefined && canSendCommand('walk')) {
+        sendRequest('walk', { cmd: 'home' }, { automated: true });
+    }
+
+    updateChoreoPlayhead(null);
+    updateChoreoButtons();
+}
+
+/* ================== TIMELINE UI ================== */
+
+function msToPx(ms) {
+    return ms / 1000 * choreoState.pxPerSecond;
+}
+
+function pxToMs(px) {
+    return px / choreoState.pxPerSecond * 1000;
+}
+
+/**
+ * Formato mm:ss.d
+ */
+function formatChoreoTime(ms) {
+    const total = Math.max(0, ms) / 1000;
+    const minutes = Math.floor(total / 60);
+    const seconds = (total % 60).toFixed(1).padStart(4, '0');
+    return `${minutes}:${seconds}`;
+}
+
+/**
+ * Paleta de clips por pista
+ */
+function renderChoreoPalette() {
+    const palette = document.getElementById('choreoPalette');
+    if (!palette) return;
+
+    palette.innerHTML = '';
+    CHOREO_TRACKS.forEach(track => {
+        const row = document.createElement('div');
+        row.className = 'choreo-palette-row';
+
+        const label = document.createElement('span');
+        label.className = 'choreo-palette-label';
+        label.textContent = track.label;
+        row.appendChild(label);
+
+        getChoreoTemplates(track.id).forEach(template => {
+            const chip = document.createElement('button');
+            chip.className = `choreo-chip track-${track.id}`;
+            chip.textContent = template.label;
+            chip.draggable = true;
+
+            const armed = choreoState.armedTemplate;
+            if (armed && armed.track === track.id && armed.template.label === template.label) {
+                chip.classList.add('armed');
+            }
+
+            chip.addEventListener('dragstart', (e) => {
+                choreoState.armedTemplate = { track: track.id, template };
+                e.dataTransfer.effectAllowed = 'copy';
+                e.dataTransfer.setData('text/plain', template.label);
+            });
+            // Tablets sin drag & drop: tocar el clip y luego la pista
+            chip.addEventListener('click', () => {
+                const same = armed && armed.track === track.id && armed.template.label === template.label;
+                choreoState.armedTemplate = same ? null : { track: track.id, template };
+                renderChoreoPalette();
+            });
+            row.appendChild(chip);
+        });
+
+        palette.appendChild(row);
+    });
+}
+
+/**
+ * Dibujar regla, pistas y clips
+ */
+function renderChoreoTimeline() {
+    const timeline = document.getElementById('choreoTimeline');
+    if (!timeline) return;
+
+    const length = Math.max(CHOREO_MIN_LENGTH, getChoreoLength() + CHOREO_TAIL);
+    const width = msToPx(length);
+    timeline.innerHTML = '';
+
+    // Regla con marcas por segundo
+    const ruler = document.createElement('div');
+    ruler.className = 'choreo-ruler';
+    ruler.style.width = width + 'px';
+    for (let s = 0; s * 1000 <= length; s++) {
+        const tick = document.createElement('span');
+        tick.className = 'choreo-tick';
+        tick.style.left = msToPx(s * 1000) + 'px';
+        tick.textContent = s + 's';
+        ruler.appendChild(tick);
+    }
+    timeline.appendChild(ruler);
+
+    CHOREO_TRACKS.forEach(track => {
+        const lane = document.createElement('div');
+        lane.className = 'choreo-lane';
+        lane.dataset.track = track.id;
+        lane.style.width = width + 'px';
+
+        const label = document.createElement('span');
+        label.className = 'choreo-lane-label';
+        label.textContent = track.label;
+        lane.appendChild(label);
+
+        lane.addEventListener('dragover', (e) => {
+            if (choreoState.armedTemplate?.track === track.id) e.preventDefault();
+        });
+        lane.addEventListener('drop', (e) => {
+            e.preventDefault();
+            placeArmedTemplate(track.id, lane, e.clientX);
+        });
+        lane.addEventListener('click', (e) => {
+            if (e.target !== lane) return;
+            if (choreoState.armedTemplate?.track === track.id) {
+                placeArmedTemplate(track.id, lane, e.clientX);
+            } else {
+                choreoState.selectedId = null;
+                renderChoreoTimeline();
+                renderChoreoInspector();
+            }
+        });
+
+        choreoState.clips
+            .filter(clip => clip.track === track.id)
+            .forEach(clip => lane.appendChild(createChoreoClipElement(clip)));
+
+        timeline.appendChild(lane);
+    });
+
+    const playhead = document.createElement('div');
+    playhead.className = 'choreo-playhead';
+    playhead.id = 'choreoPlayhead';
+    timeline.appendChild(playhead);
+
+    const lengthLabel = document.getElementById('choreoLength');
+    if (lengthLabel) lengthLabel.textContent = formatChoreoTime(getChoreoLength());
+}
+
+/**
+ * Colocar la plantilla elegida en la posición del puntero
+ */
+function placeArmedTemplate(trackId, lane, clientX) {
+    const armed = choreoState.armedTemplate;
+    if (!armed || armed.track !== trackId) return;
+
+    const x = clientX - lane.getBoundingClientRect().left;
+    addChoreoClip(trackId, armed.template, pxToMs(x));
+}
+
+/**
+ * Elemento de un clip con arrastre para mover y asa para cambiar duración
+ */
+function createChoreoClipElement(clip) {
+    const el = document.createElement('div');
+    el.className = `choreo-clip track-${clip.track}` + (clip.id === choreoState.selectedId ? ' selected' : '');
+    el.dataset.clipId = clip.id;
+    el.style.left = msToPx(clip.start) + 'px';
+    el.style.width = Math.max(6, msToPx(clip.duration)) + 'px';
+    el.title = `${clip.label} · ${formatChoreoTime(clip.start)} · ${clip.duration} ms`;
+
+    const text = document.createElement('span');
+    text.className = 'choreo-clip-label';
+    text.textContent = clip.label;
+    el.appendChild(text);
+
+    const handle = document.createElement('span');
+    handle.className = 'choreo-clip-handle';
+    el.appendChild(handle);
+
+    el.addEventListener('pointerdown', (e) => {
+        e.stopPropagation();
+        const resizing = e.target === handle;
+        const originX = e.clientX;
+        const originStart = clip.start;
+        const originDuration = clip.duration;
+
+        choreoState.selectedId = clip.id;
+        el.classList.add('selected');
+        el.setPointerCapture(e.pointerId);
+
+        const onMove = (ev) => {
+            const delta = pxToMs(ev.clientX - originX);
+            if (resizing) {
+                clip.duration = Math.max(CHOREO_MIN_CLIP, snapTime(originDuration + delta));
+                el.style.width = Math.max(6, msToPx(clip.duration)) + 'px';
+            } else {
+                clip.start = snapTime(originStart + delta);
+                el.style.left = msToPx(clip.start) + 'px';
+            }
+        };
+        const onUp = () => {
+            el.removeEventListener('pointermove', onMove);
+            el.removeEventListener('pointerup', onUp);
+            el.removeEventListener('pointercancel', onUp);
+            choreoChanged();
+        };
+        el.addEventListener('pointermove', onMove);
+        el.addEventListener('pointerup', onUp);
+        el.addEventListener('pointercancel', onUp);
+    });
+
+    return el;
+}
+
+/**
+ * Resaltar un clip al ejecutarse
+ */
+function flashChoreoClip(id) {
+    const el = document.querySelector(`.choreo-clip[data-clip-id="${id}"]`);
+    if (!el) return;
+    el.classList.add('firing');
+    setTimeout(() => el.classList.remove('firing'), 300);
+}
+
+function updateChoreoPlayhead(ms) {
+    const playhead = document.getElementById('choreoPlayhead');
+    const time = document.getElementById('choreoTime');
+    if (ms === null) {
+        if (playhead) playhead.style.display = 'none';
+        if (time) time.textContent = formatChoreoTime(0);
+        return;
+    }
+    if (playhead) {
+        playhead.style.display = 'block';
+        playhead.style.left = msToPx(Math.max(0, ms)) + 'px';
+    }
+    if (time) time.textContent = formatChoreoTime(ms);
+}
+
+function updateChoreoButtons() {
+    const playing = choreoState.playback !== null;
+    const previewBtn = document.getElementById('choreoPreviewBtn');
+    const playBtn = document.getElementById('choreoPlayBtn');
+    const stopBtn = document.getElementById('choreoStopBtn');
+    if (previewBtn) previewBtn.disabled = playing;
+    if (playBtn) playBtn.disabled = playing;
+    if (stopBtn) stopBtn.disabled = !playing;
+}
+
+/**
+ * Inspector del clip seleccionado (tiempos exactos)
+ */
+function renderChoreoInspector() {
+    const inspector = document.getElementById('choreoInspector');
+    if (!inspector) return;
+
+    const clip = findChoreoClip(choreoState.selectedId);
+    if (!clip) {
+        inspector.innerHTML = '<p class="choreo-hint">Arrastra un clip de la paleta a su pista (o tócalo y luego toca la pista). Selecciona un clip para ajustar sus tiempos.</p>';
+        return;
+    }
+
+    inspector.innerHTML = `
+        <span class="choreo-inspector-title"></span>
+        <label class="choreo-field">Inicio (ms)
+            <input type="number" class="choreo-input" id="choreoClipStart" min="0" step="10" value="${clip.start}">
+        </label>
+        <label class="choreo-field">Duración (ms)
+            <input type="number" class="choreo-input" id="choreoClipDuration" min="${CHOREO_MIN_CLIP}" step="10" value="${clip.duration}">
+        </label>
+        <button class="midi-cancel-btn" id="choreoClipDelete">Eliminar</button>
+    `;
+    inspector.querySelector('.choreo-inspector-title').textContent = `${getChoreoTrack(clip.track).label}: ${clip.label}`;
+
+    inspector.querySelector('#choreoClipStart').addEventListener('change', (e) => {
+        clip.start = Math.max(0, Math.round(Number(e.target.value) || 0));
+        choreoChanged();
+    });
+    inspector.querySelector('#choreoClipDuration').addEventListener('change', (e) => {
+        clip.duration = Math.max(CHOREO_MIN_CLIP, Math.round(Number(e.target.value) || CHOREO_MIN_CLIP));
+        choreoChanged();
+    });
+    inspector.querySelector('#choreoClipDelete').addEventListener('click', () => deleteChoreoClip(clip.id));
+}
+
+/* ================== INIT EVENT LISTENERS ================== */
+
+function initChoreography() {
+    loadChoreoDraft();
+
+    const nameInput = document.getElementById('choreoName');
+    if (nameInput) {
+        nameInput.value = choreoState.name;
+        nameInput.addEventListener('change', () => {
+            choreoState.name = nameInput.value.trim() || 'Mi coreografía';
+            saveChoreoDraft();
+        });
+    }
+
+    const snapSelect = document.getElementById('choreoSnap');
+    if (snapSelect) {
+        snapSelect.value = String(choreoState.snap);
+        snapSelect.addEventListener('change', () => {
+            choreoState.snap = parseInt(snapSelect.value) || 0;
+        });
+    }
+
+    const zoom = document.getElementById('choreoZoom');
+    if (zoom) {
+        zoom.value = choreoState.pxPerSecond;
+        zoom.addEventListener('input', () => {
+            choreoState.pxPerSecond = parseInt(zoom.value) || 80;
+            renderChoreoTimeline();
+        });
+    }
+
+    document.getElementById('choreoPreviewBtn')?.addEventListener('click', () => playChoreography('preview'));
+    document.getElementById('choreoPlayBtn')?.addEventListener('click', () => playChoreography('robot'));
+    document.getElementById('choreoStopBtn')?.addEventListener('click', () => stopChoreography());
+    document.getElementById('choreoNewBtn')?.addEventListener('click', newChoreography);
+    document.getElementById('choreoSaveBtn')?.addEventListener('click', downloadChoreography);
+
+    const fileInput = document.getElementById('choreoFileInput');
+    document.getElementById('choreoLoadBtn')?.addEventListener('click', () => fileInput?.click());
+    if (fileInput) fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) loadChoreographyFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    // Suprimir borra el clip seleccionado (fuera de campos de texto)
+    document.addEventListener('keydown', (e) => {
+        if (state.currentMode !== 'choreography' || choreoState.selectedId === null) return;
+        if (e.key !== 'Delete' && e.key !== 'Backspace') return;
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+        e.preventDefault();
+        deleteChoreoClip(choreoState.selectedId);
+    });
+
+    // La paleta depende de ataques, melodías, mensajes y bitmaps actuales
+    document.querySelector('.nav-drawer-item[data-panel="choreography"]')?.addEventListener('click', renderChoreoPalette);
+
+    if (typeof window.registerStopHandler === 'function') {
+        window.registerStopHandler(stopChoreography);
+    }
+
+    renderChoreoPalette();
+    renderChoreoTimeline();
+    renderChoreoInspector();
+    updateChoreoPlayhead(null);
+    updateChoreoButtons();
+}
+
+// Inicializar cuando el DOM esté listo
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initChoreography);
+} else {
+    initChoreography();
+}
+
+// Exportar funciones globales
+window.playChoreography = playChoreography;
+window.stopChoreography = stopChoreography;
+window.loadChoreographyData = loadChoreographyData;
+window.serializeChoreography = serializeChoreography;
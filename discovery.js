@@ -0,0 +1,336 @@
+/**
+ * DISCOVERY MODULE - Otto Ninja Controller
+ * Busca robots en la red local sondeando /status en un rango de IPs
+ * (y hostnames como otto.local), recuerda los robots usados y permite
+ * elegir uno para conectar sin escribir la IP.
+ */
+
+const KNOWN_ROBOTS_KEY = 'knownRobots';
+const MAX_KNOWN_ROBOTS = 10;
+const DISCOVERY_CONCURRENCY = 24;      // Sondeos simultáneos
+const DISCOVERY_PROBE_TIMEOUT = 900;   // ms por host
+const DEFAULT_HOSTNAMES = ['otto.local'];
+
+// Estado del escaneo
+const discoveryState = {
+    scanning: false,
+    abort: false,
+    probed: 0,
+    total: 0,
+    found: []          // { ip, name, firmware, rtt }
+};
+
+/* ================== KNOWN ROBOTS ================== */
+
+/**
+ * Robots usados anteriormente (más reciente primero)
+ */
+function loadKnownRobots() {
+    const list = storageGet(KNOWN_ROBOTS_KEY, []);
+    return Array.isArray(list) ? list : [];
+}
+
+/**
+ * Recordar un robot tras conectar correctamente
+ * @param {string} ip - Dirección o hostname
+ * @param {Object|null} info - JSON de /status (name, firmware)
+ */
+function rememberRobot(ip, info) {
+    const previous = loadKnownRobots().find(r => r.ip === ip);
+    const robots = loadKnownRobots().filter(r => r.ip !== ip);
+    robots.unshift({
+        ip: ip,
+        name: info?.name || previous?.name || '',
+        firmware: info?.firmware || previous?.firmware || '',
+        lastUsed: Date.now()
+    });
+    storageSet(KNOWN_ROBOTS_KEY, robots.slice(0, MAX_KNOWN_ROBOTS));
+}
+
+/**
+ * Olvidar un robot de la lista de recientes
+ */
+function forgetRobot(ip) {
+    const robots = loadKnownRobots().filter(r => r.ip !== ip);
+    storageSet(KNOWN_ROBOTS_KEY, robots);
+    renderKnownRobots();
+}
+
+/* ================== SCAN ================== */
+
+/**
+ * Subred por defecto: la del campo IP, el último robot usado o 192.168.100
+ */
+function guessSubnet() {
+    const candidates = [
+        (document.getElementById('ipInput')?.value || '').trim(),
+        loadKnownRobots()[0]?.ip || ''
+    ];
+    for (const ip of candidates) {
+        const match = ip.match(/^(\d{1,3}\.\d{1,3}\.\d{1,3})\.\d{1,3}/);
+        if (match) return match[1];
+    }
+    return '192.168.100';
+}
+
+/**
+ * Construir la lista de hosts a sondear
+ * @param {string} subnet - Prefijo de tres octetos (ej. "192.168.1")
+ * @param {number} from - Primer host (1-254)
+ * @param {number} to - Último host (1-254)
+ * @param {string[]} hostnames - Hostnames adicionales (mDNS)
+ */
+function buildDiscoveryTargets(subnet, from, to, hostnames) {
+    const targets = hostnames.filter(Boolean);
+    if (/^\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(subnet)) {
+        const start = Math.max(1, Math.min(from, to));
+        const end = Math.min(254, Math.max(from, to));
+        for (let i = start; i <= end; i++) targets.push(`${subnet}.${i}`);
+    }
+    return targets;
+}
+
+/**
+ * Sondear los hosts con concurrencia limitada
+ * @returns {Promise<Array>} Robots encontrados
+ */
+async function scanForRobots(targets) {
+    discoveryState.scanning = true;
+    discoveryState.abort = false;
+    discoveryState.probed = 0;
+    discoveryState.total = targets.length;
+    discoveryState.found = [];
+    updateDiscoveryProgress();
+
+    const queue = [...targets];
+    const worker = async () => {
+        while (queue.length > 0 && !discoveryState.abort) {
+            const ip = queue.shift();
+            const result = await probeStatus(ip, DISCOVERY_PROBE_TIMEOUT);
+            discoveryState.probed++;
+            // Solo cuentan los que responden JSON de /status (evita routers y otras webs)
+            if (result.ok && result.data && !discoveryState.abort) {
+                discoveryState.found.push({
+                    ip: ip,
+                    name: result.data.name || 'Otto Ninja',
+                    firmware: result.data.firmware || '',
+                    rtt: result.rtt
+                });
+                renderDiscoveryResults();
+            }
+            updateDiscoveryProgress();
+        }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(DISCOVERY_CONCURRENCY, targets.length); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    discoveryState.scanning = false;
+    updateDiscoveryProgress();
+    return discoveryState.found;
+}
+
+/**
+ * Iniciar/detener el escaneo desde el modal
+ */
+async function toggleDiscoveryScan() {
+    if (discoveryState.scanning) {
+        discoveryState.abort = true;
+        return;
+    }
+
+    const subnet = (document.getElementById('discoverySubnet')?.value || '').trim();
+    const from = parseInt(document.getElementById('discoveryFrom')?.value) || 1;
+    const to = parseInt(document.getElementById('discoveryTo')?.value) || 254;
+    const hostnames = (document.getElementById('discoveryHostnames')?.value || '')
+        .split(',')
+        .map(h => h.trim())
+        .filter(Boolean);
+
+    const targets = buildDiscoveryTargets(subnet, from, to, hostnames);
+    if (targets.length === 0) {
+        alert('Indica una subred valida (ej. 192.168.1) o un hostname.');
+        return;
+    }
+
+    renderDiscoveryResults();
+    const found = await scanForRobots(targets);
+    if (typeof addLog === 'function') {
+        addLog(`🔍 Búsqueda terminada: ${found.length} robot(s) encontrados`);
+    }
+}
+
+/* ================== MODAL UI ================== */
+
+/**
+ * Abrir modal de búsqueda de robots
+ */
+function openDiscoveryModal() {
+    const overlay = document.getElementById('discoveryModalOverlay');
+    if (!overlay) return;
+
+    const subnetInput = document.getElementById('discoverySubnet');
+    if (subnetInput && !subnetInput.value) subnetInput.value = guessSubnet();
+
+    const hostnamesInput = document.getElementById('discoveryHostnames');
+    if (hostnamesInput && !hostnamesInput.value) hostnamesInput.value = DEFAULT_HOSTNAMES.join(', ');
+
+    overlay.classList.add('active');
+    renderKnownRobots();
+    renderDiscoveryResults();
+    updateDiscoveryProgress();
+}
+
+/**
+ * Cerrar modal (detiene el escaneo en curso)
+ */
+function closeDiscoveryModal() {
+    discoveryState.abort = true;
+    document.getElementById('discoveryModalOverlay')?.classList.remove('active');
+}
+
+/**
+ * Elegir un robot: copiar su dirección al campo IP y conectar
+ */
+function selectDiscoveredRobot(ip) {
+    const input = document.getElementById('ipInput');
+    if (input) input.value = ip;
+    closeDiscoveryModal();
+    if (typeof window.connect === 'function') window.connect();
+}
+
+/**
+ * Crear una fila de robot para las listas del modal
+ */
+function createRobotRow(robot, extra) {
+    const row = document.createElement('div');
+    row.className = 'discovery-robot-item';
+    // textContent: name/firmware vienen de la red, no insertarlos como HTML
+    const text = document.createElement('div');
+    const name = document.createElement('div');
+    name.className = 'discovery-robot-name';
+    name.textContent = robot.name || robot.ip;
+    const info = document.createElement('div');
+    info.className = 'discovery-robot-info';
+    info.textContent = robot.ip + (robot.firmware ? ' | FW ' + robot.firmware : '') + (extra ? ' | ' + extra : '');
+    text.append(name, info);
+    row.appendChild(text);
+    row.addEventListener('click', () => selectDiscoveredRobot(robot.ip));
+    return row;
+}
+
+/**
+ * Renderizar robots usados anteriormente
+ */
+function renderKnownRobots() {
+    const list = document.getElementById('discoveryKnownList');
+    if (!list) return;
+
+    const robots = loadKnownRobots();
+    list.innerHTML = '';
+
+    if (robots.length === 0) {
+        list.innerHTML = '<p class="discovery-empty">Todavia no te conectaste a ningun robot</p>';
+        return;
+    }
+
+    robots.forEach(robot => {
+        const lastUsed = new Date(robot.lastUsed).toLocaleDateString('es-ES');
+        const row = createRobotRow(robot, lastUsed);
+        const forgetBtn = document.createElement('button');
+        forgetBtn.className = 'discovery-forget-btn';
+        forgetBtn.title = 'Olvidar';
+        forgetBtn.textContent = '✕';
+        forgetBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            forgetRobot(robot.ip);
+        });
+        row.appendChild(forgetBtn);
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Renderizar robots encontrados en el escaneo actual
+ */
+function renderDiscoveryResults() {
+    const list = document.getElementById('discoveryResultList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    if (discoveryState.found.length === 0) {
+        list.innerHTML = `<p class="discovery-empty">${discoveryState.scanning ? 'Buscando...' : 'Sin resultados'}</p>`;
+        return;
+    }
+
+    discoveryState.found
+        .slice()
+        .sort((a, b) => a.rtt - b.rtt)
+        .forEach(robot => list.appendChild(createRobotRow(robot, robot.rtt + ' ms')));
+}
+
+/**
+ * Actualizar barra de progreso y botón de escaneo
+ */
+function updateDiscoveryProgress() {
+    const fill = document.getElementById('discoveryProgressFill');
+    const label = document.getElementById('discoveryProgressLabel');
+    const btn = document.getElementById('discoveryScanBtn');
+
+    const pct = discoveryState.total > 0 ? (discoveryState.probed / discoveryState.total) * 100 : 0;
+    if (fill) fill.style.width = pct + '%';
+    if (label) {
+        label.textContent = discoveryState.total > 0
+            ? `${discoveryState.probed} / ${discoveryState.total} hosts`
+            : '';
+    }
+    if (btn) btn.textContent = discoveryState.scanning ? 'Detener' : 'Buscar';
+}
+
+/* ================== INIT EVENT LISTENERS ================== */
+
+function initDiscovery() {
+    const openBtn = document.getElementById('discoveryBtn');
+    if (openBtn) openBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        openDiscoveryModal();
+    });
+
+    const overlay = document.getElementById('discoveryModalOverlay');
+    if (overlay) {
+        overlay.addEventListener('click', function(e) {
+            e.stopPropagation();
+            if (e.target === overlay) closeDiscoveryModal();
+        });
+    }
+
+    const closeBtn = document.getElementById('discoveryModalClose');
+    if (closeBtn) closeBtn.addEventListener('click', closeDiscoveryModal);
+
+    const cancelBtn = document.getElementById('discoveryCancelBtn');
+    if (cancelBtn) cancelBtn.addEventListener('click', closeDiscoveryModal);
+
+    const scanBtn = document.getElementById('discoveryScanBtn');
+    if (scanBtn) scanBtn.addEventListener('click', toggleDiscoveryScan);
+
+    // Precargar el último robot usado
+    const ipInput = document.getElementById('ipInput');
+    const lastRobot = loadKnownRobots()[0];
+    if (ipInput && !ipInput.value && lastRobot) ipInput.value = lastRobot.ip;
+}
+
+// Inicializar cuando el DOM esté listo
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initDiscovery);
+} else {
+    initDiscovery();
+}
+
+// Exportar funciones globales
+window.openDiscoveryModal = openDiscoveryModal;
+window.closeDiscoveryModal = closeDiscoveryModal;
+window.rememberRobot = rememberRobot;
+window.loadKnownRobots = loadKnownRobots;
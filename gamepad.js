@@ -0,0 +1,478 @@
+/**
+ * GAMEPAD MODULE - Otto Ninja Controller
+ * Control con mando (Gamepad API): sticks analógicos al joystick del robot,
+ * botones a caminar, brazos, cabeza, ataques y sonidos rápidos, y pantalla
+ * de reasignación con mapeos guardados por modelo de mando.
+ */
+
+const GAMEPAD_MAPPINGS_KEY = 'gamepadMappings';
+const GAMEPAD_AXIS_PRESS = 0.6;      // Umbral para usar un eje como botón (cabeza)
+
+// Acciones asignables a un botón
+const GAMEPAD_ACTIONS = {
+    '': 'Sin acción',
+    'walk:forward': 'Caminar adelante',
+    'walk:backward': 'Caminar atrás',
+    'walk:left': 'Girar izquierda',
+    'walk:right': 'Girar derecha',
+    'walk:home': 'Posición inicial',
+    'arm:raise_left': 'Subir brazo izq',
+    'arm:lower_left': 'Bajar brazo izq',
+    'arm:raise_right': 'Subir brazo der',
+    'arm:lower_right': 'Bajar brazo der',
+    'arm:wave': 'Saludo',
+    'head:left': 'Cabeza izquierda',
+    'head:center': 'Cabeza centro',
+    'head:right': 'Cabeza derecha',
+    'attack:1': 'Ataque rápido 1',
+    'attack:2': 'Ataque rápido 2',
+    'attack:3': 'Ataque rápido 3',
+    'attack:4': 'Ataque rápido 4',
+    'sound:1': 'Sonido rápido 1',
+    'sound:2': 'Sonido rápido 2',
+    'sound:3': 'Sonido rápido 3',
+    'sound:4': 'Sonido rápido 4',
+    'mode:toggle': 'Cambiar modo rodar/caminar',
+    'mode:rotate': 'Modo rodar',
+    'mode:walk': 'Modo caminar'
+};
+
+// Mapeo por defecto para el layout "standard" (Xbox / PlayStation)
+const DEFAULT_GAMEPAD_MAPPING = {
+    buttons: {
+        0: 'attack:1',       // A / Cruz
+        1: 'attack:2',       // B / Círculo
+        2: 'attack:3',       // X / Cuadrado
+        3: 'attack:4',       // Y / Triángulo
+        4: 'arm:raise_left', // LB / L1
+        5: 'arm:raise_right',// RB / R1
+        6: 'arm:lower_left', // LT / L2
+        7: 'arm:lower_right',// RT / R2
+        8: 'mode:toggle',    // Back / Share
+        9: 'walk:home',      // Start / Options
+        10: 'sound:1',       // L3
+        11: 'sound:2',       // R3
+        12: 'walk:forward',  // D-pad arriba
+        13: 'walk:backward', // D-pad abajo
+        14: 'walk:left',     // D-pad izquierda
+        15: 'walk:right'     // D-pad derecha
+    },
+    driveStick: 'left',      // Stick que mueve el joystick: 'left' | 'right'
+    headStick: 'right',      // Stick cuyo eje X mueve la cabeza: 'left' | 'right' | 'none'
+    deadzone: 0.15,
+    invertY: false
+};
+
+// Estado del mando
+const gamepadState = {
+    index: null,             // Mando en uso
+    id: '',
+    mapping: null,
+    previousButtons: [],
+    headDirection: 'center',
+    driving: false,
+    frame: null,
+    remapping: false         // Con el modal abierto los botones no ejecutan acciones
+};
+
+/* ================== MAPPINGS ================== */
+
+/**
+ * Mapeos guardados por modelo de mando (gamepad.id)
+ */
+function loadGamepadMappings() {
+    return storageGet(GAMEPAD_MAPPINGS_KEY, {});
+}
+
+/**
+ * Mapeo para un modelo: el guardado o el de por defecto
+ */
+function getGamepadMapping(id) {
+    const saved = loadGamepadMappings()[id];
+    const mapping = JSON.parse(JSON.stringify(DEFAULT_GAMEPAD_MAPPING));
+    if (saved) {
+        Object.assign(mapping, saved);
+        mapping.buttons = { ...saved.buttons };
+    }
+    return mapping;
+}
+
+function saveGamepadMapping(id, mapping) {
+    const mappings = loadGamepadMappings();
+    mappings[id] = mapping;
+    storageSet(GAMEPAD_MAPPINGS_KEY, mappings);
+}
+
+/* ================== INPUT LOOP ================== */
+
+/**
+ * Mando en uso (Chrome devuelve una copia nueva en cada lectura)
+ */
+function getActiveGamepad() {
+    if (gamepadState.index === null || !navigator.getGamepads) return null;
+    return navigator.getGamepads()[gamepadState.index] || null;
+}
+
+/**
+ * Aplicar zona muerta y reescalar a 0..1
+ */
+function applyDeadzone(value, deadzone) {
+    const magnitude = Math.abs(value);
+    if (magnitude < deadzone) return 0;
+    return Math.sign(value) * (magnitude - deadzone) / (1 - deadzone);
+}
+
+/**
+ * Ejes de un stick en el layout standard
+ */
+function getStickAxes(pad, stick) {
+    const base = stick === 'right' ? 2 : 0;
+    return { x: pad.axes[base] || 0, y: pad.axes[base + 1] || 0 };
+}
+
+/**
+ * Leer el mando una vez por frame
+ */
+function pollGamepad() {
+    gamepadState.frame = requestAnimationFrame(pollGamepad);
+
+    const pad = getActiveGamepad();
+    if (!pad) return;
+
+    const pressed = pad.buttons.map(b => b.pressed);
+    if (gamepadState.remapping) {
+        updateRemapHighlights(pressed);
+    } else {
+        handleGamepadButtons(pressed);
+        handleGamepadSticks(pad);
+    }
+    gamepadState.previousButtons = pressed;
+}
+
+/**
+ * Ejecutar la acción de cada botón al pulsarlo (flanco de subida)
+ */
+function handleGamepadButtons(pressed) {
+    pressed.forEach((isPressed, i) => {
+        const action = gamepadState.mapping.buttons[i];
+        if (!action) return;
+
+        const wasPressed = gamepadState.previousButtons[i];
+        // Caminar cuenta como control mantenido para el modo hombre muerto
+        const walkMove = action.startsWith('walk:') && action !== 'walk:home';
+        const notifyHold = typeof window.notifyWalkHold === 'function';
+
+        if (isPressed && !wasPressed) {
+            if (walkMove && notifyHold) window.notifyWalkHold(true);
+            runGamepadAction(action);
+        } else if (!isPressed && wasPressed && walkMove && notifyHold) {
+            window.notifyWalkHold(false);
+        }
+    });
+}
+
+/**
+ * Stick de conducción -> joystick; eje X del otro stick -> cabeza
+ */
+function handleGamepadSticks(pad) {
+    const mapping = gamepadState.mapping;
+
+    const drive = getStickAxes(pad, mapping.driveStick);
+    const x = applyDeadzone(drive.x, mapping.deadzone) * 100;
+    // En el Gamepad API "arriba" es negativo; el robot espera y>0 = adelante
+    const y = applyDeadzone(drive.y, mapping.deadzone) * (mapping.invertY ? 100 : -100);
+
+    if (x !== 0 || y !== 0) {
+        gamepadState.driving = true;
+        setJoystickVector(x, y);
+    } else if (gamepadState.driving) {
+        gamepadState.driving = false;
+        setJoystickVector(0, 0);
+    }
+
+    if (mapping.headStick === 'none' || mapping.headStick === mapping.driveStick) return;
+
+    const headX = getStickAxes(pad, mapping.headStick).x;
+    let direction = 'center';
+    if (headX <= -GAMEPAD_AXIS_PRESS) direction = 'left';
+    else if (headX >= GAMEPAD_AXIS_PRESS) direction = 'right';
+
+    if (direction !== gamepadState.headDirection) {
+        gamepadState.headDirection = direction;
+        headMove(direction);
+    }
+}
+
+/**
+ * Ejecutar una acción del mapeo
+ * @param {string} action - 'tipo:valor' (ver GAMEPAD_ACTIONS)
+ */
+function runGamepadAction(action) {
+    const [type, value] = action.split(':');
+
+    switch (type) {
+        case 'walk':
+            walk(value);
+            break;
+        case 'arm':
+            arm(value);
+            break;
+        case 'head':
+            headMove(value);
+            break;
+        case 'attack': {
+            const attackId = [...state.selectedAttacks][parseInt(value) - 1];
+            if (attackId) attack(attackId);
+            else addLog(`⚠️ No hay ataque rápido ${value} seleccionado`);
+            break;
+        }
+        case 'sound': {
+            const soundId = [...state.selectedSounds][parseInt(value) - 1];
+            if (soundId !== undefined) playSong(soundId);
+            else addLog(`⚠️ No hay sonido rápido ${value} seleccionado`);
+            break;
+        }
+        case 'mode': {
+            let mode = value;
+            if (mode === 'toggle') {
+                const current = document.querySelector('.mode-toggle-btn.active')?.dataset.mode;
+                mode = current === 'rotate' ? 'walk' : 'rotate';
+            }
+            switchGameMode(mode);
+            break;
+        }
+    }
+}
+
+/**
+ * Empezar a usar un mando
+ */
+function attachGamepad(pad) {
+    gamepadState.index = pad.index;
+    gamepadState.id = pad.id;
+    gamepadState.mapping = getGamepadMapping(pad.id);
+    gamepadState.previousButtons = pad.buttons.map(b => b.pressed);
+    gamepadState.headDirection = 'center';
+
+    if (pad.mapping !== 'standard') {
+        addLog('⚠️ Mando sin layout estándar: revisa la asignación de botones');
+    }
+    addLog(`🎮 Mando conectado: ${pad.id}`);
+
+    if (!gamepadState.frame) gamepadState.frame = requestAnimationFrame(pollGamepad);
+    updateGamepadButton();
+}
+
+/**
+ * Dejar de usar el mando (se desconectó)
+ */
+function detachGamepad() {
+    if (gamepadState.driving) {
+        gamepadState.driving = false;
+        setJoystickVector(0, 0);
+    }
+    if (gamepadState.frame) {
+        cancelAnimationFrame(gamepadState.frame);
+        gamepadState.frame = null;
+    }
+    gamepadState.index = null;
+    gamepadState.id = '';
+    addLog('🎮 Mando desconectado');
+    closeGamepadModal();
+    updateGamepadButton();
+}
+
+/* ================== REMAP UI ================== */
+
+/**
+ * Mostrar el botón de la cabecera solo con un mando conectado
+ */
+function updateGamepadButton() {
+    const btn = document.getElementById('gamepadBtn');
+    if (!btn) return;
+    btn.classList.toggle('visible', gamepadState.index !== null);
+    btn.title = gamepadState.id ? `Mando: ${gamepadState.id}` : 'Mando';
+}
+
+/**
+ * Abrir la pantalla de reasignación
+ */
+function openGamepadModal() {
+    const pad = getActiveGamepad();
+    if (!pad) {
+        addLog('⚠️ Conecta un mando y pulsa un botón');
+        return;
+    }
+
+    gamepadState.remapping = true;
+    // Parar el robot: mientras se reasigna el stick no conduce
+    if (gamepadState.driving) {
+        gamepadState.driving = false;
+        setJoystickVector(0, 0);
+    }
+
+    const idLabel = document.getElementById('gamepadModelName');
+    if (idLabel) idLabel.textContent = pad.id;
+
+    renderGamepadModal(gamepadState.mapping, pad.buttons.length);
+    document.getElementById('gamepadModalOverlay')?.classList.add('active');
+}
+
+/**
+ * Cerrar la pantalla de reasignación sin guardar
+ */
+function closeGamepadModal() {
+    gamepadState.remapping = false;
+    document.getElementById('gamepadModalOverlay')?.classList.remove('active');
+}
+
+/**
+ * Rellenar el formulario con un mapeo
+ */
+function renderGamepadModal(mapping, buttonCount) {
+    const list = document.getElementById('gamepadButtonList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    for (let i = 0; i < buttonCount; i++) {
+        const row = document.createElement('div');
+        row.className = 'gamepad-button-row';
+        row.dataset.button = i;
+
+        const label = document.createElement('span');
+        label.className = 'gamepad-button-label';
+        label.textContent = `Botón ${i}`;
+
+        const select = document.createElement('select');
+        select.className = 'gamepad-action-select';
+        select.dataset.button = i;
+        Object.entries(GAMEPAD_ACTIONS).forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        select.value = mapping.buttons[i] || '';
+
+        row.append(label, select);
+        list.appendChild(row);
+    }
+
+    const driveStick = document.getElementById('gamepadDriveStick');
+    if (driveStick) driveStick.value = mapping.driveStick;
+    const headStick = document.getElementById('gamepadHeadStick');
+    if (headStick) headStick.value = mapping.headStick;
+    const deadzone = document.getElementById('gamepadDeadzone');
+    if (deadzone) deadzone.value = Math.round(mapping.deadzone * 100);
+    const deadzoneValue = document.getElementById('gamepadDeadzoneValue');
+    if (deadzoneValue) deadzoneValue.textContent = Math.round(mapping.deadzone * 100) + '%';
+    const invertY = document.getElementById('gamepadInvertY');
+    if (invertY) invertY.checked = mapping.invertY;
+}
+
+/**
+ * Resaltar en vivo los botones pulsados para identificarlos
+ */
+function updateRemapHighlights(pressed) {
+    document.querySelectorAll('.gamepad-button-row').forEach(row => {
+        row.classList.toggle('pressed', pressed[row.dataset.button] === true);
+    });
+}
+
+/**
+ * Guardar el mapeo del formulario para este modelo de mando
+ */
+function saveGamepadModal() {
+    const buttons = {};
+    document.querySelectorAll('#gamepadButtonList .gamepad-action-select').forEach(select => {
+        if (select.value) buttons[select.dataset.button] = select.value;
+    });
+
+    const mapping = {
+        buttons: buttons,
+        driveStick: document.getElementById('gamepadDriveStick')?.value || 'left',
+        headStick: document.getElementById('gamepadHeadStick')?.value || 'none',
+        deadzone: (parseInt(document.getElementById('gamepadDeadzone')?.value) || 15) / 100,
+        invertY: document.getElementById('gamepadInvertY')?.checked === true
+    };
+
+    gamepadState.mapping = mapping;
+    saveGamepadMapping(gamepadState.id, mapping);
+    addLog('🎮 Asignación del mando guardada');
+    closeGamepadModal();
+}
+
+/* ================== INIT EVENT LISTENERS ================== */
+
+function initGamepad() {
+    if (!navigator.getGamepads) return;
+
+    // Tras una parada el stick tiene que volver a moverse para conducir
+    if (typeof window.registerStopHandler === 'function') {
+        window.registerStopHandler(() => {
+            gamepadState.driving = false;
+        });
+    }
+
+    window.addEventListener('gamepadconnected', (e) => {
+        if (gamepadState.index === null) attachGamepad(e.gamepad);
+    });
+
+    window.addEventListener('gamepaddisconnected', (e) => {
+        if (e.gamepad.index !== gamepadState.index) return;
+        detachGamepad();
+        // Pasar a otro mando si queda alguno conectado
+        const other = [...navigator.getGamepads()].find(p => p && p.connected);
+        if (other) attachGamepad(other);
+    });
+
+    // Mandos conectados antes de cargar la página
+    const existing = [...navigator.getGamepads()].find(p => p && p.connected);
+    if (existing) attachGamepad(existing);
+
+    const openBtn = document.getElementById('gamepadBtn');
+    if (openBtn) openBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        openGamepadModal();
+    });
+
+    const overlay = document.getElementById('gamepadModalOverlay');
+    if (overlay) {
+        overlay.addEventListener('click', function(e) {
+            e.stopPropagation();
+            if (e.target === overlay) closeGamepadModal();
+        });
+    }
+
+    const closeBtn = document.getElementById('gamepadModalClose');
+    if (closeBtn) closeBtn.addEventListener('click', closeGamepadModal);
+
+    const cancelBtn = document.getElementById('gamepadCancelBtn');
+    if (cancelBtn) cancelBtn.addEventListener('click', closeGamepadModal);
+
+    const saveBtn = document.getElementById('gamepadSaveBtn');
+    if (saveBtn) saveBtn.addEventListener('click', saveGamepadModal);
+
+    const resetBtn = document.getElementById('gamepadResetBtn');
+    if (resetBtn) resetBtn.addEventListener('click', () => {
+        const pad = getActiveGamepad();
+        renderGamepadModal(DEFAULT_GAMEPAD_MAPPING, pad ? pad.buttons.length : 16);
+    });
+
+    const deadzone = document.getElementById('gamepadDeadzone');
+    if (deadzone) deadzone.addEventListener('input', () => {
+        const label = document.getElementById('gamepadDeadzoneValue');
+        if (label) label.textContent = deadzone.value + '%';
+    });
+}
+
+// Inicializar cuando el DOM esté listo
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initGamepad);
+} else {
+    initGamepad();
+}
+
+// Exportar funciones globales
+window.openGamepadModal = openGamepadModal;
+window.closeGamepadModal = closeGamepadModal;
@@ -0,0 +1,454 @@
+/**
+ * KEYBOARD MODULE - Otto Ninja Controller
+ * Control por teclado: WASD/flechas como joystick (con diagonales y
+ * aceleración suave), números para ataques y sonidos rápidos, teclas de
+ * cabeza y brazos, espacio como parada de emergencia, y editor de
+ * asignaciones guardado con detección de conflictos.
+ */
+
+const KEY_BINDINGS_KEY = 'keyBindings';
+const KEYBOARD_DRIVE_RATE = 250;     // Unidades de joystick por segundo al acelerar
+const KEYBOARD_DRIVE_MAX = 100;
+
+// Acciones con su nombre y teclas por defecto (KeyboardEvent.code)
+const KEYBOARD_ACTIONS = {
+    'drive:forward':   { label: 'Adelante',            keys: ['KeyW', 'ArrowUp'] },
+    'drive:backward':  { label: 'Atrás',               keys: ['KeyS', 'ArrowDown'] },
+    'drive:left':      { label: 'Izquierda',           keys: ['KeyA', 'ArrowLeft'] },
+    'drive:right':     { label: 'Derecha',             keys: ['KeyD', 'ArrowRight'] },
+    'stop':            { label: 'Parada de emergencia', keys: ['Space'] },
+    'attack:1':        { label: 'Ataque rápido 1',     keys: ['Digit1'] },
+    'attack:2':        { label: 'Ataque rápido 2',     keys: ['Digit2'] },
+    'attack:3':        { label: 'Ataque rápido 3',     keys: ['Digit3'] },
+    'attack:4':        { label: 'Ataque rápido 4',     keys: ['Digit4'] },
+    'sound:1':         { label: 'Sonido rápido 1',     keys: ['Digit5'] },
+    'sound:2':         { label: 'Sonido rápido 2',     keys: ['Digit6'] },
+    'sound:3':         { label: 'Sonido rápido 3',     keys: ['Digit7'] },
+    'sound:4':         { label: 'Sonido rápido 4',     keys: ['Digit8'] },
+    'head:left':       { label: 'Cabeza izquierda',    keys: ['KeyQ'] },
+    'head:center':     { label: 'Cabeza centro',       keys: ['KeyR'] },
+    'head:right':      { label: 'Cabeza derecha',      keys: ['KeyE'] },
+    'arm:raise_left':  { label: 'Subir brazo izq',     keys: ['KeyZ'] },
+    'arm:lower_left':  { label: 'Bajar brazo izq',     keys: ['KeyX'] },
+    'arm:raise_right': { label: 'Subir brazo der',     keys: ['KeyC'] },
+    'arm:lower_right': { label: 'Bajar brazo der',     keys: ['KeyV'] },
+    'arm:wave':        { label: 'Saludo',              keys: ['KeyF'] },
+    'walk:home':       { label: 'Posición inicial',    keys: ['KeyH'] },
+    'mode:toggle':     { label: 'Cambiar modo',        keys: ['KeyM'] }
+};
+
+// Estado del teclado
+const keyboardState = {
+    bindings: {},            // acción -> [códigos]
+    keyMap: new Map(),       // código -> acción
+    held: new Set(),         // Acciones drive:* pulsadas
+    x: 0,
+    y: 0,
+    frame: null,
+    lastFrame: 0,
+    draft: null,             // Copia en edición dentro del modal
+    capturing: null          // Acción esperando una tecla en el editor
+};
+
+/* ================== BINDINGS ================== */
+
+/**
+ * Asignaciones por defecto
+ */
+function getDefaultKeyBindings() {
+    const bindings = {};
+    Object.entries(KEYBOARD_ACTIONS).forEach(([action, def]) => {
+        bindings[action] = [...def.keys];
+    });
+    return bindings;
+}
+
+/**
+ * Cargar asignaciones guardadas (acciones nuevas toman su valor por defecto)
+ */
+function loadKeyBindings() {
+    const bindings = getDefaultKeyBindings();
+    const saved = storageGet(KEY_BINDINGS_KEY, {});
+    Object.keys(bindings).forEach(action => {
+        if (Array.isArray(saved[action])) bindings[action] = saved[action];
+    });
+    return bindings;
+}
+
+/**
+ * Activar un juego de asignaciones
+ */
+function applyKeyBindings(bindings) {
+    keyboardState.bindings = bindings;
+    keyboardState.keyMap.clear();
+    Object.entries(bindings).forEach(([action, codes]) => {
+        codes.forEach(code => keyboardState.keyMap.set(code, action));
+    });
+}
+
+/**
+ * Teclas asignadas a más de una acción
+ * @returns {Map<string, string[]>} código -> acciones
+ */
+function findKeyConflicts(bindings) {
+    const owners = new Map();
+    Object.entries(bindings).forEach(([action, codes]) => {
+        codes.forEach(code => {
+            if (!owners.has(code)) owners.set(code, []);
+            owners.get(code).push(action);
+        });
+    });
+    return new Map([...owners].filter(([, actions]) => actions.length > 1));
+}
+
+/**
+ * Nombre legible de una tecla
+ */
+function getKeyLabel(code) {
+    const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+    if (arrows[code]) return arrows[code];
+    if (code === 'Space') return 'Espacio';
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Numpad')) return 'Num ' + code.slice(6);
+    return code;
+}
+
+/* ================== DRIVING ================== */
+
+/**
+ * Vector objetivo según las teclas de conducción pulsadas
+ */
+function getKeyboardTarget() {
+    let x = 0;
+    let y = 0;
+    if (keyboardState.held.has('drive:forward')) y += 1;
+    if (keyboardState.held.has('drive:backward')) y -= 1;
+    if (keyboardState.held.has('drive:left')) x -= 1;
+    if (keyboardState.held.has('drive:right')) x += 1;
+
+    // Diagonales a la misma magnitud que los ejes
+    const scale = (x !== 0 && y !== 0) ? Math.SQRT1_2 : 1;
+    return { x: x * scale * KEYBOARD_DRIVE_MAX, y: y * scale * KEYBOARD_DRIVE_MAX };
+}
+
+/**
+ * Acercar un valor a su objetivo sin pasarse
+ */
+function approachValue(current, target, step) {
+    if (current < target) return Math.min(target, current + step);
+    if (current > target) return Math.max(target, current - step);
+    return current;
+}
+
+/**
+ * Bucle de conducción: acelera hacia el objetivo y para al soltar
+ */
+function keyboardDriveLoop(timestamp) {
+    const dt = keyboardState.lastFrame ? (timestamp - keyboardState.lastFrame) / 1000 : 0;
+    keyboardState.lastFrame = timestamp;
+
+    const target = getKeyboardTarget();
+    if (target.x === 0 && target.y === 0) {
+        // Al soltar se para en seco: frenar suave sería menos seguro
+        stopKeyboardDrive();
+        return;
+    }
+
+    const step = KEYBOARD_DRIVE_RATE * dt;
+    keyboardState.x = approachValue(keyboardState.x, target.x, step);
+    keyboardState.y = approachValue(keyboardState.y, target.y, step);
+    setJoystickVector(keyboardState.x, keyboardState.y);
+
+    keyboardState.frame = requestAnimationFrame(keyboardDriveLoop);
+}
+
+function startKeyboardDrive() {
+    if (keyboardState.frame) return;
+    keyboardState.lastFrame = 0;
+    keyboardState.frame = requestAnimationFrame(keyboardDriveLoop);
+}
+
+/**
+ * Parar la conducción por teclado y enviar x=0,y=0
+ */
+function stopKeyboardDrive() {
+    if (keyboardState.frame) {
+        cancelAnimationFrame(keyboardState.frame);
+        keyboardState.frame = null;
+    }
+    const wasMoving = keyboardState.x !== 0 || keyboardState.y !== 0;
+    keyboardState.x = 0;
+    keyboardState.y = 0;
+    if (wasMoving) setJoystickVector(0, 0);
+}
+
+/**
+ * Soltar todas las teclas (ventana sin foco, pestaña oculta)
+ */
+function releaseAllKeys() {
+    keyboardState.held.clear();
+    stopKeyboardDrive();
+}
+
+/**
+ * Parada de emergencia desde el teclado
+ */
+function keyboardEmergencyStop() {
+    releaseAllKeys();
+    if (typeof window.emergencyStop === 'function') {
+        window.emergencyStop();
+        return;
+    }
+    // Sin módulo de seguridad: enviar parada aunque el teclado no estuviera conduciendo
+    if (canSendCommand('joystick')) {
+        sendFastCommand('joystick', { x: 0, y: 0 }, { keepalive: true });
+    }
+    addLog('🛑 Parada (teclado)');
+}
+
+/* ================== ACTIONS ================== */
+
+/**
+ * Ejecutar una acción de pulsación única
+ * @param {string} action - 'tipo:valor' (ver KEYBOARD_ACTIONS)
+ */
+function runKeyboardAction(action) {
+    const [type, value] = action.split(':');
+
+    switch (type) {
+        case 'stop':
+            keyboardEmergencyStop();
+            break;
+        case 'walk':
+            walk(value);
+            break;
+        case 'arm':
+            arm(value);
+            break;
+        case 'head':
+            headMove(value);
+            break;
+        case 'attack': {
+            const attackId = [...state.selectedAttacks][parseInt(value) - 1];
+            if (attackId) attack(attackId);
+            else addLog(`⚠️ No hay ataque rápido ${value} seleccionado`);
+            break;
+        }
+        case 'sound': {
+            const soundId = [...state.selectedSounds][parseInt(value) - 1];
+            if (soundId !== undefined) playSong(soundId);
+            else addLog(`⚠️ No hay sonido rápido ${value} seleccionado`);
+            break;
+        }
+        case 'mode': {
+            const current = document.querySelector('.mode-toggle-btn.active')?.dataset.mode;
+            switchGameMode(current === 'rotate' ? 'walk' : 'rotate');
+            break;
+        }
+    }
+}
+
+/**
+ * Saber si una tecla está asignada a la parada de emergencia
+ * (los modales que capturan el teclado deben dejarla pasar)
+ * @param {string} code - KeyboardEvent.code
+ */
+function isStopKey(code) {
+    return keyboardState.keyMap.get(code) === 'stop';
+}
+
+/**
+ * No robar teclas mientras se escribe en un campo
+ */
+function isTypingTarget(target) {
+    if (!target) return false;
+    const tag = target.tagName;
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target.isContentEditable;
+}
+
+function handleKeyboardKeyDown(e) {
+    if (keyboardState.capturing) {
+        e.preventDefault();
+        captureBindingKey(e.code);
+        return;
+    }
+    if (e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+    // Con un modal abierto solo funciona la parada
+    const modalOpen = document.querySelector('.midi-modal-overlay.active') !== null;
+
+    const action = keyboardState.keyMap.get(e.code);
+    if (!action || (modalOpen && action !== 'stop')) return;
+    e.preventDefault();
+
+    if (action.startsWith('drive:')) {
+        keyboardState.held.add(action);
+        startKeyboardDrive();
+        return;
+    }
+    if (!e.repeat) runKeyboardAction(action);
+}
+
+function handleKeyboardKeyUp(e) {
+    const action = keyboardState.keyMap.get(e.code);
+    if (action && action.startsWith('drive:')) {
+        keyboardState.held.delete(action);
+    }
+}
+
+/* ================== BINDINGS EDITOR ================== */
+
+function openKeyBindingsModal() {
+    releaseAllKeys();
+    keyboardState.draft = JSON.parse(JSON.stringify(keyboardState.bindings));
+    keyboardState.capturing = null;
+    renderKeyBindingsEditor();
+    document.getElementById('keyBindingsModalOverlay')?.classList.add('active');
+}
+
+function closeKeyBindingsModal() {
+    keyboardState.capturing = null;
+    keyboardState.draft = null;
+    document.getElementById('keyBindingsModalOverlay')?.classList.remove('active');
+}
+
+/**
+ * Asignar la tecla pulsada a la acción en captura (Escape cancela)
+ */
+function captureBindingKey(code) {
+    const action = keyboardState.capturing;
+    keyboardState.capturing = null;
+
+    if (code !== 'Escape' && !keyboardState.draft[action].includes(code)) {
+        keyboardState.draft[action].push(code);
+    }
+    renderKeyBindingsEditor();
+}
+
+/**
+ * Renderizar la tabla de asignaciones, marcando conflictos
+ */
+function renderKeyBindingsEditor() {
+    const list = document.getElementById('keyBindingsList');
+    if (!list || !keyboardState.draft) return;
+
+    const conflicts = findKeyConflicts(keyboardState.draft);
+    list.innerHTML = '';
+
+    Object.entries(KEYBOARD_ACTIONS).forEach(([action, def]) => {
+        const row = document.createElement('div');
+        row.className = 'key-binding-row';
+
+        const label = document.createElement('span');
+        label.className = 'key-binding-label';
+        label.textContent = def.label;
+
+        const keys = document.createElement('div');
+        keys.className = 'key-binding-keys';
+
+        keyboardState.draft[action].forEach(code => {
+            const chip = document.createElement('button');
+            chip.className = 'key-chip' + (conflicts.has(code) ? ' conflict' : '');
+            chip.textContent = getKeyLabel(code);
+            chip.title = conflicts.has(code)
+                ? 'También asignada a: ' + conflicts.get(code).filter(a => a !== action).map(a => KEYBOARD_ACTIONS[a].label).join(', ')
+                : 'Quitar';
+            chip.addEventListener('click', () => {
+                keyboardState.draft[action] = keyboardState.draft[action].filter(c => c !== code);
+                renderKeyBindingsEditor();
+            });
+            keys.appendChild(chip);
+        });
+
+        const addBtn = document.createElement('button');
+        addBtn.className = 'key-chip add' + (keyboardState.capturing === action ? ' capturing' : '');
+        addBtn.textContent = keyboardState.capturing === action ? 'Pulsa una tecla...' : '+';
+        addBtn.addEventListener('click', () => {
+            keyboardState.capturing = action;
+            renderKeyBindingsEditor();
+        });
+        keys.appendChild(addBtn);
+
+        row.append(label, keys);
+        list.appendChild(row);
+    });
+
+    const warning = document.getElementById('keyBindingsConflict');
+    if (warning) {
+        warning.textContent = conflicts.size > 0
+            ? `⚠️ ${[...conflicts.keys()].map(getKeyLabel).join(', ')} asignada(s) a varias acciones`
+            : '';
+    }
+    const saveBtn = document.getElementById('keyBindingsSaveBtn');
+    if (saveBtn) saveBtn.disabled = conflicts.size > 0;
+}
+
+/**
+ * Guardar las asignaciones (solo sin conflictos)
+ */
+function saveKeyBindings() {
+    if (!keyboardState.draft || findKeyConflicts(keyboardState.draft).size > 0) return;
+
+    applyKeyBindings(keyboardState.draft);
+    if (storageSet(KEY_BINDINGS_KEY, keyboardState.bindings)) addLog('⌨️ Teclas guardadas');
+    closeKeyBindingsModal();
+}
+
+/* ================== INIT EVENT LISTENERS ================== */
+
+function initKeyboard() {
+    applyKeyBindings(loadKeyBindings());
+
+    if (typeof window.registerStopHandler === 'function') {
+        window.registerStopHandler(releaseAllKeys);
+    }
+
+    document.addEventListener('keydown', handleKeyboardKeyDown);
+    document.addEventListener('keyup', handleKeyboardKeyUp);
+    window.addEventListener('blur', releaseAllKeys);
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) releaseAllKeys();
+    });
+
+    const openBtn = document.getElementById('keyboardBtn');
+    if (openBtn) openBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        openKeyBindingsModal();
+    });
+
+    const overlay = document.getElementById('keyBindingsModalOverlay');
+    if (overlay) {
+        overlay.addEventListener('click', function(e) {
+            e.stopPropagation();
+            if (e.target === overlay) closeKeyBindingsModal();
+        });
+    }
+
+    const closeBtn = document.getElementById('keyBindingsModalClose');
+    if (closeBtn) closeBtn.addEventListener('click', closeKeyBindingsModal);
+
+    const cancelBtn = document.getElementById('keyBindingsCancelBtn');
+    if (cancelBtn) cancelBtn.addEventListener('click', closeKeyBindingsModal);
+
+    const saveBtn = document.getElementById('keyBindingsSaveBtn');
+    if (saveBtn) saveBtn.addEventListener('click', saveKeyBindings);
+
+    const resetBtn = document.getElementById('keyBindingsResetBtn');
+    if (resetBtn) resetBtn.addEventListener('click', () => {
+        keyboardState.draft = getDefaultKeyBindings();
+        keyboardState.capturing = null;
+        renderKeyBindingsEditor();
+    });
+}
+
+// Inicializar cuando el DOM esté listo
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initKeyboard);
+} else {
+    initKeyboard();
+}
+
+// Exportar funciones globales
+window.openKeyBindingsModal = openKeyBindingsModal;
+window.closeKeyBindingsModal = closeKeyBindingsModal;
+window.isStopKey = isStopKey;
@@ -7,6 +7,31 @@
 const CUSTOM_MELODY_START = 16;
 const MAX_CUSTOM_MELODIES = 5;
 const MAX_NOTES_PER_MELODY = 100;
+const MIDI_CHORD_TOLERANCE = 20;     // ms: notas que empiezan así de juntas forman un acorde
+const MIDI_MIN_EVENT = 20;           // ms: eventos más cortos se funden con el anterior
+const MIDI_SHORT_REST = 500;         // ms: tope de silencios si no se conservan los largos
+const MIDI_PERCUSSION_CHANNEL = 9;
+const MIDI_REPEAT_GAP = 30;          // ms: silencio máximo entre notas iguales que se unen
+const BUZZER_LOW_NOTE = 72;          // C5 (523 Hz): por debajo el piezo suena débil
+const BUZZER_HIGH_NOTE = 108;        // C8 (4186 Hz)
+const MELODY_CHUNK_NOTES = 20;       // Notas por trozo en la subida por POST
+const MELODY_CHUNK_RETRIES = 3;      // Reintentos por trozo antes de abandonar
+const MELODY_UPLOAD_TIMEOUT = 5000;  // ms por petición de la subida
+
+// Opciones de reducción a monofónico (se mantienen entre archivos)
+const midiReductionOptions = {
+    strategy: 'skyline',     // skyline | bass | salient | merged
+    arpeggio: 0,             // ms por nota al arpegiar acordes (0 = no arpegiar)
+    keepLongRests: true,     // false = acortar silencios a MIDI_SHORT_REST
+    startSec: 0,             // Inicio del pasaje
+    endSec: 0,               // Fin del pasaje (0 = hasta el final)
+    fit: true,               // Ajustar el pasaje a MAX_NOTES_PER_MELODY en vez de cortarlo
+    transpose: false,        // Llevar la melodía al rango que el buzzer reproduce bien
+    showDiff: true           // Comparar con la pista original en el waveform
+};
+
+// Identificador de la escucha en curso (original / ajustada)
+let midiAuditionId = 0;
 
 // Estado del modal de importación
 let midiImportState = {
@@ -29,7 +54,9 @@ let midiImportState = {
     pitch: 0,                // Pitch shift en semitonos (-12 a +12)
     isEdited: false,         // Indica si se ha editado la melodía
     loop: false,             // Repetir en bucle
-    editingSlot: null        // Slot que se está editando (null = nueva melodía)
+    editingSlot: null,       // Slot que se está editando (null = nueva melodía)
+    sourceNotes: [],         // Pista original en el eje de la reducción (comparación)
+    unfittedNotes: []        // Pasaje completo antes de ajustarlo al límite (escucha)
 };
 
 /* ================== MIDI NOTE TO FREQUENCY ================== */
@@ -62,7 +89,8 @@ function parseMidiFile(buffer) {
                 freq: midiNoteToFreq(note.midi),
                 dur: Math.max(20, Math.min(Math.round(note.duration * 1000), 2000)),
                 time: Math.round(note.time * 1000),
-                midi: note.midi
+                midi: note.midi,
+                velocity: note.velocity
             }));
 
             return {
@@ -79,38 +107,293 @@ function parseMidiFile(buffer) {
     return { tracks, bpm, name: midi.header.name || '' };
 }
 
+/* ================== REDUCCIÓN A MONOFÓNICO ================== */
+
 /**
- * Convertir pista polifónica a monofónica (una nota a la vez)
- * Toma la nota más aguda en cada momento (extrae melodía)
- * Inserta silencios entre notas no adyacentes
+ * Elegir la voz que suena entre las notas activas
+ * @param {Array} active - Notas sonando en el segmento
+ * @param {string} strategy - skyline | bass | salient | merged
+ * @param {Object|null} previous - Nota elegida en el segmento anterior
  */
-function convertToMonophonic(trackNotes, maxNotes) {
-    maxNotes = maxNotes || MAX_NOTES_PER_MELODY;
+function pickMidiVoice(active, strategy, previous) {
+    if (strategy === 'bass') {
+        return active.reduce((best, note) => (note.midi < best.midi ? note : best));
+    }
+
+    if (strategy === 'salient') {
+        // Voz más destacada: fuerte, larga, algo aguda y sin saltos bruscos
+        const lowest = Math.min(...active.map(n => n.midi));
+        let best = active[0];
+        let bestScore = -Infinity;
+        active.forEach(note => {
+            let score = (note.velocity ?? 0.8) * 2 + Math.min(note.dur, 1000) / 1000 + (note.midi - lowest) / 24;
+            if (previous) {
+                if (note === previous) score += 1;
+                score -= Math.abs(note.midi - previous.midi) / 12 * 0.8;
+            }
+            if (score > bestScore) {
+                bestScore = score;
+                best = note;
+            }
+        });
+        return best;
+    }
 
-    // Ordenar por tiempo, luego por frecuencia (más aguda primero)
-    const sorted = [...trackNotes].sort((a, b) => a.time - b.time || b.freq - a.freq);
+    // skyline (y merged, que mezcla pistas antes): la nota más aguda
+    return active.reduce((best, note) => (note.midi > best.midi ? note : best));
+}
 
-    const mono = [];
-    let lastEnd = 0;
+/**
+ * Convertir notas polifónicas a monofónicas (una nota a la vez).
+ * Recorre los segmentos entre inicios y finales de nota y en cada uno
+ * elige una voz según la estrategia, o arpegia los acordes.
+ * @param {Array} trackNotes - Notas {time, dur, midi, freq, velocity}
+ * @param {number} maxNotes - Máximo de notas + silencios (Infinity = todo el pasaje)
+ * @param {Object} options - Ver midiReductionOptions
+ * @returns {{notes: Array<[number, number]>, used: Set, anchors: Array<[number, number]>, windowStart: number, windowEnd: number}}
+ *          anchors relaciona tiempos de origen con tiempos de la melodía reducida
+ */
+function convertToMonophonic(trackNotes, maxNotes, options = midiReductionOptions) {
+    maxNotes = maxNotes || MAX_NOTES_PER_MELODY;
+    const startMs = Math.max(0, (options.startSec || 0) * 1000);
+    const endMs = options.endSec > options.startSec ? options.endSec * 1000 : Infinity;
+    const result = { notes: [], used: new Set(), anchors: [], windowStart: 0, windowEnd: 0 };
+
+    const notes = trackNotes
+        .filter(n => n.time + n.dur > startMs + MIDI_CHORD_TOLERANCE && n.time < endMs - MIDI_CHORD_TOLERANCE)
+        .sort((a, b) => a.time - b.time);
+    if (notes.length === 0) return result;
+
+    // Límites de segmento; los que caen muy juntos se agrupan (acordes)
+    const boundaries = [];
+    notes.forEach(n => boundaries.push(Math.max(startMs, n.time), Math.min(endMs, n.time + n.dur)));
+    boundaries.sort((a, b) => a - b);
+    const times = [];
+    boundaries.forEach(t => {
+        if (times.length === 0 || t - times[times.length - 1] > MIDI_CHORD_TOLERANCE) times.push(t);
+    });
 
-    for (const note of sorted) {
-        if (note.time >= lastEnd) {
-            // Insertar silencio si hay un gap > 15ms
-            const gap = note.time - lastEnd;
-            if (gap > 15 && mono.length > 0) {
-                mono.push([0, Math.min(Math.round(gap), 500)]);
+    // Eventos {freq, dur, sourceStart, sources}
+    const events = [];
+    const pushEvent = (freq, dur, sourceStart, sources, continuation) => {
+        const last = events[events.length - 1];
+        // Continuación de la misma nota, silencios seguidos o restos muy cortos
+        if (last && (continuation || (freq === 0 && last.freq === 0) || dur < MIDI_MIN_EVENT)) {
+            last.dur += dur;
+            sources.forEach(n => last.sources.add(n));
+            return;
+        }
+        events.push({ freq, dur, sourceStart, sources: new Set(sources) });
+    };
+
+    let sounding = [];
+    let next = 0;
+    let previous = null;
+    for (let k = 0; k < times.length - 1; k++) {
+        const t = times[k];
+        const length = times[k + 1] - t;
+        while (next < notes.length && notes[next].time <= t + MIDI_CHORD_TOLERANCE) sounding.push(notes[next++]);
+        sounding = sounding.filter(n => n.time + n.dur > t + MIDI_CHORD_TOLERANCE);
+
+        if (sounding.length === 0) {
+            if (events.length > 0) pushEvent(0, length, t, []);
+            previous = null;
+        } else if (options.arpeggio > 0 && sounding.length > 1) {
+            const chord = [...sounding].sort((a, b) => a.midi - b.midi);
+            for (let step = 0, at = t; at < t + length; step++, at += options.arpeggio) {
+                const note = chord[step % chord.length];
+                pushEvent(note.freq, Math.min(options.arpeggio, t + length - at), at, [note]);
             }
+            previous = null;
+        } else {
+            const voice = pickMidiVoice(sounding, options.strategy, previous);
+            pushEvent(voice.freq, length, t, [voice], voice === previous);
+            previous = voice;
+        }
+    }
+
+    // Pasar a [freq, dur] respetando el máximo de notas
+    let clock = 0;
+    for (const event of events) {
+        if (result.notes.length >= maxNotes) break;
+        let dur = Math.round(event.dur);
+        if (event.freq === 0 && !options.keepLongRests) dur = Math.min(dur, MIDI_SHORT_REST);
+        result.anchors.push([event.sourceStart, clock]);
+        result.notes.push([event.freq, dur]);
+        event.sources.forEach(n => result.used.add(n));
+        result.windowEnd = event.sourceStart + event.dur;
+        clock += dur;
+    }
+    if (result.notes.length > 0 && result.notes[result.notes.length - 1][0] === 0) {
+        result.notes.pop();
+        result.anchors.pop();
+    }
+    result.windowStart = events.length > 0 ? events[0].sourceStart : 0;
+    return result;
+}
+
+/**
+ * Notas de origen dentro de la ventana reducida, en el eje de tiempo
+ * de la melodía reducida (para compararlas en el waveform)
+ */
+function mapSourceNotesForDiff(sourceNotes, reduction) {
+    const anchors = reduction.anchors;
+    if (anchors.length === 0) return [];
+
+    const toReduced = time => {
+        let i = anchors.length - 1;
+        while (i > 0 && anchors[i][0] > time) i--;
+        let reduced = anchors[i][1] + (time - anchors[i][0]);
+        // Con los silencios largos acortados, no pasar del siguiente ancla
+        if (i + 1 < anchors.length) reduced = Math.min(reduced, anchors[i + 1][1]);
+        return Math.max(0, reduced);
+    };
+
+    return sourceNotes
+        .filter(n => n.time < reduction.windowEnd && n.time + n.dur > reduction.windowStart)
+        .map(n => ({
+            start: toReduced(n.time),
+            end: toReduced(n.time + n.dur),
+            midi: n.midi,
+            used: reduction.used.has(n)
+        }));
+}
 
-            const dur = Math.max(20, Math.min(note.dur, 2000));
-            mono.push([note.freq, dur]);
-            lastEnd = note.time + dur;
+/* ================== AJUSTE AL LÍMITE ================== */
+
+/**
+ * Unir notas iguales seguidas (y el silencio corto entre ellas) y silencios seguidos
+ */
+function mergeRepeatedNotes(notes) {
+    const merged = [];
+    for (let i = 0; i < notes.length; i++) {
+        const [freq, dur] = notes[i];
+        const last = merged[merged.length - 1];
+        const next = notes[i + 1];
+        if (last && freq === 0 && dur <= MIDI_REPEAT_GAP && next && last[0] > 0 && next[0] === last[0]) {
+            last[1] += dur;
+        } else if (last && last[0] === freq) {
+            last[1] += dur;
+        } else {
+            merged.push([freq, dur]);
         }
+    }
+    return merged;
+}
+
+/**
+ * Quitar adornos: notas cortas pegadas a una nota al menos 3 veces más
+ * larga. Su tiempo pasa a esa nota (apoyatura antes, resolución después).
+ */
+function dropOrnaments(notes, maxMs) {
+    const result = notes.map(([f, d]) => [f, d]);
+    for (let i = 0; i < result.length; i++) {
+        const [freq, dur] = result[i];
+        if (freq === 0 || dur >= maxMs) continue;
+        const next = result[i + 1];
+        const prev = result[i - 1];
+        const target = next && next[0] > 0 && next[1] >= dur * 3 ? next
+            : prev && prev[0] > 0 && prev[1] >= dur * 3 ? prev
+                : null;
+        if (!target) continue;
+        target[1] += dur;
+        result.splice(i, 1);
+        i--;
+    }
+    return mergeRepeatedNotes(result);
+}
 
-        // Limitar cantidad de notas
-        if (mono.length >= maxNotes) break;
+/**
+ * Cuantizar los inicios a una rejilla; las notas que quedan sin
+ * duración (más cortas que media celda) desaparecen
+ */
+function quantizeShortNotes(notes, gridMs) {
+    const quantized = [];
+    let time = 0;
+    let snappedStart = 0;
+    notes.forEach(([freq, dur]) => {
+        time += dur;
+        const snappedEnd = Math.round(time / gridMs) * gridMs;
+        const length = Math.round(snappedEnd - snappedStart);
+        if (length > 0) quantized.push([freq, length]);
+        snappedStart = snappedEnd;
+    });
+    return mergeRepeatedNotes(quantized);
+}
+
+/**
+ * Transponer por octavas al rango del buzzer (BUZZER_LOW_NOTE-BUZZER_HIGH_NOTE):
+ * primero toda la melodía, luego las notas que aún queden fuera
+ * @returns {{notes: Array, octaves: number, folded: number}}
+ */
+function transposeToBuzzerRange(notes) {
+    const toMidi = freq => 69 + 12 * Math.log2(freq / 440);
+    const inRange = midi => midi >= BUZZER_LOW_NOTE - 0.5 && midi <= BUZZER_HIGH_NOTE + 0.5;
+    const pitches = notes.filter(([f]) => f > 0).map(([f]) => toMidi(f));
+
+    let octaves = 0;
+    let bestCount = -1;
+    [0, 1, -1, 2, -2, 3, -3, 4, -4].forEach(k => {
+        const count = pitches.filter(m => inRange(m + k * 12)).length;
+        if (count > bestCount) {
+            bestCount = count;
+            octaves = k;
+        }
+    });
+
+    let folded = 0;
+    const result = notes.map(([freq, dur]) => {
+        if (freq === 0) return [0, dur];
+        let shift = octaves;
+        let midi = toMidi(freq) + shift * 12;
+        while (midi < BUZZER_LOW_NOTE - 0.5) { midi += 12; shift++; }
+        while (midi > BUZZER_HIGH_NOTE + 0.5) { midi -= 12; shift--; }
+        if (shift !== octaves) folded++;
+        return [Math.round(freq * Math.pow(2, shift)), dur];
+    });
+    return { notes: result, octaves, folded };
+}
+
+/**
+ * Ajustar una melodía al límite de notas del robot. Aplica pasos cada vez
+ * más agresivos hasta que cabe; si aún no cabe, corta al final.
+ * @param {Array<[number, number]>} notes - Melodía completa del pasaje
+ * @param {Object} options - {maxNotes, bpm, transpose}
+ * @returns {{notes: Array<[number, number]>, before: number, steps: string[], truncated: boolean}}
+ */
+function fitMelodyToLimit(notes, options = {}) {
+    const maxNotes = options.maxNotes || MAX_NOTES_PER_MELODY;
+    const beatMs = 60000 / (options.bpm || 120);
+    let result = notes.map(([f, d]) => [f, d]);
+    const steps = [];
+
+    if (options.transpose) {
+        const transposed = transposeToBuzzerRange(result);
+        result = transposed.notes;
+        if (transposed.octaves !== 0) steps.push(`${transposed.octaves > 0 ? '+' : ''}${transposed.octaves} octava(s)`);
+        if (transposed.folded > 0) steps.push(`${transposed.folded} nota(s) plegadas al rango`);
+    }
+
+    const passes = [
+        { label: 'repetidas unidas', run: m => mergeRepeatedNotes(m) },
+        { label: 'adornos quitados', run: m => dropOrnaments(m, beatMs / 4) },
+        { label: 'cuantizado a 1/32', run: m => quantizeShortNotes(m, beatMs / 8) },
+        { label: 'cuantizado a 1/16', run: m => quantizeShortNotes(m, beatMs / 4) },
+        { label: 'cuantizado a 1/8', run: m => quantizeShortNotes(m, beatMs / 2) }
+    ];
+    for (const pass of passes) {
+        if (result.length <= maxNotes) break;
+        const next = pass.run(result);
+        if (next.length < result.length) {
+            result = next;
+            steps.push(pass.label);
+        }
     }
 
-    return mono;
+    const truncated = result.length > maxNotes;
+    if (truncated) result = result.slice(0, maxNotes);
+    if (result.length > 0 && result[result.length - 1][0] === 0) result.pop();
+    return { notes: result, before: notes.length, steps, truncated };
 }
 
 /* ================== MODAL UI ================== */
@@ -146,7 +429,9 @@ function openMidiImportModal() {
         pitch: 0,
         isEdited: false,
         loop: false,
-        editingSlot: null
+        editingSlot: null,
+        sourceNotes: [],
+        unfittedNotes: []
     };
 
     const overlay = document.getElementById('midiModalOverlay');
@@ -161,6 +446,7 @@ function openMidiImportModal() {
  */
 function closeMidiImportModal() {
     midiImportState.previewAbort = true;
+    stopMidiAudition();
     const overlay = document.getElementById('midiModalOverlay');
     if (overlay) overlay.classList.remove('active');
 }
@@ -179,6 +465,9 @@ function resetMidiModal() {
     const nameInput = document.getElementById('midiMelodyName');
     if (nameInput) nameInput.value = '';
 
+    const rtttlInput = document.getElementById('rtttlInput');
+    if (rtttlInput) rtttlInput.value = '';
+
     const fileInfo = document.getElementById('midiFileInfo');
     if (fileInfo) fileInfo.style.display = 'none';
 
@@ -188,6 +477,8 @@ function resetMidiModal() {
     // Reset loop button visual state
     const loopBtn = document.getElementById('midiLoopBtn');
     if (loopBtn) loopBtn.classList.remove('active');
+
+    showMidiReductionControls(false);
 }
 
 /**
@@ -206,8 +497,12 @@ function showMidiStep(step) {
  * Manejar archivo MIDI seleccionado o arrastrado
  */
 function handleMidiFile(file) {
+    if (file && /\.(rtttl|rtx|txt)$/i.test(file.name) && typeof window.handleRtttlFile === 'function') {
+        window.handleRtttlFile(file);
+        return;
+    }
     if (!file || (!file.name.endsWith('.mid') && !file.name.endsWith('.midi'))) {
-        alert('Por favor selecciona un archivo MIDI (.mid o .midi)');
+        alert('Por favor selecciona un archivo MIDI (.mid, .midi) o un tono RTTTL (.rtttl, .txt)');
         return;
     }
 
@@ -287,7 +582,38 @@ function selectMidiTrack(trackIndex) {
     if (!track) return;
 
     midiImportState.selectedTrack = trackIndex;
-    const converted = convertToMonophonic(track.notes, MAX_NOTES_PER_MELODY);
+
+    // "Mezclar pistas" reduce todas las pistas melódicas juntas
+    let sourceNotes = track.notes;
+    if (midiReductionOptions.strategy === 'merged') {
+        const melodic = midiImportState.parsedTracks.filter(t => t.channel !== MIDI_PERCUSSION_CHANNEL);
+        sourceNotes = (melodic.length > 0 ? melodic : midiImportState.parsedTracks).flatMap(t => t.notes);
+    }
+    // Pasaje completo; luego se ajusta al límite o se corta
+    const full = convertToMonophonic(sourceNotes, Infinity);
+    let converted;
+    let reduction = full;
+    if (midiReductionOptions.fit || midiReductionOptions.transpose) {
+        const fitted = fitMelodyToLimit(full.notes, {
+            maxNotes: midiReductionOptions.fit ? MAX_NOTES_PER_MELODY : Infinity,
+            bpm: midiImportState.bpm,
+            transpose: midiReductionOptions.transpose
+        });
+        converted = fitted.notes;
+        // Sin ajustar, la melodía se corta igualmente en el límite
+        if (!midiReductionOptions.fit && converted.length > MAX_NOTES_PER_MELODY) {
+            reduction = convertToMonophonic(sourceNotes, MAX_NOTES_PER_MELODY);
+            converted = converted.slice(0, reduction.notes.length);
+        }
+        updateMidiFitInfo(full.notes, converted, fitted.steps, fitted.truncated);
+    } else {
+        reduction = convertToMonophonic(sourceNotes, MAX_NOTES_PER_MELODY);
+        converted = reduction.notes;
+        updateMidiFitInfo(full.notes, converted, [], full.notes.length > converted.length);
+    }
+    midiImportState.unfittedNotes = full.notes;
+    midiImportState.sourceNotes = mapSourceNotesForDiff(sourceNotes, reduction);
+    showMidiReductionControls(true);
     midiImportState.fileNotes = [...converted];     // Notas del archivo (reset)
     midiImportState.originalNotes = [...converted];  // Base para edición actual
     midiImportState.convertedNotes = converted;
@@ -320,6 +646,148 @@ function selectMidiTrack(trackIndex) {
     if (saveLocalBtn) saveLocalBtn.disabled = false;
 }
 
+/**
+ * Mostrar los controles de reducción (solo con un archivo MIDI cargado)
+ */
+function showMidiReductionControls(visible) {
+    const row = document.getElementById('midiReductionRow');
+    if (row) row.style.display = visible ? 'flex' : 'none';
+}
+
+/**
+ * Reflejar midiReductionOptions en los controles
+ */
+function updateMidiReductionControls() {
+    const strategy = document.getElementById('midiReductionStrategy');
+    const arpeggio = document.getElementById('midiReductionArpeggio');
+    const start = document.getElementById('midiReductionStart');
+    const end = document.getElementById('midiReductionEnd');
+    const rests = document.getElementById('midiReductionRests');
+    const fit = document.getElementById('midiReductionFit');
+    const transpose = document.getElementById('midiReductionTranspose');
+    const diff = document.getElementById('midiReductionDiff');
+    if (strategy) strategy.value = midiReductionOptions.strategy;
+    if (arpeggio) arpeggio.value = String(midiReductionOptions.arpeggio);
+    if (start) start.value = midiReductionOptions.startSec;
+    if (end) end.value = midiReductionOptions.endSec || '';
+    if (fit) fit.checked = midiReductionOptions.fit;
+    if (transpose) transpose.checked = midiReductionOptions.transpose;
+    if (rests) rests.checked = midiReductionOptions.keepLongRests;
+    if (diff) diff.checked = midiReductionOptions.showDiff;
+}
+
+/**
+ * Volver a reducir la pista con las opciones actuales (descarta recortes)
+ */
+function onMidiReductionChange() {
+    midiReductionOptions.strategy = document.getElementById('midiReductionStrategy')?.value || 'skyline';
+    midiReductionOptions.arpeggio = parseInt(document.getElementById('midiReductionArpeggio')?.value) || 0;
+    midiReductionOptions.startSec = Math.max(0, parseFloat(document.getElementById('midiReductionStart')?.value) || 0);
+    midiReductionOptions.endSec = Math.max(0, parseFloat(document.getElementById('midiReductionEnd')?.value) || 0);
+    midiReductionOptions.keepLongRests = document.getElementById('midiReductionRests')?.checked !== false;
+    midiReductionOptions.fit = document.getElementById('midiReductionFit')?.checked !== false;
+    midiReductionOptions.transpose = document.getElementById('midiReductionTranspose')?.checked === true;
+    midiReductionOptions.showDiff = document.getElementById('midiReductionDiff')?.checked !== false;
+
+    // El pasaje depende de cada archivo; no se guarda
+    const { startSec, endSec, ...saved } = midiReductionOptions;
+    storageSet('midiReduction', saved);
+    stopMidiAudition();
+
+    if (midiImportState.selectedTrack === null || midiImportState.parsedTracks.length === 0) return;
+    selectMidiTrack(midiImportState.selectedTrack);
+    updateSelectionRegion();
+    resetPlayhead();
+    updatePreviewTime();
+}
+
+/**
+ * Mostrar el recuento antes/después del ajuste y los pasos aplicados
+ * @param {Array} before - Pasaje completo
+ * @param {Array} after - Melodía resultante
+ * @param {string[]} steps - Pasos aplicados
+ * @param {boolean} truncated - Si hubo que cortar al final
+ */
+function updateMidiFitInfo(before, after, steps, truncated) {
+    const summary = document.getElementById('midiFitSummary');
+    if (!summary) return;
+    let text = `${before.length} → ${after.length} notas`;
+    if (steps.length > 0) text += ` (${steps.join(', ')})`;
+    if (truncated) text += ` · cortada en ${MAX_NOTES_PER_MELODY} notas; acorta el pasaje`;
+    summary.textContent = text;
+    summary.classList.toggle('warning', truncated);
+}
+
+/**
+ * Detener la escucha de original / ajustada
+ */
+function stopMidiAudition() {
+    midiAuditionId++;
+    document.querySelectorAll('.midi-fit-btn.playing').forEach(btn => btn.classList.remove('playing'));
+}
+
+/**
+ * Escuchar una versión de la melodía (pulsar otra vez para parar)
+ * @param {Array<[number, number]>} notes - Notas [freq, dur]
+ * @param {HTMLElement} btn - Botón que lanzó la escucha
+ */
+async function auditionMidiNotes(notes, btn) {
+    const wasPlaying = btn.classList.contains('playing');
+    stopMidiAudition();
+    if (wasPlaying || notes.length === 0) return;
+
+    // No mezclar con la vista previa del editor
+    if (midiImportState.isPreviewPlaying) stopMidiPreview();
+
+    const id = midiAuditionId;
+    btn.classList.add('playing');
+    for (const [freq, dur] of notes) {
+        if (id !== midiAuditionId) return;
+        if (freq > 0 && typeof window.playTone === 'function') window.playTone(freq, dur);
+        await new Promise(r => setTimeout(r, dur));
+    }
+    if (id === midiAuditionId) btn.classList.remove('playing');
+}
+
+/**
+ * Cargar notas ya convertidas (p. ej. de un tono RTTTL) en el editor
+ * @param {Array<[number, number]>} notes - Notas [freq, dur]
+ * @param {string} name - Nombre propuesto
+ * @param {number} bpm - Tempo de origen
+ */
+function loadMelodyIntoEditor(notes, name, bpm = 120) {
+    midiImportState.parsedTracks = [];
+    midiImportState.selectedTrack = null;
+    midiImportState.sourceNotes = [];
+    midiImportState.unfittedNotes = [];
+    showMidiReductionControls(false);
+    midiImportState.fileNotes = [...notes];
+    midiImportState.originalNotes = [...notes];
+    midiImportState.convertedNotes = [...notes];
+    midiImportState.editedNotes = [...notes];
+    midiImportState.midiName = name;
+    midiImportState.bpm = bpm;
+    midiImportState.startPointer = 0;
+    midiImportState.endPointer = 100;
+    midiImportState.speed = 100;
+    midiImportState.pitch = 0;
+    midiImportState.isEdited = false;
+
+    const nameInput = document.getElementById('midiMelodyName');
+    if (nameInput) nameInput.value = (name || 'Mi Melodia').substring(0, 20);
+
+    showMidiStep(3);
+    updateNoteCounter();
+    updateEditControls();
+    updateTimeline();
+    setTimeout(() => renderWaveform(), 100);
+
+    const saveBtn = document.getElementById('midiSaveBtn');
+    const saveLocalBtn = document.getElementById('midiSaveLocalBtn');
+    if (saveBtn) saveBtn.disabled = false;
+    if (saveLocalBtn) saveLocalBtn.disabled = false;
+}
+
 /**
  * Actualizar indicador de cantidad de notas
  */
@@ -593,8 +1061,12 @@ function renderWaveform() {
         return;
     }
 
+    // Pista original para comparar (solo sin recortar ni cambiar velocidad)
+    const diffNotes = midiReductionOptions.showDiff && !midiImportState.isEdited ? midiImportState.sourceNotes : [];
+
     // Encontrar rango de notas MIDI
-    const midiNotes = notesWithFreq.map(([f]) => Math.round(12 * Math.log2(f / 440) + 69));
+    const midiNotes = notesWithFreq.map(([f]) => Math.round(12 * Math.log2(f / 440) + 69))
+        .concat(diffNotes.map(n => n.midi));
     const minNote = midiNotes.length > 0 ? Math.min(...midiNotes) : 48;
     const maxNote = midiNotes.length > 0 ? Math.max(...midiNotes) : 72;
 
@@ -634,6 +1106,16 @@ function renderWaveform() {
         }
     }
 
+    // Pista original detrás: gris lo que se conserva, rojo lo descartado
+    diffNotes.forEach(note => {
+        const y = height - ((note.midi - displayMinNote + 1) * rowHeight);
+        const x1 = (note.start / totalDuration) * width;
+        const x2 = (Math.min(note.end, totalDuration) / totalDuration) * width;
+        if (x2 <= x1) return;
+        ctx.fillStyle = note.used ? 'rgba(255, 255, 255, 0.14)' : 'rgba(255, 59, 48, 0.35)';
+        ctx.fillRect(x1, y + 1, Math.max(2, x2 - x1 - 1), Math.max(1, rowHeight - 2));
+    });
+
     // Dibujar notas como bloques horizontales con efecto glow
     let currentTime = 0;
     notes.forEach(([freq, dur]) => {
@@ -859,6 +1341,7 @@ async function previewMidiMelody() {
     }
 
     // Iniciar reproducción desde la posición guardada o desde el inicio
+    stopMidiAudition();
     midiImportState.isPreviewPlaying = true;
     midiImportState.previewAbort = false;
 
@@ -994,6 +1477,48 @@ function findNextSlot() {
     return -1;
 }
 
+/**
+ * Guardar una melodía en su slot y, si se pide, enviarla al ESP32.
+ * Usado por el modal de importación y por el piano roll.
+ * @param {number} slot - Slot personalizado (16-20)
+ * @param {string} name - Nombre (máx. 20 caracteres)
+ * @param {Array<[number, number]>} notes - Notas [freq, dur]
+ * @param {boolean} send - Enviar al robot si está conectado
+ * @returns {Promise<boolean>} true si quedó guardada en el robot
+ */
+async function storeCustomMelody(slot, name, notes, send, onProgress) {
+    // Enviar al ESP32 si está conectado
+    let sentToEsp = false;
+    if (send) {
+        if (window.state?.connected && window.state?.espIP) {
+            sentToEsp = await sendMelodyToESP32(slot, name, notes, onProgress);
+            if (!sentToEsp) {
+                alert('Error al enviar al robot. La melodia se guardara localmente.');
+            }
+        } else {
+            alert('No hay conexion con el robot. La melodia se guardara localmente.');
+        }
+    }
+
+    // Guardar localmente
+    if (!window.state.customMelodies) window.state.customMelodies = {};
+    window.state.customMelodies[slot] = { name: name, notes: notes, sentToEsp: sentToEsp };
+
+    // Agregar a soundMelodies para reproducción en navegador
+    if (typeof window.soundMelodies !== 'undefined') {
+        window.soundMelodies[slot] = notes;
+    }
+
+    saveCustomMelodiesToStorage();
+
+    if (typeof window.renderCustomMelodyCards === 'function') {
+        window.renderCustomMelodyCards();
+    }
+
+    console.log('Melodia guardada en slot ' + slot + ': ' + name + ' (' + notes.length + ' notas' + (sentToEsp ? ', en robot' : '') + ')');
+    return sentToEsp;
+}
+
 /**
  * Guardar melodía localmente (sin enviar al ESP32)
  */
@@ -1022,21 +1547,8 @@ async function saveMidiMelodyLocal() {
     }
 
     try {
-        if (!window.state.customMelodies) window.state.customMelodies = {};
-        window.state.customMelodies[slot] = { name: name, notes: notes, sentToEsp: false };
-
-        if (typeof window.soundMelodies !== 'undefined') {
-            window.soundMelodies[slot] = notes;
-        }
-
-        saveCustomMelodiesToStorage();
-
-        if (typeof window.renderCustomMelodyCards === 'function') {
-            window.renderCustomMelodyCards();
-        }
-
+        await storeCustomMelody(slot, name, notes, false);
         closeMidiImportModal();
-        console.log('Melodia guardada localmente en slot ' + slot + ': ' + name + ' (' + notes.length + ' notas)');
     } catch (err) {
         console.error('Error al guardar melodia:', err);
         alert('Error al guardar la melodia.');
@@ -1076,39 +1588,10 @@ async function saveMidiMelody() {
     }
 
     try {
-        // Enviar al ESP32 si está conectado
-        let sentToEsp = false;
-        if (window.state?.connected && window.state?.espIP) {
-            const success = await sendMelodyToESP32(slot, name, notes);
-            sentToEsp = success;
-            if (!success) {
-                alert('Error al enviar al robot. La melodia se guardara localmente.');
-            }
-        } else {
-            alert('No hay conexion con el robot. La melodia se guardara localmente.');
-        }
-
-        // Guardar localmente
-        if (!window.state.customMelodies) window.state.customMelodies = {};
-        window.state.customMelodies[slot] = { name: name, notes: notes, sentToEsp: sentToEsp };
-
-        // Agregar a soundMelodies para reproducción en navegador
-        if (typeof window.soundMelodies !== 'undefined') {
-            window.soundMelodies[slot] = notes;
-        }
-
-        // Guardar en localStorage
-        saveCustomMelodiesToStorage();
-
-        // Renderizar tarjetas
-        if (typeof window.renderCustomMelodyCards === 'function') {
-            window.renderCustomMelodyCards();
-        }
-
-        // Cerrar modal
+        await storeCustomMelody(slot, name, notes, true, (sent, total) => {
+            if (saveBtn) saveBtn.textContent = `Enviando ${Math.round(sent / total * 100)}%`;
+        });
         closeMidiImportModal();
-
-        console.log('Melodia guardada en slot ' + slot + ': ' + name + ' (' + notes.length + ' notas)');
     } catch (err) {
         console.error('Error al guardar melodia:', err);
         alert('Error al guardar la melodia.');
@@ -1121,17 +1604,146 @@ async function saveMidiMelody() {
 }
 
 /**
- * Enviar melodía al ESP32 via HTTP
- * Formato: GET /melody?action=save&slot=16&name=MiMelodia&data=523,100;659,80;...
+ * Codificar notas como string compacto: "freq,dur;freq,dur;..."
  */
-async function sendMelodyToESP32(slot, name, notes) {
-    try {
-        // Codificar notas como string compacto: "freq,dur;freq,dur;..."
-        const dataStr = notes.map(n => n[0] + ',' + n[1]).join(';');
-        const url = `http://${window.state.espIP}/melody?action=save&slot=${slot}&name=${encodeURIComponent(name)}&data=${dataStr}`;
+function encodeMelodyData(notes) {
+    return notes.map(n => n[0] + ',' + n[1]).join(';');
+}
 
-        const response = await fetch(url, { signal: AbortSignal.timeout(10000) });
-        return response.ok;
+// Tabla CRC-32 (polinomio 0xEDB88320), se crea al primer uso
+let melodyCrcTable = null;
+
+/**
+ * CRC-32 de la melodía codificada con encodeMelodyData (lo mismo que
+ * calcula el firmware sobre lo que ha guardado)
+ * @returns {string} 8 dígitos hexadecimales
+ */
+function melodyChecksum(notes) {
+    if (!melodyCrcTable) {
+        melodyCrcTable = new Uint32Array(256);
+        for (let i = 0; i < 256; i++) {
+            let c = i;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            melodyCrcTable[i] = c >>> 0;
+        }
+    }
+    const data = encodeMelodyData(notes);
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = melodyCrcTable[(crc ^ data.charCodeAt(i)) & 0xFF] ^ (crc >>> 8);
+    }
+    return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Petición de la subida por trozos (POST con el JSON como text/plain)
+ * @returns {Promise<{ok: boolean, status: number, data: Object|null, error: string|null}>}
+ */
+function melodyUploadRequest(ip, params, body) {
+    return transportRequest('melody', params, {
+        ip: ip,
+        json: true,
+        timeout: MELODY_UPLOAD_TIMEOUT,
+        body: JSON.stringify(body || {})
+    });
+}
+
+/**
+ * La subida se cortó por la parada de emergencia (no reintentar ni usar otro camino)
+ */
+function isMelodyUploadStopped(res) {
+    return (res && res.error === 'Cancelado') || isSafetyLatched();
+}
+
+/**
+ * Subir la melodía por POST en trozos de MELODY_CHUNK_NOTES notas.
+ * Protocolo:
+ *   POST /melody?action=begin&slot=&name=&total=&crc=   -> {upload, received}
+ *   POST /melody?action=chunk&upload=&offset=  {notes}  -> {received}
+ *   POST /melody?action=commit&upload=                  -> {crc}
+ * Si el firmware ya tiene una subida a medias de la misma melodía (mismo
+ * slot, total y crc), begin devuelve lo recibido y se continúa desde ahí.
+ * @returns {Promise<boolean|null>} null si el firmware no conoce el protocolo
+ */
+async function uploadMelodyChunked(ip, slot, name, notes, crc, onProgress) {
+    const begin = await melodyUploadRequest(ip, { action: 'begin', slot, name, total: notes.length, crc });
+    if (!begin.ok || !begin.data?.upload) {
+        if (isMelodyUploadStopped(begin)) return false;
+        // Error de red o 400/404/405/501: firmware sin subida por POST
+        return null;
+    }
+
+    const upload = begin.data.upload;
+    let received = Math.max(0, Math.min(notes.length, parseInt(begin.data.received) || 0));
+    if (onProgress) onProgress(received, notes.length);
+
+    while (received < notes.length) {
+        const chunk = notes.slice(received, received + MELODY_CHUNK_NOTES);
+        let acked = false;
+        for (let attempt = 0; attempt <= MELODY_CHUNK_RETRIES && !acked; attempt++) {
+            if (attempt > 0) await new Promise(r => setTimeout(r, 300 * attempt));
+            if (isSafetyLatched()) return false;
+            const res = await melodyUploadRequest(ip, { action: 'chunk', upload, offset: received }, { notes: chunk });
+            const ackReceived = parseInt(res.data?.received);
+            // 409: el firmware tiene otra posición (trozo perdido o repetido)
+            if ((res.ok || res.status === 409) && !isNaN(ackReceived)) {
+                received = Math.max(0, Math.min(notes.length, ackReceived));
+                acked = true;
+            } else if (res.status === 404 || isMelodyUploadStopped(res)) {
+                return false;  // La subida caducó en el firmware o se paró el robot
+            } else {
+                console.warn(`Trozo ${received} de la melodia sin respuesta (intento ${attempt + 1}):`, res.error);
+            }
+        }
+        if (!acked) return false;
+        if (onProgress) onProgress(received, notes.length);
+    }
+
+    if (isSafetyLatched()) return false;
+    const commit = await melodyUploadRequest(ip, { action: 'commit', upload });
+    return commit.ok && (!commit.data?.crc || commit.data.crc === crc);
+}
+
+/**
+ * Comprobar con melody?action=get que el robot guardó exactamente la melodía
+ */
+async function verifyMelodyOnESP32(ip, slot, crc) {
+    const res = await transportRequest('melody', { action: 'get', slot }, {
+        ip: ip,
+        json: true,
+        timeout: MELODY_UPLOAD_TIMEOUT
+    });
+    if (!res.ok) console.error('Error verificando melodia en el ESP32:', res.error);
+    return res.ok && Array.isArray(res.data?.notes) && melodyChecksum(res.data.notes) === crc;
+}
+
+/**
+ * Enviar melodía al ESP32. Usa la subida por POST en trozos y la verifica
+ * con el checksum; con firmware antiguo vuelve al GET de siempre:
+ *   GET /melody?action=save&slot=16&name=MiMelodia&data=523,100;659,80;...
+ * Un fallo a mitad se reanuda en el siguiente intento. Todo va por la capa
+ * de transporte, así que la parada de emergencia corta también la subida.
+ * @param {Function} onProgress - (enviadas, total) durante la subida
+ * @returns {Promise<boolean>}
+ */
+async function sendMelodyToESP32(slot, name, notes, onProgress) {
+    const ip = window.state.espIP;
+    const crc = melodyChecksum(notes);
+    if (isSafetyLatched()) return false;
+    try {
+        let ok = await uploadMelodyChunked(ip, slot, name, notes, crc, onProgress);
+        if (ok === null) {
+            const res = await transportRequest('melody', {
+                action: 'save', slot, name, data: encodeMelodyData(notes)
+            }, { ip: ip, timeout: 10000 });
+            ok = res.ok;
+            if (ok && onProgress) onProgress(notes.length, notes.length);
+        }
+        if (ok) ok = await verifyMelodyOnESP32(ip, slot, crc);
+        if (ok && typeof window.refreshRobotMelodies === 'function') {
+            window.refreshRobotMelodies(ip);
+        }
+        return ok;
     } catch (err) {
         console.error('Error enviando melodia al ESP32:', err);
         return false;
@@ -1155,8 +1767,16 @@ async function sendMelodyToESP32BySlot(slot) {
         return;
     }
 
+    const sendBtn = document.querySelector(`.melody-send-btn[data-send-song="${slot}"]`);
+    if (sendBtn) {
+        sendBtn.disabled = true;
+        sendBtn.textContent = 'Enviando...';
+    }
+
     try {
-        const success = await sendMelodyToESP32(slot, melody.name, melody.notes);
+        const success = await sendMelodyToESP32(slot, melody.name, melody.notes, (sent, total) => {
+            if (sendBtn) sendBtn.textContent = `Enviando ${Math.round(sent / total * 100)}%`;
+        });
         if (success) {
             melody.sentToEsp = true;
             saveCustomMelodiesToStorage();
@@ -1165,12 +1785,18 @@ async function sendMelodyToESP32BySlot(slot) {
             }
             alert('Melodia enviada al robot correctamente.');
         } else {
-            alert('Error al enviar la melodia al robot.');
+            alert('Error al enviar la melodia al robot. Al reintentar se continuara donde se quedo.');
         }
     } catch (err) {
         console.error('Error al enviar:', err);
         alert('Error al enviar la melodia al robot.');
     }
+
+    // Si la tarjeta no se ha vuelto a pintar, dejar el botón listo para reintentar
+    if (sendBtn && sendBtn.isConnected) {
+        sendBtn.disabled = false;
+        sendBtn.textContent = 'Enviar al robot';
+    }
 }
 
 /**
@@ -1185,6 +1811,9 @@ async function deleteCustomMelody(slot) {
             await fetch(`http://${window.state.espIP}/melody?action=delete&slot=${slot}`, {
                 signal: AbortSignal.timeout(5000)
             });
+            if (typeof window.refreshRobotMelodies === 'function') {
+                window.refreshRobotMelodies(window.state.espIP);
+            }
         } catch (err) {
             console.error('Error eliminando del ESP32:', err);
         }
@@ -1200,7 +1829,7 @@ async function deleteCustomMelody(slot) {
         delete window.soundMelodies[slot];
     }
 
-    // Actualizar localStorage
+    // Actualizar el almacenamiento
     saveCustomMelodiesToStorage();
 
     // Re-renderizar
@@ -1240,7 +1869,9 @@ function editCustomMelody(slot) {
         pitch: 0,
         isEdited: false,
         loop: false,
-        editingSlot: slot
+        editingSlot: slot,
+        sourceNotes: [],
+        unfittedNotes: []
     };
 
     // Abrir el modal
@@ -1273,10 +1904,10 @@ function editCustomMelody(slot) {
     updateEditControls();
 }
 
-/* ================== LOCAL STORAGE ================== */
+/* ================== ALMACENAMIENTO ================== */
 
 /**
- * Guardar melodías personalizadas en localStorage
+ * Guardar melodías personalizadas
  */
 function saveCustomMelodiesToStorage() {
     try {
@@ -1289,20 +1920,19 @@ function saveCustomMelodiesToStorage() {
                 sentToEsp: melody.sentToEsp || false
             };
         }
-        localStorage.setItem('ottoCustomMelodies', JSON.stringify(data));
+        storageSet('melodies', data);
     } catch (e) {
-        console.error('Error guardando en localStorage:', e);
+        console.error('Error guardando melodías:', e);
     }
 }
 
 /**
- * Cargar melodías personalizadas desde localStorage
+ * Cargar melodías personalizadas guardadas
  */
 function loadCustomMelodiesFromStorage() {
     try {
-        const stored = localStorage.getItem('ottoCustomMelodies');
-        if (stored) {
-            const data = JSON.parse(stored);
+        const data = storageGet('melodies', null);
+        if (data) {
             if (!window.state.customMelodies) window.state.customMelodies = {};
             for (const [key, melody] of Object.entries(data)) {
                 const slot = parseInt(key);
@@ -1318,7 +1948,7 @@ function loadCustomMelodiesFromStorage() {
             }
         }
     } catch (e) {
-        console.error('Error cargando desde localStorage:', e);
+        console.error('Error cargando melodías:', e);
     }
 }
 
@@ -1376,6 +2006,26 @@ async function syncCustomMelodiesFromESP32() {
 /* ================== INIT EVENT LISTENERS ================== */
 
 function initMidiImport() {
+    // Opciones de reducción guardadas
+    Object.assign(midiReductionOptions, storageGet('midiReduction', {}), { startSec: 0, endSec: 0 });
+    updateMidiReductionControls();
+    ['midiReductionStrategy', 'midiReductionArpeggio', 'midiReductionStart', 'midiReductionEnd',
+        'midiReductionRests', 'midiReductionFit', 'midiReductionTranspose', 'midiReductionDiff']
+        .forEach(id => document.getElementById(id)?.addEventListener('change', function(e) {
+            e.stopPropagation();
+            onMidiReductionChange();
+        }));
+
+    // Escuchar pasaje original / ajustado
+    document.getElementById('midiFitPlayBefore')?.addEventListener('click', function(e) {
+        e.stopPropagation();
+        auditionMidiNotes(midiImportState.unfittedNotes, this);
+    });
+    document.getElementById('midiFitPlayAfter')?.addEventListener('click', function(e) {
+        e.stopPropagation();
+        auditionMidiNotes(midiImportState.fileNotes, this);
+    });
+
     // Botón importar
     const importBtn = document.getElementById('midiImportBtn');
     if (importBtn) {
@@ -1472,6 +2122,18 @@ function initMidiImport() {
         saveMidiMelody();
     });
 
+    // Pasar las notas al piano roll para editarlas una a una
+    const pianoRollBtn = document.getElementById('midiPianoRollBtn');
+    if (pianoRollBtn) pianoRollBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        if (typeof window.openPianoRoll !== 'function' || midiImportState.editedNotes.length === 0) return;
+        const name = document.getElementById('midiMelodyName')?.value || midiImportState.midiName;
+        const slot = midiImportState.editingSlot;
+        const notes = [...midiImportState.editedNotes];
+        closeMidiImportModal();
+        window.openPianoRoll(slot, notes, name);
+    });
+
     // Guardar solo local
     const saveLocalBtn = document.getElementById('midiSaveLocalBtn');
     if (saveLocalBtn) saveLocalBtn.addEventListener('click', function(e) {
@@ -1613,8 +2275,10 @@ function initMidiImport() {
         });
     }
 
-    // Cargar melodías guardadas
+    // Cargar melodías guardadas (y mostrar las que estaban seleccionadas)
     loadCustomMelodiesFromStorage();
+    if (typeof window.renderCustomMelodyCards === 'function') window.renderCustomMelodyCards();
+    if (typeof window.updateQuickSounds === 'function') window.updateQuickSounds();
 
     // Resize handler para waveform
     window.addEventListener('resize', function() {
@@ -1648,3 +2312,8 @@ window.updatePreviewTime = updatePreviewTime;
 window.renderWaveform = renderWaveform;
 window.saveMidiMelodyLocal = saveMidiMelodyLocal;
 window.sendMelodyToESP32BySlot = sendMelodyToESP32BySlot;
+window.loadMelodyIntoEditor = loadMelodyIntoEditor;
+window.storeCustomMelody = storeCustomMelody;
+window.findNextSlot = findNextSlot;
+window.convertToMonophonic = convertToMonophonic;
+window.fitMelodyToLimit = fitMelodyToLimit;
@@ -0,0 +1,903 @@
+/**
+ * PIANO ROLL MODULE - Otto Ninja Controller
+ * Editor de notas para componer melodías desde cero o corregir las
+ * importadas: rejilla con tempo, mover/alargar notas, silencios,
+ * copiar/pegar y deshacer. Trabaja sobre el formato [freq, dur] y guarda
+ * en los slots personalizados con el mismo flujo que el importador MIDI.
+ */
+
+const PIANO_ROLL_LOW_NOTE = 36;       // C2 (65 Hz)
+const PIANO_ROLL_HIGH_NOTE = 108;     // C8 (4186 Hz)
+const PIANO_ROLL_ROW_HEIGHT = 12;
+const PIANO_ROLL_KEYS_WIDTH = 40;
+const PIANO_ROLL_RULER_HEIGHT = 18;
+const PIANO_ROLL_RESIZE_EDGE = 6;     // px desde el borde derecho de la nota
+const PIANO_ROLL_MIN_DUR = 10;        // ms, con la rejilla desactivada
+const PIANO_ROLL_MAX_UNDO = 100;
+const PIANO_ROLL_MIN_BPM = 25;
+const PIANO_ROLL_MAX_BPM = 900;
+const PIANO_ROLL_ZOOM_LEVELS = [0.05, 0.1, 0.2, 0.4, 0.8];   // px por ms
+const PIANO_ROLL_NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Estado del editor
+const pianoRollState = {
+    notes: [],             // {id, start, dur, midi, freq}, tiempos en ms
+    selected: new Set(),   // ids de notas seleccionadas
+    nextId: 1,
+    slot: null,            // Slot en edición (null = melodía nueva)
+    bpm: 120,
+    division: 4,           // Divisiones de la rejilla por pulso (4 = 1/16)
+    snap: true,
+    zoom: 2,               // Índice en PIANO_ROLL_ZOOM_LEVELS
+    cursor: 0,             // Punto de inserción para silencios y pegar (ms)
+    noteDur: 500,          // Duración de las notas nuevas (ms)
+    clipboard: null,       // {notes: [{offset, dur, midi, freq}], span}
+    undo: [],
+    redo: [],
+    drag: null,
+    dirty: false,
+    playId: 0,
+    playhead: null         // Posición de reproducción (ms) o null
+};
+
+/* ================== CONVERSIÓN ================== */
+
+function pianoRollGridMs() {
+    return 60000 / pianoRollState.bpm / pianoRollState.division;
+}
+
+function snapPianoRollTime(ms, mode = Math.round) {
+    if (!pianoRollState.snap) return Math.round(ms);
+    const grid = pianoRollGridMs();
+    return mode(ms / grid) * grid;
+}
+
+function pianoRollMinDur() {
+    return pianoRollState.snap ? pianoRollGridMs() : PIANO_ROLL_MIN_DUR;
+}
+
+function clampPianoRollNote(midi) {
+    return Math.min(PIANO_ROLL_HIGH_NOTE, Math.max(PIANO_ROLL_LOW_NOTE, midi));
+}
+
+function pianoRollNoteName(midi) {
+    return PIANO_ROLL_NOTE_NAMES[midi % 12] + (Math.floor(midi / 12) - 1);
+}
+
+/**
+ * Cargar notas [freq, dur]: los silencios pasan a ser huecos entre notas
+ */
+function loadPianoRollNotes(notes) {
+    pianoRollState.notes = [];
+    let time = 0;
+    (notes || []).forEach(([freq, dur]) => {
+        if (freq > 0 && dur > 0) {
+            const exact = Math.round(69 + 12 * Math.log2(freq / 440));
+            const midi = clampPianoRollNote(exact);
+            pianoRollState.notes.push({
+                id: pianoRollState.nextId++,
+                start: time,
+                dur,
+                midi,
+                // Se conserva la frecuencia original mientras no se cambie de tono
+                freq: exact === midi ? freq : midiNoteToFreq(midi)
+            });
+        }
+        time += dur;
+    });
+}
+
+/**
+ * Convertir el piano roll a [freq, dur]. Es monofónico: una nota que se
+ * solapa con la siguiente se corta donde empieza esta. Los huecos se
+ * exportan como silencios [0, dur]; el silencio final se descarta.
+ * @returns {Array<[number, number]>}
+ */
+function pianoRollToMelody() {
+    const sorted = [...pianoRollState.notes].sort((a, b) => a.start - b.start || a.midi - b.midi);
+    const melody = [];
+    let time = 0;
+
+    sorted.forEach((note, i) => {
+        const next = sorted[i + 1];
+        const end = Math.round(next ? Math.min(note.start + note.dur, next.start) : note.start + note.dur);
+        const start = Math.round(note.start);
+        if (end <= start) return;
+        if (start > time) melody.push([0, start - time]);
+        melody.push([note.freq, end - Math.max(start, time)]);
+        time = end;
+    });
+    return melody;
+}
+
+function countPianoRollOverlaps() {
+    const sorted = [...pianoRollState.notes].sort((a, b) => a.start - b.start);
+    let count = 0;
+    for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i].start < sorted[i - 1].start + sorted[i - 1].dur - 0.5) count++;
+    }
+    return count;
+}
+
+/* ================== DESHACER ================== */
+
+function snapshotPianoRoll() {
+    return { notes: pianoRollState.notes.map(n => ({ ...n })), bpm: pianoRollState.bpm };
+}
+
+function restorePianoRoll(snapshot) {
+    pianoRollState.notes = snapshot.notes;
+    pianoRollState.bpm = snapshot.bpm;
+    const ids = new Set(snapshot.notes.map(n => n.id));
+    pianoRollState.selected = new Set([...pianoRollState.selected].filter(id => ids.has(id)));
+    const bpmInput = document.getElementById('pianoRollBpm');
+    if (bpmInput) bpmInput.value = pianoRollState.bpm;
+}
+
+/**
+ * Aplicar un cambio con deshacer. Se revierte si la melodía resultante
+ * supera MAX_NOTES_PER_MELODY (notas + silencios).
+ * @param {Function} mutate - Modifica pianoRollState
+ * @param {Object} before - Estado previo (por defecto, el actual)
+ * @returns {boolean} true si el cambio se aplicó
+ */
+function changePianoRoll(mutate, before = snapshotPianoRoll()) {
+    mutate();
+
+    const count = pianoRollToMelody().length;
+    if (count > MAX_NOTES_PER_MELODY) {
+        restorePianoRoll(before);
+        setPianoRollStatus(`Máximo ${MAX_NOTES_PER_MELODY} notas y silencios por melodía (serían ${count})`, true);
+        renderPianoRoll();
+        return false;
+    }
+
+    pianoRollState.undo.push(before);
+    if (pianoRollState.undo.length > PIANO_ROLL_MAX_UNDO) pianoRollState.undo.shift();
+    pianoRollState.redo = [];
+    pianoRollState.dirty = true;
+    setPianoRollStatus('');
+    renderPianoRoll();
+    return true;
+}
+
+function undoPianoRoll() {
+    const previous = pianoRollState.undo.pop();
+    if (!previous) return;
+    pianoRollState.redo.push(snapshotPianoRoll());
+    restorePianoRoll(previous);
+    pianoRollState.dirty = true;
+    renderPianoRoll();
+}
+
+function redoPianoRoll() {
+    const next = pianoRollState.redo.pop();
+    if (!next) return;
+    pianoRollState.undo.push(snapshotPianoRoll());
+    restorePianoRoll(next);
+    pianoRollState.dirty = true;
+    renderPianoRoll();
+}
+
+/* ================== EDICIÓN ================== */
+
+function getSelectedPianoRollNotes() {
+    return pianoRollState.notes.filter(n => pianoRollState.selected.has(n.id));
+}
+
+function auditionPianoRollNote(freq) {
+    if (typeof window.playTone === 'function') window.playTone(freq, 150);
+}
+
+function addPianoRollNote(start, midi) {
+    const note = {
+        id: pianoRollState.nextId++,
+        start: Math.max(0, start),
+        dur: Math.max(pianoRollMinDur(), pianoRollState.noteDur),
+        midi,
+        freq: midiNoteToFreq(midi)
+    };
+    const added = changePianoRoll(() => {
+        pianoRollState.notes.push(note);
+        pianoRollState.selected = new Set([note.id]);
+    });
+    if (added) auditionPianoRollNote(note.freq);
+}
+
+function deleteSelectedPianoRollNotes() {
+    if (pianoRollState.selected.size === 0) return;
+    changePianoRoll(() => {
+        pianoRollState.notes = pianoRollState.notes.filter(n => !pianoRollState.selected.has(n.id));
+        pianoRollState.selected.clear();
+    });
+}
+
+function transposeSelectedPianoRollNotes(semitones) {
+    const notes = getSelectedPianoRollNotes();
+    if (notes.length === 0) return;
+    if (notes.some(n => clampPianoRollNote(n.midi + semitones) !== n.midi + semitones)) return;
+    changePianoRoll(() => notes.forEach(n => {
+        n.midi += semitones;
+        n.freq = midiNoteToFreq(n.midi);
+    }));
+    if (notes.length === 1) auditionPianoRollNote(notes[0].freq);
+}
+
+function shiftSelectedPianoRollNotes(ms) {
+    const notes = getSelectedPianoRollNotes();
+    if (notes.length === 0 || Math.min(...notes.map(n => n.start)) + ms < 0) return;
+    changePianoRoll(() => notes.forEach(n => { n.start += ms; }));
+}
+
+/**
+ * Insertar un silencio de una celda en el punto de inserción
+ * (desplaza las notas posteriores)
+ */
+function insertPianoRollRest() {
+    const at = pianoRollState.cursor;
+    const length = pianoRollState.snap ? pianoRollGridMs() : pianoRollState.noteDur;
+    changePianoRoll(() => {
+        pianoRollState.notes.forEach(n => { if (n.start >= at) n.start += length; });
+        pianoRollState.cursor = at + length;
+    });
+}
+
+function copyPianoRollSelection(cut = false) {
+    const notes = getSelectedPianoRollNotes().sort((a, b) => a.start - b.start);
+    if (notes.length === 0) {
+        setPianoRollStatus('Selecciona notas para copiar');
+        return;
+    }
+    const base = notes[0].start;
+    const span = Math.max(...notes.map(n => n.start + n.dur)) - base;
+    pianoRollState.clipboard = {
+        notes: notes.map(n => ({ offset: n.start - base, dur: n.dur, midi: n.midi, freq: n.freq })),
+        span
+    };
+
+    if (cut) {
+        deleteSelectedPianoRollNotes();
+        pianoRollState.cursor = base;
+    } else {
+        // Pegar justo después duplica la selección
+        pianoRollState.cursor = base + span;
+    }
+    setPianoRollStatus(`${notes.length} nota(s) ${cut ? 'cortadas' : 'copiadas'}`);
+    renderPianoRoll();
+}
+
+/**
+ * Pegar en el punto de inserción, desplazando las notas posteriores
+ */
+function pastePianoRollClipboard() {
+    const clipboard = pianoRollState.clipboard;
+    if (!clipboard) return;
+    const at = pianoRollState.cursor;
+    changePianoRoll(() => {
+        pianoRollState.notes.forEach(n => { if (n.start >= at) n.start += clipboard.span; });
+        const pasted = clipboard.notes.map(n => ({
+            id: pianoRollState.nextId++,
+            start: at + n.offset,
+            dur: n.dur,
+            midi: n.midi,
+            freq: n.freq
+        }));
+        pianoRollState.notes.push(...pasted);
+        pianoRollState.selected = new Set(pasted.map(n => n.id));
+        pianoRollState.cursor = at + clipboard.span;
+    });
+}
+
+/**
+ * Cambiar el tempo reescala todas las notas (la melodía va más rápida o lenta)
+ */
+function setPianoRollTempo(bpm) {
+    bpm = Math.min(PIANO_ROLL_MAX_BPM, Math.max(PIANO_ROLL_MIN_BPM, Math.round(bpm) || 120));
+    if (bpm === pianoRollState.bpm) return;
+    const factor = pianoRollState.bpm / bpm;
+    changePianoRoll(() => {
+        pianoRollState.notes.forEach(n => {
+            n.start *= factor;
+            n.dur *= factor;
+        });
+        pianoRollState.cursor *= factor;
+        pianoRollState.noteDur *= factor;
+        pianoRollState.bpm = bpm;
+    });
+    const bpmInput = document.getElementById('pianoRollBpm');
+    if (bpmInput) bpmInput.value = pianoRollState.bpm;
+}
+
+/* ================== RATÓN ================== */
+
+/**
+ * Posición del puntero en el piano roll
+ * @returns {{x, y, ms, midi, inKeys, inRuler}|null} null sobre las barras de scroll
+ */
+function getPianoRollPointer(e) {
+    const scroll = document.getElementById('pianoRollScroll');
+    const rect = scroll.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+    if (x > scroll.clientWidth || y > scroll.clientHeight) return null;
+
+    const pxPerMs = PIANO_ROLL_ZOOM_LEVELS[pianoRollState.zoom];
+    const row = Math.floor((y + scroll.scrollTop - PIANO_ROLL_RULER_HEIGHT) / PIANO_ROLL_ROW_HEIGHT);
+    return {
+        x,
+        y,
+        ms: (x + scroll.scrollLeft - PIANO_ROLL_KEYS_WIDTH) / pxPerMs,
+        midi: clampPianoRollNote(PIANO_ROLL_HIGH_NOTE - row),
+        inKeys: x < PIANO_ROLL_KEYS_WIDTH,
+        inRuler: y < PIANO_ROLL_RULER_HEIGHT
+    };
+}
+
+/**
+ * Nota bajo el puntero y si se está sobre su borde derecho
+ */
+function hitPianoRollNote(pos) {
+    const pxPerMs = PIANO_ROLL_ZOOM_LEVELS[pianoRollState.zoom];
+    for (let i = pianoRollState.notes.length - 1; i >= 0; i--) {
+        const note = pianoRollState.notes[i];
+        if (note.midi !== pos.midi || pos.ms < note.start || pos.ms > note.start + note.dur) continue;
+        return { note, resize: (note.start + note.dur - pos.ms) * pxPerMs <= PIANO_ROLL_RESIZE_EDGE };
+    }
+    return null;
+}
+
+function onPianoRollPointerDown(e) {
+    if (e.button !== 0) return;
+    const pos = getPianoRollPointer(e);
+    if (!pos) return;
+
+    if (pos.inRuler) {
+        pianoRollState.cursor = Math.max(0, snapPianoRollTime(pos.ms));
+        renderPianoRoll();
+        return;
+    }
+    if (pos.inKeys) {
+        auditionPianoRollNote(midiNoteToFreq(pos.midi));
+        return;
+    }
+
+    const hit = hitPianoRollNote(pos);
+    if (!hit) {
+        if (e.shiftKey) return;
+        // Arrastrar en vacío desplaza la vista (táctil); un clic añade una nota
+        const scroll = e.currentTarget;
+        pianoRollState.drag = {
+            mode: 'pan',
+            pos,
+            clientX: e.clientX,
+            clientY: e.clientY,
+            scrollLeft: scroll.scrollLeft,
+            scrollTop: scroll.scrollTop,
+            moved: false
+        };
+        scroll.setPointerCapture(e.pointerId);
+        return;
+    }
+
+    if (e.shiftKey) {
+        if (pianoRollState.selected.has(hit.note.id)) pianoRollState.selected.delete(hit.note.id);
+        else pianoRollState.selected.add(hit.note.id);
+        renderPianoRoll();
+        return;
+    }
+
+    if (!pianoRollState.selected.has(hit.note.id)) pianoRollState.selected = new Set([hit.note.id]);
+    const originals = new Map(getSelectedPianoRollNotes().map(n => [n.id, { ...n }]));
+    pianoRollState.drag = {
+        mode: hit.resize ? 'resize' : 'move',
+        id: hit.note.id,
+        originMs: pos.ms,
+        originMidi: pos.midi,
+        before: snapshotPianoRoll(),
+        originals,
+        lastShift: 0,
+        moved: false
+    };
+    e.currentTarget.setPointerCapture(e.pointerId);
+    renderPianoRoll();
+}
+
+function onPianoRollPointerMove(e) {
+    const scroll = e.currentTarget;
+    const pos = getPianoRollPointer(e);
+    const drag = pianoRollState.drag;
+
+    if (!drag) {
+        const hit = pos && !pos.inKeys && !pos.inRuler ? hitPianoRollNote(pos) : null;
+        scroll.style.cursor = hit ? (hit.resize ? 'ew-resize' : 'grab') : '';
+        return;
+    }
+    if (drag.mode === 'pan') {
+        const dx = e.clientX - drag.clientX;
+        const dy = e.clientY - drag.clientY;
+        if (!drag.moved && Math.hypot(dx, dy) < 5) return;
+        drag.moved = true;
+        scroll.scrollLeft = drag.scrollLeft - dx;
+        scroll.scrollTop = drag.scrollTop - dy;
+        return;
+    }
+    if (!pos) return;
+
+    const deltaMs = pos.ms - drag.originMs;
+    const note = pianoRollState.notes.find(n => n.id === drag.id);
+    const origin = drag.originals.get(drag.id);
+    if (!note || !origin) return;
+
+    if (drag.mode === 'resize') {
+        const end = snapPianoRollTime(origin.start + origin.dur + deltaMs);
+        note.dur = Math.max(pianoRollMinDur(), end - origin.start);
+    } else {
+        const originals = [...drag.originals.values()];
+        const minStart = Math.min(...originals.map(n => n.start));
+        const timeShift = Math.max(-minStart, snapPianoRollTime(origin.start + deltaMs) - origin.start);
+
+        // Todas las notas seleccionadas tienen que quedar dentro del teclado
+        const lowest = Math.min(...originals.map(n => n.midi));
+        const highest = Math.max(...originals.map(n => n.midi));
+        const pitchShift = Math.min(PIANO_ROLL_HIGH_NOTE - highest,
+            Math.max(PIANO_ROLL_LOW_NOTE - lowest, pos.midi - drag.originMidi));
+
+        drag.originals.forEach((o, id) => {
+            const n = pianoRollState.notes.find(item => item.id === id);
+            if (!n) return;
+            n.start = o.start + timeShift;
+            n.midi = o.midi + pitchShift;
+            n.freq = pitchShift === 0 ? o.freq : midiNoteToFreq(n.midi);
+        });
+        if (pitchShift !== drag.lastShift) {
+            drag.lastShift = pitchShift;
+            auditionPianoRollNote(note.freq);
+        }
+    }
+    drag.moved = true;
+    renderPianoRoll();
+}
+
+function onPianoRollPointerUp() {
+    const drag = pianoRollState.drag;
+    if (!drag) return;
+    pianoRollState.drag = null;
+    if (drag.mode === 'pan') {
+        if (!drag.moved) addPianoRollNote(snapPianoRollTime(drag.pos.ms, Math.floor), drag.pos.midi);
+        return;
+    }
+    if (!drag.moved) return;
+
+    if (drag.mode === 'resize') {
+        const note = pianoRollState.notes.find(n => n.id === drag.id);
+        if (note) pianoRollState.noteDur = note.dur;
+    }
+    changePianoRoll(() => {}, drag.before);
+}
+
+function onPianoRollDoubleClick(e) {
+    const pos = getPianoRollPointer(e);
+    if (!pos || pos.inKeys || pos.inRuler) return;
+    const hit = hitPianoRollNote(pos);
+    if (!hit) return;
+    pianoRollState.selected = new Set([hit.note.id]);
+    deleteSelectedPianoRollNotes();
+}
+
+/* ================== TECLADO ================== */
+
+function onPianoRollKeyDown(e) {
+    const tag = e.target.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+
+    // La parada de emergencia siempre llega a keyboard.js
+    if (typeof window.isStopKey === 'function' && window.isStopKey(e.code)) {
+        if (pianoRollState.playhead !== null) stopPianoRoll();
+        return;
+    }
+
+    const mod = e.ctrlKey || e.metaKey;
+    const key = e.key.toLowerCase();
+    let handled = true;
+
+    if (mod && key === 'z' && !e.shiftKey) undoPianoRoll();
+    else if (mod && (key === 'y' || (key === 'z' && e.shiftKey))) redoPianoRoll();
+    else if (mod && key === 'c') copyPianoRollSelection();
+    else if (mod && key === 'x') copyPianoRollSelection(true);
+    else if (mod && key === 'v') pastePianoRollClipboard();
+    else if (mod && key === 'a') {
+        pianoRollState.selected = new Set(pianoRollState.notes.map(n => n.id));
+        renderPianoRoll();
+    }
+    else if (key === 'delete' || key === 'backspace') deleteSelectedPianoRollNotes();
+    else if (key === 'arrowup') transposeSelectedPianoRollNotes(e.shiftKey ? 12 : 1);
+    else if (key === 'arrowdown') transposeSelectedPianoRollNotes(e.shiftKey ? -12 : -1);
+    else if (key === 'arrowleft') shiftSelectedPianoRollNotes(-pianoRollGridMs());
+    else if (key === 'arrowright') shiftSelectedPianoRollNotes(pianoRollGridMs());
+    else if (key === 'p' && !mod) playPianoRoll();
+    else if (key === 'escape') closePianoRoll();
+    else handled = false;
+
+    if (handled) {
+        e.preventDefault();
+        // Que no lleguen a los atajos de conducción (keyboard.js)
+        e.stopPropagation();
+    }
+}
+
+/* ================== DIBUJO ================== */
+
+function setPianoRollStatus(message, isError = false) {
+    const status = document.getElementById('pianoRollStatus');
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+function renderPianoRoll() {
+    const canvas = document.getElementById('pianoRollCanvas');
+    const scroll = document.getElementById('pianoRollScroll');
+    const spacer = document.getElementById('pianoRollSpacer');
+    if (!canvas || !scroll || !spacer) return;
+
+    const pxPerMs = PIANO_ROLL_ZOOM_LEVELS[pianoRollState.zoom];
+    const beatMs = 60000 / pianoRollState.bpm;
+    const gridMs = pianoRollGridMs();
+    const endMs = Math.max(0, ...pianoRollState.notes.map(n => n.start + n.dur));
+    const contentMs = Math.max(endMs, pianoRollState.cursor) + beatMs * 8;
+    const rows = PIANO_ROLL_HIGH_NOTE - PIANO_ROLL_LOW_NOTE + 1;
+    spacer.style.width = (PIANO_ROLL_KEYS_WIDTH + contentMs * pxPerMs) + 'px';
+    spacer.style.height = (PIANO_ROLL_RULER_HEIGHT + rows * PIANO_ROLL_ROW_HEIGHT) + 'px';
+
+    // Resolución real del canvas según su tamaño en pantalla
+    const ratio = window.devicePixelRatio || 1;
+    const width = scroll.clientWidth;
+    const height = scroll.clientHeight;
+    if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+        canvas.style.width = width + 'px';
+        canvas.style.height = height + 'px';
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    const scrollX = scroll.scrollLeft;
+    const scrollY = scroll.scrollTop;
+    const toX = ms => PIANO_ROLL_KEYS_WIDTH + ms * pxPerMs - scrollX;
+    const toY = midi => PIANO_ROLL_RULER_HEIGHT + (PIANO_ROLL_HIGH_NOTE - midi) * PIANO_ROLL_ROW_HEIGHT - scrollY;
+    const isBlack = midi => [1, 3, 6, 8, 10].includes(midi % 12);
+
+    // Filas
+    ctx.fillStyle = '#1a1a2e';
+    ctx.fillRect(0, 0, width, height);
+    for (let midi = PIANO_ROLL_HIGH_NOTE; midi >= PIANO_ROLL_LOW_NOTE; midi--) {
+        const y = toY(midi);
+        if (y > height || y + PIANO_ROLL_ROW_HEIGHT < PIANO_ROLL_RULER_HEIGHT) continue;
+        if (isBlack(midi)) {
+            ctx.fillStyle = '#151526';
+            ctx.fillRect(PIANO_ROLL_KEYS_WIDTH, y, width, PIANO_ROLL_ROW_HEIGHT);
+        }
+        if (midi % 12 === 0) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.12)';
+            ctx.fillRect(PIANO_ROLL_KEYS_WIDTH, y + PIANO_ROLL_ROW_HEIGHT - 1, width, 1);
+        }
+    }
+
+    // Rejilla: celdas, pulsos y compases (4/4)
+    const firstCell = Math.max(0, Math.floor(scrollX / pxPerMs / gridMs));
+    for (let cell = firstCell; ; cell++) {
+        const x = toX(cell * gridMs);
+        if (x > width) break;
+        if (x < PIANO_ROLL_KEYS_WIDTH) continue;
+        const isBar = cell % (pianoRollState.division * 4) === 0;
+        const isBeat = cell % pianoRollState.division === 0;
+        if (!isBeat && gridMs * pxPerMs < 4) continue;
+        ctx.fillStyle = isBar ? 'rgba(255, 255, 255, 0.25)' : isBeat ? 'rgba(255, 255, 255, 0.12)' : 'rgba(255, 255, 255, 0.05)';
+        ctx.fillRect(Math.round(x), PIANO_ROLL_RULER_HEIGHT, 1, height);
+    }
+
+    // Notas
+    pianoRollState.notes.forEach(note => {
+        const x = toX(note.start);
+        const w = Math.max(2, note.dur * pxPerMs);
+        const y = toY(note.midi);
+        if (x > width || x + w < PIANO_ROLL_KEYS_WIDTH || y > height || y + PIANO_ROLL_ROW_HEIGHT < PIANO_ROLL_RULER_HEIGHT) return;
+        const selected = pianoRollState.selected.has(note.id);
+        ctx.fillStyle = selected ? '#FF9500' : '#007AFF';
+        ctx.fillRect(x, y + 1, w, PIANO_ROLL_ROW_HEIGHT - 2);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.fillRect(x + w - 2, y + 1, 2, PIANO_ROLL_ROW_HEIGHT - 2);
+    });
+
+    // Punto de inserción y cabezal de reproducción
+    const cursorX = toX(pianoRollState.cursor);
+    ctx.fillStyle = '#34C759';
+    ctx.fillRect(Math.round(cursorX), PIANO_ROLL_RULER_HEIGHT, 1, height);
+    if (pianoRollState.playhead !== null) {
+        ctx.fillStyle = '#FF3B30';
+        ctx.fillRect(Math.round(toX(pianoRollState.playhead)), 0, 2, height);
+    }
+
+    // Regla con números de compás (fija arriba)
+    ctx.fillStyle = '#24243a';
+    ctx.fillRect(0, 0, width, PIANO_ROLL_RULER_HEIGHT);
+    ctx.font = '10px -apple-system, sans-serif';
+    ctx.textBaseline = 'middle';
+    const barMs = beatMs * 4;
+    for (let bar = Math.max(0, Math.floor(scrollX / pxPerMs / barMs)); ; bar++) {
+        const x = toX(bar * barMs);
+        if (x > width) break;
+        if (x < PIANO_ROLL_KEYS_WIDTH) continue;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.fillText(String(bar + 1), x + 3, PIANO_ROLL_RULER_HEIGHT / 2);
+    }
+    if (cursorX >= PIANO_ROLL_KEYS_WIDTH) {
+        ctx.fillStyle = '#34C759';
+        ctx.beginPath();
+        ctx.moveTo(cursorX - 5, 0);
+        ctx.lineTo(cursorX + 5, 0);
+        ctx.lineTo(cursorX, 8);
+        ctx.fill();
+    }
+
+    // Teclado (fijo a la izquierda)
+    for (let midi = PIANO_ROLL_HIGH_NOTE; midi >= PIANO_ROLL_LOW_NOTE; midi--) {
+        const y = toY(midi);
+        if (y > height || y + PIANO_ROLL_ROW_HEIGHT < PIANO_ROLL_RULER_HEIGHT) continue;
+        ctx.fillStyle = isBlack(midi) ? '#2c2c2e' : '#e5e5ea';
+        ctx.fillRect(0, y, PIANO_ROLL_KEYS_WIDTH, PIANO_ROLL_ROW_HEIGHT);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+        ctx.fillRect(0, y + PIANO_ROLL_ROW_HEIGHT - 1, PIANO_ROLL_KEYS_WIDTH, 1);
+        if (midi % 12 === 0) {
+            ctx.fillStyle = '#1c1c1e';
+            ctx.fillText(pianoRollNoteName(midi), 4, y + PIANO_ROLL_ROW_HEIGHT / 2);
+        }
+    }
+    ctx.fillStyle = '#24243a';
+    ctx.fillRect(0, 0, PIANO_ROLL_KEYS_WIDTH, PIANO_ROLL_RULER_HEIGHT);
+
+    updatePianoRollInfo();
+}
+
+function updatePianoRollInfo() {
+    const melody = pianoRollToMelody();
+    const count = document.getElementById('pianoRollNoteCount');
+    if (count) {
+        count.textContent = `${melody.length}/${MAX_NOTES_PER_MELODY}`;
+        count.parentElement.classList.toggle('full', melody.length >= MAX_NOTES_PER_MELODY);
+    }
+
+    const duration = document.getElementById('pianoRollDuration');
+    if (duration) duration.textContent = (melody.reduce((sum, [, dur]) => sum + dur, 0) / 1000).toFixed(1) + ' s';
+
+    const overlaps = document.getElementById('pianoRollOverlaps');
+    if (overlaps) {
+        const n = countPianoRollOverlaps();
+        overlaps.textContent = n > 0 ? `${n} solape(s): se recortará la nota anterior` : '';
+    }
+
+    const undoBtn = document.getElementById('pianoRollUndoBtn');
+    if (undoBtn) undoBtn.disabled = pianoRollState.undo.length === 0;
+    const redoBtn = document.getElementById('pianoRollRedoBtn');
+    if (redoBtn) redoBtn.disabled = pianoRollState.redo.length === 0;
+    const pasteBtn = document.getElementById('pianoRollPasteBtn');
+    if (pasteBtn) pasteBtn.disabled = !pianoRollState.clipboard;
+    const saveBtns = [document.getElementById('pianoRollSaveBtn'), document.getElementById('pianoRollSaveLocalBtn')];
+    saveBtns.forEach(btn => { if (btn) btn.disabled = melody.length === 0; });
+}
+
+/* ================== REPRODUCCIÓN ================== */
+
+async function playPianoRoll() {
+    if (pianoRollState.playhead !== null) {
+        stopPianoRoll();
+        return;
+    }
+    const melody = pianoRollToMelody();
+    if (melody.length === 0) return;
+
+    const playId = ++pianoRollState.playId;
+    const playBtn = document.getElementById('pianoRollPlayBtn');
+    if (playBtn) playBtn.textContent = '■ Parar';
+
+    let time = 0;
+    pianoRollState.playhead = 0;
+    for (const [freq, dur] of melody) {
+        if (playId !== pianoRollState.playId) return;
+        if (freq > 0 && typeof window.playTone === 'function') window.playTone(freq, dur);
+
+        const noteStart = Date.now();
+        while (Date.now() - noteStart < dur && playId === pianoRollState.playId) {
+            pianoRollState.playhead = time + Date.now() - noteStart;
+            renderPianoRoll();
+            await new Promise(r => setTimeout(r, 30));
+        }
+        time += dur;
+    }
+    if (playId === pianoRollState.playId) stopPianoRoll();
+}
+
+function stopPianoRoll() {
+    pianoRollState.playId++;
+    pianoRollState.playhead = null;
+    const playBtn = document.getElementById('pianoRollPlayBtn');
+    if (playBtn) playBtn.textContent = '▶ Reproducir';
+    renderPianoRoll();
+}
+
+/* ================== ABRIR / GUARDAR ================== */
+
+/**
+ * Abrir el piano roll
+ * @param {number|null} slot - Slot personalizado a editar (null = nueva)
+ * @param {Array<[number, number]>|null} notes - Notas iniciales (por defecto las del slot)
+ * @param {string} name - Nombre inicial
+ */
+function openPianoRoll(slot = null, notes = null, name = '') {
+    slot = slot === null || slot === undefined ? null : parseInt(slot);
+    const melody = slot !== null ? window.state?.customMelodies?.[slot] : null;
+    if (!melody && findNextSlot() === -1) {
+        alert('Limite alcanzado: maximo ' + MAX_CUSTOM_MELODIES + ' melodias personalizadas. Elimina una para agregar otra.');
+        return;
+    }
+
+    const source = (notes || melody?.notes || []).filter(n => Array.isArray(n) && n[1] > 0);
+    const bpm = source.length > 0 && typeof window.pickRtttlBpm === 'function' ? window.pickRtttlBpm(source) : 120;
+
+    pianoRollState.playId++;
+    pianoRollState.playhead = null;
+    pianoRollState.slot = melody ? slot : null;
+    pianoRollState.bpm = Math.min(PIANO_ROLL_MAX_BPM, Math.max(PIANO_ROLL_MIN_BPM, bpm));
+    pianoRollState.selected = new Set();
+    pianoRollState.cursor = 0;
+    pianoRollState.noteDur = 60000 / pianoRollState.bpm;
+    pianoRollState.undo = [];
+    pianoRollState.redo = [];
+    pianoRollState.drag = null;
+    pianoRollState.dirty = false;
+    loadPianoRollNotes(source);
+
+    const nameInput = document.getElementById('pianoRollName');
+    if (nameInput) nameInput.value = (name || melody?.name || '').substring(0, 20);
+    const bpmInput = document.getElementById('pianoRollBpm');
+    if (bpmInput) bpmInput.value = pianoRollState.bpm;
+    const title = document.getElementById('pianoRollTitle');
+    if (title) title.textContent = melody ? 'Editar notas' : 'Componer melodia';
+    setPianoRollStatus('');
+
+    const overlay = document.getElementById('pianoRollOverlay');
+    if (!overlay) return;
+    overlay.classList.add('active');
+    overlay.focus();
+
+    // Centrar la vista en las notas (o en C5)
+    const scroll = document.getElementById('pianoRollScroll');
+    renderPianoRoll();
+    if (scroll) {
+        const pitches = pianoRollState.notes.map(n => n.midi);
+        const center = pitches.length > 0 ? (Math.min(...pitches) + Math.max(...pitches)) / 2 : 72;
+        scroll.scrollLeft = 0;
+        scroll.scrollTop = PIANO_ROLL_RULER_HEIGHT + (PIANO_ROLL_HIGH_NOTE - center) * PIANO_ROLL_ROW_HEIGHT - scroll.clientHeight / 2;
+    }
+    renderPianoRoll();
+}
+
+function closePianoRoll(force = false) {
+    if (!force && pianoRollState.dirty && !confirm('Hay cambios sin guardar. ¿Cerrar el editor?')) return;
+    pianoRollState.playId++;
+    pianoRollState.playhead = null;
+    const playBtn = document.getElementById('pianoRollPlayBtn');
+    if (playBtn) playBtn.textContent = '▶ Reproducir';
+    const overlay = document.getElementById('pianoRollOverlay');
+    if (overlay) overlay.classList.remove('active');
+}
+
+/**
+ * Guardar en el slot (y enviar al robot si se pide)
+ */
+async function savePianoRoll(send) {
+    const melody = pianoRollToMelody();
+    if (melody.length === 0) {
+        alert('No hay notas para guardar.');
+        return;
+    }
+
+    const slot = pianoRollState.slot !== null ? pianoRollState.slot : findNextSlot();
+    if (slot === -1) {
+        alert('No hay slots disponibles. Elimina una melodia primero.');
+        return;
+    }
+
+    const nameInput = document.getElementById('pianoRollName');
+    const name = (nameInput?.value.trim() || 'Mi Melodia').substring(0, 20);
+    const buttons = [document.getElementById('pianoRollSaveBtn'), document.getElementById('pianoRollSaveLocalBtn')];
+    buttons.forEach(btn => { if (btn) btn.disabled = true; });
+
+    try {
+        await storeCustomMelody(slot, name, melody, send, (sent, total) => {
+            if (buttons[0]) buttons[0].textContent = `Enviando ${Math.round(sent / total * 100)}%`;
+        });
+        pianoRollState.dirty = false;
+        closePianoRoll(true);
+        addLog(`🎹 Melodía "${name}" guardada en el slot ${slot} (${melody.length} notas)`);
+    } catch (err) {
+        console.error('Error al guardar melodia:', err);
+        alert('Error al guardar la melodia.');
+    }
+
+    buttons.forEach(btn => { if (btn) btn.disabled = false; });
+    if (buttons[0]) buttons[0].textContent = 'Guardar y Enviar';
+}
+
+/* ================== INIT ================== */
+
+function initPianoRoll() {
+    const overlay = document.getElementById('pianoRollOverlay');
+    const scroll = document.getElementById('pianoRollScroll');
+    if (!overlay || !scroll) return;
+
+    document.getElementById('pianoRollNewBtn')?.addEventListener('click', e => {
+        e.stopPropagation();
+        openPianoRoll();
+    });
+
+    overlay.addEventListener('click', e => {
+        e.stopPropagation();
+        if (e.target === overlay) closePianoRoll();
+    });
+    overlay.addEventListener('keydown', onPianoRollKeyDown);
+    document.getElementById('pianoRollClose')?.addEventListener('click', () => closePianoRoll());
+    document.getElementById('pianoRollCancelBtn')?.addEventListener('click', () => closePianoRoll());
+    document.getElementById('pianoRollSaveLocalBtn')?.addEventListener('click', () => savePianoRoll(false));
+    document.getElementById('pianoRollSaveBtn')?.addEventListener('click', () => savePianoRoll(true));
+
+    scroll.addEventListener('pointerdown', onPianoRollPointerDown);
+    scroll.addEventListener('pointermove', onPianoRollPointerMove);
+    scroll.addEventListener('pointerup', onPianoRollPointerUp);
+    scroll.addEventListener('pointercancel', onPianoRollPointerUp);
+    scroll.addEventListener('dblclick', onPianoRollDoubleClick);
+    scroll.addEventListener('scroll', renderPianoRoll);
+    window.addEventListener('resize', () => {
+        if (overlay.classList.contains('active')) renderPianoRoll();
+    });
+
+    document.getElementById('pianoRollPlayBtn')?.addEventListener('click', playPianoRoll);
+    document.getElementById('pianoRollRestBtn')?.addEventListener('click', insertPianoRollRest);
+    document.getElementById('pianoRollCopyBtn')?.addEventListener('click', () => copyPianoRollSelection());
+    document.getElementById('pianoRollPasteBtn')?.addEventListener('click', pastePianoRollClipboard);
+    document.getElementById('pianoRollDeleteBtn')?.addEventListener('click', deleteSelectedPianoRollNotes);
+    document.getElementById('pianoRollUndoBtn')?.addEventListener('click', undoPianoRoll);
+    document.getElementById('pianoRollRedoBtn')?.addEventListener('click', redoPianoRoll);
+
+    document.getElementById('pianoRollBpm')?.addEventListener('change', function() {
+        setPianoRollTempo(parseInt(this.value));
+        this.value = pianoRollState.bpm;
+    });
+    document.getElementById('pianoRollGrid')?.addEventListener('change', function() {
+        pianoRollState.division = parseInt(this.value) || 4;
+        renderPianoRoll();
+    });
+    document.getElementById('pianoRollSnap')?.addEventListener('change', function() {
+        pianoRollState.snap = this.checked;
+    });
+    document.getElementById('pianoRollZoomIn')?.addEventListener('click', () => {
+        pianoRollState.zoom = Math.min(PIANO_ROLL_ZOOM_LEVELS.length - 1, pianoRollState.zoom + 1);
+        renderPianoRoll();
+    });
+    document.getElementById('pianoRollZoomOut')?.addEventListener('click', () => {
+        pianoRollState.zoom = Math.max(0, pianoRollState.zoom - 1);
+        renderPianoRoll();
+    });
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initPianoRoll);
+} else {
+    initPianoRoll();
+}
+
+// Exportar funciones globales
+window.openPianoRoll = openPianoRoll;
+window.closePianoRoll = closePianoRoll;
+window.pianoRollToMelody = pianoRollToMelody;
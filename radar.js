@@ -0,0 +1,349 @@
+/**
+ * RADAR MODULE - Otto Ninja Controller
+ * Barrido de radar con el ultrasonido de la cabeza: la cabeza recorre sus
+ * posiciones, se toma una lectura (mediana de varias) en cada una y se
+ * dibuja un mapa polar en el panel de ultrasonido. Se conservan los
+ * últimos barridos atenuados, se resalta el obstáculo más cercano y los
+ * datos se pueden exportar en JSON.
+ *
+ * El firmware solo expone tres posiciones de cabeza (left/center/right);
+ * cada lectura se dibuja como un sector del ancho del haz del sensor.
+ */
+
+const RADAR_HEAD_POSITIONS = [
+    { cmd: 'right', angle: 45 },
+    { cmd: 'center', angle: 90 },
+    { cmd: 'left', angle: 135 }
+];
+const RADAR_BEAM_WIDTH = 30;         // grados (HC-SR04 ≈ ±15°)
+const RADAR_MAX_RANGE = 150;         // cm, igual que la barra del panel
+const RADAR_SETTLE_TIME = 400;       // ms para que el servo llegue antes de medir
+const RADAR_SAMPLES = 3;             // lecturas por posición (se usa la mediana)
+const RADAR_HISTORY = 5;             // barridos que se siguen dibujando
+
+// Estado del radar
+const radarState = {
+    running: false,
+    continuous: false,
+    stopped: false,
+    wake: null,
+    sweeps: [],              // [{ time, points: [{ cmd, angle, distance, readings }] }]
+    current: null            // Barrido en curso
+};
+
+/* ================== SWEEP ================== */
+
+function radarSleep(ms) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        radarState.wake = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+    });
+}
+
+function radarMedian(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * Medir en una posición de la cabeza
+ * @returns {Promise<Object|null>} Punto del barrido, null si se detuvo
+ */
+async function radarMeasure(position) {
+    const moved = await sendRequest('head', { cmd: position.cmd }, { automated: true, activeOnly: true });
+    if (!moved || radarState.stopped) return null;
+    await radarSleep(RADAR_SETTLE_TIME);
+
+    const readings = [];
+    for (let i = 0; i < RADAR_SAMPLES && !radarState.stopped; i++) {
+        const distance = await readUltrasonicDistance();
+        if (distance !== null) readings.push(distance);
+    }
+    if (radarState.stopped) return null;
+
+    return {
+        cmd: position.cmd,
+        angle: position.angle,
+        distance: readings.length > 0 ? radarMedian(readings) : null,
+        readings
+    };
+}
+
+/**
+ * Un barrido completo; alterna el sentido para no volver la cabeza en vacío
+ * @returns {Promise<boolean>} false si se detuvo a medias
+ */
+async function radarSweep() {
+    const reverse = radarState.sweeps.length % 2 === 1;
+    const positions = reverse ? RADAR_HEAD_POSITIONS.slice().reverse() : RADAR_HEAD_POSITIONS;
+
+    radarState.current = { time: new Date().toISOString(), points: [] };
+    for (const position of positions) {
+        const point = await radarMeasure(position);
+        if (!point) return false;
+        radarState.current.points.push(point);
+        drawRadar();
+    }
+
+    radarState.current.points.sort((a, b) => a.angle - b.angle);
+    radarState.sweeps.push(radarState.current);
+    if (radarState.sweeps.length > RADAR_HISTORY) radarState.sweeps.shift();
+    radarState.current = null;
+    return true;
+}
+
+/**
+ * Arrancar el radar
+ * @param {boolean} continuous - Repetir barridos hasta detener
+ */
+async function startRadar(continuous) {
+    if (radarState.running) return;
+    if (!state.connected) {
+        addLog('❌ No conectado');
+        return;
+    }
+
+    radarState.running = true;
+    radarState.stopped = false;
+    radarState.continuous = continuous;
+    updateRadarUI();
+    addLog(continuous ? '📡 Radar continuo' : '📡 Barrido de radar');
+
+    do {
+        const completed = await radarSweep();
+        if (!completed) break;
+        drawRadar();
+        updateRadarNearest();
+    } while (radarState.continuous && !radarState.stopped);
+
+    const stopped = radarState.stopped;
+    radarState.running = false;
+    radarState.current = null;
+    drawRadar();
+    updateRadarUI();
+
+    // Dejar la cabeza mirando al frente (salvo en una parada de seguridad)
+    if (!stopped) sendRequest('head', { cmd: 'center' }, { automated: true, activeOnly: true });
+}
+
+/**
+ * Detener el radar
+ * @param {string} [reason] - Motivo de safety.js
+ */
+function stopRadar(reason) {
+    if (!radarState.running) return;
+    radarState.stopped = true;
+    if (radarState.wake) radarState.wake();
+    if (reason === undefined && state.connected) {
+        sendRequest('head', { cmd: 'center' }, { automated: true, activeOnly: true });
+    }
+    addLog('⏹️ Radar detenido');
+}
+
+function clearRadar() {
+    radarState.sweeps = [];
+    drawRadar();
+    updateRadarNearest();
+}
+
+/* ================== EXPORT ================== */
+
+/**
+ * Descargar los barridos guardados en JSON
+ */
+function exportRadarScans() {
+    if (radarState.sweeps.length === 0) {
+        addLog('⚠️ No hay barridos que exportar');
+        return;
+    }
+
+    const data = {
+        format: 'otto-radar-scan',
+        version: 1,
+        beamWidth: RADAR_BEAM_WIDTH,
+        maxRange: RADAR_MAX_RANGE,
+        sweeps: radarState.sweeps
+    };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `radar-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    addLog(`💾 Radar exportado (${radarState.sweeps.length} barridos)`);
+}
+
+/* ================== DRAWING ================== */
+
+/**
+ * Obstáculo más cercano del último barrido
+ */
+function getNearestRadarPoint() {
+    const sweep = radarState.sweeps[radarState.sweeps.length - 1];
+    if (!sweep) return null;
+    return sweep.points
+        .filter(p => p.distance !== null)
+        .reduce((best, p) => (!best || p.distance < best.distance ? p : best), null);
+}
+
+function drawRadarSector(ctx, geo, point, alpha, highlight) {
+    const toRad = deg => deg * Math.PI / 180;
+    const r = Math.min(point.distance, RADAR_MAX_RANGE) / RADAR_MAX_RANGE * geo.radius;
+    // En canvas la y crece hacia abajo: ángulos negativos
+    const start = -toRad(point.angle + RADAR_BEAM_WIDTH / 2);
+    const end = -toRad(point.angle - RADAR_BEAM_WIDTH / 2);
+
+    const zone = point.distance <= usState.dangerThreshold ? '255, 59, 48'
+        : point.distance <= usState.alertThreshold ? '255, 159, 10' : '52, 199, 89';
+
+    ctx.beginPath();
+    ctx.moveTo(geo.cx, geo.cy);
+    ctx.arc(geo.cx, geo.cy, r, start, end);
+    ctx.closePath();
+    ctx.fillStyle = `rgba(${zone}, ${0.12 * alpha})`;
+    ctx.fill();
+
+    // Frente del eco
+    ctx.beginPath();
+    ctx.arc(geo.cx, geo.cy, r, start, end);
+    ctx.strokeStyle = highlight ? '#FF3B30' : `rgba(${zone}, ${alpha})`;
+    ctx.lineWidth = highlight ? 4 : 2;
+    ctx.stroke();
+}
+
+function drawRadar() {
+    const canvas = document.getElementById('radarCanvas');
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+
+    // Resolución real del canvas según su tamaño en pantalla
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth || 320;
+    const height = Math.round(width / 2) + 20;
+    if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+        canvas.style.height = height + 'px';
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const geo = { cx: width / 2, cy: height - 10, radius: width / 2 - 10 };
+
+    // Anillos de distancia y líneas de ángulo
+    ctx.strokeStyle = 'rgba(142, 142, 147, 0.35)';
+    ctx.fillStyle = 'rgba(142, 142, 147, 0.9)';
+    ctx.lineWidth = 1;
+    ctx.font = '10px -apple-system, sans-serif';
+    [50, 100, 150].forEach(cm => {
+        const r = cm / RADAR_MAX_RANGE * geo.radius;
+        ctx.beginPath();
+        ctx.arc(geo.cx, geo.cy, r, Math.PI, 0);
+        ctx.stroke();
+        ctx.fillText(`${cm}`, geo.cx + r - 16, geo.cy - 2);
+    });
+    [0, 45, 90, 135, 180].forEach(deg => {
+        const rad = deg * Math.PI / 180;
+        ctx.beginPath();
+        ctx.moveTo(geo.cx, geo.cy);
+        ctx.lineTo(geo.cx + Math.cos(rad) * geo.radius, geo.cy - Math.sin(rad) * geo.radius);
+        ctx.stroke();
+    });
+
+    // Barridos anteriores atenuados, el último a opacidad completa
+    const nearest = getNearestRadarPoint();
+    radarState.sweeps.forEach((sweep, i) => {
+        const alpha = (i + 1) / radarState.sweeps.length;
+        const latest = i === radarState.sweeps.length - 1;
+        sweep.points.forEach(point => {
+            if (point.distance === null) return;
+            drawRadarSector(ctx, geo, point, latest ? 1 : alpha * 0.5, latest && point === nearest);
+        });
+    });
+    if (radarState.current) {
+        radarState.current.points.forEach(point => {
+            if (point.distance !== null) drawRadarSector(ctx, geo, point, 1, false);
+        });
+    }
+
+    if (nearest) {
+        const rad = nearest.angle * Math.PI / 180;
+        const r = Math.min(nearest.distance, RADAR_MAX_RANGE) / RADAR_MAX_RANGE * geo.radius;
+        ctx.fillStyle = '#FF3B30';
+        ctx.font = 'bold 12px -apple-system, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(`${nearest.distance} cm`, geo.cx + Math.cos(rad) * r, geo.cy - Math.sin(rad) * r - 8);
+        ctx.textAlign = 'start';
+    }
+
+    // Robot
+    ctx.fillStyle = '#007AFF';
+    ctx.beginPath();
+    ctx.arc(geo.cx, geo.cy, 5, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+/* ================== UI ================== */
+
+const radarDirectionLabels = { left: 'a la izquierda', center: 'al frente', right: 'a la derecha' };
+
+function updateRadarNearest() {
+    const label = document.getElementById('radarNearest');
+    if (!label) return;
+    const nearest = getNearestRadarPoint();
+    label.textContent = nearest
+        ? `Obstáculo más cercano: ${nearest.distance} cm ${radarDirectionLabels[nearest.cmd]}`
+        : 'Sin obstáculos detectados';
+}
+
+function updateRadarUI() {
+    const running = radarState.running;
+    const ids = ['radarSweepBtn', 'radarContinuousBtn', 'radarClearBtn', 'radarExportBtn'];
+    ids.forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.disabled = running;
+    });
+    const stopBtn = document.getElementById('radarStopBtn');
+    if (stopBtn) stopBtn.disabled = !running;
+}
+
+/* ================== INIT EVENT LISTENERS ================== */
+
+function initRadar() {
+    document.getElementById('radarSweepBtn')?.addEventListener('click', () => startRadar(false));
+    document.getElementById('radarContinuousBtn')?.addEventListener('click', () => startRadar(true));
+    document.getElementById('radarStopBtn')?.addEventListener('click', () => stopRadar());
+    document.getElementById('radarClearBtn')?.addEventListener('click', clearRadar);
+    document.getElementById('radarExportBtn')?.addEventListener('click', exportRadarScans);
+
+    // El canvas solo tiene tamaño cuando el panel está visible
+    document.querySelector('.nav-drawer-item[data-panel="ultrasonic"]')?.addEventListener('click', () => {
+        requestAnimationFrame(drawRadar);
+    });
+    window.addEventListener('resize', drawRadar);
+
+    if (typeof window.registerStopHandler === 'function') {
+        window.registerStopHandler(stopRadar);
+    }
+
+    drawRadar();
+    updateRadarNearest();
+    updateRadarUI();
+}
+
+// Inicializar cuando el DOM esté listo
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initRadar);
+} else {
+    initRadar();
+}
+
+// Exportar funciones globales
+window.startRadar = startRadar;
+window.stopRadar = stopRadar;
+window.exportRadarScans = exportRadarScans;
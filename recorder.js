@@ -0,0 +1,500 @@
+/**
+ * RECORDER MODULE - Otto Ninja Controller
+ * Grabación y reproducción de sesiones de conducción.
+ * Captura cada comando del usuario (joystick, caminar, brazos, cabeza,
+ * ataques, modo, melodías, OLED) con su instante, guarda las sesiones
+ * con nombre (en IndexedDB) y las reproduce contra el robot o el
+ * simulador a velocidad variable, con pausa, salto y cancelación.
+ */
+
+const SESSIONS_STORAGE_KEY = 'sessions';
+const RECORDABLE_ENDPOINTS = ['joystick', 'walk', 'arms', 'head', 'attack', 'mode', 'buzzer', 'message', 'bitmap'];
+const DEFAULT_SIMULATOR_IP = 'localhost:8081';
+const REPLAY_TIMEOUT = 2000;
+
+// Estado de grabación y reproducción
+const recorderState = {
+    sessions: [],            // { id, name, created, duration, events: [{ t, endpoint, params }] }
+    recording: null,         // { startTime, events }
+    recordTimer: null,
+    selectedId: null,
+    player: null             // { session, index, position, speed, playing, baseTime, basePosition, timer, frame }
+};
+
+/* ================== STORAGE ================== */
+
+async function loadSessions() {
+    const sessions = await storageGetLarge(SESSIONS_STORAGE_KEY, []);
+    recorderState.sessions = Array.isArray(sessions) ? sessions : [];
+}
+
+/**
+ * Las sesiones pueden ser grandes: van a IndexedDB
+ * @returns {Promise<boolean>} false si no se pudieron guardar
+ */
+function persistSessions() {
+    return storageSetLarge(SESSIONS_STORAGE_KEY, recorderState.sessions);
+}
+
+function findSession(id) {
+    return recorderState.sessions.find(s => s.id === id) || null;
+}
+
+function deleteSession(id) {
+    const session = findSession(id);
+    if (!session || !confirm(`¿Eliminar la sesión "${session.name}"?`)) return;
+
+    if (recorderState.player?.session.id === id) abortReplay();
+    recorderState.sessions = recorderState.sessions.filter(s => s.id !== id);
+    if (recorderState.selectedId === id) recorderState.selectedId = null;
+    persistSessions();
+    renderSessionList();
+    renderPlayer();
+}
+
+/* ================== RECORDING ================== */
+
+/**
+ * Capturar un comando (llamado desde sendRequest / sendFastCommand)
+ * @param {boolean} automated - Lo envía un programa (bloques, scripts, autónomo...)
+ */
+function recordCommand(endpoint, params, automated = false) {
+    const rec = recorderState.recording;
+    if (!rec || automated || !RECORDABLE_ENDPOINTS.includes(endpoint)) return;
+    // Lo que envía el reproductor no es del usuario
+    if (recorderState.player?.playing) return;
+
+    rec.events.push({
+        t: Math.round(performance.now() - rec.startTime),
+        endpoint,
+        params: JSON.parse(JSON.stringify(params || {}))
+    });
+}
+
+function startRecording() {
+    if (recorderState.recording) return;
+    if (recorderState.player?.playing) pauseReplay();
+
+    recorderState.recording = { startTime: performance.now(), events: [] };
+    recorderState.recordTimer = setInterval(updateRecordStatus, 200);
+    addLog('⏺️ Grabando sesión');
+    updateRecordStatus();
+}
+
+/**
+ * Terminar la grabación y guardarla con el nombre indicado
+ */
+async function stopRecording() {
+    const rec = recorderState.recording;
+    if (!rec) return;
+
+    clearInterval(recorderState.recordTimer);
+    recorderState.recordTimer = null;
+    recorderState.recording = null;
+
+    if (rec.events.length === 0) {
+        addLog('⏹️ Grabación vacía: no se guarda');
+        updateRecordStatus();
+        return;
+    }
+
+    const nameInput = document.getElementById('sessionName');
+    const name = nameInput?.value.trim() || `Sesión ${recorderState.sessions.length + 1}`;
+    const session = {
+        id: Date.now().toString(36),
+        name,
+        created: new Date().toISOString(),
+        duration: Math.round(performance.now() - rec.startTime),
+        events: rec.events
+    };
+
+    recorderState.sessions.push(session);
+    if (!await persistSessions()) {
+        addLog('❌ La sesión no se pudo guardar: borra sesiones antiguas');
+        recorderState.sessions.pop();
+        updateRecordStatus();
+        return;
+    }
+
+    recorderState.selectedId = session.id;
+    if (nameInput) nameInput.value = '';
+    addLog(`💾 Sesión guardada: ${name} (${session.events.length} comandos)`);
+    updateRecordStatus();
+    renderSessionList();
+    renderPlayer();
+}
+
+/* ================== REPLAY ================== */
+
+/**
+ * Destino de la reproducción: null = robot/flota, o IP del simulador
+ */
+function getReplayIp() {
+    const target = document.getElementById('sessionTarget')?.value;
+    if (target !== 'simulator') return null;
+    return document.getElementById('sessionSimIp')?.value.trim() || DEFAULT_SIMULATOR_IP;
+}
+
+/**
+ * Enviar un evento grabado
+ */
+function replayEvent(event) {
+    const ip = getReplayIp();
+    const { endpoint, params } = event;
+
+    if (endpoint === 'bitmap') {
+        if (ip) postBitmap(ip, params.payload);
+        else sendBitmapToTargets(params.payload, params.name);
+        return;
+    }
+    if (ip) {
+        if (endpoint === 'joystick') transportSend(endpoint, params, { ip, timeout: 1000 });
+        else transportRequest(endpoint, params, { ip, timeout: REPLAY_TIMEOUT });
+        return;
+    }
+    if (endpoint === 'joystick') sendFastCommand(endpoint, params, { timeout: 1000 });
+    else sendRequest(endpoint, params);
+}
+
+/**
+ * Parar el movimiento en el destino (pausa, salto o cancelación)
+ */
+function sendReplayStop() {
+    const ip = getReplayIp();
+    if (ip) transportSend('joystick', { x: 0, y: 0 }, { ip, keepalive: true });
+    else if (canSendCommand('joystick')) sendFastCommand('joystick', { x: 0, y: 0 }, { keepalive: true });
+}
+
+/**
+ * Posición actual de la reproducción (ms de sesión)
+ */
+function getReplayPosition() {
+    const player = recorderState.player;
+    if (!player) return 0;
+    if (!player.playing) return player.position;
+    return player.basePosition + (performance.now() - player.baseTime) * player.speed;
+}
+
+/**
+ * Enviar los eventos vencidos y programar el siguiente
+ */
+function replayTick() {
+    const player = recorderState.player;
+    if (!player || !player.playing) return;
+
+    const events = player.session.events;
+    const position = getReplayPosition();
+    while (player.index < events.length && events[player.index].t <= position) {
+        replayEvent(events[player.index]);
+        player.index++;
+    }
+
+    if (player.index >= events.length) {
+        player.position = player.session.duration;
+        finishReplay();
+        return;
+    }
+    const wait = (events[player.index].t - position) / player.speed;
+    player.timer = setTimeout(replayTick, Math.max(0, wait));
+}
+
+function startReplay(sessionId) {
+    const session = findSession(sessionId);
+    if (!session) return;
+    if (recorderState.recording) {
+        addLog('⚠️ Detén la grabación antes de reproducir');
+        return;
+    }
+    if (!getReplayIp() && !canSendCommand('walk')) {
+        addLog('❌ No conectado');
+        return;
+    }
+
+    let player = recorderState.player;
+    if (!player || player.session.id !== sessionId) {
+        player = { session, index: 0, position: 0, speed: getReplaySpeed(), playing: false, timer: null, frame: null };
+        recorderState.player = player;
+    }
+    if (player.position >= session.duration) seekReplay(0);
+
+    player.playing = true;
+    player.baseTime = performance.now();
+    player.basePosition = player.position;
+    replayTick();
+
+    const frame = () => {
+        updatePlayerProgress();
+        if (player.playing) player.frame = requestAnimationFrame(frame);
+    };
+    player.frame = requestAnimationFrame(frame);
+
+    addLog(`▶️ Reproduciendo "${session.name}" ×${player.speed}` + (getReplayIp() ? ` en ${getReplayIp()}` : ''));
+    renderPlayer();
+}
+
+function pauseReplay() {
+    const player = recorderState.player;
+    if (!player || !player.playing) return;
+
+    player.position = getReplayPosition();
+    player.playing = false;
+    clearTimeout(player.timer);
+    cancelAnimationFrame(player.frame);
+    sendReplayStop();
+    renderPlayer();
+}
+
+/**
+ * Saltar a una posición de la sesión
+ * @param {number} position - ms desde el inicio
+ */
+function seekReplay(position) {
+    const player = recorderState.player;
+    if (!player) return;
+
+    const events = player.session.events;
+    const wasPlaying = player.playing;
+    if (wasPlaying) {
+        clearTimeout(player.timer);
+        sendReplayStop();
+    }
+
+    player.position = Math.max(0, Math.min(position, player.session.duration));
+    player.index = events.findIndex(e => e.t >= player.position);
+    if (player.index < 0) player.index = events.length;
+
+    if (wasPlaying) {
+        player.baseTime = performance.now();
+        player.basePosition = player.position;
+        replayTick();
+    }
+    updatePlayerProgress();
+}
+
+function setReplaySpeed(speed) {
+    const player = recorderState.player;
+    if (!player) return;
+    // Rebasar el reloj para no saltar al cambiar la velocidad
+    if (player.playing) {
+        player.basePosition = getReplayPosition();
+        player.baseTime = performance.now();
+        clearTimeout(player.timer);
+        player.speed = speed;
+        replayTick();
+    } else {
+        player.speed = speed;
+    }
+}
+
+function getReplaySpeed() {
+    return parseFloat(document.getElementById('sessionSpeed')?.value) || 1;
+}
+
+function finishReplay() {
+    const player = recorderState.player;
+    if (!player) return;
+    player.playing = false;
+    clearTimeout(player.timer);
+    cancelAnimationFrame(player.frame);
+    addLog(`⏹️ Sesión "${player.session.name}" terminada`);
+    renderPlayer();
+}
+
+/**
+ * Cancelar la reproducción y parar el robot
+ */
+function abortReplay() {
+    const player = recorderState.player;
+    if (!player) return;
+
+    const wasPlaying = player.playing;
+    clearTimeout(player.timer);
+    cancelAnimationFrame(player.frame);
+    player.playing = false;
+    if (wasPlaying) sendReplayStop();
+
+    player.position = 0;
+    player.index = 0;
+    if (wasPlaying) addLog('⏹️ Reproducción cancelada');
+    renderPlayer();
+}
+
+/* ================== UI ================== */
+
+/**
+ * Formato m:ss
+ */
+function formatSessionTime(ms) {
+    const total = Math.floor(Math.max(0, ms) / 1000);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function updateRecordStatus() {
+    const btn = document.getElementById('sessionRecordBtn');
+    const status = document.getElementById('sessionRecordStatus');
+    const rec = recorderState.recording;
+
+    if (btn) {
+        btn.textContent = rec ? '■ Detener' : '● Grabar';
+        btn.classList.toggle('recording', !!rec);
+    }
+    if (status) {
+        status.textContent = rec
+            ? `${formatSessionTime(performance.now() - rec.startTime)} · ${rec.events.length} comandos`
+            : '';
+    }
+}
+
+function renderSessionList() {
+    const list = document.getElementById('sessionList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    if (recorderState.sessions.length === 0) {
+        list.innerHTML = '<p class="session-empty">Graba una sesión para poder repetirla</p>';
+        return;
+    }
+
+    recorderState.sessions.slice().reverse().forEach(session => {
+        const item = document.createElement('div');
+        item.className = 'session-item' + (session.id === recorderState.selectedId ? ' selected' : '');
+
+        const info = document.createElement('div');
+        info.className = 'session-item-info';
+
+        const name = document.createElement('div');
+        name.className = 'session-item-name';
+        name.textContent = session.name;
+
+        const meta = document.createElement('div');
+        meta.className = 'session-item-meta';
+        meta.textContent = [
+            new Date(session.created).toLocaleString(),
+            formatSessionTime(session.duration),
+            `${session.events.length} comandos`
+        ].join(' · ');
+
+        info.append(name, meta);
+        info.addEventListener('click', () => {
+            if (recorderState.player?.playing) abortReplay();
+            recorderState.selectedId = session.id;
+            recorderState.player = null;
+            renderSessionList();
+            renderPlayer();
+        });
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'robot-action-btn';
+        deleteBtn.textContent = 'Eliminar';
+        deleteBtn.addEventListener('click', () => deleteSession(session.id));
+
+        item.append(info, deleteBtn);
+        list.appendChild(item);
+    });
+}
+
+function renderPlayer() {
+    const session = findSession(recorderState.selectedId);
+    const player = recorderState.player;
+    const title = document.getElementById('sessionPlayerTitle');
+    const playBtn = document.getElementById('sessionPlayBtn');
+    const abortBtn = document.getElementById('sessionAbortBtn');
+    const seek = document.getElementById('sessionSeek');
+
+    if (title) title.textContent = session ? session.name : 'Ninguna sesión seleccionada';
+    if (playBtn) {
+        playBtn.disabled = !session;
+        playBtn.textContent = player?.playing ? '❚❚ Pausa' : '▶ Reproducir';
+    }
+    if (abortBtn) abortBtn.disabled = !player || (!player.playing && player.position === 0);
+    if (seek) {
+        seek.disabled = !session;
+        seek.max = session ? session.duration : 0;
+    }
+    updatePlayerProgress();
+}
+
+function updatePlayerProgress() {
+    const session = findSession(recorderState.selectedId);
+    const position = recorderState.player ? getReplayPosition() : 0;
+    const seek = document.getElementById('sessionSeek');
+    const time = document.getElementById('sessionTime');
+
+    if (seek && document.activeElement !== seek) seek.value = position;
+    if (time) time.textContent = `${formatSessionTime(position)} / ${formatSessionTime(session?.duration || 0)}`;
+}
+
+/* ================== INIT EVENT LISTENERS ================== */
+
+function initRecorder() {
+
+    document.getElementById('sessionRecordBtn')?.addEventListener('click', () => {
+        if (recorderState.recording) stopRecording();
+        else startRecording();
+    });
+
+    document.getElementById('sessionPlayBtn')?.addEventListener('click', () => {
+        if (recorderState.player?.playing) pauseReplay();
+        else startReplay(recorderState.selectedId);
+    });
+    document.getElementById('sessionAbortBtn')?.addEventListener('click', abortReplay);
+
+    const seek = document.getElementById('sessionSeek');
+    if (seek) {
+        seek.addEventListener('input', () => {
+            const time = document.getElementById('sessionTime');
+            const session = findSession(recorderState.selectedId);
+            if (time) time.textContent = `${formatSessionTime(seek.value)} / ${formatSessionTime(session?.duration || 0)}`;
+        });
+        seek.addEventListener('change', () => {
+            if (!recorderState.player) {
+                const session = findSession(recorderState.selectedId);
+                if (!session) return;
+                recorderState.player = { session, index: 0, position: 0, speed: getReplaySpeed(), playing: false, timer: null, frame: null };
+            }
+            seekReplay(parseInt(seek.value) || 0);
+            seek.blur();
+            renderPlayer();
+        });
+    }
+
+    document.getElementById('sessionSpeed')?.addEventListener('change', () => setReplaySpeed(getReplaySpeed()));
+
+    const target = document.getElementById('sessionTarget');
+    const simIp = document.getElementById('sessionSimIp');
+    if (simIp) simIp.value = DEFAULT_SIMULATOR_IP;
+    if (target) {
+        const syncSimIp = () => {
+            if (simIp) simIp.style.display = target.value === 'simulator' ? '' : 'none';
+        };
+        target.addEventListener('change', () => {
+            if (recorderState.player?.playing) pauseReplay();
+            syncSimIp();
+        });
+        syncSimIp();
+    }
+
+    if (typeof window.registerStopHandler === 'function') {
+        window.registerStopHandler(abortReplay);
+    }
+
+    updateRecordStatus();
+    loadSessions().then(() => {
+        renderSessionList();
+        renderPlayer();
+    });
+}
+
+// Inicializar cuando el DOM esté listo
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initRecorder);
+} else {
+    initRecorder();
+}
+
+// Exportar funciones globales
+window.recordCommand = recordCommand;
+window.startRecording = startRecording;
+window.stopRecording = stopRecording;
+window.startReplay = startReplay;
+window.abortReplay = abortReplay;
@@ -0,0 +1,591 @@
+/**
+ * ROBOT PROFILE MODULE - Otto Ninja Controller
+ * Exporta en un único JSON versionado toda la configuración repartida por
+ * la app (trims de servos, ultrasonido y su calibración, mensajes,
+ * melodías, bitmaps y accesos rápidos) y la importa con validación,
+ * vista previa de diferencias y modo fusionar o reemplazar, para mover
+ * configuraciones entre tablets o guardar copias de seguridad.
+ */
+
+const ROBOT_PROFILE_FORMAT = 'otto-profile';
+const ROBOT_PROFILE_VERSION = 1;
+const US_REACTIONS = ['stop', 'back', 'left', 'right'];
+// Nombres y mensajes acaban en innerHTML: nada de marcado ni caracteres de control
+const PROFILE_UNSAFE_TEXT = /[<>&"'`\u0000-\u001f\u007f]/;
+const PROFILE_PNG_PREVIEW = /^data:image\/png;base64,[A-Za-z0-9+/=]+$/;
+
+// Estado de exportación / importación
+const robotProfileState = {
+    pending: null            // { name, created, robot, version, sections: { key: valor }, warnings: [] }
+};
+
+/* ================== VALIDATION HELPERS ================== */
+
+function isProfileObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isProfileStringList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Texto de un perfil que la app pinta tal cual: longitud y caracteres seguros
+ */
+function isSafeProfileText(value, maxLength) {
+    return typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength &&
+        !PROFILE_UNSAFE_TEXT.test(value);
+}
+
+function describeProfileList(list) {
+    return list.length ? list.join(', ') : '(ninguno)';
+}
+
+/* ================== SECTIONS ================== */
+
+/**
+ * Secciones del perfil, en el orden en que se aplican.
+ * collect() -> valor o undefined si no hay nada que exportar
+ * validate(valor) -> mensaje de error o null
+ * diff(valor, modo) -> líneas de cambios respecto a lo actual
+ * apply(valor, modo) -> aplica (puede ser async)
+ */
+const ROBOT_PROFILE_SECTIONS = [
+    {
+        key: 'servos',
+        label: 'Calibración de servos',
+        collect: () => getCurrentServoTrims(),
+        validate(trims) {
+            if (!isProfileObject(trims)) return 'formato inválido';
+            for (const joint of SERVO_JOINTS) {
+                const value = trims[joint.key];
+                if (value === undefined) continue;
+                if (!Number.isInteger(value) || Math.abs(value) > joint.limit) {
+                    return `${joint.name}: ${value} fuera de ±${joint.limit}°`;
+                }
+            }
+            return null;
+        },
+        diff(trims, mode) {
+            const current = getCurrentServoTrims();
+            const next = mergeProfileTrims(trims, mode);
+            return SERVO_JOINTS
+                .filter(joint => current[joint.key] !== next[joint.key])
+                .map(joint => `${joint.name}: ${current[joint.key]}° → ${next[joint.key]}°`);
+        },
+        async apply(trims, mode) {
+            const next = mergeProfileTrims(trims, mode);
+            if (state.connected && await applyServoTrims(next)) return;
+            // Sin robot: se guardan para cuando conecte
+            if (typeof window.noteRobotOffsets === 'function') window.noteRobotOffsets(state.espIP, next);
+            syncLegOffsetSliders(next);
+        }
+    },
+    {
+        key: 'ultrasonic',
+        label: 'Ultrasonido',
+        collect: () => getUltrasonicConfig(),
+        validate(config) {
+            if (!isProfileObject(config)) return 'formato inválido';
+            if (!Number.isInteger(config.danger) || config.danger < 5 || config.danger > 50) return 'umbral de peligro fuera de 5–50 cm';
+            if (!Number.isInteger(config.alert) || config.alert < 20 || config.alert > 120) return 'umbral de alerta fuera de 20–120 cm';
+            if (config.danger >= config.alert) return 'el peligro debe ser menor que la alerta';
+            if (!US_REACTIONS.includes(config.reaction)) return `reacción desconocida "${config.reaction}"`;
+            return null;
+        },
+        diff(config) {
+            const current = getUltrasonicConfig();
+            const labels = {
+                enabled: 'Activo', danger: 'Peligro', alert: 'Alerta',
+                reaction: 'Reacción', buzzer: 'Alerta sonora', display: 'Alerta en pantalla'
+            };
+            const format = (key, value) => ['enabled', 'buzzer', 'display'].includes(key) ? (value ? 'sí' : 'no') : value;
+            return Object.keys(labels)
+                .filter(key => config[key] !== undefined && format(key, current[key]) !== format(key, config[key]))
+                .map(key => `${labels[key]}: ${format(key, current[key])} → ${format(key, config[key])}`);
+        },
+        apply(config) {
+            setUltrasonicConfig({ ...getUltrasonicConfig(), ...config });
+            if (state.connected) return applyUltrasonicConfig();
+        }
+    },
+    {
+        key: 'ultrasonicCalibration',
+        label: 'Calibración del ultrasonido',
+        collect() {
+            const cal = getUltrasonicCalibration(state.espIP);
+            return cal ? { fit: cal.fit, points: cal.points } : undefined;
+        },
+        validate(cal) {
+            if (!isProfileObject(cal) || !isValidUltrasonicFit(cal.fit)) return 'curva inválida';
+            if (cal.points !== undefined && !isValidCalibrationPoints(cal.points)) return 'puntos inválidos';
+            return null;
+        },
+        diff(cal) {
+            const current = getUltrasonicCalibration(state.espIP);
+            const before = current ? describeUltrasonicFit(current.fit) : 'Sin calibración';
+            const after = describeUltrasonicFit(cal.fit);
+            return before === after ? [] : [`${before} → ${after}`];
+        },
+        apply(cal) {
+            if (!state.espIP) {
+                addLog('⚠️ Calibración del ultrasonido no importada: conecta primero el robot');
+                return;
+            }
+            setUltrasonicCalibration(state.espIP, cal);
+        }
+    },
+    {
+        key: 'messages',
+        label: 'Mensajes personalizados',
+        collect: () => [...state.customMessages],
+        validate(messages) {
+            if (!isProfileStringList(messages)) return 'formato inválido';
+            const bad = messages.find(m => !isSafeProfileText(m, 16));
+            return bad !== undefined ? `"${bad}" vacío, de más de 16 caracteres o con caracteres no permitidos` : null;
+        },
+        diff(messages, mode) {
+            const incoming = messages.map(m => m.toUpperCase());
+            const lines = incoming.filter(m => !state.customMessages.includes(m)).map(m => `+ ${m}`);
+            if (mode === 'replace') {
+                state.customMessages.filter(m => !incoming.includes(m)).forEach(m => lines.push(`− ${m}`));
+            }
+            return lines;
+        },
+        apply(messages, mode) {
+            const incoming = [...new Set(messages.map(m => m.toUpperCase()))];
+            state.customMessages = mode === 'replace'
+                ? incoming
+                : [...state.customMessages, ...incoming.filter(m => !state.customMessages.includes(m))];
+            persistCustomMessages();
+            updateCustomMessagesList();
+        }
+    },
+    {
+        key: 'melodies',
+        label: 'Melodías',
+        collect() {
+            const melodies = {};
+            for (const [slot, melody] of Object.entries(state.customMelodies)) {
+                melodies[slot] = { name: melody.name, notes: melody.notes };
+            }
+            return melodies;
+        },
+        validate(melodies) {
+            if (!isProfileObject(melodies)) return 'formato inválido';
+            for (const [slot, melody] of Object.entries(melodies)) {
+                const number = parseInt(slot);
+                if (!(number >= CUSTOM_MELODY_START && number < CUSTOM_MELODY_START + MAX_CUSTOM_MELODIES)) {
+                    return `slot ${slot} fuera de ${CUSTOM_MELODY_START}–${CUSTOM_MELODY_START + MAX_CUSTOM_MELODIES - 1}`;
+                }
+                if (!isProfileObject(melody) || typeof melody.name !== 'string') return `slot ${slot} sin nombre`;
+                if (!isSafeProfileText(melody.name, 20)) return `slot ${slot}: nombre inválido`;
+                const notesOk = Array.isArray(melody.notes) && melody.notes.length > 0 && melody.notes.every(note =>
+                    Array.isArray(note) && note.length === 2 && note.every(v => Number.isFinite(v) && v >= 0));
+                if (!notesOk) return `slot ${slot}: notas inválidas`;
+                if (melody.notes.length > MAX_NOTES_PER_MELODY) {
+                    return `slot ${slot}: más de ${MAX_NOTES_PER_MELODY} notas`;
+                }
+            }
+            return null;
+        },
+        diff(melodies, mode) {
+            const lines = [];
+            for (const [slot, melody] of Object.entries(melodies)) {
+                const current = state.customMelodies[slot];
+                if (!current) lines.push(`Slot ${slot}: nueva «${melody.name}»`);
+                else if (current.name !== melody.name || JSON.stringify(current.notes) !== JSON.stringify(melody.notes)) {
+                    lines.push(`Slot ${slot}: «${current.name}» → «${melody.name}»`);
+                }
+            }
+            if (mode === 'replace') {
+                Object.keys(state.customMelodies)
+                    .filter(slot => !(slot in melodies))
+                    .forEach(slot => lines.push(`Slot ${slot}: se quita «${state.customMelodies[slot].name}»`));
+            }
+            return lines;
+        },
+        apply(melodies, mode) {
+            if (mode === 'replace') {
+                Object.keys(state.customMelodies).forEach(slot => {
+                    delete state.customMelodies[slot];
+                    delete soundMelodies[slot];
+                });
+            }
+            for (const [slot, melody] of Object.entries(melodies)) {
+                // Las melodías llegan de otra tablet: hay que volver a enviarlas al robot
+                state.customMelodies[slot] = { name: melody.name, notes: melody.notes, sentToEsp: false };
+                soundMelodies[slot] = melody.notes;
+            }
+            saveCustomMelodiesToStorage();
+            renderCustomMelodyCards();
+        }
+    },
+    {
+        key: 'bitmaps',
+        label: 'Bitmaps',
+        collect: () => state.savedBitmaps.map(bmp => ({ ...bmp })),
+        validate(bitmaps) {
+            if (!Array.isArray(bitmaps)) return 'formato inválido';
+            for (const bmp of bitmaps) {
+                if (!isProfileObject(bmp) || typeof bmp.name !== 'string') return 'bitmap sin nombre';
+                if (!isSafeProfileText(bmp.name, 20)) return 'bitmap con nombre inválido';
+                if (bmp.title !== undefined && !(typeof bmp.title === 'string' && !PROFILE_UNSAFE_TEXT.test(bmp.title))) {
+                    return `"${bmp.name}": título inválido`;
+                }
+                if (bmp.preview && !(typeof bmp.preview === 'string' && PROFILE_PNG_PREVIEW.test(bmp.preview))) {
+                    return `"${bmp.name}": vista previa inválida`;
+                }
+                const dataOk = Array.isArray(bmp.data) && bmp.data.length === 128 * 48 / 8 &&
+                    bmp.data.every(byte => Number.isInteger(byte) && byte >= 0 && byte <= 255);
+                if (!dataOk) return `"${bmp.name}": datos inválidos`;
+            }
+            return null;
+        },
+        diff(bitmaps, mode) {
+            const currentNames = state.savedBitmaps.map(bmp => bmp.name);
+            const incomingNames = bitmaps.map(bmp => bmp.name);
+            const lines = incomingNames.map(name => currentNames.includes(name) ? `↻ ${name}` : `+ ${name}`);
+            if (mode === 'replace') {
+                currentNames.filter(name => !incomingNames.includes(name)).forEach(name => lines.push(`− ${name}`));
+            }
+            return lines;
+        },
+        apply(bitmaps, mode) {
+            const incoming = bitmaps.map(bmp => ({
+                name: bmp.name.substring(0, 20),
+                title: typeof bmp.title === 'string' ? bmp.title : 'Otto Ninja',
+                titleInvert: !!bmp.titleInvert,
+                invert: !!bmp.invert,
+                data: bmp.data,
+                preview: typeof bmp.preview === 'string' ? bmp.preview : '',
+                timestamp: bmp.timestamp || Date.now()
+            }));
+
+            if (mode === 'replace') {
+                state.savedBitmaps = incoming;
+                state.selectedBitmaps = new Set();
+            } else {
+                // Mismo nombre: se sobrescribe en su sitio para no mover los índices seleccionados
+                incoming.forEach(bmp => {
+                    const index = state.savedBitmaps.findIndex(saved => saved.name === bmp.name);
+                    if (index >= 0) state.savedBitmaps[index] = bmp;
+                    else state.savedBitmaps.push(bmp);
+                });
+            }
+            persistBitmaps();
+            updateSavedBitmapsGallery();
+            updateQuickBitmaps();
+        }
+    },
+    {
+        key: 'selections',
+        label: 'Accesos rápidos',
+        collect: () => ({
+            attacks: [...state.selectedAttacks],
+            sounds: [...state.selectedSounds],
+            displayMessages: [...state.selectedDisplayMessages],
+            // Por nombre: los índices cambian al fusionar bibliotecas
+            bitmaps: [...state.selectedBitmaps].map(index => state.savedBitmaps[index]?.name).filter(Boolean)
+        }),
+        validate(selections) {
+            if (!isProfileObject(selections)) return 'formato inválido';
+            const bad = ['attacks', 'sounds', 'displayMessages', 'bitmaps']
+                .find(key => selections[key] !== undefined && !isProfileStringList(selections[key]));
+            return bad ? `${bad}: formato inválido` : null;
+        },
+        diff(selections, mode) {
+            const current = ROBOT_PROFILE_SECTIONS.find(s => s.key === 'selections').collect();
+            const labels = { attacks: 'Ataques', sounds: 'Sonidos', displayMessages: 'Mensajes', bitmaps: 'Bitmaps' };
+            return Object.keys(labels)
+                .filter(key => selections[key])
+                .map(key => [key, mergeProfileSelection(current[key], selections[key], mode)])
+                .filter(([key, next]) => next.join() !== current[key].join())
+                .map(([key, next]) => `${labels[key]}: ${describeProfileList(current[key])} → ${describeProfileList(next)}`);
+        },
+        apply(selections, mode) {
+            // Solo lo que existe en esta tablet (tras aplicar mensajes, melodías y bitmaps)
+            const pick = (key, current, valid, max) => {
+                if (!selections[key]) return current;
+                return new Set(mergeProfileSelection([...current], selections[key], mode).filter(valid).slice(0, max));
+            };
+
+            state.selectedAttacks = pick('attacks', state.selectedAttacks,
+                id => id in attackData, state.maxSelectedAttacks);
+            state.selectedSounds = pick('sounds', state.selectedSounds,
+                id => id in soundData || id in state.customMelodies, state.maxSelectedSounds);
+            state.selectedDisplayMessages = pick('displayMessages', state.selectedDisplayMessages,
+                id => id in displayMessageData || state.customMessages.includes(id), state.maxSelectedDisplayMessages);
+
+            if (selections.bitmaps) {
+                const currentNames = [...state.selectedBitmaps].map(index => state.savedBitmaps[index]?.name).filter(Boolean);
+                const names = mergeProfileSelection(currentNames, selections.bitmaps, mode);
+                const indexes = names
+                    .map(name => state.savedBitmaps.findIndex(bmp => bmp.name === name))
+                    .filter(index => index >= 0);
+                state.selectedBitmaps = new Set(indexes.slice(0, state.maxSelectedBitmaps));
+                persistBitmaps();
+            }
+
+            syncSelectionCheckboxes();
+            updateAttacksUI();
+            updateSoundsUI();
+            updateDisplayMessagesUI();
+            updateSavedBitmapsGallery();
+            updateQuickBitmaps();
+            saveUiState();
+        }
+    }
+];
+
+function mergeProfileTrims(trims, mode) {
+    const base = mode === 'replace' ? emptyServoTrims() : getCurrentServoTrims();
+    const next = { ...base };
+    SERVO_JOINTS.forEach(joint => {
+        if (Number.isInteger(trims[joint.key])) next[joint.key] = trims[joint.key];
+    });
+    return next;
+}
+
+function mergeProfileSelection(current, incoming, mode) {
+    return mode === 'replace' ? [...incoming] : [...new Set([...current, ...incoming])];
+}
+
+/* ================== EXPORT ================== */
+
+function collectRobotProfile(name, keys) {
+    const sections = {};
+    ROBOT_PROFILE_SECTIONS
+        .filter(section => keys.includes(section.key))
+        .forEach(section => {
+            const value = section.collect();
+            if (value !== undefined) sections[section.key] = value;
+        });
+    return {
+        format: ROBOT_PROFILE_FORMAT,
+        version: ROBOT_PROFILE_VERSION,
+        name,
+        created: new Date().toISOString(),
+        robot: state.espIP || null,
+        sections
+    };
+}
+
+function exportRobotProfile() {
+    const keys = [...document.querySelectorAll('#profileExportSections input:checked')].map(input => input.value);
+    if (keys.length === 0) {
+        addLog('⚠️ Elige al menos una sección para exportar');
+        return;
+    }
+
+    const name = document.getElementById('profileExportName')?.value.trim() || 'Perfil Otto Ninja';
+    const profile = collectRobotProfile(name, keys);
+    const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name.replace(/[^\w\-áéíóúñÁÉÍÓÚÑ ]/g, '_') + '.otto-profile.json';
+    link.click();
+    URL.revokeObjectURL(url);
+    addLog(`💾 Perfil exportado: ${name} (${Object.keys(profile.sections).length} secciones)`);
+}
+
+/* ================== IMPORT ================== */
+
+/**
+ * Validar un perfil leído de un archivo.
+ * Las secciones inválidas se descartan con un aviso; el resto se puede importar.
+ * @returns {Object} Perfil pendiente
+ * @throws {Error} Si el archivo no es un perfil utilizable
+ */
+function validateRobotProfile(data) {
+    if (!isProfileObject(data) || data.format !== ROBOT_PROFILE_FORMAT) {
+        throw new Error('no es un perfil de Otto Ninja');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) throw new Error('versión de perfil inválida');
+    if (data.version > ROBOT_PROFILE_VERSION) {
+        throw new Error(`perfil de una versión más nueva (v${data.version}); actualiza la app`);
+    }
+    if (!isProfileObject(data.sections)) throw new Error('perfil sin secciones');
+
+    const sections = {};
+    const warnings = [];
+    ROBOT_PROFILE_SECTIONS.forEach(section => {
+        if (!(section.key in data.sections)) return;
+        const error = section.validate(data.sections[section.key]);
+        if (error) warnings.push(`${section.label}: ${error} (se ignora)`);
+        else sections[section.key] = data.sections[section.key];
+    });
+    Object.keys(data.sections)
+        .filter(key => !ROBOT_PROFILE_SECTIONS.some(section => section.key === key))
+        .forEach(key => warnings.push(`Sección desconocida "${key}" (se ignora)`));
+
+    if (Object.keys(sections).length === 0) throw new Error('ninguna sección válida');
+
+    return {
+        name: typeof data.name === 'string' ? data.name : 'Perfil sin nombre',
+        created: data.created,
+        robot: data.robot,
+        version: data.version,
+        sections,
+        warnings
+    };
+}
+
+function loadRobotProfileFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            robotProfileState.pending = validateRobotProfile(JSON.parse(reader.result));
+            renderRobotProfileImport();
+        } catch (e) {
+            alert('No se pudo cargar el perfil: ' + e.message);
+        }
+    };
+    reader.readAsText(file);
+}
+
+async function applyRobotProfileImport() {
+    const pending = robotProfileState.pending;
+    if (!pending) return;
+
+    const mode = document.getElementById('profileImportMode')?.value || 'merge';
+    const keys = [...document.querySelectorAll('#profileImportSections input:checked')].map(input => input.value);
+    if (keys.length === 0) {
+        addLog('⚠️ Elige al menos una sección para importar');
+        return;
+    }
+    if (mode === 'replace' && !confirm('Reemplazar borra lo que no esté en el perfil. ¿Continuar?')) return;
+
+    for (const section of ROBOT_PROFILE_SECTIONS) {
+        if (!keys.includes(section.key)) continue;
+        try {
+            await section.apply(pending.sections[section.key], mode);
+        } catch (e) {
+            console.error(`Error importando ${section.key}:`, e);
+            addLog(`❌ ${section.label}: no se pudo importar`);
+        }
+    }
+
+    addLog(`📂 Perfil importado (${mode === 'replace' ? 'reemplazar' : 'fusionar'}): ${pending.name}`);
+    cancelRobotProfileImport();
+}
+
+function cancelRobotProfileImport() {
+    robotProfileState.pending = null;
+    renderRobotProfileImport();
+}
+
+/* ================== UI ================== */
+
+function renderRobotProfileExport() {
+    const list = document.getElementById('profileExportSections');
+    if (!list) return;
+    list.innerHTML = '';
+    ROBOT_PROFILE_SECTIONS.forEach(section => {
+        const label = document.createElement('label');
+        label.className = 'profile-section-toggle';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = section.key;
+        input.checked = true;
+        label.append(input, ` ${section.label}`);
+        list.appendChild(label);
+    });
+}
+
+/**
+ * Vista previa de la importación: qué cambia en cada sección
+ */
+function renderRobotProfileImport() {
+    const box = document.getElementById('profileImportPreview');
+    const pending = robotProfileState.pending;
+    if (!box) return;
+    box.style.display = pending ? '' : 'none';
+    if (!pending) return;
+
+    const info = document.getElementById('profileImportInfo');
+    if (info) {
+        const created = pending.created ? new Date(pending.created).toLocaleString() : 'fecha desconocida';
+        info.textContent = `«${pending.name}» · v${pending.version} · ${created}` +
+            (pending.robot ? ` · exportado desde ${pending.robot}` : '');
+    }
+
+    const warnings = document.getElementById('profileImportWarnings');
+    if (warnings) {
+        warnings.innerHTML = '';
+        pending.warnings.forEach(text => {
+            const item = document.createElement('p');
+            item.className = 'profile-warning';
+            item.textContent = `⚠️ ${text}`;
+            warnings.appendChild(item);
+        });
+    }
+
+    const mode = document.getElementById('profileImportMode')?.value || 'merge';
+    const list = document.getElementById('profileImportSections');
+    if (!list) return;
+
+    // Conservar las casillas desmarcadas al cambiar de modo
+    const unchecked = new Set([...list.querySelectorAll('input:not(:checked)')].map(input => input.value));
+    list.innerHTML = '';
+
+    ROBOT_PROFILE_SECTIONS.forEach(section => {
+        if (!(section.key in pending.sections)) return;
+        const changes = section.diff(pending.sections[section.key], mode);
+
+        const block = document.createElement('div');
+        block.className = 'profile-diff';
+
+        const label = document.createElement('label');
+        label.className = 'profile-section-toggle';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = section.key;
+        input.checked = !unchecked.has(section.key);
+        const count = changes.length === 0 ? 'sin cambios' : `${changes.length} cambio${changes.length === 1 ? '' : 's'}`;
+        label.append(input, ` ${section.label} (${count})`);
+        block.appendChild(label);
+
+        changes.forEach(text => {
+            const line = document.createElement('div');
+            line.className = 'profile-diff-line';
+            if (text.startsWith('+')) line.classList.add('added');
+            else if (text.startsWith('−') || text.includes('se quita')) line.classList.add('removed');
+            line.textContent = text;
+            block.appendChild(line);
+        });
+        list.appendChild(block);
+    });
+}
+
+/* ================== INIT EVENT LISTENERS ================== */
+
+function initRobotProfile() {
+    renderRobotProfileExport();
+    renderRobotProfileImport();
+
+    document.getElementById('profileExportBtn')?.addEventListener('click', exportRobotProfile);
+
+    const fileInput = document.getElementById('profileFileInput');
+    document.getElementById('profileImportBtn')?.addEventListener('click', () => fileInput?.click());
+    fileInput?.addEventListener('change', () => {
+        if (fileInput.files[0]) loadRobotProfileFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    document.getElementById('profileImportMode')?.addEventListener('change', renderRobotProfileImport);
+    document.getElementById('profileImportApplyBtn')?.addEventListener('click', applyRobotProfileImport);
+    document.getElementById('profileImportCancelBtn')?.addEventListener('click', cancelRobotProfileImport);
+}
+
+// Inicializar cuando el DOM esté listo
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initRobotProfile);
+} else {
+    initRobotProfile();
+}
+
+// Exportar funciones globales
+window.collectRobotProfile = collectRobotProfile;
+window.validateRobotProfile = validateRobotProfile;
@@ -0,0 +1,662 @@
+/**
+ * ROBOTS MODULE - Otto Ninja Controller
+ * Flota de robots: varios robots conectados a la vez, cada uno con su
+ * estado de conexión, offsets, melodías y último bitmap, y envío de
+ * comandos al robot activo, a un robot, a un grupo o a todos.
+ */
+
+const ROBOT_REGISTRY_KEY = 'robotRegistry';
+const ROBOT_POLL_INTERVAL = 3000;    // ms entre sondeos de /status
+const ROBOT_POLL_TIMEOUT = 1500;
+const ROBOT_LOST_AFTER = 3;          // Sondeos fallidos seguidos para declararlo perdido
+const ROBOT_DEGRADED_RTT = 800;
+
+// Endpoints que se pueden dirigir a la flota. offset, ultrasonic y melody
+// son propios de cada robot y siempre van al robot activo.
+const ROBOT_TARGETABLE_ENDPOINTS = ['walk', 'arms', 'head', 'attack', 'buzzer', 'message', 'mode', 'joystick', 'bitmap'];
+
+// Estado de la flota
+const robotsState = {
+    robots: [],          // { id, ip, name, group, offsets, melodies, bitmap, status, rtt, failures }
+    target: 'active',    // 'active' | 'all' | 'group:<nombre>' | 'robot:<id>'
+    syncLatency: true,   // Compensar la latencia de cada robot para que actúen a la vez
+    pollInterval: null,
+    pollBusy: false
+};
+
+/* ================== REGISTRY ================== */
+
+/**
+ * Cargar la flota guardada (el estado de conexión no se persiste)
+ */
+function loadRobotRegistry() {
+    try {
+        const saved = storageGet(ROBOT_REGISTRY_KEY, {});
+        robotsState.robots = (Array.isArray(saved.robots) ? saved.robots : []).map(r => ({
+            id: r.id,
+            ip: r.ip,
+            name: r.name || '',
+            group: r.group || '',
+            offsets: r.offsets || { left: 0, right: 0 },
+            melodies: Array.isArray(r.melodies) ? r.melodies : [],
+            bitmap: r.bitmap || '',
+            status: 'disconnected',
+            rtt: null,
+            failures: 0
+        }));
+        robotsState.syncLatency = saved.syncLatency !== false;
+    } catch (e) {
+        console.error('Error cargando flota de robots:', e);
+        robotsState.robots = [];
+    }
+}
+
+/**
+ * Guardar la flota
+ */
+function persistRobotRegistry() {
+    const robots = robotsState.robots.map(r => ({
+        id: r.id,
+        ip: r.ip,
+        name: r.name,
+        group: r.group,
+        offsets: r.offsets,
+        melodies: r.melodies,
+        bitmap: r.bitmap
+    }));
+    storageSet(ROBOT_REGISTRY_KEY, { robots, syncLatency: robotsState.syncLatency });
+}
+
+function findRobotById(id) {
+    return robotsState.robots.find(r => r.id === id) || null;
+}
+
+function findRobotByIp(ip) {
+    return robotsState.robots.find(r => r.ip === ip) || null;
+}
+
+/**
+ * Añadir un robot a la flota
+ * @param {string} ip - Dirección o hostname
+ * @param {string} group - Grupo opcional (ej. "Equipo rojo")
+ * @returns {Object|null} Robot añadido o existente
+ */
+function addRobot(ip, group = '') {
+    ip = (ip || '').trim();
+    if (!ip) return null;
+
+    const existing = findRobotByIp(ip);
+    if (existing) return existing;
+
+    const robot = {
+        id: 'r' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        ip: ip,
+        name: '',
+        group: group.trim(),
+        offsets: { left: 0, right: 0 },
+        melodies: [],
+        bitmap: '',
+        status: 'disconnected',
+        rtt: null,
+        failures: 0
+    };
+    robotsState.robots.push(robot);
+    persistRobotRegistry();
+    renderRobotList();
+    return robot;
+}
+
+/**
+ * Quitar un robot de la flota (cierra su conexión)
+ */
+function removeRobot(id) {
+    const robot = findRobotById(id);
+    if (!robot) return;
+
+    disconnectRobot(robot);
+    robotsState.robots = robotsState.robots.filter(r => r.id !== id);
+    if (robotsState.target === 'robot:' + id) robotsState.target = 'active';
+    persistRobotRegistry();
+    renderRobotList();
+}
+
+/**
+ * Nombre para mostrar
+ */
+function getRobotLabel(robot) {
+    return robot.name || robot.ip;
+}
+
+/**
+ * Grupos definidos en la flota
+ */
+function getRobotGroups() {
+    return [...new Set(robotsState.robots.map(r => r.group).filter(Boolean))];
+}
+
+/* ================== CONNECTION ================== */
+
+/**
+ * ¿El robot es el robot activo conectado desde la cabecera?
+ */
+function isActiveRobot(robot) {
+    return robot.ip === state.espIP && state.connected;
+}
+
+function isRobotOnline(robot) {
+    return robot.status === 'connected' || robot.status === 'degraded';
+}
+
+/**
+ * Conectar un robot de la flota
+ */
+async function connectRobot(robot) {
+    robot.status = 'connecting';
+    robot.failures = 0;
+    renderRobotList();
+
+    const result = await probeStatus(robot.ip, 5000);
+
+    // Lo quitaron o desconectaron mientras esperábamos
+    if (!findRobotById(robot.id) || robot.status !== 'connecting') return false;
+
+    if (!result.ok) {
+        robot.status = 'disconnected';
+        addLog(`❌ ${getRobotLabel(robot)}: ${result.timedOut ? 'timeout' : result.error}`);
+        renderRobotList();
+        return false;
+    }
+
+    if (result.data?.name) robot.name = result.data.name;
+    robot.rtt = result.rtt;
+    await openTransport(robot.ip, { primary: false });
+    robot.status = 'connected';
+    addLog(`✅ ${getRobotLabel(robot)} conectado (${getTransportName(robot.ip) === 'ws' ? 'WebSocket' : 'HTTP'})`);
+
+    await fetchRobotMelodies(robot);
+    persistRobotRegistry();
+    startRobotPolling();
+    renderRobotList();
+    return true;
+}
+
+/**
+ * Desconectar un robot de la flota
+ */
+function disconnectRobot(robot) {
+    if (robot.status === 'disconnected') return;
+    robot.status = 'disconnected';
+    robot.rtt = null;
+    closeTransport(robot.ip);
+    renderRobotList();
+}
+
+/**
+ * Conectar todos los robots de la flota en paralelo
+ */
+async function connectAllRobots() {
+    const pending = robotsState.robots.filter(r => r.status === 'disconnected' || r.status === 'lost');
+    if (pending.length === 0) return;
+
+    addLog(`🤖 Conectando ${pending.length} robot(s)...`);
+    const results = await Promise.all(pending.map(connectRobot));
+    addLog(`🤖 Flota: ${results.filter(Boolean).length}/${pending.length} conectados`);
+}
+
+/**
+ * Leer las melodías guardadas en el robot (slots 16-20)
+ */
+async function fetchRobotMelodies(robot) {
+    const result = await transportRequest('melody', { action: 'list' }, { ip: robot.ip, timeout: 3000, json: true });
+    if (result.ok && Array.isArray(result.data?.melodies)) {
+        robot.melodies = result.data.melodies.map(m => ({ slot: m.slot, name: m.name }));
+    }
+}
+
+/**
+ * Sondear /status de los robots conectados
+ */
+async function pollRobots() {
+    if (robotsState.pollBusy) return;
+    robotsState.pollBusy = true;
+
+    const watched = robotsState.robots.filter(r => r.status !== 'disconnected' && r.status !== 'connecting');
+    await Promise.all(watched.map(async robot => {
+        // El robot activo ya tiene su latido propio (app.js): reflejarlo
+        if (isActiveRobot(robot)) {
+            robot.status = linkState.status === 'degraded' ? 'degraded' : 'connected';
+            robot.rtt = getLinkStats().rtt;
+            robot.failures = 0;
+            return;
+        }
+
+        const result = await probeStatus(robot.ip, ROBOT_POLL_TIMEOUT);
+        if (robot.status === 'disconnected') return;
+
+        if (result.ok) {
+            if (robot.status === 'lost') {
+                await openTransport(robot.ip, { primary: false });
+                addLog(`✅ ${getRobotLabel(robot)} recuperado`);
+            }
+            robot.failures = 0;
+            robot.rtt = result.rtt;
+            robot.status = result.rtt >= ROBOT_DEGRADED_RTT ? 'degraded' : 'connected';
+            return;
+        }
+
+        robot.failures++;
+        if (robot.failures >= ROBOT_LOST_AFTER && robot.status !== 'lost') {
+            robot.status = 'lost';
+            robot.rtt = null;
+            // Por si el enlace vuelve mientras seguía conduciendo
+            transportSend('joystick', { x: 0, y: 0 }, { ip: robot.ip, keepalive: true });
+            addLog(`❌ ${getRobotLabel(robot)}: conexión perdida`);
+        } else if (robot.status !== 'lost') {
+            robot.status = 'degraded';
+        }
+    }));
+
+    robotsState.pollBusy = false;
+    renderRobotList();
+
+    if (!robotsState.robots.some(r => r.status !== 'disconnected')) stopRobotPolling();
+}
+
+function startRobotPolling() {
+    if (robotsState.pollInterval) return;
+    robotsState.pollInterval = setInterval(pollRobots, ROBOT_POLL_INTERVAL);
+}
+
+function stopRobotPolling() {
+    if (robotsState.pollInterval) {
+        clearInterval(robotsState.pollInterval);
+        robotsState.pollInterval = null;
+    }
+}
+
+/**
+ * Hacer que un robot de la flota sea el robot activo (paneles de calibración,
+ * sensor y melodías trabajan sobre él)
+ */
+function activateRobot(robot) {
+    if (elements.ipInput) elements.ipInput.value = robot.ip;
+    connect();
+}
+
+/**
+ * El robot activo acaba de conectar: cargar sus offsets guardados
+ * @param {string} ip - Robot activo
+ * @param {Object|null} info - JSON de /status
+ */
+function onActiveRobotConnected(ip, info) {
+    const robot = findRobotByIp(ip);
+    if (!robot) return;
+
+    if (info?.name) robot.name = info.name;
+    if (robot.status === 'disconnected' || robot.status === 'lost') {
+        robot.status = 'connected';
+        startRobotPolling();
+    }
+
+    const { left, right } = robot.offsets;
+    if (elements.offsetLeft) elements.offsetLeft.value = left;
+    if (elements.offsetRight) elements.offsetRight.value = right;
+    updateOffsetDisplay('left', left);
+    updateOffsetDisplay('right', right);
+
+    persistRobotRegistry();
+    renderRobotList();
+}
+
+/**
+ * Guardar offsets aplicados en el robot correspondiente
+ */
+function noteRobotOffsets(ip, offsets) {
+    const robot = findRobotByIp(ip);
+    if (!robot) return;
+    robot.offsets = { ...robot.offsets, ...offsets };
+    persistRobotRegistry();
+    renderRobotList();
+}
+
+/**
+ * Offsets guardados de un robot del registro
+ * @returns {Object|null} { left, right, ... } o null si no está registrado
+ */
+function getRobotOffsets(ip) {
+    const robot = findRobotByIp(ip);
+    return robot ? { ...robot.offsets } : null;
+}
+
+/**
+ * Guardar el último bitmap mostrado en el robot
+ */
+function noteRobotBitmap(ip, name) {
+    const robot = findRobotByIp(ip);
+    if (!robot) return;
+    robot.bitmap = name;
+    persistRobotRegistry();
+    renderRobotList();
+}
+
+/**
+ * Releer la lista de melodías del robot tras subir o borrar una
+ */
+async function refreshRobotMelodies(ip) {
+    const robot = findRobotByIp(ip);
+    if (!robot) return;
+    await fetchRobotMelodies(robot);
+    persistRobotRegistry();
+    renderRobotList();
+}
+
+/* ================== COMMAND TARGETING ================== */
+
+/**
+ * Robots destino de un comando según el selector de la flota
+ * @param {string} endpoint - Endpoint del firmware
+ * @returns {Array|null|false} Robots en línea, null si el comando va al robot
+ *   activo, false si el destino es la flota pero ninguno está en línea
+ */
+function getCommandTargets(endpoint) {
+    if (robotsState.target === 'active' || !ROBOT_TARGETABLE_ENDPOINTS.includes(endpoint)) {
+        return null;
+    }
+
+    let robots = robotsState.robots;
+    if (robotsState.target.startsWith('group:')) {
+        const group = robotsState.target.slice(6);
+        robots = robots.filter(r => r.group === group);
+    } else if (robotsState.target.startsWith('robot:')) {
+        robots = robots.filter(r => r.id === robotsState.target.slice(6));
+    }
+    const online = robots.filter(isRobotOnline);
+    return online.length > 0 ? online : false;
+}
+
+/**
+ * Robots de la flota en línea (para la parada de emergencia)
+ */
+function getOnlineRobots() {
+    return robotsState.robots.filter(isRobotOnline);
+}
+
+/**
+ * Retardo por robot para que el comando llegue a todos a la vez:
+ * los robots más rápidos esperan la mitad de la diferencia de RTT
+ */
+function getSyncDelays(robots) {
+    if (!robotsState.syncLatency) return robots.map(() => 0);
+    const maxRtt = Math.max(0, ...robots.map(r => r.rtt || 0));
+    return robots.map(r => Math.round((maxRtt - (r.rtt || 0)) / 2));
+}
+
+/**
+ * Enviar un comando a varios robots y esperar sus respuestas
+ * @returns {Promise<boolean>} true si todos respondieron OK
+ */
+async function sendToRobots(robots, endpoint, params, options = {}) {
+    if (robots.length === 0) {
+        addLog('⚠️ Ningún robot de la flota conectado para este destino');
+        return false;
+    }
+
+    const delays = getSyncDelays(robots);
+    const results = await Promise.all(robots.map((robot, i) =>
+        new Promise(resolve => setTimeout(resolve, delays[i]))
+            .then(() => transportRequest(endpoint, params, { ...options, ip: robot.ip }))
+    ));
+
+    const failed = robots.filter((robot, i) => !results[i].ok);
+    if (failed.length === 0) {
+        addLog(`✅ ${endpoint.toUpperCase()}: OK (${robots.length} robots)`);
+    } else {
+        addLog(`⚠️ ${endpoint.toUpperCase()}: falló en ${failed.map(getRobotLabel).join(', ')}`);
+    }
+    return failed.length === 0;
+}
+
+/**
+ * Enviar un comando sin esperar respuesta a varios robots (joystick)
+ */
+function sendToRobotsNoAck(robots, endpoint, params, options = {}) {
+    const delays = getSyncDelays(robots);
+    robots.forEach((robot, i) => {
+        const send = () => transportSend(endpoint, params, { ...options, ip: robot.ip });
+        // keepalive (stop): sin retardo, que pare cuanto antes
+        if (delays[i] > 0 && !options.keepalive) setTimeout(send, delays[i]);
+        else send();
+    });
+}
+
+/**
+ * Cambiar el destino de los comandos
+ * @param {string} target - 'active' | 'all' | 'group:<nombre>' | 'robot:<id>'
+ */
+function setCommandTarget(target) {
+    robotsState.target = target || 'active';
+    const select = document.getElementById('robotTarget');
+    if (select) select.value = robotsState.target;
+    updateRobotTargetBadge();
+
+    if (robotsState.target === 'active') {
+        addLog('🎯 Destino: robot activo');
+    } else {
+        const count = (getCommandTargets('walk') || []).length;
+        addLog(`🎯 Destino: ${getTargetLabel()} (${count} en línea)`);
+    }
+}
+
+/**
+ * Texto del destino actual
+ */
+function getTargetLabel() {
+    const target = robotsState.target;
+    if (target === 'all') return 'Todos';
+    if (target.startsWith('group:')) return 'Grupo ' + target.slice(6);
+    if (target.startsWith('robot:')) {
+        const robot = findRobotById(target.slice(6));
+        return robot ? getRobotLabel(robot) : '?';
+    }
+    return 'Robot activo';
+}
+
+/* ================== UI ================== */
+
+/**
+ * Opciones del selector de destino
+ */
+function renderTargetOptions() {
+    const select = document.getElementById('robotTarget');
+    if (!select) return;
+
+    select.innerHTML = '';
+    const add = (value, label) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    };
+
+    add('active', 'Robot activo');
+    add('all', 'Todos los robots');
+    getRobotGroups().forEach(group => add('group:' + group, 'Grupo: ' + group));
+    robotsState.robots.forEach(robot => add('robot:' + robot.id, 'Robot: ' + getRobotLabel(robot)));
+
+    // El destino guardado puede haber desaparecido (grupo vacío, robot eliminado)
+    if (![...select.options].some(o => o.value === robotsState.target)) robotsState.target = 'active';
+    select.value = robotsState.target;
+}
+
+/**
+ * Indicador del destino en la cabecera (solo si no es el robot activo)
+ */
+function updateRobotTargetBadge() {
+    const badge = document.getElementById('robotTargetBadge');
+    if (!badge) return;
+
+    if (robotsState.target === 'active') {
+        badge.textContent = '';
+        return;
+    }
+    badge.textContent = `→ ${getTargetLabel()} (${(getCommandTargets('walk') || []).length})`;
+}
+
+/**
+ * Renderizar la lista de robots de la flota
+ */
+function renderRobotList() {
+    const list = document.getElementById('robotList');
+    renderTargetOptions();
+    updateRobotTargetBadge();
+    if (!list) return;
+
+    list.innerHTML = '';
+    if (robotsState.robots.length === 0) {
+        list.innerHTML = '<p class="robot-empty">Añade robots por IP para controlarlos a la vez</p>';
+        return;
+    }
+
+    robotsState.robots.forEach(robot => {
+        const item = document.createElement('div');
+        item.className = 'robot-item' + (robot.ip === state.espIP ? ' active' : '');
+
+        const dot = document.createElement('div');
+        dot.className = 'status-indicator';
+        if (robot.status === 'connected') dot.classList.add('connected');
+        else if (robot.status === 'degraded') dot.classList.add('degraded');
+        else if (robot.status === 'connecting' || robot.status === 'lost') dot.classList.add('reconnecting');
+
+        const info = document.createElement('div');
+        info.className = 'robot-item-info';
+
+        // textContent: el nombre viene del /status del robot
+        const name = document.createElement('div');
+        name.className = 'robot-item-name';
+        name.textContent = getRobotLabel(robot) + (robot.ip === state.espIP ? ' (activo)' : '');
+
+        const meta = document.createElement('div');
+        meta.className = 'robot-item-meta';
+        const statusLabel = linkStatusLabels[robot.status] || robot.status;
+        meta.textContent = [
+            robot.ip,
+            statusLabel + (robot.rtt !== null && isRobotOnline(robot) ? ` ${robot.rtt} ms` : ''),
+            `Offsets ${robot.offsets.left}°/${robot.offsets.right}°`,
+            `${robot.melodies.length} melodía(s)`,
+            robot.bitmap ? `OLED: ${robot.bitmap}` : ''
+        ].filter(Boolean).join(' · ');
+        meta.title = robot.melodies.map(m => `${m.slot}: ${m.name}`).join('\n');
+
+        info.append(name, meta);
+
+        const group = document.createElement('input');
+        group.type = 'text';
+        group.className = 'robot-group-input';
+        group.placeholder = 'Grupo';
+        group.value = robot.group;
+        group.addEventListener('change', () => {
+            robot.group = group.value.trim();
+            persistRobotRegistry();
+            renderRobotList();
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'robot-item-actions';
+
+        const online = robot.status !== 'disconnected';
+        const connectBtn = document.createElement('button');
+        connectBtn.className = 'robot-action-btn';
+        connectBtn.textContent = online ? 'Desconectar' : 'Conectar';
+        connectBtn.addEventListener('click', () => online ? disconnectRobot(robot) : connectRobot(robot));
+
+        const activateBtn = document.createElement('button');
+        activateBtn.className = 'robot-action-btn';
+        activateBtn.textContent = 'Activar';
+        activateBtn.title = 'Usar como robot activo (calibración, sensor, melodías)';
+        activateBtn.disabled = robot.ip === state.espIP && state.connected;
+        activateBtn.addEventListener('click', () => activateRobot(robot));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'robot-action-btn danger';
+        removeBtn.textContent = '✕';
+        removeBtn.title = 'Quitar de la flota';
+        removeBtn.addEventListener('click', () => removeRobot(robot.id));
+
+        actions.append(connectBtn, activateBtn, removeBtn);
+        item.append(dot, info, group, actions);
+        list.appendChild(item);
+    });
+}
+
+/* ================== INIT EVENT LISTENERS ================== */
+
+function initRobots() {
+    loadRobotRegistry();
+
+    const addBtn = document.getElementById('robotAddBtn');
+    const addIp = document.getElementById('robotAddIp');
+    const addGroup = document.getElementById('robotAddGroup');
+    const handleAdd = () => {
+        const robot = addRobot(addIp?.value, addGroup?.value || '');
+        if (!robot) {
+            addLog('⚠️ Ingresa una IP válida');
+            return;
+        }
+        if (addIp) addIp.value = '';
+        connectRobot(robot);
+    };
+    if (addBtn) addBtn.addEventListener('click', handleAdd);
+    if (addIp) addIp.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') handleAdd();
+    });
+
+    const addActiveBtn = document.getElementById('robotAddActiveBtn');
+    if (addActiveBtn) addActiveBtn.addEventListener('click', () => {
+        if (!state.espIP) {
+            addLog('⚠️ Conecta primero un robot desde la cabecera');
+            return;
+        }
+        const robot = addRobot(state.espIP, addGroup?.value || '');
+        if (state.connected) onActiveRobotConnected(state.espIP, null);
+        else connectRobot(robot);
+    });
+
+    const connectAllBtn = document.getElementById('robotConnectAllBtn');
+    if (connectAllBtn) connectAllBtn.addEventListener('click', connectAllRobots);
+
+    const targetSelect = document.getElementById('robotTarget');
+    if (targetSelect) targetSelect.addEventListener('change', () => setCommandTarget(targetSelect.value));
+
+    const syncCheckbox = document.getElementById('robotSyncLatency');
+    if (syncCheckbox) {
+        syncCheckbox.checked = robotsState.syncLatency;
+        syncCheckbox.addEventListener('change', () => {
+            robotsState.syncLatency = syncCheckbox.checked;
+            persistRobotRegistry();
+        });
+    }
+
+    renderRobotList();
+}
+
+// Inicializar cuando el DOM esté listo
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initRobots);
+} else {
+    initRobots();
+}
+
+// Exportar funciones globales
+window.addRobot = addRobot;
+window.removeRobot = removeRobot;
+window.connectAllRobots = connectAllRobots;
+window.setCommandTarget = setCommandTarget;
+window.getCommandTargets = getCommandTargets;
+window.getOnlineRobots = getOnlineRobots;
+window.sendToRobots = sendToRobots;
+window.sendToRobotsNoAck = sendToRobotsNoAck;
+window.onActiveRobotConnected = onActiveRobotConnected;
+window.noteRobotOffsets = noteRobotOffsets;
+window.getRobotOffsets = getRobotOffsets;
+window.noteRobotBitmap = noteRobotBitmap;
+window.refreshRobotMelodies = refreshRobotMelodies;
@@ -0,0 +1,326 @@
+/**
+ * RTTTL MODULE - Otto Ninja Controller
+ * Importa tonos RTTTL ("Nombre:d=4,o=5,b=120:c,e,g") al editor de
+ * melodías y exporta cualquier melodía (de fábrica o personalizada)
+ * como RTTTL para compartirla.
+ */
+
+const RTTTL_DURATIONS = [1, 2, 4, 8, 16, 32];
+const RTTTL_NOTE_NAMES = ['c', 'c#', 'd', 'd#', 'e', 'f', 'f#', 'g', 'g#', 'a', 'a#', 'b'];
+const RTTTL_SEMITONES = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11, h: 11 };
+const RTTTL_DEFAULTS = { d: 4, o: 6, b: 63 };
+const RTTTL_MIN_BPM = 25;
+const RTTTL_MAX_BPM = 900;
+const RTTTL_TOLERANCE_MS = 1;       // Error de redondeo de duración que se ignora
+
+/* ================== PARSER ================== */
+
+/**
+ * Parsear un tono RTTTL
+ * @param {string} text - "Nombre:d=4,o=5,b=120:8c6,8e,p,g."
+ * @returns {{name: string, bpm: number, notes: Array<[number, number]>}}
+ */
+function parseRtttl(text) {
+    const parts = String(text || '').trim().split(':');
+    if (parts.length !== 3) {
+        throw new Error('Formato RTTTL inválido: se esperaba "nombre:ajustes:notas"');
+    }
+
+    const name = parts[0].trim();
+    const defaults = { ...RTTTL_DEFAULTS };
+    parts[1].split(',').map(s => s.trim()).filter(Boolean).forEach(setting => {
+        const match = /^([dob])\s*=\s*(\d+)$/i.exec(setting);
+        if (!match) throw new Error(`Ajuste RTTTL inválido: "${setting}"`);
+        defaults[match[1].toLowerCase()] = parseInt(match[2]);
+    });
+    if (!RTTTL_DURATIONS.includes(defaults.d)) throw new Error(`Duración por defecto inválida: ${defaults.d}`);
+    if (defaults.b < 1) throw new Error(`Tempo inválido: ${defaults.b}`);
+
+    const wholeMs = 240000 / defaults.b;
+    const notes = parts[2].split(',').map(s => s.trim().toLowerCase()).filter(Boolean).map(token => {
+        // [duración] nota [#] [.] [octava] [.]  (el punto se acepta antes o después de la octava)
+        const match = /^(\d{1,2})?([a-hp])(#?)(\.?)(\d?)(\.?)$/.exec(token);
+        if (!match) throw new Error(`Nota RTTTL inválida: "${token}"`);
+
+        const duration = match[1] ? parseInt(match[1]) : defaults.d;
+        if (!RTTTL_DURATIONS.includes(duration)) throw new Error(`Duración inválida en "${token}"`);
+        let ms = wholeMs / duration;
+        if (match[4] || match[6]) ms *= 1.5;
+
+        if (match[2] === 'p') return [0, Math.round(ms)];
+
+        const octave = match[5] ? parseInt(match[5]) : defaults.o;
+        const midiNote = (octave + 1) * 12 + RTTTL_SEMITONES[match[2]] + (match[3] ? 1 : 0);
+        return [midiNoteToFreq(midiNote), Math.round(ms)];
+    });
+
+    if (notes.length === 0) throw new Error('El tono RTTTL no tiene notas');
+    return { name, bpm: defaults.b, notes };
+}
+
+/* ================== EXPORTADOR ================== */
+
+/**
+ * Duraciones RTTTL (normales y con punto) para un tempo
+ */
+function rtttlDurationsForBpm(bpm) {
+    const wholeMs = 240000 / bpm;
+    const options = [];
+    RTTTL_DURATIONS.forEach(d => {
+        options.push({ d, dotted: false, ms: wholeMs / d });
+        options.push({ d, dotted: true, ms: wholeMs / d * 1.5 });
+    });
+    return options;
+}
+
+function closestRtttlDuration(ms, options) {
+    let best = options[0];
+    options.forEach(option => {
+        if (Math.abs(option.ms - ms) < Math.abs(best.ms - ms)) best = option;
+    });
+    return best;
+}
+
+/**
+ * Elegir el tempo que menos deforma las duraciones de la melodía.
+ * Los errores por debajo de RTTTL_TOLERANCE_MS (redondeo a ms) no cuentan;
+ * entre tempos equivalentes gana el más cercano a 120 (más legible).
+ */
+function pickRtttlBpm(notes) {
+    const candidates = [120];
+    for (let step = 1; 120 + step <= RTTTL_MAX_BPM || 120 - step >= RTTTL_MIN_BPM; step++) {
+        if (120 + step <= RTTTL_MAX_BPM) candidates.push(120 + step);
+        if (120 - step >= RTTTL_MIN_BPM) candidates.push(120 - step);
+    }
+
+    let bestBpm = 120;
+    let bestError = Infinity;
+    for (const bpm of candidates) {
+        const options = rtttlDurationsForBpm(bpm);
+        let error = 0;
+        for (const [, ms] of notes) {
+            const diff = Math.abs(closestRtttlDuration(ms, options).ms - ms);
+            if (diff > RTTTL_TOLERANCE_MS) error += diff / ms;
+        }
+        if (error < bestError) {
+            bestError = error;
+            bestBpm = bpm;
+        }
+    }
+    return bestBpm;
+}
+
+/**
+ * Nota más cercana a una frecuencia
+ * @returns {{name: string, octave: number}}
+ */
+function freqToRtttlNote(freq) {
+    const midiNote = Math.round(69 + 12 * Math.log2(freq / 440));
+    return {
+        name: RTTTL_NOTE_NAMES[((midiNote % 12) + 12) % 12],
+        octave: Math.min(9, Math.max(0, Math.floor(midiNote / 12) - 1))
+    };
+}
+
+function rtttlMostFrequent(values, fallback) {
+    const counts = new Map();
+    values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+    let best = fallback;
+    let bestCount = 0;
+    counts.forEach((count, value) => {
+        if (count > bestCount) {
+            best = value;
+            bestCount = count;
+        }
+    });
+    return best;
+}
+
+/**
+ * Convertir una melodía [freq, dur] a RTTTL
+ * @param {string} name
+ * @param {Array<[number, number]>} notes
+ * @returns {string}
+ */
+function melodyToRtttl(name, notes) {
+    const valid = (notes || []).filter(n => Array.isArray(n) && n[1] > 0);
+    if (valid.length === 0) throw new Error('La melodía no tiene notas');
+
+    const bpm = pickRtttlBpm(valid);
+    const options = rtttlDurationsForBpm(bpm);
+    const tokens = valid.map(([freq, ms]) => ({
+        duration: closestRtttlDuration(ms, options),
+        note: freq > 0 ? freqToRtttlNote(freq) : null
+    }));
+
+    const defaultDuration = rtttlMostFrequent(tokens.map(t => t.duration.d), 4);
+    const defaultOctave = rtttlMostFrequent(tokens.filter(t => t.note).map(t => t.note.octave), 5);
+
+    const body = tokens.map(({ duration, note }) => {
+        let token = duration.d === defaultDuration ? '' : String(duration.d);
+        if (note) {
+            token += note.name;
+            if (note.octave !== defaultOctave) token += note.octave;
+        } else {
+            token += 'p';
+        }
+        return duration.dotted ? token + '.' : token;
+    });
+
+    // ':' y ',' son separadores del formato
+    const safeName = (name || 'Melodia').replace(/[:,]/g, ' ').trim() || 'Melodia';
+    return `${safeName}:d=${defaultDuration},o=${defaultOctave},b=${bpm}:${body.join(',')}`;
+}
+
+/* ================== IMPORTAR ================== */
+
+/**
+ * Cargar un tono RTTTL en el editor del modal de importación
+ */
+function importRtttlText(text, fallbackName) {
+    let result;
+    try {
+        result = parseRtttl(text);
+    } catch (err) {
+        alert(err.message);
+        return false;
+    }
+
+    let notes = result.notes;
+    if (notes.length > MAX_NOTES_PER_MELODY) {
+        notes = notes.slice(0, MAX_NOTES_PER_MELODY);
+        addLog(`🎵 RTTTL recortado a ${MAX_NOTES_PER_MELODY} notas (tenía ${result.notes.length})`);
+    }
+
+    const name = result.name || fallbackName || 'Mi Melodia';
+    const fileInfo = document.getElementById('midiFileInfo');
+    if (fileInfo) {
+        fileInfo.style.display = 'flex';
+        document.getElementById('midiFilename').textContent = name;
+        document.getElementById('midiBpm').textContent = result.bpm + ' BPM';
+    }
+
+    loadMelodyIntoEditor(notes, name, result.bpm);
+    return true;
+}
+
+/**
+ * Leer un archivo .rtttl / .txt
+ */
+function handleRtttlFile(file) {
+    const reader = new FileReader();
+    reader.onload = e => importRtttlText(e.target.result, file.name.replace(/\.\w+$/, ''));
+    reader.onerror = () => alert('No se pudo leer el archivo RTTTL.');
+    reader.readAsText(file);
+}
+
+/* ================== EXPORTAR ================== */
+
+/**
+ * Melodías disponibles para exportar: de fábrica y personalizadas
+ * @returns {Array<{id: string, name: string, notes: Array}>}
+ */
+function listExportableMelodies() {
+    const list = [];
+    const melodies = window.soundMelodies || {};
+    Object.entries(window.soundData || {}).forEach(([id, info]) => {
+        if (melodies[id]) list.push({ id, name: info.name, notes: melodies[id] });
+    });
+    Object.entries(window.state?.customMelodies || {}).forEach(([id, melody]) => {
+        if (melody && melody.notes && melody.notes.length > 0) list.push({ id, name: melody.name, notes: melody.notes });
+    });
+    return list;
+}
+
+function renderRtttlExportOptions() {
+    const select = document.getElementById('rtttlExportSelect');
+    if (!select) return;
+
+    const current = select.value;
+    select.innerHTML = '';
+    listExportableMelodies().forEach(melody => {
+        const option = document.createElement('option');
+        option.value = melody.id;
+        option.textContent = parseInt(melody.id) >= CUSTOM_MELODY_START ? `★ ${melody.name}` : melody.name;
+        select.appendChild(option);
+    });
+    if ([...select.options].some(o => o.value === current)) select.value = current;
+    updateRtttlExport();
+}
+
+function updateRtttlExport() {
+    const select = document.getElementById('rtttlExportSelect');
+    const output = document.getElementById('rtttlExportOutput');
+    if (!select || !output) return;
+
+    const melody = listExportableMelodies().find(m => m.id === select.value);
+    if (!melody) {
+        output.value = '';
+        return;
+    }
+    try {
+        output.value = melodyToRtttl(melody.name, melody.notes);
+    } catch (err) {
+        output.value = '';
+        addLog(`❌ RTTTL: ${err.message}`);
+    }
+}
+
+async function copyRtttlExport() {
+    const output = document.getElementById('rtttlExportOutput');
+    if (!output || !output.value) { addLog('RTTTL: nada que copiar'); return; }
+    try {
+        await navigator.clipboard.writeText(output.value);
+        addLog('🎵 RTTTL copiado al portapapeles');
+    } catch (e) {
+        addLog('RTTTL: no se pudo copiar — ' + e.message);
+    }
+}
+
+function downloadRtttlExport() {
+    const output = document.getElementById('rtttlExportOutput');
+    if (!output || !output.value) { addLog('RTTTL: nada que descargar'); return; }
+
+    const name = output.value.split(':')[0];
+    const blob = new Blob([output.value + '\n'], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name.replace(/[^\w\-áéíóúñÁÉÍÓÚÑ ]/g, '_') + '.rtttl';
+    link.click();
+    URL.revokeObjectURL(url);
+    addLog(`💾 RTTTL descargado: ${name}`);
+}
+
+/* ================== INIT ================== */
+
+function initRtttl() {
+    const loadBtn = document.getElementById('rtttlLoadBtn');
+    const input = document.getElementById('rtttlInput');
+    if (loadBtn && input) {
+        loadBtn.addEventListener('click', e => {
+            e.stopPropagation();
+            importRtttlText(input.value);
+        });
+    }
+
+    document.getElementById('rtttlExportSelect')?.addEventListener('change', updateRtttlExport);
+    document.getElementById('rtttlCopyBtn')?.addEventListener('click', copyRtttlExport);
+    document.getElementById('rtttlDownloadBtn')?.addEventListener('click', downloadRtttlExport);
+
+    renderRtttlExportOptions();
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initRtttl);
+} else {
+    initRtttl();
+}
+
+// Exportar funciones globales
+window.parseRtttl = parseRtttl;
+window.melodyToRtttl = melodyToRtttl;
+window.pickRtttlBpm = pickRtttlBpm;
+window.importRtttlText = importRtttlText;
+window.handleRtttlFile = handleRtttlFile;
+window.renderRtttlExportOptions = renderRtttlExportOptions;
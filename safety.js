@@ -0,0 +1,282 @@
+/**
+ * SAFETY MODULE - Otto Ninja Controller
+ * Parada de emergencia (E-STOP) siempre visible y modo hombre muerto.
+ * - E-STOP: cancela comandos en vuelo, aborta melodías y secuencias,
+ *   y repite la parada hasta que cada robot la confirma. Queda enclavada
+ *   hasta que el usuario rearma.
+ * - Hombre muerto: solo se conduce mientras se mantiene un control.
+ * - Parada automática al ocultar la página o perder el latido.
+ */
+
+const SAFETY_SETTINGS_KEY = 'safety';
+const ESTOP_RETRY_INTERVAL = 250;    // ms entre reintentos de la parada
+const ESTOP_MAX_ATTEMPTS = 12;
+const ESTOP_ACK_TIMEOUT = 800;
+const DEADMAN_CHECK_INTERVAL = 150;
+
+// Estado de seguridad
+const safetyState = {
+    latched: false,          // E-STOP enclavada: no se envían comandos
+    stopping: false,
+    deadman: false,
+    deadmanTimer: null,
+    walkHeld: false,         // Botón de caminar mantenido (modo hombre muerto)
+    stopHandlers: []         // Módulos con secuencias que abortar (coreografía, scripts...)
+};
+
+/* ================== STOP HANDLERS ================== */
+
+/**
+ * Registrar una función a llamar en cualquier parada
+ * @param {Function} handler - Recibe el motivo ('estop' | 'deadman' | 'hidden' | 'link')
+ */
+function registerStopHandler(handler) {
+    safetyState.stopHandlers.push(handler);
+}
+
+function runStopHandlers(reason) {
+    safetyState.stopHandlers.forEach(handler => {
+        try {
+            handler(reason);
+        } catch (e) {
+            console.error('Error en parada:', e);
+        }
+    });
+}
+
+function isSafetyLatched() {
+    return safetyState.latched;
+}
+
+function isDeadmanEnabled() {
+    return safetyState.deadman;
+}
+
+/* ================== STOP ================== */
+
+/**
+ * Robots a los que enviar la parada: el activo y los de la flota en línea
+ */
+function getStopTargets() {
+    const ips = new Set();
+    if (state.connected && state.espIP) ips.add(state.espIP);
+    if (typeof window.getOnlineRobots === 'function') {
+        window.getOnlineRobots().forEach(robot => ips.add(robot.ip));
+    }
+    return [...ips];
+}
+
+/**
+ * Dejar el joystick en reposo (visual y estado) sin enviar nada
+ */
+function resetDriveState() {
+    if (state.joystick.dragging) {
+        stopJoystick();
+    } else if (elements.joystickKnob) {
+        updateJoystickVisual(0, 0);
+    }
+    state.joystick.lastX = 0;
+    state.joystick.lastY = 0;
+    state.joystick.pendingUpdate = false;
+    state.joystick.external = false;
+    safetyState.walkHeld = false;
+}
+
+/**
+ * Enviar parada a un robot hasta que la confirme
+ * @returns {Promise<boolean>} true si hubo ack
+ */
+async function sendStopUntilAck(ip) {
+    for (let attempt = 0; attempt < ESTOP_MAX_ATTEMPTS; attempt++) {
+        const result = await transportRequest('joystick', { x: 0, y: 0 }, { ip, timeout: ESTOP_ACK_TIMEOUT });
+        if (result.ok) return true;
+        await new Promise(resolve => setTimeout(resolve, ESTOP_RETRY_INTERVAL));
+    }
+    return false;
+}
+
+/**
+ * Parada de emergencia
+ */
+async function emergencyStop() {
+    safetyState.latched = true;
+    updateEstopUI();
+
+    // Cancelar todo lo que está en vuelo o en cola antes de enviar la parada
+    abortTransportRequests();
+    stopBrowserMelody();
+    runStopHandlers('estop');
+    resetDriveState();
+    addLog('🛑 E-STOP');
+
+    if (safetyState.stopping) return;
+    safetyState.stopping = true;
+
+    const targets = getStopTargets();
+    const acks = await Promise.all(targets.map(sendStopUntilAck));
+    // Caminar: volver a la posición inicial (mejor esfuerzo)
+    targets.forEach(ip => transportRequest('walk', { cmd: 'home' }, { ip, timeout: 2000 }));
+
+    safetyState.stopping = false;
+
+    const failed = targets.filter((ip, i) => !acks[i]);
+    if (targets.length === 0) {
+        addLog('🛑 E-STOP: no hay robots conectados');
+    } else if (failed.length === 0) {
+        addLog(`🛑 E-STOP confirmada (${targets.length} robot(s))`);
+    } else {
+        addLog(`❌ E-STOP sin confirmar en: ${failed.join(', ')}`);
+    }
+}
+
+/**
+ * Rearmar tras una E-STOP
+ */
+function releaseEmergencyStop() {
+    if (safetyState.stopping) return;
+    safetyState.latched = false;
+    updateEstopUI();
+    addLog('✅ E-STOP rearmada');
+}
+
+/**
+ * Parada automática (sin enclavar): hombre muerto, página oculta, latido perdido
+ * @param {string} reason - 'deadman' | 'hidden' | 'link'
+ */
+function safetyStop(reason) {
+    const moving = state.joystick.lastX !== 0 || state.joystick.lastY !== 0 || safetyState.walkHeld;
+
+    runStopHandlers(reason);
+    if (reason === 'link') abortTransportRequests();
+    resetDriveState();
+
+    // keepalive: la página puede estar cerrándose. home corta también la
+    // marcha continua (D-pad, bloques, scripts), que el joystick no para
+    getStopTargets().forEach(ip => {
+        transportSend('joystick', { x: 0, y: 0 }, { ip, keepalive: true });
+        transportSend('walk', { cmd: 'home' }, { ip, keepalive: true });
+    });
+
+    if (reason === 'deadman' && moving) addLog('✋ Hombre muerto: control soltado, parando');
+    else if (reason === 'hidden' && moving) addLog('🛑 Página oculta: parando');
+}
+
+/* ================== DEAD-MAN ================== */
+
+/**
+ * Vigilar que la conducción tenga un control mantenido
+ */
+function deadmanCheck() {
+    const moving = state.joystick.lastX !== 0 || state.joystick.lastY !== 0;
+    const held = state.joystick.dragging || state.joystick.external;
+    if (moving && !held) safetyStop('deadman');
+}
+
+function setDeadman(enabled) {
+    safetyState.deadman = enabled;
+    if (safetyState.deadmanTimer) {
+        clearInterval(safetyState.deadmanTimer);
+        safetyState.deadmanTimer = null;
+    }
+    if (enabled) safetyState.deadmanTimer = setInterval(deadmanCheck, DEADMAN_CHECK_INTERVAL);
+    // Conducción autónoma en marcha: incompatible con el hombre muerto
+    if (enabled && typeof window.stopAutonomousDriving === 'function') window.stopAutonomousDriving();
+
+    storageSet(SAFETY_SETTINGS_KEY, { deadman: enabled });
+}
+
+/**
+ * Mantener/soltar un control de caminar (D-pad, mando)
+ * En modo hombre muerto, soltar vuelve a la posición inicial.
+ */
+function notifyWalkHold(held) {
+    if (!safetyState.deadman) return;
+    if (held) {
+        safetyState.walkHeld = true;
+    } else if (safetyState.walkHeld) {
+        safetyState.walkHeld = false;
+        sendRequest('walk', { cmd: 'home' });
+    }
+}
+
+/* ================== UI ================== */
+
+function updateEstopUI() {
+    const btn = document.getElementById('estopBtn');
+    if (!btn) return;
+    btn.classList.toggle('latched', safetyState.latched);
+    btn.textContent = safetyState.latched ? 'REARMAR' : 'STOP';
+    btn.title = safetyState.latched ? 'Rearmar tras la parada de emergencia' : 'Parada de emergencia (Espacio)';
+}
+
+/* ================== INIT EVENT LISTENERS ================== */
+
+function initSafety() {
+    const estopBtn = document.getElementById('estopBtn');
+    if (estopBtn) {
+        // pointerdown: parar sin esperar al click
+        estopBtn.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            if (safetyState.latched) releaseEmergencyStop();
+            else emergencyStop();
+        });
+    }
+
+    const saved = storageGet(SAFETY_SETTINGS_KEY, {});
+
+    const deadmanToggle = document.getElementById('deadmanToggle');
+    if (deadmanToggle) {
+        deadmanToggle.checked = saved.deadman === true;
+        deadmanToggle.addEventListener('change', () => {
+            setDeadman(deadmanToggle.checked);
+            addLog(deadmanToggle.checked ? '✋ Hombre muerto activado' : '✋ Hombre muerto desactivado');
+        });
+    }
+    setDeadman(saved.deadman === true);
+
+    // Hombre muerto en el D-pad: caminar al pulsar, parar al soltar
+    const isWalkMove = (el) => {
+        const btn = el?.closest?.('[data-action="walk"]');
+        return btn && btn.dataset.cmd !== 'home' ? btn : null;
+    };
+    document.addEventListener('pointerdown', (e) => {
+        const btn = safetyState.deadman && isWalkMove(e.target);
+        if (!btn) return;
+        notifyWalkHold(true);
+        walk(btn.dataset.cmd);
+    });
+    ['pointerup', 'pointercancel'].forEach(type => {
+        document.addEventListener(type, () => notifyWalkHold(false));
+    });
+    // El click ya se resolvió en pointerdown: no repetir el comando
+    document.addEventListener('click', (e) => {
+        if (safetyState.deadman && isWalkMove(e.target)) e.stopPropagation();
+    }, true);
+
+    // Pestaña oculta, cambio de app o cierre de la página
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) safetyStop('hidden');
+    });
+    window.addEventListener('pagehide', () => safetyStop('hidden'));
+    window.addEventListener('blur', () => {
+        if (safetyState.deadman) safetyStop('deadman');
+    });
+
+    updateEstopUI();
+}
+
+// Inicializar cuando el DOM esté listo
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initSafety);
+} else {
+    initSafety();
+}
+
+// Exportar funciones globales
+window.emergencyStop = emergencyStop;
+window.releaseEmergencyStop = releaseEmergencyStop;
+window.safetyStop = safetyStop;
+window.isSafetyLatched = isSafetyLatched;
+window.isDeadmanEnabled = isDeadmanEnabled;
+window.registerStopHandler = registerStopHandler;
+window.notifyWalkHold = notifyWalkHold;
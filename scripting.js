@@ -0,0 +1,529 @@
+/**
+ * SCRIPTING MODULE - Otto Ninja Controller
+ * Scripts de texto para usuarios avanzados:
+ *
+ *     await robot.walk('forward');
+ *     await robot.attack('slash');
+ *     if (await robot.distance() < 20) await robot.head('left');
+ *
+ * El script corre en un Web Worker creado dentro de un iframe con
+ * sandbox="allow-scripts": origen opaco (sin acceso al almacenamiento de
+ * la app) y CSP sin red. El worker además bloquea fetch, IndexedDB, etc.
+ * El objeto `robot` del worker reenvía cada llamada al hilo principal,
+ * que la valida y la ejecuta con las funciones de siempre (walk, arm,
+ * headMove, attack, playSong, sendDisplayMessage, bitmaps, ultrasonido).
+ * Detener quita el iframe y con él el worker, así que ni un bucle
+ * infinito bloquea la app.
+ */
+
+const SCRIPTS_STORAGE_KEY = 'scripts';
+const SCRIPT_AUTOSAVE_DELAY = 800;
+
+const SCRIPT_WALK_CMDS = ['forward', 'backward', 'left', 'right', 'home'];
+const SCRIPT_ARM_CMDS = ['raise_left', 'lower_left', 'raise_right', 'lower_right', 'wave'];
+const SCRIPT_HEAD_CMDS = ['left', 'center', 'right'];
+
+const DEFAULT_SCRIPT = `// Ejemplo: avanzar hasta encontrar un obstáculo
+for (let i = 0; i < 5; i++) {
+    const cm = await robot.distance();
+    console.log('Distancia:', cm);
+    if (cm !== null && cm < 20) {
+        await robot.head('left');
+        await robot.attack('slash');
+        break;
+    }
+    await robot.walk('forward');
+    await robot.wait(800);
+}
+await robot.walk('home');
+`;
+
+/**
+ * Validar un argumento contra una lista
+ * @throws {Error} Con la lista de valores válidos
+ */
+function expectOneOf(name, value, allowed) {
+    if (!allowed.includes(value)) {
+        throw new Error(`${name}: "${value}" no es válido (${allowed.join(', ')})`);
+    }
+    return value;
+}
+
+/**
+ * Esperar a que pase el cooldown del comando para que no se descarte
+ * @param {string} key - Clave de state.lastCommandTime
+ */
+async function waitCommandCooldown(key) {
+    const wait = state.lastCommandTime[key] + getCommandCooldown() - Date.now();
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+}
+
+/**
+ * API del objeto `robot` (hilo principal). `doc` alimenta la ayuda del panel.
+ * robot.wait(ms) lo resuelve el propio worker.
+ */
+const SCRIPT_API = {
+    walk: {
+        signature: 'walk(cmd)',
+        doc: "Caminar: 'forward', 'backward', 'left', 'right' o 'home'",
+        run: async (cmd) => {
+            expectOneOf('walk', cmd, SCRIPT_WALK_CMDS);
+            await waitCommandCooldown('walk');
+            await runAutomated(() => walk(cmd));
+        }
+    },
+    arm: {
+        signature: 'arm(cmd)',
+        doc: "Brazos: 'raise_left', 'lower_left', 'raise_right', 'lower_right' o 'wave'",
+        run: async (cmd) => {
+            expectOneOf('arm', cmd, SCRIPT_ARM_CMDS);
+            await waitCommandCooldown('arm');
+            await runAutomated(() => arm(cmd));
+        }
+    },
+    head: {
+        signature: 'head(cmd)',
+        doc: "Cabeza: 'left', 'center' o 'right'",
+        run: async (cmd) => {
+            expectOneOf('head', cmd, SCRIPT_HEAD_CMDS);
+            await waitCommandCooldown('head');
+            await runAutomated(() => headMove(cmd));
+        }
+    },
+    attack: {
+        signature: 'attack(name)',
+        doc: () => `Ataque: ${Object.keys(attackData).map(id => `'${id}'`).join(', ')}`,
+        run: async (name) => {
+            expectOneOf('attack', name, Object.keys(attackData));
+            await waitCommandCooldown('attack');
+            await runAutomated(() => attack(name, false));
+        }
+    },
+    sound: {
+        signature: 'sound(n)',
+        doc: 'Melodía del buzzer por número (predefinidas y personalizadas)',
+        run: async (n) => {
+            const song = parseInt(n);
+            if (!soundMelodies[song] && !state.customMelodies[song]) {
+                throw new Error(`sound: no existe la melodía ${n}`);
+            }
+            await waitCommandCooldown('buzzer');
+            await runAutomated(() => playSong(song, false, false));
+        }
+    },
+    message: {
+        signature: 'message(text)',
+        doc: 'Mostrar un texto en la pantalla OLED',
+        run: async (text) => {
+            await runAutomated(() => sendDisplayMessage(String(text).slice(0, 40)));
+        }
+    },
+    bitmap: {
+        signature: 'bitmap(name)',
+        doc: 'Mostrar una imagen guardada en la biblioteca de bitmaps',
+        run: async (name) => {
+            const index = state.savedBitmaps.findIndex(b => b.name === name);
+            if (index < 0) throw new Error(`bitmap: "${name}" no está en la biblioteca`);
+            await runAutomated(() => sendSavedBitmap(index));
+        }
+    },
+    distance: {
+        signature: 'distance()',
+        doc: 'Leer el ultrasonido: centímetros, o null si no hay eco',
+        run: () => readUltrasonicDistance()
+    }
+};
+
+// Estado del editor y del runner
+const scriptsState = {
+    scripts: [],             // { id, name, source, updated }
+    selectedId: null,
+    sandbox: null,           // { frame, source } del script en ejecución
+    saveTimer: null
+};
+
+/* ================== SANDBOX ================== */
+
+/**
+ * Código del worker. Se serializa con toString(): no puede usar nada de fuera.
+ */
+function scriptWorkerMain() {
+    // Sin red, almacenamiento ni carga de código: solo se habla con la app vía
+    // robot. Asignar undefined no basta (delete lo recupera): se redefine como
+    // no configurable en el global y en toda su cadena de prototipos.
+    const blocked = ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'WebTransport', 'importScripts',
+        'Worker', 'SharedWorker', 'indexedDB', 'caches', 'BroadcastChannel', 'navigator'];
+    for (let scope = self; scope; scope = Object.getPrototypeOf(scope)) {
+        blocked.forEach(name => {
+            if (scope !== self && !Object.prototype.hasOwnProperty.call(scope, name)) return;
+            try {
+                Object.defineProperty(scope, name, { value: undefined, writable: false, configurable: false });
+            } catch (e) {
+                // Lo detecta la comprobación de abajo
+            }
+        });
+    }
+    const escaped = blocked.filter(name => {
+        try {
+            delete self[name];
+        } catch (e) {
+            // Borrar una propiedad no configurable falla: es lo esperado
+        }
+        return self[name] !== undefined;
+    });
+
+    const pending = new Map();
+    let nextId = 1;
+
+    const format = (value) => {
+        if (typeof value === 'string') return value;
+        try {
+            return JSON.stringify(value);
+        } catch (e) {
+            return String(value);
+        }
+    };
+    const log = (level) => (...args) => postMessage({ type: 'log', level, text: args.map(format).join(' ') });
+    const scriptConsole = Object.freeze({ log: log('log'), info: log('log'), warn: log('warn'), error: log('error') });
+
+    const call = (method, args) => new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { resolve, reject });
+        postMessage({ type: 'call', id, method, args });
+    });
+
+    self.onmessage = async (e) => {
+        const msg = e.data;
+        if (msg.type === 'result') {
+            const entry = pending.get(msg.id);
+            pending.delete(msg.id);
+            if (!entry) return;
+            if (msg.error) entry.reject(new Error(msg.error));
+            else entry.resolve(msg.value);
+            return;
+        }
+        if (msg.type !== 'run') return;
+        if (escaped.length > 0) {
+            postMessage({ type: 'error', text: `Sandbox incompleto (${escaped.join(', ')}): script no ejecutado` });
+            return;
+        }
+
+        const robot = { wait: (ms) => new Promise(resolve => setTimeout(resolve, Math.max(0, Number(ms) || 0))) };
+        msg.methods.forEach(method => {
+            robot[method] = (...args) => call(method, args);
+        });
+        Object.freeze(robot);
+
+        try {
+            const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+            const script = new AsyncFunction('robot', 'console', msg.source);
+            await script(robot, scriptConsole);
+            postMessage({ type: 'done' });
+        } catch (err) {
+            postMessage({ type: 'error', text: err && err.message ? err.message : String(err) });
+        }
+    };
+}
+
+/**
+ * Código del iframe: crea el worker y reenvía mensajes en ambos sentidos.
+ * Se serializa con toString(): no puede usar nada de fuera.
+ */
+function scriptSandboxMain(workerSource) {
+    let worker;
+    try {
+        worker = new Worker(URL.createObjectURL(new Blob([workerSource], { type: 'application/javascript' })));
+    } catch (e) {
+        parent.postMessage({ type: 'error', text: 'No se pudo crear el sandbox: ' + e.message }, '*');
+        return;
+    }
+    worker.onmessage = (e) => parent.postMessage(e.data, '*');
+    worker.onerror = (e) => {
+        e.preventDefault();
+        parent.postMessage({ type: 'error', text: e.message }, '*');
+    };
+    window.onmessage = (e) => {
+        if (e.source === parent) worker.postMessage(e.data);
+    };
+    parent.postMessage({ type: 'ready' }, '*');
+}
+
+/**
+ * Documento del iframe: la CSP (sin red) la hereda también el worker
+ */
+function buildScriptSandbox() {
+    const workerSource = JSON.stringify(`(${scriptWorkerMain.toString()})();`).replace(/</g, '\\u003c');
+    const csp = "default-src 'none'; script-src 'unsafe-inline' blob:; worker-src blob:";
+    return `<!DOCTYPE html><meta http-equiv="Content-Security-Policy" content="${csp}">` +
+        `<script>(${scriptSandboxMain.toString()})(${workerSource});<\/script>`;
+}
+
+function postToSandbox(sandbox, msg) {
+    sandbox.frame.contentWindow?.postMessage(msg, '*');
+}
+
+/**
+ * Atender una llamada del worker
+ */
+async function handleScriptCall(sandbox, msg) {
+    const api = SCRIPT_API[msg.method];
+    let reply;
+    try {
+        if (typeof msg.method !== 'string' || !Object.hasOwn(SCRIPT_API, msg.method)) {
+            throw new Error(`robot.${msg.method} no existe`);
+        }
+        reply = { type: 'result', id: msg.id, value: await api.run(...(Array.isArray(msg.args) ? msg.args : [])) };
+    } catch (e) {
+        reply = { type: 'result', id: msg.id, error: e.message };
+    }
+    // El script pudo detenerse mientras se ejecutaba el comando
+    if (scriptsState.sandbox === sandbox) postToSandbox(sandbox, reply);
+}
+
+/**
+ * Mensajes del iframe del script en ejecución (origen opaco: se filtra por e.source)
+ */
+function handleSandboxMessage(e) {
+    const sandbox = scriptsState.sandbox;
+    if (!sandbox || e.source !== sandbox.frame.contentWindow) return;
+    const msg = e.data;
+    if (!msg || typeof msg !== 'object') return;
+
+    if (msg.type === 'ready') postToSandbox(sandbox, { type: 'run', source: sandbox.source, methods: Object.keys(SCRIPT_API) });
+    else if (msg.type === 'call') handleScriptCall(sandbox, msg);
+    else if (msg.type === 'log') scriptOutput(String(msg.text), msg.level === 'warn' || msg.level === 'error' ? msg.level : 'log');
+    else if (msg.type === 'done') finishScript('✅ Script terminado');
+    else if (msg.type === 'error') finishScript(`Error: ${msg.text}`, 'error');
+}
+
+function scriptOutput(text, level = 'log') {
+    const icon = level === 'error' ? '❌' : level === 'warn' ? '⚠️' : '📜';
+    addLog(`${icon} ${text}`);
+
+    const output = document.getElementById('scriptOutput');
+    if (!output) return;
+    const line = document.createElement('div');
+    line.className = `script-output-line ${level}`;
+    line.textContent = text;
+    output.appendChild(line);
+    output.scrollTop = output.scrollHeight;
+}
+
+/**
+ * Ejecutar el script del editor
+ */
+function runScript() {
+    if (scriptsState.sandbox) return;
+    if (!canSendCommand('walk')) {
+        addLog('❌ No conectado');
+        return;
+    }
+
+    const script = findScript(scriptsState.selectedId);
+    if (!script) return;
+    saveCurrentScript();
+
+    const output = document.getElementById('scriptOutput');
+    if (output) output.innerHTML = '';
+
+    const frame = document.createElement('iframe');
+    frame.setAttribute('sandbox', 'allow-scripts');
+    frame.style.display = 'none';
+    frame.srcdoc = buildScriptSandbox();
+    scriptsState.sandbox = { frame, source: script.source };
+    document.body.appendChild(frame);
+
+    scriptOutput(`▶ ${script.name}`);
+    updateScriptRunUI();
+}
+
+function finishScript(text, level = 'log') {
+    if (!scriptsState.sandbox) return;
+    // Quitar el iframe termina también su worker
+    scriptsState.sandbox.frame.remove();
+    scriptsState.sandbox = null;
+    scriptOutput(text, level);
+    updateScriptRunUI();
+}
+
+/**
+ * Detener el script y dejar el robot quieto
+ */
+function stopScript(reason) {
+    if (!scriptsState.sandbox) return;
+    finishScript('⏹️ Script detenido', 'warn');
+    // En una E-STOP la parada ya la envía safety.js
+    if (reason === undefined && canSendCommand('walk')) sendRequest('walk', { cmd: 'home' }, { automated: true });
+}
+
+/* ================== STORAGE ================== */
+
+function findScript(id) {
+    return scriptsState.scripts.find(s => s.id === id) || null;
+}
+
+function loadScripts() {
+    const scripts = storageGet(SCRIPTS_STORAGE_KEY, []);
+    scriptsState.scripts = Array.isArray(scripts) ? scripts : [];
+    if (scriptsState.scripts.length === 0) {
+        scriptsState.scripts.push({ id: Date.now().toString(36), name: 'Ejemplo', source: DEFAULT_SCRIPT, updated: new Date().toISOString() });
+    }
+    scriptsState.selectedId = scriptsState.scripts[0].id;
+}
+
+function persistScripts() {
+    storageSet(SCRIPTS_STORAGE_KEY, scriptsState.scripts);
+}
+
+/**
+ * Copiar el editor al script seleccionado y guardar
+ */
+function saveCurrentScript() {
+    clearTimeout(scriptsState.saveTimer);
+    const script = findScript(scriptsState.selectedId);
+    const editor = document.getElementById('scriptEditor');
+    const nameInput = document.getElementById('scriptName');
+    if (!script || !editor) return;
+
+    script.source = editor.value;
+    script.name = nameInput?.value.trim() || script.name;
+    script.updated = new Date().toISOString();
+    persistScripts();
+}
+
+function newScript() {
+    saveCurrentScript();
+    const script = {
+        id: Date.now().toString(36),
+        name: `Script ${scriptsState.scripts.length + 1}`,
+        source: '',
+        updated: new Date().toISOString()
+    };
+    scriptsState.scripts.push(script);
+    scriptsState.selectedId = script.id;
+    persistScripts();
+    renderScriptEditor();
+}
+
+function deleteScript() {
+    const script = findScript(scriptsState.selectedId);
+    if (!script || !confirm(`¿Eliminar el script "${script.name}"?`)) return;
+
+    scriptsState.scripts = scriptsState.scripts.filter(s => s.id !== script.id);
+    if (scriptsState.scripts.length === 0) {
+        scriptsState.scripts.push({ id: Date.now().toString(36), name: 'Script 1', source: '', updated: new Date().toISOString() });
+    }
+    scriptsState.selectedId = scriptsState.scripts[0].id;
+    persistScripts();
+    renderScriptEditor();
+}
+
+/* ================== UI ================== */
+
+function renderScriptEditor() {
+    const select = document.getElementById('scriptSelect');
+    const editor = document.getElementById('scriptEditor');
+    const nameInput = document.getElementById('scriptName');
+    const script = findScript(scriptsState.selectedId);
+
+    if (select) {
+        select.innerHTML = '';
+        scriptsState.scripts.forEach(s => {
+            const option = document.createElement('option');
+            option.value = s.id;
+            option.textContent = s.name;
+            select.appendChild(option);
+        });
+        select.value = scriptsState.selectedId;
+    }
+    if (editor) editor.value = script ? script.source : '';
+    if (nameInput) nameInput.value = script ? script.name : '';
+    updateScriptRunUI();
+}
+
+function renderScriptDocs() {
+    const list = document.getElementById('scriptDocs');
+    if (!list) return;
+
+    list.innerHTML = '';
+    const entries = [
+        ...Object.values(SCRIPT_API).map(api => [api.signature, typeof api.doc === 'function' ? api.doc() : api.doc]),
+        ['wait(ms)', 'Esperar los milisegundos indicados'],
+        ['console.log(...)', 'Escribir en la salida del script']
+    ];
+    entries.forEach(([signature, doc]) => {
+        const item = document.createElement('li');
+        const code = document.createElement('code');
+        code.textContent = signature.startsWith('console') ? signature : `await robot.${signature}`;
+        item.append(code, ` — ${doc}`);
+        list.appendChild(item);
+    });
+}
+
+function updateScriptRunUI() {
+    const running = scriptsState.sandbox !== null;
+    const runBtn = document.getElementById('scriptRunBtn');
+    const stopBtn = document.getElementById('scriptStopBtn');
+    if (runBtn) runBtn.disabled = running;
+    if (stopBtn) stopBtn.disabled = !running;
+    ['scriptSelect', 'scriptNewBtn', 'scriptDeleteBtn'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.disabled = running;
+    });
+}
+
+/* ================== INIT EVENT LISTENERS ================== */
+
+function initScripting() {
+    loadScripts();
+
+    const editor = document.getElementById('scriptEditor');
+    if (editor) {
+        editor.addEventListener('input', () => {
+            clearTimeout(scriptsState.saveTimer);
+            scriptsState.saveTimer = setTimeout(saveCurrentScript, SCRIPT_AUTOSAVE_DELAY);
+        });
+        // Tab indenta en vez de saltar de campo
+        editor.addEventListener('keydown', (e) => {
+            if (e.key !== 'Tab') return;
+            e.preventDefault();
+            const start = editor.selectionStart;
+            editor.setRangeText('    ', start, editor.selectionEnd, 'end');
+        });
+    }
+
+    document.getElementById('scriptName')?.addEventListener('change', () => {
+        saveCurrentScript();
+        renderScriptEditor();
+    });
+    document.getElementById('scriptSelect')?.addEventListener('change', (e) => {
+        saveCurrentScript();
+        scriptsState.selectedId = e.target.value;
+        renderScriptEditor();
+    });
+
+    document.getElementById('scriptRunBtn')?.addEventListener('click', runScript);
+    document.getElementById('scriptStopBtn')?.addEventListener('click', () => stopScript());
+    document.getElementById('scriptNewBtn')?.addEventListener('click', newScript);
+    document.getElementById('scriptDeleteBtn')?.addEventListener('click', deleteScript);
+
+    window.addEventListener('message', handleSandboxMessage);
+
+    if (typeof window.registerStopHandler === 'function') {
+        window.registerStopHandler(stopScript);
+    }
+
+    renderScriptDocs();
+    renderScriptEditor();
+}
+
+// Inicializar cuando el DOM esté listo
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initScripting);
+} else {
+    initScripting();
+}
+
+// Exportar funciones globales
+window.runScript = runScript;
+window.stopScript = stopScript;
@@ -0,0 +1,495 @@
+/**
+ * SERVO CALIBRATION MODULE - Otto Ninja Controller
+ * Asistente de calibración paso a paso para todas las articulaciones:
+ * piernas, pies, brazos y cabeza. Cada paso lleva el servo a su neutral
+ * (/offset mueve el servo como Home()), permite ajustar el trim con +/- y
+ * lo previsualiza en vivo. Los perfiles completos se guardan por robot (IP)
+ * y se pueden restaurar o comparar entre sí.
+ */
+
+const SERVO_PROFILES_KEY = 'servoProfiles';
+const SERVO_PREVIEW_DELAY = 250;   // ms sin tocar antes de enviar la vista previa
+
+// Articulaciones en el orden del asistente; key = parámetro de /offset
+const SERVO_JOINTS = [
+    { key: 'left', name: 'Pierna izquierda', neutral: 90, limit: 90, hint: 'La pierna debe quedar vertical, con el pie paralelo al suelo' },
+    { key: 'right', name: 'Pierna derecha', neutral: 90, limit: 90, hint: 'La pierna debe quedar vertical, con el pie paralelo al suelo' },
+    { key: 'footLeft', name: 'Pie izquierdo', neutral: 90, limit: 30, hint: 'El tobillo debe quedar recto y la planta apoyada' },
+    { key: 'footRight', name: 'Pie derecho', neutral: 90, limit: 30, hint: 'El tobillo debe quedar recto y la planta apoyada' },
+    { key: 'armLeft', name: 'Brazo izquierdo', neutral: 10, limit: 30, hint: 'El brazo bajado debe quedar pegado al cuerpo' },
+    { key: 'armRight', name: 'Brazo derecho', neutral: 10, limit: 30, hint: 'El brazo bajado debe quedar pegado al cuerpo' },
+    { key: 'head', name: 'Cabeza', neutral: 90, limit: 30, hint: 'El sensor debe mirar justo al frente' }
+];
+
+// Estado del asistente
+const servoCalState = {
+    trims: {},               // key -> trim en grados (copia de trabajo)
+    step: 0,                 // 0..SERVO_JOINTS.length (el último es el resumen)
+    profiles: {},            // ip -> [{ id, name, created, trims }]
+    previewTimers: {},       // key -> timeout del envío diferido
+    previewSending: false,
+    previewPending: {}       // key -> trim a enviar cuando acabe el envío en curso
+};
+
+/* ================== TRIMS ================== */
+
+function emptyServoTrims() {
+    const trims = {};
+    SERVO_JOINTS.forEach(joint => { trims[joint.key] = 0; });
+    return trims;
+}
+
+/**
+ * Validar un juego de trims completo
+ * @returns {string|null} Mensaje de error o null si es válido
+ */
+function validateServoTrims(trims) {
+    if (!trims || typeof trims !== 'object') return 'Perfil sin trims';
+    for (const joint of SERVO_JOINTS) {
+        const value = trims[joint.key];
+        if (!Number.isInteger(value)) return `${joint.name}: valor no entero`;
+        if (Math.abs(value) > joint.limit) return `${joint.name}: ${value}° fuera de ±${joint.limit}°`;
+    }
+    return null;
+}
+
+/**
+ * Trims conocidos del robot activo (registro de la flota + sliders de piernas)
+ */
+function getCurrentServoTrims() {
+    const saved = typeof window.getRobotOffsets === 'function' ? window.getRobotOffsets(state.espIP) : null;
+    const trims = emptyServoTrims();
+    trims.left = state.currentOffsetLeft;
+    trims.right = state.currentOffsetRight;
+    if (saved) {
+        SERVO_JOINTS.forEach(joint => {
+            if (Number.isInteger(saved[joint.key])) trims[joint.key] = saved[joint.key];
+        });
+    }
+    return trims;
+}
+
+/**
+ * Cargar en el asistente los trims conocidos del robot activo
+ */
+function loadServoTrimsForRobot() {
+    servoCalState.trims = getCurrentServoTrims();
+}
+
+/**
+ * Mantener sincronizados los sliders de piernas del panel clásico
+ */
+function syncLegOffsetSliders(trims) {
+    if (elements.offsetLeft) elements.offsetLeft.value = trims.left;
+    if (elements.offsetRight) elements.offsetRight.value = trims.right;
+    updateOffsetDisplay('left', trims.left);
+    updateOffsetDisplay('right', trims.right);
+}
+
+/* ================== LIVE PREVIEW ================== */
+
+/**
+ * Enviar el trim de una articulación (el firmware la lleva a neutral + trim).
+ * Los envíos no se solapan: si hay uno en curso se guarda el último valor
+ * de cada articulación y luego se envían todos juntos.
+ */
+async function sendServoPreview(key, value) {
+    if (servoCalState.previewSending) {
+        servoCalState.previewPending[key] = value;
+        return;
+    }
+    await sendServoTrims({ [key]: value });
+}
+
+/**
+ * Enviar varios trims en una sola petición /offset
+ */
+async function sendServoTrims(trims) {
+    servoCalState.previewSending = true;
+    const ok = await sendRequest('offset', trims);
+    servoCalState.previewSending = false;
+
+    if (ok && typeof window.noteRobotOffsets === 'function') {
+        window.noteRobotOffsets(state.espIP, trims);
+    }
+
+    const pending = servoCalState.previewPending;
+    servoCalState.previewPending = {};
+    if (Object.keys(pending).length > 0) sendServoTrims(pending);
+}
+
+function scheduleServoPreview(key) {
+    clearTimeout(servoCalState.previewTimers[key]);
+    if (!state.connected) return;
+    servoCalState.previewTimers[key] = setTimeout(() => {
+        delete servoCalState.previewTimers[key];
+        sendServoPreview(key, servoCalState.trims[key]);
+    }, SERVO_PREVIEW_DELAY);
+}
+
+/**
+ * Ajustar el trim de la articulación del paso actual
+ * @param {number} delta - Grados a sumar
+ * @param {boolean} absolute - Si true, delta es el valor final
+ */
+function nudgeServoTrim(delta, absolute = false) {
+    const joint = SERVO_JOINTS[servoCalState.step];
+    if (!joint) return;
+
+    const current = servoCalState.trims[joint.key];
+    const target = absolute ? delta : current + delta;
+    const value = Math.max(-joint.limit, Math.min(joint.limit, target));
+    if (value !== target) addLog(`⚠️ ${joint.name}: límite ±${joint.limit}°`);
+    if (value === current) return;
+
+    servoCalState.trims[joint.key] = value;
+    if (joint.key === 'left' || joint.key === 'right') syncLegOffsetSliders(servoCalState.trims);
+    renderServoWizard();
+    scheduleServoPreview(joint.key);
+}
+
+/* ================== PROFILES ================== */
+
+function loadServoProfiles() {
+    servoCalState.profiles = storageGet(SERVO_PROFILES_KEY, {});
+}
+
+function persistServoProfiles() {
+    storageSet(SERVO_PROFILES_KEY, servoCalState.profiles);
+}
+
+function getServoProfiles() {
+    return servoCalState.profiles[state.espIP] || [];
+}
+
+/**
+ * Guardar los trims del asistente como perfil del robot activo
+ */
+function saveServoProfile() {
+    if (!state.espIP) {
+        addLog('❌ Conecta un robot para guardar su calibración');
+        return;
+    }
+    const error = validateServoTrims(servoCalState.trims);
+    if (error) {
+        addLog(`❌ Calibración no válida: ${error}`);
+        return;
+    }
+
+    const input = document.getElementById('servoProfileName');
+    const name = input?.value.trim() || `Calibración ${new Date().toLocaleString()}`;
+    const list = servoCalState.profiles[state.espIP] || [];
+    list.unshift({
+        id: Date.now().toString(36),
+        name,
+        created: new Date().toISOString(),
+        trims: { ...servoCalState.trims }
+    });
+    servoCalState.profiles[state.espIP] = list;
+    persistServoProfiles();
+    if (input) input.value = '';
+
+    addLog(`💾 Perfil de calibración guardado: ${name}`);
+    renderServoProfiles();
+}
+
+/**
+ * Enviar todos los trims al robot activo
+ * @returns {Promise<boolean>}
+ */
+async function applyServoTrims(trims) {
+    const error = validateServoTrims(trims);
+    if (error) {
+        addLog(`❌ Calibración no válida: ${error}`);
+        return false;
+    }
+
+    addLog(`⚙️ Calibración completa: ${SERVO_JOINTS.map(j => `${j.name} ${trims[j.key]}°`).join(', ')}`);
+    const ok = await sendRequest('offset', { ...trims });
+    if (!ok) {
+        addLog('⚠️ No se pudo aplicar la calibración. Verifica la conexión.');
+        return false;
+    }
+    if (typeof window.noteRobotOffsets === 'function') window.noteRobotOffsets(state.espIP, { ...trims });
+    syncLegOffsetSliders(trims);
+    return true;
+}
+
+async function restoreServoProfile(id) {
+    const profile = getServoProfiles().find(p => p.id === id);
+    if (!profile) return;
+    if (await applyServoTrims(profile.trims)) {
+        servoCalState.trims = { ...profile.trims };
+        addLog(`↩️ Perfil restaurado: ${profile.name}`);
+        renderServoWizard();
+        renderServoComparison();
+    }
+}
+
+function deleteServoProfile(id) {
+    const list = getServoProfiles();
+    const profile = list.find(p => p.id === id);
+    if (!profile || !confirm(`¿Borrar el perfil "${profile.name}"?`)) return;
+    servoCalState.profiles[state.espIP] = list.filter(p => p.id !== id);
+    persistServoProfiles();
+    renderServoProfiles();
+}
+
+/* ================== UI ================== */
+
+/**
+ * Dibujar el servo: neutral (discontinua) y neutral + trim (sólida)
+ */
+function drawServoPreview(joint, trim) {
+    const canvas = document.getElementById('servoWizCanvas');
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth || 240;
+    const height = Math.round(width / 2) + 20;
+    if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+        canvas.style.height = height + 'px';
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const cx = width / 2;
+    const cy = height - 10;
+    const radius = Math.min(width / 2, height) - 16;
+
+    // Escala 0°-180° y zona permitida alrededor del neutral
+    ctx.lineWidth = 10;
+    ctx.strokeStyle = 'rgba(142, 142, 147, 0.2)';
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, Math.PI, 2 * Math.PI);
+    ctx.stroke();
+
+    const toRad = deg => Math.PI + (deg / 180) * Math.PI;
+    const low = Math.max(0, joint.neutral - joint.limit);
+    const high = Math.min(180, joint.neutral + joint.limit);
+    ctx.strokeStyle = 'rgba(52, 199, 89, 0.35)';
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, toRad(low), toRad(high));
+    ctx.stroke();
+
+    const drawHorn = (deg, style, dash) => {
+        const angle = toRad(Math.max(0, Math.min(180, deg)));
+        ctx.setLineDash(dash);
+        ctx.strokeStyle = style;
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.moveTo(cx, cy);
+        ctx.lineTo(cx + Math.cos(angle) * (radius - 12), cy + Math.sin(angle) * (radius - 12));
+        ctx.stroke();
+        ctx.setLineDash([]);
+    };
+    drawHorn(joint.neutral, 'rgba(142, 142, 147, 0.8)', [6, 4]);
+    drawHorn(joint.neutral + trim, '#007aff', []);
+
+    ctx.fillStyle = '#007aff';
+    ctx.beginPath();
+    ctx.arc(cx, cy, 6, 0, 2 * Math.PI);
+    ctx.fill();
+}
+
+function renderServoWizard() {
+    const total = SERVO_JOINTS.length;
+    const step = servoCalState.step;
+    const joint = SERVO_JOINTS[step];
+
+    const title = document.getElementById('servoWizStep');
+    if (title) title.textContent = joint ? `Paso ${step + 1}/${total} · ${joint.name}` : 'Resumen';
+
+    const jointView = document.getElementById('servoWizJoint');
+    const summaryView = document.getElementById('servoWizSummary');
+    if (jointView) jointView.style.display = joint ? '' : 'none';
+    if (summaryView) summaryView.style.display = joint ? 'none' : '';
+
+    if (joint) {
+        const trim = servoCalState.trims[joint.key];
+        const hint = document.getElementById('servoWizHint');
+        if (hint) hint.textContent = joint.hint;
+        const value = document.getElementById('servoWizValue');
+        if (value) value.textContent = `${trim > 0 ? '+' : ''}${trim}°`;
+        const angle = document.getElementById('servoWizAngle');
+        if (angle) angle.textContent = `Neutral ${joint.neutral}° → ${joint.neutral + trim}° (límite ±${joint.limit}°)`;
+        drawServoPreview(joint, trim);
+    } else {
+        renderServoSummary();
+    }
+
+    const prev = document.getElementById('servoWizPrev');
+    if (prev) prev.disabled = step === 0;
+    const next = document.getElementById('servoWizNext');
+    if (next) next.disabled = step >= total;
+}
+
+function renderServoSummary() {
+    const list = document.getElementById('servoWizSummaryList');
+    if (!list) return;
+    list.innerHTML = '';
+    SERVO_JOINTS.forEach((joint, index) => {
+        const row = document.createElement('button');
+        row.className = 'servo-summary-row';
+        const name = document.createElement('span');
+        name.textContent = joint.name;
+        const value = document.createElement('span');
+        value.textContent = `${servoCalState.trims[joint.key]}°`;
+        row.append(name, value);
+        // Tocar una fila vuelve a su paso
+        row.addEventListener('click', () => goToServoStep(index));
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Ir a un paso: al entrar en una articulación se envía su neutral
+ */
+function goToServoStep(step) {
+    servoCalState.step = Math.max(0, Math.min(SERVO_JOINTS.length, step));
+    renderServoWizard();
+    const joint = SERVO_JOINTS[servoCalState.step];
+    if (joint && state.connected) sendServoPreview(joint.key, servoCalState.trims[joint.key]);
+}
+
+function renderServoProfiles() {
+    const list = document.getElementById('servoProfileList');
+    if (!list) return;
+    const profiles = getServoProfiles();
+    list.innerHTML = '';
+
+    if (profiles.length === 0) {
+        list.innerHTML = '<p class="servo-profile-empty">Sin perfiles guardados para este robot</p>';
+    }
+
+    profiles.forEach(profile => {
+        const row = document.createElement('div');
+        row.className = 'servo-profile-row';
+
+        const info = document.createElement('div');
+        info.className = 'servo-profile-info';
+        const name = document.createElement('span');
+        name.className = 'servo-profile-name';
+        name.textContent = profile.name;
+        const date = document.createElement('span');
+        date.className = 'servo-profile-date';
+        date.textContent = new Date(profile.created).toLocaleString();
+        info.append(name, date);
+
+        const restore = document.createElement('button');
+        restore.className = 'robot-action-btn';
+        restore.textContent = 'Restaurar';
+        restore.addEventListener('click', () => restoreServoProfile(profile.id));
+
+        const remove = document.createElement('button');
+        remove.className = 'robot-action-btn';
+        remove.textContent = '✕';
+        remove.addEventListener('click', () => deleteServoProfile(profile.id));
+
+        row.append(info, restore, remove);
+        list.appendChild(row);
+    });
+
+    // Selectores de comparación: asistente + perfiles
+    ['servoCompareA', 'servoCompareB'].forEach((id, index) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        const previous = select.value;
+        select.innerHTML = '';
+        const current = document.createElement('option');
+        current.value = '';
+        current.textContent = 'Asistente (actual)';
+        select.appendChild(current);
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        });
+        if (profiles.some(p => p.id === previous)) select.value = previous;
+        else if (index === 1 && profiles[0]) select.value = profiles[0].id;
+    });
+    renderServoComparison();
+}
+
+/**
+ * Tabla de diferencias entre dos perfiles (o el asistente)
+ */
+function renderServoComparison() {
+    const table = document.getElementById('servoCompareTable');
+    if (!table) return;
+
+    const pick = id => {
+        const value = document.getElementById(id)?.value;
+        const profile = value ? getServoProfiles().find(p => p.id === value) : null;
+        return profile ? profile.trims : servoCalState.trims;
+    };
+    const a = pick('servoCompareA');
+    const b = pick('servoCompareB');
+
+    table.innerHTML = '';
+    SERVO_JOINTS.forEach(joint => {
+        const diff = (b[joint.key] ?? 0) - (a[joint.key] ?? 0);
+        const row = document.createElement('div');
+        row.className = 'servo-compare-row' + (diff !== 0 ? ' changed' : '');
+        [joint.name, `${a[joint.key] ?? 0}°`, `${b[joint.key] ?? 0}°`, diff === 0 ? '=' : `${diff > 0 ? '+' : ''}${diff}°`]
+            .forEach(text => {
+                const cell = document.createElement('span');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+        table.appendChild(row);
+    });
+}
+
+/* ================== INIT EVENT LISTENERS ================== */
+
+function initServoCalibration() {
+    loadServoProfiles();
+    loadServoTrimsForRobot();
+
+    document.querySelectorAll('[data-servo-nudge]').forEach(btn => {
+        btn.addEventListener('click', () => nudgeServoTrim(parseInt(btn.dataset.servoNudge)));
+    });
+    document.getElementById('servoWizCenter')?.addEventListener('click', () => nudgeServoTrim(0, true));
+    document.getElementById('servoWizPrev')?.addEventListener('click', () => goToServoStep(servoCalState.step - 1));
+    document.getElementById('servoWizNext')?.addEventListener('click', () => goToServoStep(servoCalState.step + 1));
+    document.getElementById('servoWizApplyBtn')?.addEventListener('click', () => applyServoTrims(servoCalState.trims));
+    document.getElementById('servoProfileSaveBtn')?.addEventListener('click', saveServoProfile);
+    document.getElementById('servoCompareA')?.addEventListener('change', renderServoComparison);
+    document.getElementById('servoCompareB')?.addEventListener('change', renderServoComparison);
+
+    // Los sliders clásicos de piernas también cambian la copia del asistente
+    ['left', 'right'].forEach(leg => {
+        const slider = leg === 'left' ? elements.offsetLeft : elements.offsetRight;
+        slider?.addEventListener('input', () => {
+            servoCalState.trims[leg] = parseInt(slider.value);
+            renderServoWizard();
+        });
+    });
+
+    // Cada robot tiene sus trims: recargar al entrar en el panel
+    document.querySelector('.nav-drawer-item[data-panel="calibrate"]')?.addEventListener('click', () => {
+        loadServoTrimsForRobot();
+        renderServoWizard();
+        renderServoProfiles();
+    });
+
+    renderServoWizard();
+    renderServoProfiles();
+}
+
+// Inicializar cuando el DOM esté listo
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initServoCalibration);
+} else {
+    initServoCalibration();
+}
+
+// Exportar funciones globales
+window.applyServoTrims = applyServoTrims;
+window.validateServoTrims = validateServoTrims;
+window.getCurrentServoTrims = getCurrentServoTrims;
@@ -0,0 +1,620 @@
+/**
+ * MOCK ROBOT - Otto Ninja Controller
+ * Simulador del firmware ESP32 para desarrollo y pruebas sin robot físico.
+ * Implementa la API HTTP que usa la app y mantiene estado simulado
+ * (servos, offsets, melodías 16-20, framebuffer OLED, sensor ultrasonido).
+ *
+ * Uso:
+ *   npm run mock                      -> escucha en http://localhost:8081
+ *   node simulator/mock-robot.js --port 9000 --latency 150 --jitter 50 --timeout-rate 0.1
+ *
+ * En la app, conectar a "localhost:8081".
+ *
+ * Control del simulador (no existe en el firmware real):
+ *   GET /__sim/state                            Estado completo en JSON
+ *   GET /__sim/reset                            Volver al estado inicial
+ *   GET /__sim/oled                             Framebuffer OLED en ASCII
+ *   GET /__sim/distance?value=30                Distancia fija (-1 = sin eco)
+ *   GET /__sim/distance?sequence=40,30,20,-1    Secuencia cíclica (una por lectura)
+ *   GET /__sim/distance?sine=10,80,4000         Onda min,max,periodo(ms)
+ *   GET /__sim/latency?ms=200&jitter=50         Latencia por respuesta
+ *   GET /__sim/faults?timeoutRate=0.2&drop=3    Timeouts aleatorios / próximas N sin respuesta
+ *   GET /__sim/firmware?melodyUpload=0          Simular firmware sin subida de melodías por POST
+ */
+
+const http = require('http');
+
+const DEFAULT_PORT = 8081;
+const CUSTOM_MELODY_START = 16;
+const MAX_CUSTOM_MELODIES = 5;
+const OLED_WIDTH = 128;
+const OLED_HEIGHT = 48;          // Zona azul: el título ocupa las 16 filas superiores
+const HUNG_REQUEST_LIMIT = 30000; // Cerrar peticiones "colgadas" tras 30 s
+const MAX_NOTES_PER_MELODY = 100;
+const MELODY_MAX_CHUNK = 32;      // Notas máximas por trozo en la subida por POST
+
+const SERVO_NEUTRAL = 90;
+const ARM_UP = 170;
+const ARM_DOWN = 10;
+const HEAD_ANGLES = { left: 135, center: 90, right: 45 };
+const OFFSET_LIMITS = { left: 90, right: 90, footLeft: 30, footRight: 30, armLeft: 30, armRight: 30, head: 30 };
+
+/* ================== ESTADO SIMULADO ================== */
+
+/**
+ * Crear el estado inicial del robot simulado
+ */
+function createRobotState() {
+    return {
+        name: 'Otto Ninja (sim)',
+        firmware: 'sim-1.0',
+        bootTime: Date.now(),
+        mode: 'caminar',               // 'caminar' | 'rodar'
+        motion: 'home',                // Último comando de marcha
+        joystick: { x: 0, y: 0 },
+        servos: {
+            legLeft: SERVO_NEUTRAL,
+            legRight: SERVO_NEUTRAL,
+            footLeft: SERVO_NEUTRAL,
+            footRight: SERVO_NEUTRAL,
+            armLeft: ARM_DOWN,
+            armRight: ARM_DOWN,
+            head: HEAD_ANGLES.center
+        },
+        // Trims por articulación (°): piernas left/right, pies, brazos y cabeza
+        offsets: { left: 0, right: 0, footLeft: 0, footRight: 0, armLeft: 0, armRight: 0, head: 0 },
+        lastAttack: null,
+        lastSong: null,
+        melodies: {},                  // slot -> { name, notes: [[freq, dur], ...] }
+        melodyUpload: true,            // false = firmware antiguo (solo action=save por GET)
+        uploads: {},                   // id -> { slot, name, total, crc, notes }
+        nextUploadId: 1,
+        oled: {
+            title: 'Otto Ninja',
+            titleInvert: false,
+            invert: false,
+            text: '',
+            framebuffer: new Array(OLED_WIDTH * OLED_HEIGHT / 8).fill(0)
+        },
+        ultrasonic: {
+            config: { enabled: 0, danger: 15, alert: 40, reaction: 'stop', buzzer: 0, display: 0 },
+            source: { type: 'fixed', value: 60 },
+            readIndex: 0,
+            calibration: null      // { scale, offset } | { points: [[medida, real], ...] }
+        },
+        network: {
+            latency: 0,
+            jitter: 0,
+            timeoutRate: 0,
+            drop: 0
+        },
+        log: []
+    };
+}
+
+/**
+ * CRC-32 de una melodía codificada como "freq,dur;freq,dur;..."
+ * @returns {string} 8 dígitos hexadecimales
+ */
+function melodyChecksum(notes) {
+    const data = notes.map(n => n[0] + ',' + n[1]).join(';');
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc ^= data.charCodeAt(i);
+        for (let k = 0; k < 8; k++) crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Leer la distancia según la fuente configurada
+ */
+function readDistance(robot) {
+    const source = robot.ultrasonic.source;
+    if (source.type === 'sequence') {
+        const value = source.values[robot.ultrasonic.readIndex % source.values.length];
+        robot.ultrasonic.readIndex++;
+        return value;
+    }
+    if (source.type === 'sine') {
+        const phase = ((Date.now() - robot.bootTime) % source.period) / source.period;
+        const mid = (source.min + source.max) / 2;
+        const amp = (source.max - source.min) / 2;
+        return Math.round(mid + amp * Math.sin(phase * 2 * Math.PI));
+    }
+    return source.value;
+}
+
+/**
+ * Aplicar la curva de calibración enviada con /ultrasonic?action=calibrate
+ */
+function calibrateDistance(robot, value) {
+    const cal = robot.ultrasonic.calibration;
+    if (!cal || value <= 0) return value;
+    if (cal.points) {
+        const pts = cal.points;
+        let i = 0;
+        while (i < pts.length - 2 && value > pts[i + 1][0]) i++;
+        const [x0, y0] = pts[i];
+        const [x1, y1] = pts[i + 1];
+        return Math.max(1, Math.round(y0 + (value - x0) * (y1 - y0) / (x1 - x0)));
+    }
+    return Math.max(1, Math.round(value * cal.scale + cal.offset));
+}
+
+/**
+ * Render ASCII del framebuffer OLED (zona azul 128x48)
+ */
+function renderOledAscii(robot) {
+    const bpr = OLED_WIDTH / 8;
+    const rows = [`[${robot.oled.title}]${robot.oled.text ? ' ' + robot.oled.text : ''}`];
+    for (let y = 0; y < OLED_HEIGHT; y++) {
+        let line = '';
+        for (let x = 0; x < OLED_WIDTH; x++) {
+            const on = (robot.oled.framebuffer[y * bpr + Math.floor(x / 8)] >> (7 - (x % 8))) & 1;
+            line += on ? '#' : '.';
+        }
+        rows.push(line);
+    }
+    return rows.join('\n') + '\n';
+}
+
+/* ================== API DEL FIRMWARE ================== */
+
+/**
+ * Handlers de los endpoints del firmware
+ * Cada handler recibe (robot, query, body) y devuelve { status, json } o { status, text }
+ */
+const firmwareRoutes = {
+    status(robot) {
+        return {
+            json: {
+                status: 'ok',
+                name: robot.name,
+                firmware: robot.firmware,
+                mode: robot.mode,
+                uptime: Math.round((Date.now() - robot.bootTime) / 1000)
+            }
+        };
+    },
+
+    walk(robot, q) {
+        const valid = ['forward', 'backward', 'left', 'right', 'home'];
+        if (!valid.includes(q.cmd)) return { status: 400, text: 'Invalid cmd' };
+        robot.motion = q.cmd;
+        if (q.cmd === 'home') {
+            Object.assign(robot.servos, {
+                legLeft: SERVO_NEUTRAL + robot.offsets.left,
+                legRight: SERVO_NEUTRAL + robot.offsets.right,
+                footLeft: SERVO_NEUTRAL + robot.offsets.footLeft,
+                footRight: SERVO_NEUTRAL + robot.offsets.footRight
+            });
+        }
+        return { text: 'OK' };
+    },
+
+    arms(robot, q) {
+        switch (q.cmd) {
+            case 'raise_left': robot.servos.armLeft = ARM_UP + robot.offsets.armLeft; break;
+            case 'lower_left': robot.servos.armLeft = ARM_DOWN + robot.offsets.armLeft; break;
+            case 'raise_right': robot.servos.armRight = ARM_UP + robot.offsets.armRight; break;
+            case 'lower_right': robot.servos.armRight = ARM_DOWN + robot.offsets.armRight; break;
+            case 'wave': robot.servos.armRight = ARM_UP + robot.offsets.armRight; break;
+            default: return { status: 400, text: 'Invalid cmd' };
+        }
+        return { text: 'OK' };
+    },
+
+    head(robot, q) {
+        if (!(q.cmd in HEAD_ANGLES)) return { status: 400, text: 'Invalid cmd' };
+        robot.servos.head = HEAD_ANGLES[q.cmd] + robot.offsets.head;
+        return { text: 'OK' };
+    },
+
+    attack(robot, q) {
+        if (!q.cmd) return { status: 400, text: 'Missing cmd' };
+        robot.lastAttack = { cmd: q.cmd, time: Date.now() };
+        return { text: 'OK' };
+    },
+
+    joystick(robot, q) {
+        const x = Math.max(-100, Math.min(100, parseInt(q.x) || 0));
+        const y = Math.max(-100, Math.min(100, parseInt(q.y) || 0));
+        robot.joystick = { x, y };
+        // En modo rodar los pies giran como ruedas: velocidad = ángulo respecto a neutral
+        if (robot.mode === 'rodar') {
+            robot.servos.footLeft = Math.round(SERVO_NEUTRAL + (y + x) * 0.9);
+            robot.servos.footRight = Math.round(SERVO_NEUTRAL - (y - x) * 0.9);
+        }
+        return { text: 'OK' };
+    },
+
+    mode(robot, q) {
+        if (q.cmd !== 'rodar' && q.cmd !== 'caminar') return { status: 400, text: 'Invalid cmd' };
+        robot.mode = q.cmd;
+        return { text: 'OK' };
+    },
+
+    offset(robot, q) {
+        for (const joint of Object.keys(robot.offsets)) {
+            if (q[joint] === undefined) continue;
+            const value = parseInt(q[joint]);
+            if (isNaN(value) || Math.abs(value) > OFFSET_LIMITS[joint]) {
+                return { status: 400, text: `Invalid ${joint}` };
+            }
+            robot.offsets[joint] = value;
+        }
+        // Como Home() en el firmware: cada servo a su neutral con el trim aplicado
+        Object.assign(robot.servos, {
+            legLeft: SERVO_NEUTRAL + robot.offsets.left,
+            legRight: SERVO_NEUTRAL + robot.offsets.right,
+            footLeft: SERVO_NEUTRAL + robot.offsets.footLeft,
+            footRight: SERVO_NEUTRAL + robot.offsets.footRight,
+            armLeft: ARM_DOWN + robot.offsets.armLeft,
+            armRight: ARM_DOWN + robot.offsets.armRight,
+            head: HEAD_ANGLES.center + robot.offsets.head
+        });
+        return { text: 'OK' };
+    },
+
+    message(robot, q) {
+        robot.oled.text = (q.text || '').substring(0, 16);
+        return { text: 'OK' };
+    },
+
+    buzzer(robot, q) {
+        const song = parseInt(q.song);
+        if (isNaN(song)) return { status: 400, text: 'Invalid song' };
+        if (song >= CUSTOM_MELODY_START && !robot.melodies[song]) return { status: 404, text: 'Melody not found' };
+        robot.lastSong = { song, time: Date.now() };
+        return { text: 'OK' };
+    },
+
+    bitmap(robot, q, body) {
+        if (!body || !Array.isArray(body.data) || body.data.length !== robot.oled.framebuffer.length) {
+            return { status: 400, text: 'Invalid bitmap' };
+        }
+        robot.oled.framebuffer = body.data.map(b => b & 0xFF);
+        robot.oled.title = String(body.title || 'Otto Ninja');
+        robot.oled.invert = body.invert === true;
+        robot.oled.titleInvert = body.titleInvert === true;
+        robot.oled.text = '';
+        return { text: 'OK' };
+    },
+
+    melody(robot, q, body) {
+        const slot = parseInt(q.slot);
+        const validSlot = slot >= CUSTOM_MELODY_START && slot < CUSTOM_MELODY_START + MAX_CUSTOM_MELODIES;
+
+        switch (q.action) {
+            case 'list':
+                return {
+                    json: {
+                        melodies: Object.entries(robot.melodies).map(([s, m]) => ({
+                            slot: parseInt(s), name: m.name, notes: m.notes.length
+                        }))
+                    }
+                };
+            case 'get':
+                if (!robot.melodies[slot]) return { status: 404, text: 'Melody not found' };
+                return {
+                    json: {
+                        slot,
+                        name: robot.melodies[slot].name,
+                        notes: robot.melodies[slot].notes,
+                        crc: melodyChecksum(robot.melodies[slot].notes)
+                    }
+                };
+            case 'save': {
+                if (!validSlot) return { status: 400, text: 'Invalid slot' };
+                const notes = (q.data || '').split(';').filter(Boolean).map(pair => pair.split(',').map(Number));
+                if (notes.length === 0 || notes.some(n => n.length !== 2 || n.some(isNaN))) {
+                    return { status: 400, text: 'Invalid data' };
+                }
+                robot.melodies[slot] = { name: (q.name || 'Melodia').substring(0, 20), notes };
+                return { text: 'OK' };
+            }
+            case 'delete':
+                delete robot.melodies[slot];
+                return { text: 'OK' };
+        }
+
+        // Subida por POST en trozos (firmware nuevo)
+        if (!robot.melodyUpload || body === null) return { status: 400, text: 'Invalid action' };
+        const upload = robot.uploads[q.upload];
+        switch (q.action) {
+            case 'begin': {
+                const total = parseInt(q.total);
+                if (!validSlot) return { status: 400, text: 'Invalid slot' };
+                if (!(total > 0 && total <= MAX_NOTES_PER_MELODY) || !/^[0-9a-f]{8}$/.test(q.crc || '')) {
+                    return { status: 400, text: 'Invalid upload' };
+                }
+                // Reanudar una subida a medias de la misma melodía
+                const name = (q.name || 'Melodia').substring(0, 20);
+                const pending = Object.entries(robot.uploads)
+                    .find(([, u]) => u.slot === slot && u.total === total && u.crc === q.crc);
+                if (pending) {
+                    pending[1].name = name;
+                    return { json: { upload: pending[0], received: pending[1].notes.length } };
+                }
+                Object.keys(robot.uploads).forEach(id => {
+                    if (robot.uploads[id].slot === slot) delete robot.uploads[id];
+                });
+                const id = String(robot.nextUploadId++);
+                robot.uploads[id] = { slot, name, total, crc: q.crc, notes: [] };
+                return { json: { upload: id, received: 0 } };
+            }
+            case 'chunk': {
+                if (!upload) return { status: 404, text: 'Upload not found' };
+                const notes = body.notes;
+                if (!Array.isArray(notes) || notes.length === 0 || notes.length > MELODY_MAX_CHUNK ||
+                    notes.some(n => !Array.isArray(n) || n.length !== 2 || n.some(v => typeof v !== 'number'))) {
+                    return { status: 400, json: { error: 'Invalid chunk', received: upload.notes.length } };
+                }
+                // Fuera de orden: indicar desde dónde seguir
+                if (parseInt(q.offset) !== upload.notes.length) {
+                    return { status: 409, json: { received: upload.notes.length } };
+                }
+                if (upload.notes.length + notes.length > upload.total) {
+                    return { status: 400, json: { error: 'Too many notes', received: upload.notes.length } };
+                }
+                upload.notes.push(...notes);
+                return { json: { received: upload.notes.length } };
+            }
+            case 'commit': {
+                if (!upload) return { status: 404, text: 'Upload not found' };
+                const crc = melodyChecksum(upload.notes);
+                if (upload.notes.length !== upload.total || crc !== upload.crc) {
+                    delete robot.uploads[q.upload];
+                    return { status: 422, json: { error: 'Checksum mismatch', crc } };
+                }
+                robot.melodies[upload.slot] = { name: upload.name, notes: upload.notes };
+                delete robot.uploads[q.upload];
+                return { json: { slot: upload.slot, crc } };
+            }
+            default:
+                return { status: 400, text: 'Invalid action' };
+        }
+    },
+
+    ultrasonic(robot, q) {
+        if (q.action === 'read') {
+            return { json: { distance: calibrateDistance(robot, readDistance(robot)) } };
+        }
+        if (q.action === 'calibrate') {
+            if (q.reset !== undefined) {
+                robot.ultrasonic.calibration = null;
+            } else if (q.points) {
+                const points = q.points.split(',').map(p => p.split(':').map(Number));
+                if (points.length < 2 || points.some(p => p.length !== 2 || p.some(isNaN))) {
+                    return { status: 400, text: 'Invalid points' };
+                }
+                robot.ultrasonic.calibration = { points: points.sort((a, b) => a[0] - b[0]) };
+            } else if (q.scale !== undefined && q.offset !== undefined) {
+                robot.ultrasonic.calibration = { scale: Number(q.scale), offset: Number(q.offset) };
+            } else {
+                return { status: 400, text: 'Missing calibration' };
+            }
+            return { text: 'OK' };
+        }
+        if (q.action === 'config') {
+            const cfg = robot.ultrasonic.config;
+            ['enabled', 'danger', 'alert', 'buzzer', 'display'].forEach(key => {
+                if (q[key] !== undefined) cfg[key] = parseInt(q[key]) || 0;
+            });
+            if (q.reaction) cfg.reaction = q.reaction;
+            return { text: 'OK' };
+        }
+        return { status: 400, text: 'Invalid action' };
+    }
+};
+
+/* ================== CONTROL DEL SIMULADOR ================== */
+
+const simRoutes = {
+    state(robot) {
+        const { log, ...rest } = robot;
+        return { json: { ...rest, log: log.slice(-50) } };
+    },
+
+    reset(robot, q, body, sim) {
+        sim.robot = createRobotState();
+        return { text: 'OK' };
+    },
+
+    oled(robot) {
+        return { text: renderOledAscii(robot) };
+    },
+
+    distance(robot, q) {
+        if (q.sequence !== undefined) {
+            const values = q.sequence.split(',').map(Number).filter(v => !isNaN(v));
+            if (values.length === 0) return { status: 400, text: 'Invalid sequence' };
+            robot.ultrasonic.source = { type: 'sequence', values };
+            robot.ultrasonic.readIndex = 0;
+        } else if (q.sine !== undefined) {
+            const [min, max, period] = q.sine.split(',').map(Number);
+            if ([min, max, period].some(isNaN) || period <= 0) return { status: 400, text: 'Invalid sine' };
+            robot.ultrasonic.source = { type: 'sine', min, max, period };
+        } else if (q.value !== undefined && !isNaN(Number(q.value))) {
+            robot.ultrasonic.source = { type: 'fixed', value: Number(q.value) };
+        } else {
+            return { status: 400, text: 'Use value, sequence or sine' };
+        }
+        return { json: robot.ultrasonic.source };
+    },
+
+    latency(robot, q) {
+        if (q.ms !== undefined) robot.network.latency = Math.max(0, parseInt(q.ms) || 0);
+        if (q.jitter !== undefined) robot.network.jitter = Math.max(0, parseInt(q.jitter) || 0);
+        return { json: robot.network };
+    },
+
+    firmware(robot, q) {
+        if (q.melodyUpload !== undefined) robot.melodyUpload = q.melodyUpload !== '0';
+        return { json: { firmware: robot.firmware, melodyUpload: robot.melodyUpload } };
+    },
+
+    faults(robot, q) {
+        if (q.timeoutRate !== undefined) robot.network.timeoutRate = Math.max(0, Math.min(1, parseFloat(q.timeoutRate) || 0));
+        if (q.drop !== undefined) robot.network.drop = Math.max(0, parseInt(q.drop) || 0);
+        return { json: robot.network };
+    }
+};
+
+/* ================== SERVIDOR HTTP ================== */
+
+/**
+ * Buscar el handler de una ruta (solo claves propias: /__proto__ o
+ * /toString no son rutas)
+ */
+function findRoute(routes, name) {
+    return Object.hasOwn(routes, name) ? routes[name] : null;
+}
+
+/**
+ * Leer el cuerpo JSON de una petición POST
+ */
+function readJsonBody(req) {
+    return new Promise((resolve) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : null);
+            } catch (e) {
+                resolve(null);
+            }
+        });
+    });
+}
+
+/**
+ * Enviar la respuesta de un handler con cabeceras CORS
+ */
+function sendResult(res, result) {
+    const headers = { 'Access-Control-Allow-Origin': '*', 'Cache-Control': 'no-cache' };
+    if (result.json !== undefined) {
+        res.writeHead(result.status || 200, { ...headers, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result.json));
+    } else {
+        res.writeHead(result.status || 200, { ...headers, 'Content-Type': 'text/plain' });
+        res.end(result.text || '');
+    }
+}
+
+/**
+ * Decidir si esta petición debe quedarse sin respuesta (timeout simulado)
+ */
+function shouldDrop(network) {
+    if (network.drop > 0) {
+        network.drop--;
+        return true;
+    }
+    return network.timeoutRate > 0 && Math.random() < network.timeoutRate;
+}
+
+/**
+ * Crear el robot simulado
+ * @param {Object} options - { latency, jitter, timeoutRate, quiet }
+ * @returns {{server: http.Server, sim: {robot: Object}, listen: Function, close: Function}}
+ */
+function createMockRobot(options = {}) {
+    const sim = { robot: createRobotState() };
+    Object.assign(sim.robot.network, {
+        latency: options.latency || 0,
+        jitter: options.jitter || 0,
+        timeoutRate: options.timeoutRate || 0
+    });
+
+    const server = http.createServer(async (req, res) => {
+        if (req.method === 'OPTIONS') {
+            // El firmware antiguo no atiende el preflight CORS
+            if (!sim.robot.melodyUpload) {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('Not found');
+                return;
+            }
+            res.writeHead(204, {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type'
+            });
+            res.end();
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        const query = Object.fromEntries(url.searchParams);
+        const path = url.pathname.replace(/^\/+/, '');
+        const robot = sim.robot;
+
+        // Rutas de control: sin latencia ni fallos inyectados
+        if (path.startsWith('__sim/')) {
+            const handler = findRoute(simRoutes, path.slice('__sim/'.length));
+            sendResult(res, handler ? handler(robot, query, null, sim) : { status: 404, text: 'Not found' });
+            return;
+        }
+
+        const handler = findRoute(firmwareRoutes, path);
+        if (!handler) {
+            sendResult(res, { status: 404, text: 'Not found' });
+            return;
+        }
+
+        const body = req.method === 'POST' ? await readJsonBody(req) : null;
+
+        robot.log.push({ time: Date.now(), endpoint: path, query });
+        if (robot.log.length > 500) robot.log.shift();
+        if (!options.quiet) console.log(`[mock] ${req.method} /${path} ${url.searchParams}`);
+
+        if (shouldDrop(robot.network)) {
+            // Igual que un ESP32 ocupado: no responder nunca
+            setTimeout(() => res.destroy(), HUNG_REQUEST_LIMIT);
+            return;
+        }
+
+        const result = handler(robot, query, body);
+        const delay = robot.network.latency + Math.round(Math.random() * robot.network.jitter);
+        setTimeout(() => sendResult(res, result), delay);
+    });
+
+    return {
+        server,
+        sim,
+        listen(port = DEFAULT_PORT) {
+            return new Promise(resolve => server.listen(port, () => resolve(server.address().port)));
+        },
+        close() {
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+}
+
+/**
+ * Leer argumentos --port, --latency, --jitter, --timeout-rate
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([a-z-]+)$/);
+        if (match) args[match[1]] = argv[++i];
+    }
+    return {
+        port: parseInt(args.port) || parseInt(process.env.MOCK_ROBOT_PORT) || DEFAULT_PORT,
+        latency: parseInt(args.latency) || 0,
+        jitter: parseInt(args.jitter) || 0,
+        timeoutRate: parseFloat(args['timeout-rate']) || 0
+    };
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    const mock = createMockRobot(options);
+    mock.listen(options.port).then(port => {
+        console.log(`🤖 Otto Ninja simulado en http://localhost:${port}`);
+        console.log(`   Conecta la app a "localhost:${port}" — estado en /__sim/state`);
+    });
+}
+
+module.exports = { createMockRobot, createRobotState };
@@ -0,0 +1,289 @@
+/**
+ * STORAGE MODULE - Otto Ninja Controller
+ * Capa única de persistencia: claves con espacio de nombres
+ * ("ottoNinja.<nombre>"), versión de esquema con migraciones de datos
+ * antiguos, aviso al usuario cuando el almacenamiento se llena y un
+ * backend IndexedDB para datos grandes (biblioteca de bitmaps, sesiones
+ * grabadas). Se carga antes que el resto de módulos: las migraciones
+ * síncronas ya están aplicadas cuando cada módulo lee sus ajustes.
+ */
+
+const STORAGE_NAMESPACE = 'ottoNinja';
+const STORAGE_SCHEMA_VERSION = 2;
+const STORAGE_DB_NAME = 'ottoNinja';
+const STORAGE_DB_STORE = 'kv';
+
+// Claves anteriores a la capa de almacenamiento -> nombre nuevo
+const LEGACY_STORAGE_KEYS = {
+    'ottoNinja_savedBitmaps': 'bitmaps',
+    'ottoNinja_selectedBitmaps': 'selectedBitmaps',
+    'ottoCustomMelodies': 'melodies',
+    'no-auto-reload': 'noAutoReload',
+    'ottoNinja_knownRobots': 'knownRobots',
+    'ottoNinja_robotRegistry': 'robotRegistry',
+    'ottoNinja_gamepadMappings': 'gamepadMappings',
+    'ottoNinja_keyBindings': 'keyBindings',
+    'ottoNinja_safety': 'safety',
+    'ottoNinja_choreographyDraft': 'choreographyDraft',
+    'ottoNinja_sessions': 'sessions',
+    'ottoNinja_blockProgram': 'blockProgram',
+    'ottoNinja_scripts': 'scripts',
+    'ottoNinja_autonomy': 'autonomy',
+    'ottoNinja_usFilter': 'usFilter',
+    'ottoNinja_usCalibration': 'usCalibration',
+    'ottoNinja_servoProfiles': 'servoProfiles'
+};
+
+// Estado del almacenamiento
+const storageState = {
+    db: null,                // Promise<IDBDatabase|null>
+    quotaWarned: new Set()   // Claves ya avisadas en esta sesión
+};
+
+/* ================== LOCAL STORAGE ================== */
+
+function storageKey(name) {
+    return `${STORAGE_NAMESPACE}.${name}`;
+}
+
+/**
+ * Leer un valor JSON
+ * @param {string} name - Nombre sin espacio de nombres
+ * @param {*} fallback - Valor si no existe o está corrupto
+ */
+function storageGet(name, fallback = null) {
+    let raw;
+    try {
+        raw = localStorage.getItem(storageKey(name));
+    } catch (e) {
+        console.error(`Almacenamiento no disponible (${name}):`, e);
+        return fallback;
+    }
+    if (raw === null) return fallback;
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        console.error(`Dato corrupto en ${storageKey(name)}, se ignora:`, e);
+        return fallback;
+    }
+}
+
+/**
+ * Guardar un valor JSON
+ * @returns {boolean} false si no se pudo (p. ej. almacenamiento lleno)
+ */
+function storageSet(name, value) {
+    try {
+        localStorage.setItem(storageKey(name), JSON.stringify(value));
+        return true;
+    } catch (e) {
+        reportStorageError(name, e);
+        return false;
+    }
+}
+
+function storageRemove(name) {
+    try {
+        localStorage.removeItem(storageKey(name));
+    } catch (e) {
+        console.error(`Error borrando ${storageKey(name)}:`, e);
+    }
+}
+
+function isQuotaError(e) {
+    return !!e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        e.code === 22 || e.code === 1014);
+}
+
+/**
+ * Avisar al usuario (una vez por clave y sesión) de que no se pudo guardar
+ */
+function reportStorageError(name, e) {
+    console.error(`Error guardando ${storageKey(name)}:`, e);
+    if (storageState.quotaWarned.has(name)) return;
+    storageState.quotaWarned.add(name);
+
+    const message = isQuotaError(e)
+        ? `Almacenamiento lleno: no se pudo guardar "${name}". Borra bitmaps, sesiones o melodías que no uses.`
+        : `No se pudo guardar "${name}": ${e.message || e}`;
+    if (typeof addLog === 'function') addLog(`❌ ${message}`);
+    if (isQuotaError(e)) alert(message);
+}
+
+/* ================== INDEXEDDB ================== */
+
+/**
+ * Abrir (una vez) la base IndexedDB; null si no está disponible
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openStorageDB() {
+    if (storageState.db) return storageState.db;
+    storageState.db = new Promise(resolve => {
+        if (!window.indexedDB) {
+            resolve(null);
+            return;
+        }
+        try {
+            const request = indexedDB.open(STORAGE_DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORAGE_DB_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('IndexedDB no disponible, se usa localStorage:', request.error);
+                resolve(null);
+            };
+        } catch (e) {
+            console.error('IndexedDB no disponible, se usa localStorage:', e);
+            resolve(null);
+        }
+    });
+    return storageState.db;
+}
+
+function runStorageTransaction(db, mode, action) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORAGE_DB_STORE, mode);
+        const request = action(tx.objectStore(STORAGE_DB_STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Leer un dato grande (IndexedDB, o localStorage si no hay IndexedDB).
+ * Los datos guardados antes en localStorage se mueven a IndexedDB al leerlos.
+ */
+async function storageGetLarge(name, fallback = null) {
+    const db = await openStorageDB();
+    if (!db) return storageGet(name, fallback);
+
+    try {
+        const value = await runStorageTransaction(db, 'readonly', store => store.get(name));
+        if (value !== undefined) return value;
+    } catch (e) {
+        console.error(`Error leyendo ${name} de IndexedDB:`, e);
+        return storageGet(name, fallback);
+    }
+
+    const legacy = storageGet(name, undefined);
+    if (legacy === undefined) return fallback;
+    if (await storageSetLarge(name, legacy)) storageRemove(name);
+    return legacy;
+}
+
+/**
+ * Guardar un dato grande
+ * @returns {Promise<boolean>}
+ */
+async function storageSetLarge(name, value) {
+    const db = await openStorageDB();
+    if (!db) return storageSet(name, value);
+
+    try {
+        await runStorageTransaction(db, 'readwrite', store => store.put(value, name));
+        return true;
+    } catch (e) {
+        reportStorageError(name, e);
+        return false;
+    }
+}
+
+/* ================== MIGRATIONS ================== */
+
+/**
+ * Migraciones de esquema, en orden. Son síncronas (solo localStorage):
+ * los datos grandes pasan a IndexedDB al leerlos con storageGetLarge.
+ */
+const STORAGE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Claves con espacio de nombres',
+        run() {
+            for (const [legacyKey, name] of Object.entries(LEGACY_STORAGE_KEYS)) {
+                const raw = localStorage.getItem(legacyKey);
+                if (raw === null) continue;
+                // no-auto-reload se guardaba como texto 'true'
+                const value = legacyKey === 'no-auto-reload' ? JSON.stringify(raw === 'true') : raw;
+                if (localStorage.getItem(storageKey(name)) === null) localStorage.setItem(storageKey(name), value);
+                localStorage.removeItem(legacyKey);
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Formas antiguas de robots, melodías y trims',
+        run() {
+            // Robots recientes guardados como lista de IPs
+            const known = storageGet('knownRobots', null);
+            if (Array.isArray(known)) {
+                storageSet('knownRobots', known.map(r => typeof r === 'string'
+                    ? { ip: r, name: '', firmware: '', lastUsed: 0 }
+                    : r));
+            }
+
+            // Melodías sin estado de envío ni notas
+            const melodies = storageGet('melodies', null);
+            if (melodies && typeof melodies === 'object') {
+                const fixed = {};
+                for (const [slot, melody] of Object.entries(melodies)) {
+                    if (!melody || !Array.isArray(melody.notes)) continue;
+                    fixed[slot] = { name: melody.name || `Custom ${slot}`, notes: melody.notes, sentToEsp: melody.sentToEsp === true };
+                }
+                storageSet('melodies', fixed);
+            }
+
+            // Offsets de la flota: solo piernas antes del asistente de calibración
+            const registry = storageGet('robotRegistry', null);
+            if (registry && Array.isArray(registry.robots)) {
+                registry.robots.forEach(robot => {
+                    robot.offsets = {
+                        left: 0, right: 0, footLeft: 0, footRight: 0, armLeft: 0, armRight: 0, head: 0,
+                        ...robot.offsets
+                    };
+                });
+                storageSet('robotRegistry', registry);
+            }
+        }
+    }
+];
+
+/**
+ * Aplicar las migraciones pendientes según la versión guardada
+ */
+function runStorageMigrations() {
+    let version;
+    try {
+        version = parseInt(localStorage.getItem(storageKey('schemaVersion'))) || 0;
+    } catch (e) {
+        console.error('Almacenamiento no disponible:', e);
+        return;
+    }
+    if (version > STORAGE_SCHEMA_VERSION) {
+        console.warn(`Datos de una versión más nueva de la app (esquema ${version})`);
+        return;
+    }
+
+    for (const migration of STORAGE_MIGRATIONS) {
+        if (migration.version <= version) continue;
+        try {
+            migration.run();
+            version = migration.version;
+            localStorage.setItem(storageKey('schemaVersion'), String(version));
+            console.log(`Almacenamiento migrado a v${version}: ${migration.description}`);
+        } catch (e) {
+            // Se reintenta en la próxima carga desde esta migración
+            console.error(`Error en la migración v${migration.version}:`, e);
+            reportStorageError('schemaVersion', e);
+            return;
+        }
+    }
+}
+
+runStorageMigrations();
+
+// Exportar funciones globales
+window.storageGet = storageGet;
+window.storageSet = storageSet;
+window.storageRemove = storageRemove;
+window.storageGetLarge = storageGetLarge;
+window.storageSetLarge = storageSetLarge;
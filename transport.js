@@ -0,0 +1,386 @@
+/**
+ * TRANSPORT MODULE - Otto Ninja Controller
+ * Capa de transporte intercambiable para los comandos al ESP32.
+ * - WebSocket: un único socket persistente, tramas JSON con id y ack
+ * - HTTP: un GET por comando (fallback para firmware sin WebSocket); las
+ *   peticiones con cuerpo (subida de melodías) van siempre por POST
+ * Mantiene una conexión por robot: la del robot activo (primaria) y las
+ * de los robots de la flota (robots.js).
+ */
+
+const WS_PATH = '/ws';
+const WS_OPEN_TIMEOUT = 1500;   // ms para que el firmware acepte el upgrade
+const DEFAULT_REQUEST_TIMEOUT = 2000;
+
+// Estado de la capa de transporte
+const transportState = {
+    connections: new Map(),  // ip -> conexión (ver createConnection)
+    primaryIp: ''            // Robot activo (state.espIP)
+};
+
+/**
+ * Crear el estado de una conexión hacia un robot
+ */
+function createConnection(ip) {
+    return {
+        ip: ip,
+        active: null,            // Backend en uso (httpTransport | wsTransport)
+        socket: null,
+        nextId: 1,
+        pending: new Map(),      // id -> { resolve, timeoutId }
+        inflight: new Set(),     // Peticiones HTTP en curso: { controller, cancelled }
+        pinned: false            // Abierta por la flota: sobrevive al cambio de robot activo
+    };
+}
+
+/* ================== HTTP BACKEND ================== */
+
+/**
+ * Backend HTTP: GET http://<ip>/<endpoint>?<params> por cada comando
+ */
+const httpTransport = {
+    name: 'http',
+
+    async open(conn) {
+        return true;
+    },
+
+    /**
+     * Enviar comando y esperar respuesta
+     * @returns {Promise<{ok: boolean, status: number, data: *, timedOut: boolean, error: string|null}>}
+     */
+    async request(conn, endpoint, params, options) {
+        const url = `http://${conn.ip}/${endpoint}?${new URLSearchParams(params)}`;
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), options.timeout);
+        const entry = { controller, cancelled: false };
+        conn.inflight.add(entry);
+
+        const init = { method: 'GET', mode: 'cors', cache: 'no-cache', signal: controller.signal };
+        if (options.body !== undefined) {
+            // text/plain: petición simple, sin preflight OPTIONS (el firmware
+            // antiguo no lo atiende y el fetch fallaría con TypeError)
+            init.method = 'POST';
+            init.headers = { 'Content-Type': 'text/plain' };
+            init.body = options.body;
+        }
+
+        try {
+            const response = await fetch(url, init);
+
+            let data = null;
+            if (options.json) {
+                // Un error también puede traer JSON (p. ej. 409 con la posición)
+                data = response.ok ? await response.json() : await response.json().catch(() => null);
+            }
+
+            return {
+                ok: response.ok,
+                status: response.status,
+                data: data,
+                timedOut: false,
+                error: response.ok ? null : `HTTP ${response.status}`
+            };
+        } catch (error) {
+            if (entry.cancelled) {
+                return { ok: false, status: 0, data: null, timedOut: false, error: 'Cancelado' };
+            }
+            const timedOut = error.name === 'AbortError';
+            return { ok: false, status: 0, data: null, timedOut: timedOut, error: error.message };
+        } finally {
+            clearTimeout(timeoutId);
+            conn.inflight.delete(entry);
+        }
+    },
+
+    /**
+     * Enviar comando sin esperar respuesta (fire and forget)
+     */
+    send(conn, endpoint, params, options) {
+        const url = `http://${conn.ip}/${endpoint}?${new URLSearchParams(params)}`;
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), options.timeout);
+
+        fetch(url, {
+            method: 'GET',
+            mode: 'cors',
+            cache: 'no-cache',
+            keepalive: options.keepalive === true,
+            signal: controller.signal
+        }).catch(() => {}).finally(() => clearTimeout(timeoutId));
+    },
+
+    close(conn) {}
+};
+
+/* ================== WEBSOCKET BACKEND ================== */
+
+/**
+ * Backend WebSocket: ws://<ip>/ws
+ * Trama de comando: {"id": 7, "endpoint": "walk", "params": {"cmd": "forward"}}
+ * Trama de ack:     {"id": 7, "ok": true, "data": {...}}
+ */
+const wsTransport = {
+    name: 'ws',
+
+    /**
+     * Abrir el socket; resuelve false si el firmware no acepta el upgrade
+     */
+    open(conn) {
+        return new Promise((resolve) => {
+            let settled = false;
+            let socket;
+
+            const finish = (ok) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timeoutId);
+                if (!ok && socket) {
+                    socket.onclose = null;
+                    socket.close();
+                }
+                resolve(ok);
+            };
+
+            const timeoutId = setTimeout(() => finish(false), WS_OPEN_TIMEOUT);
+
+            try {
+                socket = new WebSocket(`ws://${conn.ip}${WS_PATH}`);
+            } catch (e) {
+                finish(false);
+                return;
+            }
+
+            socket.onopen = () => {
+                conn.socket = socket;
+                finish(true);
+            };
+            socket.onerror = () => finish(false);
+            socket.onmessage = (event) => wsHandleMessage(conn, event.data);
+            socket.onclose = () => {
+                if (!settled) {
+                    finish(false);
+                    return;
+                }
+                wsHandleClose(conn, socket);
+            };
+        });
+    },
+
+    request(conn, endpoint, params, options) {
+        return new Promise((resolve) => {
+            const socket = conn.socket;
+            if (!socket || socket.readyState !== WebSocket.OPEN) {
+                resolve({ ok: false, data: null, timedOut: false, error: 'WebSocket cerrado' });
+                return;
+            }
+
+            const id = conn.nextId++;
+            const timeoutId = setTimeout(() => {
+                conn.pending.delete(id);
+                resolve({ ok: false, data: null, timedOut: true, error: 'Timeout' });
+            }, options.timeout);
+
+            conn.pending.set(id, { resolve, timeoutId });
+            socket.send(JSON.stringify({ id, endpoint, params }));
+        });
+    },
+
+    send(conn, endpoint, params) {
+        const socket = conn.socket;
+        if (!socket || socket.readyState !== WebSocket.OPEN) return;
+        // Sin id: el firmware no envía ack para estas tramas
+        socket.send(JSON.stringify({ endpoint, params }));
+    },
+
+    close(conn) {
+        const socket = conn.socket;
+        conn.socket = null;
+        if (socket) {
+            socket.onclose = null;
+            socket.close();
+        }
+        wsRejectPending(conn, 'WebSocket cerrado');
+    }
+};
+
+/**
+ * Procesar un ack recibido por el socket
+ */
+function wsHandleMessage(conn, raw) {
+    let msg;
+    try {
+        msg = JSON.parse(raw);
+    } catch (e) {
+        return;
+    }
+    if (!msg || typeof msg !== 'object') return;
+
+    const entry = conn.pending.get(msg.id);
+    if (!entry) return;
+
+    conn.pending.delete(msg.id);
+    clearTimeout(entry.timeoutId);
+    entry.resolve({
+        ok: msg.ok !== false,
+        data: msg.data !== undefined ? msg.data : null,
+        timedOut: false,
+        error: msg.ok === false ? (msg.error || 'Error') : null
+    });
+}
+
+/**
+ * El socket se cerró inesperadamente: volver a HTTP
+ */
+function wsHandleClose(conn, socket) {
+    if (conn.socket !== socket) return;
+    conn.socket = null;
+    wsRejectPending(conn, 'WebSocket cerrado');
+
+    if (conn.active === wsTransport) {
+        conn.active = httpTransport;
+        const where = conn.ip === transportState.primaryIp ? '' : ` (${conn.ip})`;
+        if (typeof addLog === 'function') addLog(`⚠️ WebSocket cerrado${where}, usando HTTP`);
+    }
+}
+
+/**
+ * Resolver como fallidos todos los comandos que esperaban ack
+ */
+function wsRejectPending(conn, error) {
+    conn.pending.forEach(entry => {
+        clearTimeout(entry.timeoutId);
+        entry.resolve({ ok: false, data: null, timedOut: false, error: error });
+    });
+    conn.pending.clear();
+}
+
+/* ================== PUBLIC API ================== */
+
+/**
+ * Abrir el transporte hacia un robot: intenta WebSocket y cae a HTTP
+ * @param {string} ip - Dirección del ESP32
+ * @param {Object} options - { primary: false para conexiones de la flota }
+ * @returns {Promise<string>} Nombre del backend activo ('ws' | 'http')
+ */
+async function openTransport(ip, options = {}) {
+    const primary = options.primary !== false;
+
+    if (primary && transportState.primaryIp && transportState.primaryIp !== ip) {
+        closeTransport();
+    }
+
+    let conn = transportState.connections.get(ip);
+    if (conn) {
+        // Reabrir: el socket anterior puede haber quedado muerto
+        if (conn.active) conn.active.close(conn);
+    } else {
+        conn = createConnection(ip);
+        transportState.connections.set(ip, conn);
+    }
+
+    if (primary) {
+        transportState.primaryIp = ip;
+    } else {
+        conn.pinned = true;
+    }
+
+    if (typeof WebSocket !== 'undefined' && await wsTransport.open(conn)) {
+        conn.active = wsTransport;
+    } else {
+        conn.active = httpTransport;
+    }
+    return conn.active.name;
+}
+
+/**
+ * Cerrar una conexión
+ * @param {string} ip - Robot de la flota; sin ip se libera el robot activo.
+ *                      La conexión sigue abierta si el otro rol la usa.
+ */
+function closeTransport(ip) {
+    const target = ip || transportState.primaryIp;
+    const conn = transportState.connections.get(target);
+
+    if (ip) {
+        if (conn) conn.pinned = false;
+    } else {
+        transportState.primaryIp = '';
+    }
+
+    if (!conn || conn.pinned || target === transportState.primaryIp) return;
+
+    if (conn.active) conn.active.close(conn);
+    conn.active = null;
+    transportState.connections.delete(target);
+}
+
+/**
+ * Conexión y backend para un robot, usando HTTP si todavía no se abrió ninguno
+ * @param {string} ip - Robot destino (por defecto el robot activo)
+ */
+function getTransport(ip) {
+    const target = ip || transportState.primaryIp;
+    const conn = transportState.connections.get(target) || createConnection(target);
+    return { conn: conn, backend: conn.active || httpTransport };
+}
+
+/**
+ * Enviar comando y esperar respuesta/ack
+ * @param {string} endpoint - Endpoint del firmware (walk, arms, ...)
+ * @param {Object} params - Parámetros del comando
+ * @param {Object} options - { timeout: ms, json: parsear respuesta HTTP, ip: robot destino,
+ *                              body: texto a enviar por POST (siempre HTTP) }
+ */
+function transportRequest(endpoint, params = {}, options = {}) {
+    const { conn, backend } = getTransport(options.ip);
+    // El socket solo lleva tramas de comando: lo que tiene cuerpo va por HTTP
+    const target = options.body !== undefined ? httpTransport : backend;
+    return target.request(conn, endpoint, params, {
+        timeout: options.timeout || DEFAULT_REQUEST_TIMEOUT,
+        json: options.json === true,
+        body: options.body
+    });
+}
+
+/**
+ * Enviar comando sin esperar respuesta (joystick)
+ * @param {Object} options - { timeout: ms, keepalive: boolean, ip: robot destino }
+ */
+function transportSend(endpoint, params = {}, options = {}) {
+    const { conn, backend } = getTransport(options.ip);
+    backend.send(conn, endpoint, params, {
+        timeout: options.timeout || 1000,
+        keepalive: options.keepalive === true
+    });
+}
+
+/**
+ * Cancelar todos los comandos en vuelo o esperando ack (parada de emergencia)
+ */
+function abortTransportRequests() {
+    transportState.connections.forEach(conn => {
+        conn.inflight.forEach(entry => {
+            entry.cancelled = true;
+            entry.controller.abort();
+        });
+        conn.inflight.clear();
+        wsRejectPending(conn, 'Cancelado');
+    });
+}
+
+/**
+ * Nombre del backend activo ('ws' | 'http')
+ * @param {string} ip - Robot (por defecto el robot activo)
+ */
+function getTransportName(ip) {
+    return getTransport(ip).backend.name;
+}
+
+// Exportar funciones globales
+window.openTransport = openTransport;
+window.closeTransport = closeTransport;
+window.transportRequest = transportRequest;
+window.transportSend = transportSend;
+window.abortTransportRequests = abortTransportRequests;
+window.getTransportName = getTransportName;
@@ -0,0 +1,416 @@
+/**
+ * ULTRASONIC CALIBRATION MODULE - Otto Ninja Controller
+ * Calibración multipunto del ultrasonido: se mide (promediando) a varias
+ * distancias conocidas, se ajusta una corrección lineal (mínimos cuadrados)
+ * o por tramos, se muestran los residuos y la curva se aplica a todas las
+ * lecturas (parseUltrasonicDistance). Se guarda por robot (IP) y puede
+ * enviarse al firmware con /ultrasonic?action=calibrate; entonces el robot
+ * ya devuelve lecturas corregidas y la app deja de aplicarla.
+ */
+
+const US_CALIBRATION_KEY = 'usCalibration';
+const US_CAL_SAMPLES = 10;           // lecturas por punto
+const US_CAL_SAMPLE_GAP = 80;        // ms entre lecturas
+
+// Estado de la calibración
+const usCalState = {
+    saved: {},               // ip -> { fit, points, location: 'app' | 'firmware', updated }
+    points: [],              // Puntos del asistente: { expected, measured, std, samples }
+    fitType: 'linear',       // 'linear' | 'piecewise'
+    measuring: false
+};
+
+/* ================== FITTING ================== */
+
+/**
+ * Ajustar la corrección real = f(medida)
+ * @returns {Object|null} { type: 'linear', scale, offset, r2 } | { type: 'piecewise', points }
+ */
+function fitUltrasonicCalibration(points, type) {
+    if (points.length < 2) return null;
+
+    if (type === 'piecewise') {
+        // Una medida por tramo: promediar puntos con la misma lectura
+        const byMeasured = new Map();
+        points.forEach(p => {
+            const list = byMeasured.get(p.measured) || [];
+            list.push(p.expected);
+            byMeasured.set(p.measured, list);
+        });
+        if (byMeasured.size < 2) return null;
+        const knots = [...byMeasured.entries()]
+            .map(([measured, list]) => [measured, list.reduce((sum, v) => sum + v, 0) / list.length])
+            .sort((a, b) => a[0] - b[0]);
+        return { type: 'piecewise', points: knots };
+    }
+
+    const n = points.length;
+    const sx = points.reduce((sum, p) => sum + p.measured, 0);
+    const sy = points.reduce((sum, p) => sum + p.expected, 0);
+    const sxx = points.reduce((sum, p) => sum + p.measured * p.measured, 0);
+    const sxy = points.reduce((sum, p) => sum + p.measured * p.expected, 0);
+    const denominator = n * sxx - sx * sx;
+    if (denominator === 0) return null;
+
+    const scale = (n * sxy - sx * sy) / denominator;
+    const offset = (sy - scale * sx) / n;
+
+    const meanY = sy / n;
+    const ssTot = points.reduce((sum, p) => sum + (p.expected - meanY) ** 2, 0);
+    const ssRes = points.reduce((sum, p) => sum + (p.expected - (scale * p.measured + offset)) ** 2, 0);
+    const r2 = ssTot > 0 ? 1 - ssRes / ssTot : 1;
+
+    return { type: 'linear', scale, offset, r2 };
+}
+
+/**
+ * Evaluar una corrección
+ * @returns {number} cm corregidos (sin redondear)
+ */
+function evaluateUltrasonicFit(fit, measured) {
+    if (fit.type === 'piecewise') {
+        const knots = fit.points;
+        // Buscar el tramo; fuera del rango se extrapola con el tramo extremo
+        let i = 0;
+        while (i < knots.length - 2 && measured > knots[i + 1][0]) i++;
+        const [x0, y0] = knots[i];
+        const [x1, y1] = knots[i + 1];
+        return y0 + (measured - x0) * (y1 - y0) / (x1 - x0);
+    }
+    return fit.scale * measured + fit.offset;
+}
+
+/**
+ * Corrección de lecturas usada por parseUltrasonicDistance (app.js)
+ * @param {number} raw - cm del sensor (> 0)
+ * @returns {number} cm corregidos
+ */
+function correctUltrasonicReading(raw) {
+    const cal = usCalState.saved[state.espIP];
+    if (!cal || cal.location !== 'app') return raw;
+    return Math.max(1, Math.round(evaluateUltrasonicFit(cal.fit, raw)));
+}
+
+/* ================== STORAGE ================== */
+
+function loadUltrasonicCalibrations() {
+    usCalState.saved = storageGet(US_CALIBRATION_KEY, {});
+}
+
+function persistUltrasonicCalibrations() {
+    storageSet(US_CALIBRATION_KEY, usCalState.saved);
+}
+
+/**
+ * Comprobar la forma de una curva (p. ej. al importar un perfil)
+ */
+function isValidUltrasonicFit(fit) {
+    if (!fit || typeof fit !== 'object') return false;
+    if (fit.type === 'linear') return Number.isFinite(fit.scale) && Number.isFinite(fit.offset) && fit.scale > 0;
+    if (fit.type === 'piecewise') {
+        return Array.isArray(fit.points) && fit.points.length >= 2 &&
+            fit.points.every(p => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite)) &&
+            fit.points.every((p, i) => i === 0 || p[0] > fit.points[i - 1][0]);
+    }
+    return false;
+}
+
+/**
+ * Comprobar los puntos medidos de una calibración: [{ expected, measured }, ...]
+ */
+function isValidCalibrationPoints(points) {
+    return Array.isArray(points) && points.every(p => !!p && typeof p === 'object' &&
+        Number.isFinite(p.expected) && Number.isFinite(p.measured));
+}
+
+/**
+ * Calibración guardada de un robot (copia)
+ */
+function getUltrasonicCalibration(ip) {
+    const cal = usCalState.saved[ip];
+    return cal ? JSON.parse(JSON.stringify(cal)) : null;
+}
+
+/**
+ * Sustituir la calibración de un robot (null = quitarla).
+ * Una curva traída de otro sitio no está en este firmware: se aplica en la app.
+ */
+function setUltrasonicCalibration(ip, cal) {
+    if (!ip) return;
+    if (cal) {
+        usCalState.saved[ip] = { ...cal, points: cal.points || [], location: 'app', updated: new Date().toISOString() };
+    } else {
+        delete usCalState.saved[ip];
+    }
+    persistUltrasonicCalibrations();
+    if (ip === state.espIP && !usCalState.measuring) loadCalibrationPointsForRobot();
+}
+
+/* ================== WIZARD ================== */
+
+/**
+ * Medir un punto: promedio de varias lecturas sin corregir
+ */
+async function measureCalibrationPoint() {
+    if (usCalState.measuring) return;
+    const input = document.getElementById('usCalPointInput');
+    const expected = parseFloat(input?.value);
+    if (!(expected >= 2 && expected <= 400)) {
+        addLog('⚠️ Distancia conocida inválida (2–400 cm)');
+        return;
+    }
+    if (!state.connected || !state.espIP) {
+        addLog('❌ No conectado');
+        return;
+    }
+
+    usCalState.measuring = true;
+    updateCalibrationUI();
+
+    // Si el firmware corrige, medir en crudo: quitar su curva y seguir corrigiendo en la app
+    const cal = usCalState.saved[state.espIP];
+    if (cal && cal.location === 'firmware') {
+        const reset = await sendRequest('ultrasonic', { action: 'calibrate', reset: 1 });
+        if (reset) {
+            cal.location = 'app';
+            persistUltrasonicCalibrations();
+            addLog('📏 Calibración del firmware desactivada para medir en crudo');
+        }
+    }
+
+    const readings = [];
+    for (let i = 0; i < US_CAL_SAMPLES; i++) {
+        const result = await transportRequest('ultrasonic', { action: 'read' }, { timeout: 2000, json: true });
+        const raw = result.ok && result.data ? parseInt(result.data.distance) : NaN;
+        if (raw > 0) readings.push(raw);
+        setCalibrationStatus(`Midiendo ${expected} cm… ${i + 1}/${US_CAL_SAMPLES}`);
+        await new Promise(resolve => setTimeout(resolve, US_CAL_SAMPLE_GAP));
+    }
+    usCalState.measuring = false;
+
+    if (readings.length < US_CAL_SAMPLES / 2) {
+        setCalibrationStatus(`Solo ${readings.length} lecturas válidas: revisa el objeto y repite`, 'error');
+        updateCalibrationUI();
+        return;
+    }
+
+    const mean = readings.reduce((sum, v) => sum + v, 0) / readings.length;
+    const std = Math.sqrt(readings.reduce((sum, v) => sum + (v - mean) ** 2, 0) / readings.length);
+    usCalState.points.push({
+        expected,
+        measured: Math.round(mean * 10) / 10,
+        std: Math.round(std * 10) / 10,
+        samples: readings.length
+    });
+    usCalState.points.sort((a, b) => a.expected - b.expected);
+    setCalibrationStatus(`Punto ${expected} cm: medida ${mean.toFixed(1)} ± ${std.toFixed(1)} cm`);
+    renderCalibrationPoints();
+}
+
+/**
+ * Guardar la curva para el robot activo (la aplica la app)
+ */
+function applyUltrasonicCalibration() {
+    const fit = fitUltrasonicCalibration(usCalState.points, usCalState.fitType);
+    if (!fit || !state.espIP) return;
+
+    usCalState.saved[state.espIP] = {
+        fit,
+        points: usCalState.points,
+        location: 'app',
+        updated: new Date().toISOString()
+    };
+    persistUltrasonicCalibrations();
+    addLog(`📏 Calibración aplicada a ${state.espIP}`);
+    updateCalibrationUI();
+}
+
+/**
+ * Enviar la curva al firmware; si la acepta, la app deja de corregir
+ */
+async function pushUltrasonicCalibration() {
+    const cal = usCalState.saved[state.espIP];
+    if (!cal) return;
+
+    const params = { action: 'calibrate' };
+    if (cal.fit.type === 'linear') {
+        params.scale = cal.fit.scale.toFixed(5);
+        params.offset = cal.fit.offset.toFixed(3);
+    } else {
+        params.points = cal.fit.points.map(([m, r]) => `${m}:${Math.round(r * 10) / 10}`).join(',');
+    }
+
+    const ok = await sendRequest('ultrasonic', params);
+    if (ok) {
+        cal.location = 'firmware';
+        persistUltrasonicCalibrations();
+        addLog('📏 Calibración guardada en el firmware');
+    } else {
+        addLog('❌ El firmware no aceptó la calibración: se sigue aplicando en la app');
+    }
+    updateCalibrationUI();
+}
+
+/**
+ * Quitar la calibración del robot activo (app y firmware)
+ */
+async function resetUltrasonicCalibration() {
+    const cal = usCalState.saved[state.espIP];
+    if (!cal || !confirm('¿Quitar la calibración de este robot?')) return;
+
+    if (cal.location === 'firmware') {
+        await sendRequest('ultrasonic', { action: 'calibrate', reset: 1 });
+    }
+    delete usCalState.saved[state.espIP];
+    persistUltrasonicCalibrations();
+    addLog('📏 Calibración eliminada');
+    updateCalibrationUI();
+}
+
+/* ================== UI ================== */
+
+function setCalibrationStatus(text, level = '') {
+    const el = document.getElementById('usCalWizardStatus');
+    if (!el) return;
+    el.textContent = text;
+    el.className = 'us-cal-result' + (level ? ' ' + level : '');
+}
+
+function describeUltrasonicFit(fit) {
+    if (!fit) return 'Mide al menos 2 distancias distintas';
+    if (fit.type === 'piecewise') return `Interpolación entre ${fit.points.length} puntos`;
+    const sign = fit.offset >= 0 ? '+' : '−';
+    // Una curva importada puede no traer R²
+    const r2 = Number.isFinite(fit.r2) ? ` (R² ${fit.r2.toFixed(4)})` : '';
+    return `real = ${fit.scale.toFixed(3)} × medida ${sign} ${Math.abs(fit.offset).toFixed(2)} cm${r2}`;
+}
+
+/**
+ * Tabla de puntos con la corrección y el residuo de cada uno
+ */
+function renderCalibrationPoints() {
+    const table = document.getElementById('usCalPoints');
+    if (!table) return;
+
+    const fit = fitUltrasonicCalibration(usCalState.points, usCalState.fitType);
+    table.innerHTML = '';
+
+    if (usCalState.points.length === 0) {
+        table.innerHTML = '<p class="us-cal-empty">Coloca un objeto a una distancia conocida y pulsa Medir</p>';
+    } else {
+        const header = document.createElement('div');
+        header.className = 'us-cal-point header';
+        ['Real', 'Medida', 'Corregida', 'Residuo', ''].forEach(text => {
+            const cell = document.createElement('span');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+        table.appendChild(header);
+
+        usCalState.points.forEach((point, index) => {
+            const corrected = fit ? evaluateUltrasonicFit(fit, point.measured) : null;
+            const residual = corrected === null ? null : point.expected - corrected;
+
+            const row = document.createElement('div');
+            row.className = 'us-cal-point';
+            [
+                `${point.expected} cm`,
+                `${point.measured} ± ${point.std}`,
+                corrected === null ? '--' : corrected.toFixed(1),
+                residual === null ? '--' : (residual >= 0 ? '+' : '') + residual.toFixed(1)
+            ].forEach(text => {
+                const cell = document.createElement('span');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            if (residual !== null && Math.abs(residual) > 2) row.classList.add('warn');
+
+            const remove = document.createElement('button');
+            remove.className = 'us-cal-remove';
+            remove.textContent = '✕';
+            remove.addEventListener('click', () => {
+                usCalState.points.splice(index, 1);
+                renderCalibrationPoints();
+            });
+            row.appendChild(remove);
+            table.appendChild(row);
+        });
+    }
+
+    const summary = document.getElementById('usCalFit');
+    if (summary) summary.textContent = describeUltrasonicFit(fit);
+    updateCalibrationUI();
+}
+
+function updateCalibrationUI() {
+    const cal = usCalState.saved[state.espIP];
+    const fit = fitUltrasonicCalibration(usCalState.points, usCalState.fitType);
+
+    const active = document.getElementById('usCalActive');
+    if (active) {
+        active.textContent = !cal ? 'Sin calibración para este robot'
+            : `Activa ${cal.location === 'firmware' ? 'en el firmware' : 'en la app'}: ${describeUltrasonicFit(cal.fit)}`;
+    }
+
+    const set = (id, disabled) => {
+        const el = document.getElementById(id);
+        if (el) el.disabled = disabled;
+    };
+    set('usCalMeasureBtn', usCalState.measuring);
+    set('usCalApplyBtn', usCalState.measuring || !fit || !state.espIP);
+    set('usCalPushBtn', usCalState.measuring || !cal || cal.location === 'firmware');
+    set('usCalResetBtn', usCalState.measuring || !cal);
+}
+
+/**
+ * Cargar en el asistente los puntos guardados del robot activo
+ */
+function loadCalibrationPointsForRobot() {
+    const cal = usCalState.saved[state.espIP];
+    usCalState.points = cal ? cal.points.map(p => ({ ...p })) : [];
+    if (cal) usCalState.fitType = cal.fit.type;
+    const select = document.getElementById('usCalFitType');
+    if (select) select.value = usCalState.fitType;
+    renderCalibrationPoints();
+}
+
+/* ================== INIT EVENT LISTENERS ================== */
+
+function initUltrasonicCalibration() {
+    loadUltrasonicCalibrations();
+
+    document.getElementById('usCalMeasureBtn')?.addEventListener('click', measureCalibrationPoint);
+    document.getElementById('usCalApplyBtn')?.addEventListener('click', applyUltrasonicCalibration);
+    document.getElementById('usCalPushBtn')?.addEventListener('click', pushUltrasonicCalibration);
+    document.getElementById('usCalResetBtn')?.addEventListener('click', resetUltrasonicCalibration);
+
+    const fitSelect = document.getElementById('usCalFitType');
+    if (fitSelect) {
+        fitSelect.addEventListener('change', () => {
+            usCalState.fitType = fitSelect.value;
+            renderCalibrationPoints();
+        });
+    }
+
+    // Cada robot tiene su curva: recargar al entrar en el panel
+    document.querySelector('.nav-drawer-item[data-panel="ultrasonic"]')?.addEventListener('click', () => {
+        if (!usCalState.measuring) loadCalibrationPointsForRobot();
+    });
+
+    loadCalibrationPointsForRobot();
+}
+
+// Inicializar cuando el DOM esté listo
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initUltrasonicCalibration);
+} else {
+    initUltrasonicCalibration();
+}
+
+// Exportar funciones globales
+window.correctUltrasonicReading = correctUltrasonicReading;
+window.fitUltrasonicCalibration = fitUltrasonicCalibration;
+window.isValidUltrasonicFit = isValidUltrasonicFit;
+window.isValidCalibrationPoints = isValidCalibrationPoints;
+window.getUltrasonicCalibration = getUltrasonicCalibration;
+window.setUltrasonicCalibration = setUltrasonicCalibration;
@@ -0,0 +1,486 @@
+/**
+ * ULTRASONIC HISTORY MODULE - Otto Ninja Controller
+ * Filtrado e historial de las lecturas del ultrasonido para experimentos:
+ * - Filtros seleccionables: mediana, media móvil, exponencial y Kalman simple.
+ * - Historial largo con gráfica temporal (cruda vs filtrada) con zoom.
+ * - Estadísticas de lecturas sin eco y valores atípicos.
+ * - Exportación CSV/JSON.
+ * Recibe las lecturas del panel (en vivo y test) vía recordUltrasonicReading.
+ */
+
+const US_FILTER_SETTINGS_KEY = 'usFilter';
+const US_HISTORY_MAX = 36000;        // ~5 h a 2 lecturas/s
+const US_OUTLIER_WINDOW = 5;         // lecturas previas para detectar atípicos
+const US_OUTLIER_MIN = 15;           // cm de desviación mínima para ser atípico
+const US_CHART_WINDOWS = [30, 60, 300, 900, 0];   // segundos visibles (0 = todo)
+
+const US_FILTERS = {
+    none: { label: 'Sin filtro', params: [] },
+    median: { label: 'Mediana', params: [{ key: 'window', label: 'Ventana', min: 3, max: 21, step: 2 }] },
+    average: { label: 'Media móvil', params: [{ key: 'window', label: 'Ventana', min: 2, max: 30, step: 1 }] },
+    exponential: { label: 'Exponencial', params: [{ key: 'alpha', label: 'Alfa', min: 0.05, max: 1, step: 0.05 }] },
+    kalman: {
+        label: 'Kalman',
+        params: [
+            { key: 'q', label: 'Ruido de proceso (Q)', min: 0.01, max: 50, step: 0.01 },
+            { key: 'r', label: 'Ruido de medida (R)', min: 0.1, max: 200, step: 0.1 }
+        ]
+    }
+};
+
+const DEFAULT_US_FILTER_SETTINGS = {
+    filter: 'median',
+    window: 5,
+    alpha: 0.3,
+    q: 1,
+    r: 25,
+    chartWindow: 60
+};
+
+// Estado del historial y del filtro
+const usHistoryState = {
+    settings: { ...DEFAULT_US_FILTER_SETTINGS },
+    history: [],             // [{ t, raw, filtered, outlier }] (raw/filtered null = sin eco)
+    filter: null,            // Estado interno del filtro activo
+    drawPending: false
+};
+
+/* ================== FILTERS ================== */
+
+function createFilterState() {
+    return { buffer: [], value: null, p: 1 };
+}
+
+/**
+ * Aplicar el filtro activo a una lectura válida
+ * @returns {number} Valor filtrado
+ */
+function applyUltrasonicFilter(filter, raw) {
+    const s = usHistoryState.settings;
+    switch (s.filter) {
+        case 'median':
+        case 'average': {
+            filter.buffer.push(raw);
+            if (filter.buffer.length > s.window) filter.buffer.shift();
+            if (s.filter === 'average') {
+                return filter.buffer.reduce((sum, v) => sum + v, 0) / filter.buffer.length;
+            }
+            const sorted = filter.buffer.slice().sort((a, b) => a - b);
+            const mid = Math.floor(sorted.length / 2);
+            return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+        }
+        case 'exponential':
+            filter.value = filter.value === null ? raw : s.alpha * raw + (1 - s.alpha) * filter.value;
+            return filter.value;
+        case 'kalman': {
+            // Modelo de posición constante: predecir (p += q) y corregir
+            if (filter.value === null) {
+                filter.value = raw;
+                filter.p = s.r;
+                return raw;
+            }
+            filter.p += s.q;
+            const gain = filter.p / (filter.p + s.r);
+            filter.value += gain * (raw - filter.value);
+            filter.p *= (1 - gain);
+            return filter.value;
+        }
+    }
+    return raw;
+}
+
+/**
+ * ¿Se aleja la lectura de las anteriores más de lo razonable?
+ * Umbral: 3 desviaciones absolutas medianas (mínimo US_OUTLIER_MIN cm)
+ */
+function isUltrasonicOutlier(raw) {
+    const previous = [];
+    for (let i = usHistoryState.history.length - 1; i >= 0 && previous.length < US_OUTLIER_WINDOW; i--) {
+        const r = usHistoryState.history[i].raw;
+        if (r !== null) previous.push(r);
+    }
+    if (previous.length < 3) return false;
+
+    const sorted = previous.slice().sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const deviations = sorted.map(v => Math.abs(v - median)).sort((a, b) => a - b);
+    const mad = deviations[Math.floor(deviations.length / 2)];
+    return Math.abs(raw - median) > Math.max(US_OUTLIER_MIN, 3 * mad);
+}
+
+const roundUltrasonicCm = value => Math.round(value * 10) / 10;
+
+/**
+ * Registrar una lectura y devolverla filtrada
+ * @param {number|null} raw - cm, null = sin eco
+ * @returns {number|null} Valor filtrado (null sin eco)
+ */
+function recordUltrasonicReading(raw) {
+    if (!usHistoryState.filter) usHistoryState.filter = createFilterState();
+
+    const entry = { t: Date.now(), raw, filtered: null, outlier: false };
+    if (raw !== null) {
+        entry.outlier = isUltrasonicOutlier(raw);
+        entry.filtered = roundUltrasonicCm(applyUltrasonicFilter(usHistoryState.filter, raw));
+    }
+
+    usHistoryState.history.push(entry);
+    if (usHistoryState.history.length > US_HISTORY_MAX) usHistoryState.history.shift();
+
+    scheduleUltrasonicHistoryDraw();
+    return entry.filtered;
+}
+
+/**
+ * Recalcular la serie filtrada tras cambiar de filtro o parámetros
+ */
+function refilterUltrasonicHistory() {
+    const filter = createFilterState();
+    usHistoryState.history.forEach(entry => {
+        entry.filtered = entry.raw === null ? null : roundUltrasonicCm(applyUltrasonicFilter(filter, entry.raw));
+    });
+    usHistoryState.filter = filter;
+    scheduleUltrasonicHistoryDraw();
+}
+
+function clearUltrasonicHistory() {
+    usHistoryState.history = [];
+    usHistoryState.filter = createFilterState();
+    scheduleUltrasonicHistoryDraw();
+}
+
+/* ================== STATISTICS ================== */
+
+function getUltrasonicStats() {
+    const history = usHistoryState.history;
+    const valid = history.filter(e => e.raw !== null);
+    const noEcho = history.length - valid.length;
+    const outliers = valid.filter(e => e.outlier).length;
+
+    const stats = {
+        total: history.length,
+        valid: valid.length,
+        noEcho,
+        noEchoPct: history.length ? Math.round(noEcho / history.length * 1000) / 10 : 0,
+        outliers,
+        outlierPct: valid.length ? Math.round(outliers / valid.length * 1000) / 10 : 0,
+        mean: null, std: null, min: null, max: null
+    };
+    if (valid.length > 0) {
+        const values = valid.map(e => e.raw);
+        const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+        const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+        stats.mean = roundUltrasonicCm(mean);
+        stats.std = roundUltrasonicCm(Math.sqrt(variance));
+        stats.min = values.reduce((min, v) => Math.min(min, v), Infinity);
+        stats.max = values.reduce((max, v) => Math.max(max, v), 0);
+    }
+    return stats;
+}
+
+function updateUltrasonicStats() {
+    const stats = getUltrasonicStats();
+    const set = (id, value) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = value === null ? '--' : value;
+    };
+    set('usHistTotal', stats.total);
+    set('usHistNoEcho', `${stats.noEcho} (${stats.noEchoPct}%)`);
+    set('usHistOutliers', `${stats.outliers} (${stats.outlierPct}%)`);
+    set('usHistMean', stats.mean === null ? null : `${stats.mean} ± ${stats.std}`);
+    set('usHistRange', stats.min === null ? null : `${stats.min}–${stats.max}`);
+}
+
+/* ================== CHART ================== */
+
+function scheduleUltrasonicHistoryDraw() {
+    if (usHistoryState.drawPending) return;
+    usHistoryState.drawPending = true;
+    requestAnimationFrame(() => {
+        usHistoryState.drawPending = false;
+        drawUltrasonicHistory();
+        updateUltrasonicStats();
+    });
+}
+
+/**
+ * Gráfica temporal: cruda (puntos), filtrada (línea), sin eco (marcas abajo)
+ */
+function drawUltrasonicHistory() {
+    const canvas = document.getElementById('usHistoryCanvas');
+    if (!canvas || !canvas.clientWidth) return;
+    const ctx = canvas.getContext('2d');
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = 200;
+    if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+        canvas.style.height = height + 'px';
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const history = usHistoryState.history;
+    if (history.length === 0) {
+        ctx.fillStyle = 'rgba(142, 142, 147, 0.9)';
+        ctx.font = '12px -apple-system, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText('Sin lecturas todavía', width / 2, height / 2);
+        ctx.textAlign = 'start';
+        return;
+    }
+
+    // Ventana visible anclada a la última lectura
+    const end = history[history.length - 1].t;
+    const span = usHistoryState.settings.chartWindow > 0
+        ? usHistoryState.settings.chartWindow * 1000
+        : Math.max(1000, end - history[0].t);
+    const start = end - span;
+    const visible = history.filter(e => e.t >= start);
+
+    const pad = { left: 34, right: 8, top: 8, bottom: 18 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const values = visible.flatMap(e => [e.raw, e.filtered]).filter(v => v !== null);
+    const maxCm = Math.max(20, Math.ceil(values.reduce((max, v) => Math.max(max, v), 0) / 10) * 10);
+
+    const x = t => pad.left + (t - start) / span * plotW;
+    const y = cm => pad.top + plotH - cm / maxCm * plotH;
+
+    // Rejilla y ejes
+    ctx.strokeStyle = 'rgba(142, 142, 147, 0.25)';
+    ctx.fillStyle = 'rgba(142, 142, 147, 0.9)';
+    ctx.font = '10px -apple-system, sans-serif';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 4; i++) {
+        const cm = maxCm * i / 4;
+        ctx.beginPath();
+        ctx.moveTo(pad.left, y(cm));
+        ctx.lineTo(width - pad.right, y(cm));
+        ctx.stroke();
+        ctx.fillText(String(Math.round(cm)), 4, y(cm) + 3);
+    }
+    ctx.fillText(`-${Math.round(span / 1000)} s`, pad.left, height - 4);
+    ctx.textAlign = 'right';
+    ctx.fillText('ahora', width - pad.right, height - 4);
+    ctx.textAlign = 'start';
+
+    // Umbrales del panel
+    [[usState.dangerThreshold, 'rgba(255, 59, 48, 0.5)'], [usState.alertThreshold, 'rgba(255, 159, 10, 0.5)']]
+        .forEach(([cm, color]) => {
+            if (cm > maxCm) return;
+            ctx.strokeStyle = color;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(pad.left, y(cm));
+            ctx.lineTo(width - pad.right, y(cm));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        });
+
+    // Crudas: puntos (atípicos en naranja); sin eco: marca roja abajo
+    visible.forEach(e => {
+        if (e.raw === null) {
+            ctx.fillStyle = 'rgba(255, 59, 48, 0.8)';
+            ctx.fillRect(x(e.t) - 1, pad.top + plotH - 6, 2, 6);
+            return;
+        }
+        ctx.fillStyle = e.outlier ? 'rgba(255, 159, 10, 0.95)' : 'rgba(142, 142, 147, 0.6)';
+        ctx.beginPath();
+        ctx.arc(x(e.t), y(e.raw), e.outlier ? 3 : 2, 0, Math.PI * 2);
+        ctx.fill();
+    });
+
+    // Filtrada: línea (se corta en los huecos sin eco)
+    ctx.strokeStyle = '#007AFF';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    let drawing = false;
+    visible.forEach(e => {
+        if (e.filtered === null) {
+            drawing = false;
+            return;
+        }
+        if (drawing) ctx.lineTo(x(e.t), y(e.filtered));
+        else ctx.moveTo(x(e.t), y(e.filtered));
+        drawing = true;
+    });
+    ctx.stroke();
+}
+
+/**
+ * Cambiar el zoom a la ventana anterior/siguiente
+ * @param {number} direction - -1 acercar, 1 alejar
+ */
+function zoomUltrasonicHistory(direction) {
+    const current = US_CHART_WINDOWS.indexOf(usHistoryState.settings.chartWindow);
+    const next = Math.max(0, Math.min(US_CHART_WINDOWS.length - 1, current + direction));
+    setUltrasonicHistorySetting('chartWindow', US_CHART_WINDOWS[next]);
+    const select = document.getElementById('usHistoryWindow');
+    if (select) select.value = String(US_CHART_WINDOWS[next]);
+}
+
+/* ================== EXPORT ================== */
+
+function downloadUltrasonicFile(content, type, extension) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ultrasonido-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Exportar el historial
+ * @param {string} format - 'csv' | 'json'
+ */
+function exportUltrasonicHistory(format) {
+    const history = usHistoryState.history;
+    if (history.length === 0) {
+        addLog('⚠️ No hay lecturas que exportar');
+        return;
+    }
+
+    const s = usHistoryState.settings;
+    const t0 = history[0].t;
+    if (format === 'csv') {
+        const rows = ['timestamp,elapsed_s,raw_cm,filtered_cm,no_echo,outlier'];
+        history.forEach(e => {
+            rows.push([
+                new Date(e.t).toISOString(),
+                ((e.t - t0) / 1000).toFixed(3),
+                e.raw === null ? '' : e.raw,
+                e.filtered === null ? '' : e.filtered,
+                e.raw === null ? 1 : 0,
+                e.outlier ? 1 : 0
+            ].join(','));
+        });
+        downloadUltrasonicFile(rows.join('\n') + '\n', 'text/csv', 'csv');
+    } else {
+        const filterParams = {};
+        US_FILTERS[s.filter].params.forEach(p => { filterParams[p.key] = s[p.key]; });
+        const data = {
+            format: 'otto-ultrasonic-history',
+            version: 1,
+            filter: { type: s.filter, ...filterParams },
+            thresholds: { danger: usState.dangerThreshold, alert: usState.alertThreshold },
+            stats: getUltrasonicStats(),
+            readings: history
+        };
+        downloadUltrasonicFile(JSON.stringify(data, null, 2), 'application/json', 'json');
+    }
+    addLog(`💾 Historial exportado en ${format.toUpperCase()} (${history.length} lecturas)`);
+}
+
+/* ================== SETTINGS UI ================== */
+
+function saveUltrasonicFilterSettings() {
+    storageSet(US_FILTER_SETTINGS_KEY, usHistoryState.settings);
+}
+
+function setUltrasonicHistorySetting(key, value) {
+    usHistoryState.settings[key] = value;
+    saveUltrasonicFilterSettings();
+    if (key === 'chartWindow') scheduleUltrasonicHistoryDraw();
+    else refilterUltrasonicHistory();
+}
+
+/**
+ * Campos de parámetros del filtro elegido
+ */
+function renderUltrasonicFilterParams() {
+    const container = document.getElementById('usFilterParams');
+    if (!container) return;
+
+    container.innerHTML = '';
+    US_FILTERS[usHistoryState.settings.filter].params.forEach(param => {
+        const label = document.createElement('label');
+        label.className = 'us-filter-param';
+        label.textContent = param.label;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'us-cal-input';
+        input.min = param.min;
+        input.max = param.max;
+        input.step = param.step;
+        input.value = usHistoryState.settings[param.key];
+        input.addEventListener('change', () => {
+            let value = parseFloat(input.value);
+            if (!Number.isFinite(value)) value = DEFAULT_US_FILTER_SETTINGS[param.key];
+            value = Math.min(param.max, Math.max(param.min, value));
+            input.value = value;
+            setUltrasonicHistorySetting(param.key, value);
+        });
+
+        label.appendChild(input);
+        container.appendChild(label);
+    });
+}
+
+/* ================== INIT EVENT LISTENERS ================== */
+
+function initUltrasonicHistory() {
+    usHistoryState.settings = { ...DEFAULT_US_FILTER_SETTINGS, ...storageGet(US_FILTER_SETTINGS_KEY, {}) };
+    if (!US_FILTERS[usHistoryState.settings.filter]) usHistoryState.settings.filter = 'median';
+
+    const filterSelect = document.getElementById('usFilterSelect');
+    if (filterSelect) {
+        Object.entries(US_FILTERS).forEach(([id, filter]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = filter.label;
+            filterSelect.appendChild(option);
+        });
+        filterSelect.value = usHistoryState.settings.filter;
+        filterSelect.addEventListener('change', () => {
+            setUltrasonicHistorySetting('filter', filterSelect.value);
+            renderUltrasonicFilterParams();
+        });
+    }
+
+    const windowSelect = document.getElementById('usHistoryWindow');
+    if (windowSelect) {
+        windowSelect.value = String(usHistoryState.settings.chartWindow);
+        windowSelect.addEventListener('change', () => {
+            setUltrasonicHistorySetting('chartWindow', parseInt(windowSelect.value));
+        });
+    }
+
+    const canvas = document.getElementById('usHistoryCanvas');
+    if (canvas) {
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            zoomUltrasonicHistory(e.deltaY > 0 ? 1 : -1);
+        }, { passive: false });
+    }
+
+    document.getElementById('usHistoryClearBtn')?.addEventListener('click', () => {
+        if (usHistoryState.history.length > 0 && confirm('¿Borrar el historial de lecturas?')) clearUltrasonicHistory();
+    });
+    document.getElementById('usHistoryCsvBtn')?.addEventListener('click', () => exportUltrasonicHistory('csv'));
+    document.getElementById('usHistoryJsonBtn')?.addEventListener('click', () => exportUltrasonicHistory('json'));
+
+    // El canvas solo tiene tamaño cuando el panel está visible
+    document.querySelector('.nav-drawer-item[data-panel="ultrasonic"]')?.addEventListener('click', scheduleUltrasonicHistoryDraw);
+    window.addEventListener('resize', scheduleUltrasonicHistoryDraw);
+
+    renderUltrasonicFilterParams();
+    scheduleUltrasonicHistoryDraw();
+}
+
+// Inicializar cuando el DOM esté listo
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initUltrasonicHistory);
+} else {
+    initUltrasonicHistory();
+}
+
+// Exportar funciones globales
+window.recordUltrasonicReading = recordUltrasonicReading;
+window.getUltrasonicStats = getUltrasonicStats;
+window.exportUltrasonicHistory = exportUltrasonicHistory;